@@ -3,6 +3,7 @@ import { CsrfSyncedToken } from 'csrf-sync';
 import { UserDirectoryList, User } from './src/users.js';
 import { CommandLineArguments } from './src/command-line.js';
 import { EVENT_NAMES } from './src/server-events.js';
+import { HOOK_NAMES, HookRejectedError } from './src/plugin-hooks.js';
 
 /**
  * Event payload for SERVER_STARTED event.
@@ -14,11 +15,222 @@ export interface ServerStartedEvent {
     url: URL;
 }
 
+/**
+ * Common payload of events that describe changes to user data.
+ */
+export interface UserDataEvent {
+    /**
+     * Handle of the user whose data has changed.
+     */
+    handle: string;
+    /**
+     * ID of the client (browser tab) that made the change, if known.
+     */
+    clientId: string | null;
+}
+
+/**
+ * Event payload for CHARACTER_SAVED and CHARACTER_DELETED events.
+ */
+export interface CharacterEvent extends UserDataEvent {
+    /**
+     * Avatar file name of the character.
+     */
+    avatar: string;
+}
+
+/**
+ * Event payload for CHARACTER_RENAMED event.
+ */
+export interface CharacterRenamedEvent extends UserDataEvent {
+    /**
+     * Previous avatar file name of the character.
+     */
+    oldAvatar: string;
+    /**
+     * New avatar file name of the character.
+     */
+    avatar: string;
+}
+
+/**
+ * Event payload for CHAT_SAVED and CHAT_DELETED events.
+ */
+export interface ChatEvent extends UserDataEvent {
+    /**
+     * Chat file name without extension.
+     */
+    fileName: string;
+    /**
+     * Avatar file name of the character, for character chats.
+     */
+    avatar?: string;
+    /**
+     * Whether the chat is a group chat.
+     */
+    isGroup: boolean;
+    /**
+     * Save revision of the chat file, if known.
+     */
+    revision?: number;
+}
+
+/**
+ * Event payload for CHAT_RENAMED event.
+ */
+export interface ChatRenamedEvent extends ChatEvent {
+    /**
+     * Previous chat file name without extension.
+     */
+    oldFileName: string;
+}
+
+/**
+ * Event payload for GROUP_SAVED and GROUP_DELETED events.
+ */
+export interface GroupEvent extends UserDataEvent {
+    /**
+     * ID of the group.
+     */
+    id: string;
+}
+
+/**
+ * Event payload for WORLD_INFO_SAVED and WORLD_INFO_DELETED events.
+ */
+export interface WorldInfoEvent extends UserDataEvent {
+    /**
+     * Name of the World Info file.
+     */
+    name: string;
+}
+
+/**
+ * Common payload of plugin hooks.
+ */
+export interface HookPayload {
+    /**
+     * Handle of the user who made the request.
+     */
+    handle: string;
+}
+
+/**
+ * Payload of the beforeChatCompletion hook.
+ */
+export interface ChatCompletionRequestHook extends HookPayload {
+    /**
+     * Chat completion source the request is sent to.
+     */
+    source: string;
+    /**
+     * Generation request body. Can be modified by interceptors.
+     */
+    body: Record<string, any>;
+}
+
+/**
+ * Payload of the afterChatCompletion hook.
+ */
+export interface ChatCompletionResponseHook extends ChatCompletionRequestHook {
+    /**
+     * Whether the response was streamed to the client.
+     */
+    streamed: boolean;
+    /**
+     * Response data. Can be modified by interceptors if the response was not streamed.
+     */
+    data: any;
+    /**
+     * Raw text of the event stream, if the response was streamed.
+     */
+    text?: string;
+}
+
+/**
+ * Payload of the beforeChatSave hook.
+ */
+export interface ChatSaveHook extends HookPayload {
+    /**
+     * Chat file name without extension.
+     */
+    fileName: string;
+    /**
+     * Avatar file name of the character, for character chats.
+     */
+    avatar?: string;
+    /**
+     * Whether the chat is a group chat.
+     */
+    isGroup: boolean;
+    /**
+     * Lines of the chat file to be saved. Can be modified by interceptors.
+     */
+    chat: object[];
+}
+
+/**
+ * Payload of the afterCharacterImport hook.
+ */
+export interface CharacterImportHook extends HookPayload {
+    /**
+     * Avatar file name of the imported character.
+     */
+    avatar: string;
+    /**
+     * Format of the imported file.
+     */
+    format: string;
+}
+
+/**
+ * Hooks API passed to server plugins.
+ */
+export interface PluginHooks {
+    /**
+     * Names of the available hooks.
+     */
+    names: typeof HOOK_NAMES;
+    /**
+     * Registers an interceptor for a hook. Returns a function that removes it.
+     */
+    register<K extends keyof PluginHookMap>(hookName: K, handler: (payload: PluginHookMap[K]) => void | Promise<void>): () => void;
+    /**
+     * Error that an interceptor can throw to reject the intercepted operation.
+     */
+    RejectedError: typeof HookRejectedError;
+}
+
+/**
+ * Map of plugin hooks to their payload types.
+ */
+export interface PluginHookMap {
+    [HOOK_NAMES.BEFORE_CHAT_COMPLETION]: ChatCompletionRequestHook;
+    [HOOK_NAMES.AFTER_CHAT_COMPLETION]: ChatCompletionResponseHook;
+    [HOOK_NAMES.BEFORE_CHAT_SAVE]: ChatSaveHook;
+    [HOOK_NAMES.AFTER_CHARACTER_IMPORT]: CharacterImportHook;
+}
+
 /**
  * Map of all server events to their payload types.
  */
 export interface ServerEventMap {
     [EVENT_NAMES.SERVER_STARTED]: [ServerStartedEvent];
+    [EVENT_NAMES.CHARACTER_SAVED]: [CharacterEvent];
+    [EVENT_NAMES.CHARACTER_DELETED]: [CharacterEvent];
+    [EVENT_NAMES.CHARACTER_RENAMED]: [CharacterRenamedEvent];
+    [EVENT_NAMES.CHAT_SAVED]: [ChatEvent];
+    [EVENT_NAMES.CHAT_DELETED]: [ChatEvent];
+    [EVENT_NAMES.CHAT_RENAMED]: [ChatRenamedEvent];
+    [EVENT_NAMES.GROUP_SAVED]: [GroupEvent];
+    [EVENT_NAMES.GROUP_DELETED]: [GroupEvent];
+    [EVENT_NAMES.WORLD_INFO_SAVED]: [WorldInfoEvent];
+    [EVENT_NAMES.WORLD_INFO_DELETED]: [WorldInfoEvent];
+    [EVENT_NAMES.SETTINGS_SAVED]: [UserDataEvent];
+    [HOOK_NAMES.BEFORE_CHAT_COMPLETION]: [ChatCompletionRequestHook];
+    [HOOK_NAMES.AFTER_CHAT_COMPLETION]: [ChatCompletionResponseHook];
+    [HOOK_NAMES.BEFORE_CHAT_SAVE]: [ChatSaveHook];
+    [HOOK_NAMES.AFTER_CHARACTER_IMPORT]: [CharacterImportHook];
 }
 
 declare global {
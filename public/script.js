@@ -50,6 +50,7 @@ import {
     wi_anchor_position,
     world_info_include_names,
     initWorldInfo,
+    saveWorldInfoActivations,
 } from './scripts/world-info.js';
 
 import {
@@ -130,6 +131,7 @@ import {
 } from './scripts/nai-settings.js';
 
 import {
+    createBranch,
     initBookmarks,
     showBookmarksButtons,
     updateBookmarkDisplay,
@@ -297,6 +299,16 @@ import { extractReasoningFromData, initReasoning, parseReasoningInSwipes, Prompt
 import { accountStorage } from './scripts/util/AccountStorage.js';
 import { initWelcomeScreen, openPermanentAssistantChat, openPermanentAssistantCard, getPermanentAssistantAvatar } from './scripts/welcome-screen.js';
 import { initDataMaid } from './scripts/data-maid.js';
+import { initGenerationLog } from './scripts/generation-log.js';
+import { initUsageDashboard } from './scripts/usage-dashboard.js';
+import { initWorldInfoInspector } from './scripts/world-info-inspector.js';
+import { initWorldInfoExtractor } from './scripts/world-info-extractor.js';
+import { initWorldInfoTimeline } from './scripts/world-info-timeline.js';
+import { openCharacterRevisions } from './scripts/character-revisions.js';
+import { openCharacterLint } from './scripts/character-lint.js';
+import { importCharacterBundle } from './scripts/character-bundle.js';
+import { initFailover, readFailoverAttempts } from './scripts/failover.js';
+import { clientId, initServerEvents } from './scripts/server-events.js';
 
 // API OBJECT FOR EXTERNAL WIRING
 globalThis.SillyTavern = {
@@ -560,6 +572,7 @@ export const event_types = {
     SECRET_DELETED: 'secret_deleted',
     SECRET_ROTATED: 'secret_rotated',
     SECRET_EDITED: 'secret_edited',
+    SERVER_DATA_CHANGED: 'server_data_changed',
 };
 
 export const eventSource = new EventEmitter([event_types.APP_READY]);
@@ -591,6 +604,11 @@ let chatSaveTimeout;
 let importFlashTimeout;
 export let isChatSaving = false;
 let chat_create_date = '';
+/** Save revision of the currently open chat file, used to detect concurrent edits from other tabs or devices. */
+let chat_revision = 0;
+/** @type {Promise<any>} Queue of pending chat saves. Saves are sent one by one to keep the revision in order. */
+let chatSaveQueue = Promise.resolve();
+let isChatConflictResolving = false;
 let firstRun = false;
 let settingsReady = false;
 let currentVersion = '0.0.0';
@@ -941,6 +959,7 @@ export function getRequestHeaders() {
     return {
         'Content-Type': 'application/json',
         'X-CSRF-Token': token,
+        'X-Client-Id': clientId,
     };
 }
 
@@ -953,6 +972,7 @@ export function getSlideToggleOptions() {
 
 $.ajaxPrefilter((options, originalOptions, xhr) => {
     xhr.setRequestHeader('X-CSRF-Token', token);
+    xhr.setRequestHeader('X-Client-Id', clientId);
 });
 
 /**
@@ -1037,6 +1057,13 @@ async function firstLoadInit() {
     await initScrapers();
     initCustomSelectedSamplers();
     initDataMaid();
+    initGenerationLog();
+    initUsageDashboard();
+    initWorldInfoInspector();
+    initWorldInfoExtractor();
+    initWorldInfoTimeline();
+    initFailover();
+    initServerEvents();
     addDebugFunctions();
     doDailyExtensionUpdatesCheck();
     await hideLoader();
@@ -2829,22 +2856,15 @@ export function substituteParamsExtended(content, additionalMacro = {}, postProc
 }
 
 /**
- * Substitutes {{macro}} parameters in a string.
- * @param {string} content - The string to substitute parameters in.
+ * Gets the environment of the {{macro}} parameters substituted by substituteParams.
  * @param {string} [_name1] - The name of the user. Uses global name1 if not provided.
  * @param {string} [_name2] - The name of the character. Uses global name2 if not provided.
  * @param {string} [_original] - The original message for {{original}} substitution.
  * @param {string} [_group] - The group members list for {{group}} substitution.
  * @param {boolean} [_replaceCharacterCard] - Whether to replace character card macros.
- * @param {Record<string,any>} [additionalMacro] - Additional environment variables for substitution.
- * @param {(x: string) => string} [postProcessFn] - Post-processing function for each substituted macro.
- * @returns {string} The string with substituted parameters.
+ * @returns {Record<string,any>} Map of macro names to their values
  */
-export function substituteParams(content, _name1, _name2, _original, _group, _replaceCharacterCard = true, additionalMacro = {}, postProcessFn = (x) => x) {
-    if (!content) {
-        return '';
-    }
-
+export function getMacroEnvironment(_name1, _name2, _original, _group, _replaceCharacterCard = true) {
     const environment = {};
 
     if (typeof _original === 'string') {
@@ -2909,6 +2929,28 @@ export function substituteParams(content, _name1, _name2, _original, _group, _re
     environment.groupNotMuted = getGroupValue(false);
     environment.model = getGeneratingModel();
 
+    return environment;
+}
+
+/**
+ * Substitutes {{macro}} parameters in a string.
+ * @param {string} content - The string to substitute parameters in.
+ * @param {string} [_name1] - The name of the user. Uses global name1 if not provided.
+ * @param {string} [_name2] - The name of the character. Uses global name2 if not provided.
+ * @param {string} [_original] - The original message for {{original}} substitution.
+ * @param {string} [_group] - The group members list for {{group}} substitution.
+ * @param {boolean} [_replaceCharacterCard] - Whether to replace character card macros.
+ * @param {Record<string,any>} [additionalMacro] - Additional environment variables for substitution.
+ * @param {(x: string) => string} [postProcessFn] - Post-processing function for each substituted macro.
+ * @returns {string} The string with substituted parameters.
+ */
+export function substituteParams(content, _name1, _name2, _original, _group, _replaceCharacterCard = true, additionalMacro = {}, postProcessFn = (x) => x) {
+    if (!content) {
+        return '';
+    }
+
+    const environment = getMacroEnvironment(_name1, _name2, _original, _group, _replaceCharacterCard);
+
     if (additionalMacro && typeof additionalMacro === 'object') {
         Object.assign(environment, additionalMacro);
     }
@@ -5983,6 +6025,7 @@ export async function sendGenerationRequest(type, data) {
         throw await response.json();
     }
 
+    readFailoverAttempts(response);
     return await response.json();
 }
 
@@ -6540,6 +6583,8 @@ export async function saveReply({ type, getMessage, fromStreaming = false, title
         !fromStreaming && await eventSource.emit(event_types.CHARACTER_MESSAGE_RENDERED, chat_id, type);
     }
 
+    saveWorldInfoActivations(chat[chat.length - 1], ['append', 'continue', 'appendFinal'].includes(type));
+
     const item = chat[chat.length - 1];
     if (item['swipe_info'] === undefined) {
         item['swipe_info'] = [];
@@ -7112,18 +7157,31 @@ export async function saveChat({ chatName, withMetadata, mesId, force = false }
         ...trimmedChat,
     ];
 
+    // Only the currently open chat file is checked for concurrent edits
+    const isCurrentChat = fileName === characters[this_chid].chat;
+
     try {
-        const result = await fetch('/api/chats/save', {
-            method: 'POST',
-            cache: 'no-cache',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({
-                ch_name: characters[this_chid].name,
-                file_name: fileName,
-                chat: chatToSave,
-                avatar_url: characters[this_chid].avatar,
-                force: force,
-            }),
+        const result = await queueChatSave(async () => {
+            const response = await fetch('/api/chats/save', {
+                method: 'POST',
+                cache: 'no-cache',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    ch_name: characters[this_chid].name,
+                    file_name: fileName,
+                    chat: chatToSave,
+                    avatar_url: characters[this_chid].avatar,
+                    revision: isCurrentChat ? chat_revision : undefined,
+                    force: force,
+                }),
+            });
+
+            if (response.ok && isCurrentChat) {
+                const data = await response.json();
+                chat_revision = data?.revision ?? chat_revision;
+            }
+
+            return response;
         });
 
         if (result.ok) {
@@ -7131,6 +7189,17 @@ export async function saveChat({ chatName, withMetadata, mesId, force = false }
         }
 
         const errorData = await result.json();
+
+        if (errorData?.error === 'conflict' && !force) {
+            await resolveChatSaveConflict(errorData, { chatName, withMetadata, mesId });
+            return;
+        }
+
+        if (errorData?.error === 'quota') {
+            toastr.error(errorData.message, t`Chat could not be saved`);
+            return;
+        }
+
         const isIntegrityError = errorData?.error === 'integrity' && !force;
         if (!isIntegrityError) {
             throw new Error(result.statusText);
@@ -7159,6 +7228,78 @@ export async function saveChat({ chatName, withMetadata, mesId, force = false }
     }
 }
 
+/**
+ * Runs a chat save request after all previously queued ones have finished.
+ * @param {function(): Promise<Response>} saveFn Function that sends the save request
+ * @returns {Promise<Response>} Response of the save request
+ */
+function queueChatSave(saveFn) {
+    const result = chatSaveQueue.then(saveFn);
+    chatSaveQueue = result.catch(() => { });
+    return result;
+}
+
+/**
+ * Lets the user decide what to do when the chat was changed on the server since it was loaded.
+ * @param {object} conflict Conflict report from the server
+ * @param {number} conflict.revision Current revision of the chat file on the server
+ * @param {number} conflict.diverged_at Index of the first message that differs
+ * @param {number[]} conflict.diverged Indices of all messages that differ
+ * @param {number} conflict.server_length Number of messages on the server
+ * @param {number} conflict.client_length Number of messages in this tab
+ * @param {object} saveOptions Options of the failed save
+ * @returns {Promise<void>}
+ */
+async function resolveChatSaveConflict(conflict, saveOptions) {
+    // Other saves may fail for the same reason while the user is deciding
+    if (isChatConflictResolving) {
+        return;
+    }
+
+    try {
+        isChatConflictResolving = true;
+        const template = await renderTemplateAsync('chatSaveConflict', {
+            revision: conflict.revision,
+            localRevision: chat_revision,
+            divergedCount: conflict.diverged?.length ?? 0,
+            divergedAt: conflict.diverged_at,
+            serverLength: conflict.server_length,
+            clientLength: conflict.client_length,
+        });
+        const popup = new Popup(template, POPUP_TYPE.TEXT, '', {
+            okButton: t`Keep both`,
+            cancelButton: false,
+            customButtons: [
+                { text: t`Overwrite`, result: POPUP_RESULT.CUSTOM1 },
+                { text: t`Discard my changes`, result: POPUP_RESULT.CUSTOM2 },
+            ],
+        });
+        const result = await popup.show();
+
+        switch (result) {
+            case POPUP_RESULT.CUSTOM1:
+                console.warn('Chat save conflict: overwriting the server version');
+                isChatConflictResolving = false;
+                await saveChat({ ...saveOptions, force: true });
+                break;
+            case POPUP_RESULT.CUSTOM2:
+                console.warn('Chat save conflict: discarding local changes');
+                await reloadCurrentChat();
+                break;
+            default: {
+                const branchName = chat.length ? await createBranch(chat.length - 1) : null;
+                if (branchName) {
+                    toastr.info(t`Your version of the chat was saved as ${branchName}`, t`Chat branch created`);
+                }
+                await reloadCurrentChat();
+                break;
+            }
+        }
+    } finally {
+        isChatConflictResolving = false;
+    }
+}
+
 /**
  * Processes the avatar image from the input element, allowing the user to crop it if necessary.
  * @param {HTMLInputElement} input - The input element containing the avatar file.
@@ -7332,10 +7473,12 @@ export async function getChat() {
             chat.splice(0, chat.length, ...response);
             chat_create_date = chat[0]['create_date'];
             chat_metadata = chat[0]['chat_metadata'] ?? {};
+            chat_revision = chat[0]['revision'] ?? 0;
 
             chat.shift();
         } else {
             chat_create_date = humanizedDateTime();
+            chat_revision = 0;
         }
         if (!chat_metadata['integrity']) {
             chat_metadata['integrity'] = uuidv4();
@@ -8800,6 +8943,10 @@ async function importCharacterChat(formData, eventTarget) {
         cache: 'no-cache',
     });
 
+    if (fetchResult.status === 413) {
+        toastr.error(await fetchResult.text(), t`Could not import chat`);
+    }
+
     if (fetchResult.ok) {
         const data = await fetchResult.json();
         if (data.res) {
@@ -9875,7 +10022,9 @@ export async function processDroppedFiles(files, data = new Map()) {
     const avatarFileNames = [];
     for (const file of files) {
         const extension = file.name.split('.').pop().toLowerCase();
-        if (allowedMimeTypes.some(x => file.type.startsWith(x)) || allowedExtensions.includes(extension)) {
+        if (extension === 'zip') {
+            await importCharacterBundle(file);
+        } else if (allowedMimeTypes.some(x => file.type.startsWith(x)) || allowedExtensions.includes(extension)) {
             const preservedName = data instanceof Map && data.get(file);
             const avatarFileName = await importCharacter(file, { preserveFileName: preservedName });
             if (avatarFileName !== undefined) {
@@ -9944,15 +10093,24 @@ async function importCharacter(file, { preserveFileName = '', importTags = false
     formData.append('file_type', format);
     if (preserveFileName) formData.append('preserved_name', preserveFileName);
 
-    const data = await jQuery.ajax({
-        type: 'POST',
-        url: '/api/characters/import',
-        data: formData,
-        async: true,
-        cache: false,
-        contentType: false,
-        processData: false,
-    });
+    let data;
+    try {
+        data = await jQuery.ajax({
+            type: 'POST',
+            url: '/api/characters/import',
+            data: formData,
+            async: true,
+            cache: false,
+            contentType: false,
+            processData: false,
+        });
+    } catch (error) {
+        if (error?.status === 413) {
+            toastr.error(error.responseText, t`Could not import character`);
+            return;
+        }
+        throw error;
+    }
 
     if (data.error) {
         toastr.error(t`The file is likely invalid or corrupted.`, t`Could not import character`);
@@ -11886,6 +12044,12 @@ jQuery(async function () {
 
         const avatarFileNames = [];
         for (const file of e.target.files) {
+            // Bundles bring their own tags
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                await importCharacterBundle(file);
+                continue;
+            }
+
             const avatarFileName = await importCharacter(file);
             if (avatarFileName !== undefined) {
                 avatarFileNames.push(avatarFileName);
@@ -11919,6 +12083,10 @@ jQuery(async function () {
         await createOrEditCharacter();
         const body = { format, avatar_url: characters[this_chid].avatar };
 
+        if (format === 'charx') {
+            body.gallery_folder = extension_settings.gallery?.folders?.[characters[this_chid].avatar];
+        }
+
         const response = await fetch('/api/characters/export', {
             method: 'POST',
             headers: getRequestHeaders(),
@@ -12218,6 +12386,12 @@ jQuery(async function () {
             case 'renameCharButton':
                 renameCharacter();
                 break;
+            case 'character_revisions':
+                await openCharacterRevisions();
+                break;
+            case 'character_lint':
+                await openCharacterLint();
+                break;
             case 'import_character_info':
                 await importEmbeddedWorldInfo();
                 saveCharacterDebounced();
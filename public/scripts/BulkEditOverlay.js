@@ -16,6 +16,7 @@ import {
 import { favsToHotswap } from './RossAscends-mods.js';
 import { hideLoader, showLoader } from './loader.js';
 import { convertCharacterToPersona } from './personas.js';
+import { exportCharacterBundle } from './character-bundle.js';
 import { callGenericPopup, POPUP_TYPE } from './popup.js';
 import { createTagInput, getTagKeyForEntity, getTagsList, printTagList, tag_map, compareTagsForSort, removeTagFromMap, importTags, tag_import_setting } from './tags.js';
 
@@ -157,6 +158,7 @@ class CharacterContextMenu {
             { id: 'character_context_menu_delete', callback: characterGroupOverlay.handleContextMenuDelete },
             { id: 'character_context_menu_persona', callback: characterGroupOverlay.handleContextMenuPersona },
             { id: 'character_context_menu_tag', callback: characterGroupOverlay.handleContextMenuTag },
+            { id: 'character_context_menu_export', callback: characterGroupOverlay.handleContextMenuExport },
         ];
 
         contextMenuItems.forEach(contextMenuItem => document.getElementById(contextMenuItem.id).addEventListener('click', contextMenuItem.callback));
@@ -869,6 +871,17 @@ class BulkEditOverlay {
         this.browseState();
     };
 
+    /**
+     * Exports the selected characters with their chats, tags and lorebooks as a single archive.
+     *
+     * @returns {Promise<void>}
+     */
+    handleContextMenuExport = async () => {
+        const avatarList = this.selectedCharacters.map(id => characters[id]?.avatar).filter(a => a);
+        await exportCharacterBundle(avatarList);
+        this.browseState();
+    };
+
     addStateChangeCallback = callback => this.stateChangeCallbacks.push(callback);
 
     /**
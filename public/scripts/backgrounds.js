@@ -646,6 +646,11 @@ async function uploadBackground(formData) {
             cache: 'no-cache',
         });
 
+        if (response.status === 413) {
+            toastr.error(await response.text(), t`Could not upload background`);
+            return;
+        }
+
         if (!response.ok) {
             throw new Error('Failed to upload background');
         }
@@ -74,6 +74,13 @@ async function onDeleteButtonClick() {
     await characterGroupOverlay.handleContextMenuDelete();
 }
 
+/**
+ * Exports all characters that have been selected via the bulk checkboxes.
+ */
+async function onExportButtonClick() {
+    await characterGroupOverlay.handleContextMenuExport();
+}
+
 /**
  * Enables bulk selection by adding a checkbox next to each character.
  */
@@ -121,4 +128,5 @@ export function initBulkEdit() {
     $('#bulkEditButton').on('click', onEditButtonClick);
     $('#bulkSelectAllButton').on('click', onSelectAllButtonClick);
     $('#bulkDeleteButton').on('click', onDeleteButtonClick);
+    $('#bulkExportButton').on('click', onExportButtonClick);
 }
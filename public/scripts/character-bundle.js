@@ -0,0 +1,170 @@
+import { characters, getCharacters, getRequestHeaders, saveSettingsDebounced } from '../script.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { assignTagsByName, tag_map, tags } from './tags.js';
+import { renderTemplateAsync } from './templates.js';
+import { download, getCharaFilename } from './utils.js';
+import { updateWorldInfoList, world_info } from './world-info.js';
+
+/**
+ * @typedef {import('../../src/character-bundle.js').BundleTag} BundleTag
+ * @typedef {import('../../src/character-bundle.js').BundleConflict} BundleConflict
+ */
+
+/**
+ * Gets the headers for a request with a file upload.
+ * @returns {object} Request headers
+ */
+function getUploadHeaders() {
+    const headers = getRequestHeaders();
+    delete headers['Content-Type'];
+    return headers;
+}
+
+/**
+ * Exports characters with their chats, tags and lorebooks as a single archive.
+ * @param {string[]} avatars Avatar file names of the characters
+ * @param {string} [fileName] Name of the downloaded file without the extension
+ */
+export async function exportCharacterBundle(avatars, fileName = 'characters') {
+    if (avatars.length === 0) {
+        toastr.warning(t`No characters to export.`);
+        return;
+    }
+
+    const selection = avatars.map(avatar => ({
+        avatar,
+        tags: (tag_map[avatar] ?? [])
+            .map(id => tags.find(tag => tag.id === id))
+            .filter(tag => tag)
+            .map(tag => ({ name: tag.name, color: tag.color, color2: tag.color2 })),
+        books: world_info.charLore?.find(x => x.name === getCharaFilename(null, { manualAvatarKey: avatar }))?.extraBooks ?? [],
+    }));
+
+    const toast = toastr.info(t`Exporting ${avatars.length} character(s), please wait...`);
+
+    try {
+        const response = await fetch('/api/characters/export-bulk', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ characters: selection }),
+        });
+
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+
+        download(await response.blob(), `${fileName}.zip`, 'application/zip');
+    } catch (error) {
+        console.error('Failed to export characters', error);
+        toastr.error(t`Could not export the characters.`);
+    } finally {
+        toastr.clear(toast);
+    }
+}
+
+/**
+ * Applies the tags and additional lorebooks of the imported characters.
+ * @param {{ avatar: string, tags: BundleTag[], books: string[] }[]} imported Imported characters
+ */
+function applyImportedSettings(imported) {
+    for (const item of imported) {
+        assignTagsByName(item.avatar, item.tags ?? []);
+
+        const character = characters.find(x => x.avatar === item.avatar);
+        const extraBooks = (item.books ?? []).filter(book => book !== character?.data?.extensions?.world);
+
+        if (extraBooks.length === 0) {
+            continue;
+        }
+
+        const name = getCharaFilename(null, { manualAvatarKey: item.avatar });
+        const charLore = world_info.charLore ?? [];
+        const existing = charLore.find(x => x.name === name);
+
+        if (existing) {
+            existing.extraBooks = [...new Set([...existing.extraBooks, ...extraBooks])];
+        } else {
+            charLore.push({ name, extraBooks });
+        }
+
+        Object.assign(world_info, { charLore });
+    }
+
+    saveSettingsDebounced();
+}
+
+/**
+ * Imports a character bundle, letting the user resolve the conflicts with existing characters and lorebooks.
+ * @param {File} file Bundle archive
+ * @returns {Promise<string[]>} Avatar file names of the imported characters
+ */
+export async function importCharacterBundle(file) {
+    const previewData = new FormData();
+    previewData.append('avatar', file);
+
+    const previewResponse = await fetch('/api/characters/import-bulk/preview', {
+        method: 'POST',
+        headers: getUploadHeaders(),
+        body: previewData,
+    });
+
+    if (!previewResponse.ok) {
+        const data = await previewResponse.json().catch(() => ({}));
+        toastr.error(data.error || previewResponse.statusText, t`Could not import characters`);
+        return [];
+    }
+
+    /** @type {{ characters: { avatar: string, name: string, tags: BundleTag[], books: string[], chats: number, conflict: BundleConflict|null }[], worlds: { name: string, conflict: boolean }[] }} */
+    const preview = await previewResponse.json();
+    const template = $(await renderTemplateAsync('characterBundleImport', {
+        characters: preview.characters.map(x => ({
+            ...x,
+            tagNames: x.tags.map(tag => tag.name).join(', '),
+            bookNames: x.books.join(', '),
+            conflictByName: x.conflict?.type === 'name',
+        })),
+        worlds: preview.worlds,
+    }));
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: t`Import`, wide: true, allowVerticalScrolling: true });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return [];
+    }
+
+    const resolutions = { characters: {}, worlds: {} };
+    template.find('[data-avatar]').each((_, element) => {
+        resolutions.characters[$(element).attr('data-avatar')] = $(element).find('.characterBundleResolution').val() ?? 'import';
+    });
+    template.find('[data-world]').each((_, element) => {
+        resolutions.worlds[$(element).attr('data-world')] = $(element).find('.characterBundleResolution').val() ?? 'overwrite';
+    });
+
+    const importData = new FormData();
+    importData.append('avatar', file);
+    importData.append('resolutions', JSON.stringify(resolutions));
+
+    const importResponse = await fetch('/api/characters/import-bulk', {
+        method: 'POST',
+        headers: getUploadHeaders(),
+        body: importData,
+    });
+
+    if (!importResponse.ok) {
+        const text = await importResponse.text();
+        toastr.error(importResponse.status === 413 ? text : t`The file is likely invalid or corrupted.`, t`Could not import characters`);
+        return [];
+    }
+
+    /** @type {{ characters: { original: string, avatar?: string, tags?: BundleTag[], books?: string[], skipped?: boolean }[] }} */
+    const data = await importResponse.json();
+    const imported = data.characters.filter(x => !x.skipped);
+
+    await getCharacters();
+    await updateWorldInfoList();
+    applyImportedSettings(imported);
+
+    toastr.success(t`Imported ${imported.length} character(s), skipped ${data.characters.length - imported.length}.`);
+    return imported.map(x => x.avatar);
+}
@@ -0,0 +1,125 @@
+import { characters, getMacroEnvironment, getRequestHeaders, main_api, max_context, substituteParams, this_chid, unshallowCharacter } from '../script.js';
+import { t } from './i18n.js';
+import { getMacroNames } from './macros.js';
+import { oai_settings } from './openai.js';
+import { callGenericPopup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { getFriendlyTokenizerName, getTokenCountAsync } from './tokenizers.js';
+
+/**
+ * @typedef {import('../../src/validator/TavernCardLinter.js').CardLintIssue} CardLintIssue
+ */
+
+/**
+ * Fields of the card data with token counts, in the order of the character editor.
+ * Permanent fields are included in every prompt.
+ */
+const TOKEN_FIELDS = [
+    { field: 'name', permanent: true },
+    { field: 'description', permanent: true },
+    { field: 'personality', permanent: true },
+    { field: 'scenario', permanent: true },
+    { field: 'extensions.depth_prompt.prompt', permanent: true },
+    { field: 'first_mes', permanent: false },
+    { field: 'mes_example', permanent: false },
+    { field: 'system_prompt', permanent: false },
+    { field: 'post_history_instructions', permanent: false },
+];
+
+const SEVERITY_ICONS = {
+    error: 'fa-circle-xmark',
+    warning: 'fa-triangle-exclamation',
+    info: 'fa-circle-info',
+};
+
+/**
+ * Gets the names of all macros that are substituted in the character fields, including the ones registered by extensions.
+ * @returns {string[]} Macro names
+ */
+function getKnownMacroNames() {
+    return getMacroNames(getMacroEnvironment(undefined, undefined, ''));
+}
+
+/**
+ * Counts the tokens of the character fields with the selected tokenizer.
+ * @param {object} data Character card data
+ * @returns {Promise<{ field: string, tokens: number, permanent: boolean }[]>} Token counts of the non-empty fields
+ */
+async function countFieldTokens(data) {
+    const result = [];
+
+    for (const { field, permanent } of TOKEN_FIELDS) {
+        const value = field.split('.').reduce((obj, key) => obj?.[key], data);
+
+        if (typeof value !== 'string' || !value) {
+            continue;
+        }
+
+        result.push({ field, permanent, tokens: await getTokenCountAsync(substituteParams(value)) });
+    }
+
+    for (const [index, greeting] of (data.alternate_greetings ?? []).entries()) {
+        if (greeting) {
+            result.push({ field: `alternate_greetings.${index}`, permanent: false, tokens: await getTokenCountAsync(substituteParams(greeting)) });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Opens the lint report of the selected character card.
+ */
+export async function openCharacterLint() {
+    if (!characters[this_chid]) {
+        return;
+    }
+
+    try {
+        await unshallowCharacter(this_chid);
+        const character = characters[this_chid];
+        const response = await fetch('/api/characters/lint', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: character.avatar, macros: getKnownMacroNames() }),
+        });
+
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+
+        /** @type {{ spec: string, issues: CardLintIssue[] }} */
+        const report = await response.json();
+        const tokens = await countFieldTokens(character.data ?? character);
+        const permanentTokens = tokens.filter(x => x.permanent).reduce((sum, x) => sum + x.tokens, 0);
+
+        // Same limit as the warning of the character editor
+        const tokenLimit = Math.max(((main_api !== 'openai' ? max_context : oai_settings.openai_max_context) / 2), 1024);
+
+        if (permanentTokens > tokenLimit) {
+            report.issues.push({
+                severity: 'warning',
+                field: 'data',
+                message: t`Permanent fields take ${permanentTokens} tokens, more than half of the context size.`,
+            });
+        }
+
+        const order = Object.keys(SEVERITY_ICONS);
+        const viewModel = {
+            name: character.name,
+            spec: report.spec,
+            tokenizer: getFriendlyTokenizerName(main_api).tokenizerName,
+            permanentTokens,
+            issues: report.issues
+                .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity))
+                .map(x => ({ ...x, icon: SEVERITY_ICONS[x.severity] })),
+            tokens,
+        };
+
+        const template = await renderTemplateAsync('characterLint', viewModel);
+        await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, large: false, allowVerticalScrolling: true });
+    } catch (error) {
+        console.error('Failed to lint character card', error);
+        toastr.error(error.message, t`Could not check the character card`);
+    }
+}
@@ -0,0 +1,150 @@
+import { characters, getOneCharacter, getRequestHeaders, select_selected_character, this_chid } from '../script.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+
+/**
+ * @typedef {import('../../src/character-revisions.js').CharacterFieldDiff} CharacterFieldDiff
+ */
+
+/**
+ * Sends a request to the character revisions API.
+ * @param {string} url Endpoint URL
+ * @param {object} body Request body
+ * @returns {Promise<Response>} Response
+ */
+async function postRevisionRequest(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+    }
+
+    return response;
+}
+
+/**
+ * Formats a field value of a character card for display.
+ * @param {any} value Field value
+ * @returns {string} Display text
+ */
+function formatFieldValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Renders the differences between a revision and the current character card.
+ * @param {string} avatar Character avatar file name
+ * @param {number} revision Revision number
+ * @returns {Promise<string>} Rendered HTML
+ */
+async function renderRevisionDiff(avatar, revision) {
+    const response = await postRevisionRequest('/api/characters/revisions/diff', { avatar_url: avatar, from: revision });
+    /** @type {CharacterFieldDiff[]} */
+    const diff = await response.json();
+    const changes = diff.map(x => ({ ...x, before: formatFieldValue(x.before), after: formatFieldValue(x.after) }));
+    return renderTemplateAsync('characterRevisionDiff', { changes });
+}
+
+/**
+ * Restores a character card to a revision and reloads the character.
+ * @param {string} avatar Character avatar file name
+ * @param {number} revision Revision number
+ * @returns {Promise<boolean>} True if the revision was restored
+ */
+async function restoreRevision(avatar, revision) {
+    const confirm = await callGenericPopup(t`The current version of the card will stay in the history.`, POPUP_TYPE.CONFIRM, '', { okButton: t`Restore` });
+
+    if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+        return false;
+    }
+
+    await postRevisionRequest('/api/characters/revisions/restore', { avatar_url: avatar, revision });
+    await getOneCharacter(avatar);
+
+    if (characters[this_chid]?.avatar === avatar) {
+        select_selected_character(this_chid, { switchMenu: false });
+    }
+
+    toastr.success(t`Character restored to revision #${revision}.`);
+    return true;
+}
+
+/**
+ * Opens the version history of the selected character.
+ */
+export async function openCharacterRevisions() {
+    const character = characters[this_chid];
+
+    if (!character) {
+        return;
+    }
+
+    const avatar = character.avatar;
+    const container = document.createElement('div');
+
+    const render = async () => {
+        const response = await postRevisionRequest('/api/characters/revisions/list', { avatar_url: avatar });
+        /** @type {{ revision: number, date: number, name: string, changed: string[], restored_from?: number }[]} */
+        const revisions = await response.json();
+        const viewModel = {
+            name: character.name,
+            revisions: revisions.reverse().map(x => ({
+                ...x,
+                date: new Date(x.date).toLocaleString(),
+                changed: x.changed.join(', '),
+                restored: x.restored_from !== undefined,
+            })),
+        };
+
+        container.innerHTML = await renderTemplateAsync('characterRevisions', viewModel);
+
+        for (const block of container.querySelectorAll('.characterRevision')) {
+            const revision = Number(block.getAttribute('data-revision'));
+            const diffBlock = block.querySelector('.characterRevisionDiff');
+
+            block.querySelector('.inline-drawer-toggle').addEventListener('click', async () => {
+                if (diffBlock.innerHTML.trim()) {
+                    return;
+                }
+
+                try {
+                    diffBlock.innerHTML = await renderRevisionDiff(avatar, revision);
+                } catch (error) {
+                    console.error('Failed to compare character revisions', error);
+                    toastr.error(error.message, t`Could not load the revision`);
+                }
+            });
+
+            block.querySelector('.characterRevisionRestoreButton')?.addEventListener('click', async (e) => {
+                e.stopPropagation();
+
+                try {
+                    if (await restoreRevision(avatar, revision)) {
+                        await render();
+                    }
+                } catch (error) {
+                    console.error('Failed to restore character revision', error);
+                    toastr.error(error.message, t`Could not restore the revision`);
+                }
+            });
+        }
+    };
+
+    try {
+        await render();
+        await callGenericPopup(container, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, large: false, allowVerticalScrolling: true });
+    } catch (error) {
+        console.error('Failed to load character revisions', error);
+        toastr.error(error.message, t`Could not load the version history`);
+    }
+}
@@ -1,6 +1,6 @@
 import { DOMPurify, Fuse } from '../../../lib.js';
 
-import { event_types, eventSource, main_api, saveSettingsDebounced } from '../../../script.js';
+import { CONNECT_API_MAP, event_types, eventSource, main_api, saveSettingsDebounced } from '../../../script.js';
 import { extension_settings, renderExtensionTemplateAsync } from '../../extensions.js';
 import { callGenericPopup, Popup, POPUP_RESULT, POPUP_TYPE } from '../../popup.js';
 import { SlashCommand } from '../../slash-commands/SlashCommand.js';
@@ -14,6 +14,7 @@ import { SlashCommandScope } from '../../slash-commands/SlashCommandScope.js';
 import { collapseSpaces, getUniqueName, isFalseBoolean, uuidv4 } from '../../utils.js';
 import { t } from '../../i18n.js';
 import { getSecretLabelById } from '../../secrets.js';
+import { getTextGenServer } from '../../textgen-settings.js';
 
 const MODULE_NAME = 'connection-manager';
 const NONE = '<None>';
@@ -22,6 +23,12 @@ const EMPTY = '<Empty>';
 const DEFAULT_SETTINGS = {
     profiles: [],
     selectedProfile: null,
+    failover: {
+        enabled: false,
+        profiles: [],
+        rotateKeys: false,
+        timeout: 0,
+    },
 };
 
 // Commands that can record an empty value into the profile
@@ -431,6 +438,119 @@ function renderConnectionProfiles(profiles) {
         option.selected = profile.id === extension_settings.connectionManager.selectedProfile;
         profiles.appendChild(option);
     }
+
+    renderFailoverProfiles();
+}
+
+/**
+ * Converts a connection profile to a fallback target of a generation request.
+ * @param {ConnectionProfile} profile Connection profile
+ * @returns {import('../../../../src/failover.js').FailoverTarget|null} Fallback target or null if the profile has no API
+ */
+function getFailoverTarget(profile) {
+    const api = CONNECT_API_MAP[profile.api];
+    /** @type {Record<string, any>} */
+    const overrides = {};
+
+    if (profile.mode === 'cc' && api?.source) {
+        overrides.chat_completion_source = api.source;
+        if (profile['api-url']) {
+            overrides.custom_url = profile['api-url'];
+        }
+    } else if (profile.mode === 'tc' && api?.type) {
+        overrides.api_type = api.type;
+        overrides.api_server = profile['api-url'] || getTextGenServer(api.type);
+    } else {
+        return null;
+    }
+
+    if (profile.model) {
+        overrides.model = profile.model;
+    }
+
+    return { name: profile.name, overrides, secret_id: profile['secret-id'] || undefined };
+}
+
+/**
+ * Gets the failover options sent with generation requests.
+ * @param {string} mode Mode of the request (cc or tc)
+ * @returns {import('../../../../src/failover.js').FailoverOptions|null} Failover options or null if disabled
+ */
+function getFailoverOptions(mode) {
+    const settings = extension_settings.connectionManager.failover;
+
+    if (!settings.enabled) {
+        return null;
+    }
+
+    const targets = settings.profiles
+        .filter(id => id !== extension_settings.connectionManager.selectedProfile)
+        .map(id => extension_settings.connectionManager.profiles.find(p => p.id === id))
+        .filter(profile => profile?.mode === mode)
+        .map(getFailoverTarget)
+        .filter(target => target);
+
+    if (targets.length === 0 && !settings.rotateKeys) {
+        return null;
+    }
+
+    return { targets, rotate_keys: !!settings.rotateKeys, timeout: Number(settings.timeout) || 0 };
+}
+
+/**
+ * Renders the list of fallback profiles and the profiles that can be added to it.
+ */
+function renderFailoverProfiles() {
+    const list = document.getElementById('connection_profile_failover_list');
+    /** @type {HTMLSelectElement} */
+    // @ts-ignore
+    const select = document.getElementById('connection_profile_failover_select');
+
+    if (!list || !select) {
+        return;
+    }
+
+    const settings = extension_settings.connectionManager.failover;
+    const allProfiles = extension_settings.connectionManager.profiles;
+    settings.profiles = settings.profiles.filter(id => allProfiles.some(p => p.id === id));
+
+    list.innerHTML = '';
+    settings.profiles.forEach((id, index) => {
+        const profile = allProfiles.find(p => p.id === id);
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.classList.add('failover_profile_name');
+        name.textContent = `${profile.name} (${profile.mode === 'cc' ? t`Chat Completion` : t`Text Completion`})`;
+        item.appendChild(name);
+
+        const buttons = [
+            { icon: 'fa-arrow-up', title: t`Move up`, action: () => index > 0 && settings.profiles.splice(index - 1, 0, ...settings.profiles.splice(index, 1)) },
+            { icon: 'fa-arrow-down', title: t`Move down`, action: () => settings.profiles.splice(index + 1, 0, ...settings.profiles.splice(index, 1)) },
+            { icon: 'fa-trash-can', title: t`Remove`, action: () => settings.profiles.splice(index, 1) },
+        ];
+
+        for (const { icon, title, action } of buttons) {
+            const button = document.createElement('i');
+            button.classList.add('menu_button', 'fa-solid', icon);
+            button.title = title;
+            button.addEventListener('click', () => {
+                action();
+                saveSettingsDebounced();
+                renderFailoverProfiles();
+            });
+            item.appendChild(button);
+        }
+
+        list.appendChild(item);
+    });
+
+    select.innerHTML = '';
+    for (const profile of allProfiles.filter(p => !settings.profiles.includes(p.id))) {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    }
 }
 
 /**
@@ -462,7 +582,13 @@ async function renderDetailsContent(detailsContent) {
 
     for (const key of Object.keys(DEFAULT_SETTINGS)) {
         if (extension_settings.connectionManager[key] === undefined) {
-            extension_settings.connectionManager[key] = DEFAULT_SETTINGS[key];
+            extension_settings.connectionManager[key] = structuredClone(DEFAULT_SETTINGS[key]);
+        }
+    }
+
+    for (const key of Object.keys(DEFAULT_SETTINGS.failover)) {
+        if (extension_settings.connectionManager.failover[key] === undefined) {
+            extension_settings.connectionManager.failover[key] = structuredClone(DEFAULT_SETTINGS.failover[key]);
         }
     }
 
@@ -644,6 +770,62 @@ async function renderDetailsContent(detailsContent) {
         await renderDetailsContent(detailsContent);
     });
 
+    const failoverSettings = extension_settings.connectionManager.failover;
+
+    /** @type {HTMLInputElement} */
+    // @ts-ignore
+    const failoverEnabled = document.getElementById('connection_profile_failover_enabled');
+    failoverEnabled.checked = failoverSettings.enabled;
+    failoverEnabled.addEventListener('input', () => {
+        failoverSettings.enabled = failoverEnabled.checked;
+        saveSettingsDebounced();
+    });
+
+    /** @type {HTMLInputElement} */
+    // @ts-ignore
+    const failoverRotateKeys = document.getElementById('connection_profile_failover_rotate_keys');
+    failoverRotateKeys.checked = failoverSettings.rotateKeys;
+    failoverRotateKeys.addEventListener('input', () => {
+        failoverSettings.rotateKeys = failoverRotateKeys.checked;
+        saveSettingsDebounced();
+    });
+
+    /** @type {HTMLInputElement} */
+    // @ts-ignore
+    const failoverTimeout = document.getElementById('connection_profile_failover_timeout');
+    failoverTimeout.value = String(failoverSettings.timeout);
+    failoverTimeout.addEventListener('input', () => {
+        failoverSettings.timeout = Math.max(0, Number(failoverTimeout.value) || 0);
+        saveSettingsDebounced();
+    });
+
+    /** @type {HTMLSelectElement} */
+    // @ts-ignore
+    const failoverSelect = document.getElementById('connection_profile_failover_select');
+    document.getElementById('connection_profile_failover_add').addEventListener('click', () => {
+        if (!failoverSelect.value) {
+            return;
+        }
+        failoverSettings.profiles.push(failoverSelect.value);
+        saveSettingsDebounced();
+        renderFailoverProfiles();
+    });
+    renderFailoverProfiles();
+
+    eventSource.on(event_types.CHAT_COMPLETION_SETTINGS_READY, (/** @type {object} */ data) => {
+        const failover = getFailoverOptions('cc');
+        if (failover) {
+            data.failover = failover;
+        }
+    });
+
+    eventSource.on(event_types.TEXT_COMPLETION_SETTINGS_READY, (/** @type {object} */ data) => {
+        const failover = getFailoverOptions('tc');
+        if (failover) {
+            data.failover = failover;
+        }
+    });
+
     /** @type {HTMLElement} */
     const viewDetails = document.getElementById('view_connection_profile');
     const detailsContent = document.getElementById('connection_profile_details_content');
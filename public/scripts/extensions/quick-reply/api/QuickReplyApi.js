@@ -1,7 +1,9 @@
 import { QuickReply } from '../src/QuickReply.js';
 import { QuickReplyContextLink } from '../src/QuickReplyContextLink.js';
+import { QuickReplyLibrary } from '../src/QuickReplyLibrary.js';
 import { QuickReplySet } from '../src/QuickReplySet.js';
 import { QuickReplySettings } from '../src/QuickReplySettings.js';
+import { QuickReplyTestRun } from '../src/QuickReplyTestRun.js';
 import { SettingsUi } from '../src/ui/SettingsUi.js';
 import { onlyUnique } from '../../../utils.js';
 
@@ -203,6 +205,7 @@ export class QuickReplyApi {
      * @param {boolean} [props.executeOnGroupMemberDraft] whether to execute the quick reply when a group member is selected
      * @param {boolean} [props.executeOnNewChat] whether to execute the quick reply when a new chat is created
      * @param {string} [props.automationId] when not empty, the quick reply will be executed when the WI with the given automation ID is activated
+     * @param {import('../src/QuickReply.js').QuickReplyEventTrigger[]} [props.eventTriggerList] app events that execute the quick reply
      * @returns {QuickReply} the new quick reply
      */
     createQuickReply(setName, label, {
@@ -218,6 +221,7 @@ export class QuickReplyApi {
         executeOnGroupMemberDraft,
         executeOnNewChat,
         automationId,
+        eventTriggerList,
     } = {}) {
         const set = this.getSetByName(setName);
         if (!set) {
@@ -237,6 +241,7 @@ export class QuickReplyApi {
         qr.executeOnGroupMemberDraft = executeOnGroupMemberDraft ?? false;
         qr.executeOnNewChat = executeOnNewChat ?? false;
         qr.automationId = automationId ?? '';
+        qr.eventTriggerList = eventTriggerList ?? [];
         qr.onUpdate();
         return qr;
     }
@@ -260,6 +265,7 @@ export class QuickReplyApi {
      * @param {boolean} [props.executeOnGroupMemberDraft] whether to execute the quick reply when a group member is selected
      * @param {boolean} [props.executeOnNewChat] whether to execute the quick reply when a new chat is created
      * @param {string} [props.automationId] when not empty, the quick reply will be executed when the WI with the given automation ID is activated
+     * @param {import('../src/QuickReply.js').QuickReplyEventTrigger[]} [props.eventTriggerList] app events that execute the quick reply
      * @returns {QuickReply} the altered quick reply
      */
     updateQuickReply(setName, label, {
@@ -276,6 +282,7 @@ export class QuickReplyApi {
         executeOnGroupMemberDraft,
         executeOnNewChat,
         automationId,
+        eventTriggerList,
     } = {}) {
         const qr = this.getQrByLabel(setName, label);
         if (!qr) {
@@ -294,6 +301,7 @@ export class QuickReplyApi {
         qr.executeOnGroupMemberDraft = executeOnGroupMemberDraft ?? qr.executeOnGroupMemberDraft;
         qr.executeOnNewChat = executeOnNewChat ?? qr.executeOnNewChat;
         qr.automationId = automationId ?? qr.automationId;
+        qr.eventTriggerList = eventTriggerList ?? qr.eventTriggerList;
         qr.onUpdate();
         return qr;
     }
@@ -502,4 +510,33 @@ export class QuickReplyApi {
             .filter(onlyUnique)
             .map(String);
     }
+
+
+    /**
+     * Gets a closure exported by a quick reply library.
+     *
+     * @param {string} namespace namespace of the library
+     * @param {string} version required version of the library, empty for the highest version
+     * @param {string} name name of the exported closure
+     * @returns {import('../src/QuickReplyLibrary.js').QuickReplyExport} the export with the description of the closure and its arguments
+     */
+    getLibraryExport(namespace, version, name) {
+        return QuickReplyLibrary.getExport(QuickReplyLibrary.resolve(namespace, version), name);
+    }
+
+    /**
+     * Runs the tests of a quick reply set.
+     *
+     * @param {string} name name of the existing quick reply set
+     * @returns {Promise<QuickReplyTestRun>} finished test run with the results
+     */
+    async runTests(name) {
+        const set = this.getSetByName(name);
+        if (!set) {
+            throw new Error(`No quick reply set with name "${name}" found.`);
+        }
+        const run = new QuickReplyTestRun(set);
+        await run.run();
+        return run;
+    }
 }
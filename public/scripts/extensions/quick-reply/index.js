@@ -242,3 +242,11 @@ const onNewChat = async () => {
     await autoExec.handleNewChat();
 };
 eventSource.on(event_types.CHAT_CREATED, (...args) => executeIfReadyElseQueue(onNewChat, args));
+
+const onEvent = async (event, args) => {
+    await autoExec.handleEvent(event, args);
+};
+for (const event of new Set(Object.values(event_types))) {
+    // events emitted before the app is ready are not queued, most of them fire constantly during startup
+    eventSource.on(event, (...args) => isReady ? onEvent(event, args) : null);
+}
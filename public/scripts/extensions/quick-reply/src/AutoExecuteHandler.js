@@ -1,7 +1,55 @@
+import { getValueByPath, parseVariablePath } from '../../../variables.js';
 import { warn } from '../index.js';
 import { QuickReply } from './QuickReply.js';
 import { QuickReplySettings } from './QuickReplySettings.js';
 
+/**
+ * Converts an event argument to text, lists and objects are serialized as JSON.
+ * @param {any} value Event argument
+ * @returns {string}
+ */
+const toText = (value)=>{
+    if (value === undefined || value === null) return '';
+    if (typeof value != 'object') return String(value);
+    try {
+        return JSON.stringify(value);
+    } catch {
+        // circular objects
+        return String(value);
+    }
+};
+
+/**
+ * Checks the filter of an event trigger. Every line of the filter is a condition with a path into the list
+ * of event arguments, an operator (= equals, != does not equal, *= contains) and a value, e.g. `[1]!=swipe`.
+ * @param {string} filter Filter conditions, one per line
+ * @param {any[]} args Arguments of the event
+ * @returns {boolean} True if all conditions match
+ */
+export const matchesEventFilter = (filter, args)=>{
+    for (const line of (filter ?? '').split('\n').map(it=>it.trim()).filter(it=>it.length)) {
+        const match = /^(.+?)\s*(!=|\*=|=)\s*(.*)$/.exec(line);
+        if (!match) {
+            warn(`Invalid event filter condition: ${line}`);
+            return false;
+        }
+        const [, path, operator, expected] = match;
+        let value;
+        try {
+            value = toText(getValueByPath(args, parseVariablePath(path)));
+        } catch (ex) {
+            warn(`Invalid event filter condition: ${line}`, ex);
+            return false;
+        }
+        switch (operator) {
+            case '=': if (value != expected) return false; break;
+            case '!=': if (value == expected) return false; break;
+            case '*=': if (!value.includes(expected)) return false; break;
+        }
+    }
+    return true;
+};
+
 export class AutoExecuteHandler {
     /** @type {QuickReplySettings} */ settings;
 
@@ -22,11 +70,11 @@ export class AutoExecuteHandler {
 
 
 
-    async performAutoExecute(/** @type {QuickReply[]} */qrList) {
+    async performAutoExecute(/** @type {QuickReply[]} */qrList, args = {}) {
         for (const qr of qrList) {
             this.preventAutoExecuteStack.push(qr.preventAutoExecute);
             try {
-                await qr.execute({ isAutoExecute:true });
+                await qr.execute({ ...args, isAutoExecute:true });
             } catch (ex) {
                 warn(ex);
             } finally {
@@ -105,4 +153,21 @@ export class AutoExecuteHandler {
 
         await this.performAutoExecute(qrList);
     }
+
+    /**
+     * Executes the Quick Replies with an event trigger for an app event.
+     * The name and arguments of the event are available as the scoped variables "event" and "payload".
+     * @param {string} event Name of the emitted event
+     * @param {any[]} args Arguments of the event
+     */
+    async handleEvent(event, args) {
+        if (!this.checkExecute()) return;
+        const isTriggered = (/**@type {QuickReply}*/qr)=>qr.eventTriggerList?.some(it=>it.event == event && matchesEventFilter(it.filter, args));
+        const qrList = [
+            ...this.settings.config.setList.map(link=>link.set.qrList.filter(isTriggered)).flat(),
+            ...(this.settings.chatConfig?.setList?.map(link=>link.set.qrList.filter(isTriggered))?.flat() ?? []),
+        ];
+        if (qrList.length == 0) return;
+        await this.performAutoExecute(qrList, { _variables:{ event, payload:toText(args) } });
+    }
 }
@@ -12,11 +12,18 @@ import { SlashCommandParserError } from '../../../slash-commands/SlashCommandPar
 import { SlashCommandScope } from '../../../slash-commands/SlashCommandScope.js';
 import { accountStorage } from '../../../util/AccountStorage.js';
 import { debounce, delay, getSortableDelay, showFontAwesomePicker } from '../../../utils.js';
+import { event_types } from '../../../../script.js';
 import { log, quickReplyApi, warn } from '../index.js';
 import { QuickReplyContextLink } from './QuickReplyContextLink.js';
 import { QuickReplySet } from './QuickReplySet.js';
 import { ContextMenu } from './ui/ctx/ContextMenu.js';
 
+/**
+ * @typedef {object} QuickReplyEventTrigger
+ * @property {string} event Name of the app event, one of event_types
+ * @property {string} filter Conditions the event arguments have to match, one per line
+ */
+
 export class QuickReply {
     /**
      * @param {{ id?: number; contextList?: any; }} props
@@ -47,6 +54,7 @@ export class QuickReply {
     /**@type {boolean}*/ executeOnGroupMemberDraft = false;
     /**@type {boolean}*/ executeOnNewChat = false;
     /**@type {string}*/ automationId = '';
+    /**@type {QuickReplyEventTrigger[]}*/ eventTriggerList = [];
 
     /**@type {function}*/ onExecute;
     /** @type {(qr:QuickReply)=>AsyncGenerator<SlashCommandClosureResult|{closure:SlashCommandClosure, executor:SlashCommandExecutor|SlashCommandClosureResult}, SlashCommandClosureResult, boolean>} */ onDebug;
@@ -1074,6 +1082,53 @@ export class QuickReply {
                 this.automationId = automationId.value;
                 this.updateContext();
             });
+            /**@type {HTMLTemplateElement}*/
+            const eventTriggerTpl = dom.querySelector('#qr--eventTriggerItem');
+            const eventTriggerList = dom.querySelector('#qr--eventTriggerList');
+            const eventNames = [...new Set(Object.values(event_types))].toSorted();
+            const addEventTrigger = (/**@type {QuickReplyEventTrigger}*/trigger) => {
+                /**@type {HTMLElement} */
+                // @ts-ignore
+                const itemDom = eventTriggerTpl.content.querySelector('.qr--eventTrigger').cloneNode(true); {
+                    /**@type {HTMLSelectElement} */
+                    const select = itemDom.querySelector('.qr--event');
+                    for (const name of eventNames.includes(trigger.event) ? eventNames : [trigger.event, ...eventNames]) {
+                        const opt = document.createElement('option'); {
+                            opt.value = name;
+                            opt.textContent = name;
+                            opt.selected = name == trigger.event;
+                            select.append(opt);
+                        }
+                    }
+                    select.addEventListener('change', () => {
+                        trigger.event = select.value;
+                        this.updateContext();
+                    });
+
+                    /**@type {HTMLTextAreaElement} */
+                    const filter = itemDom.querySelector('.qr--eventFilter');
+                    filter.value = trigger.filter;
+                    filter.addEventListener('input', () => {
+                        trigger.filter = filter.value;
+                        this.updateContext();
+                    });
+
+                    itemDom.querySelector('.qr--delete').addEventListener('click', () => {
+                        itemDom.remove();
+                        this.eventTriggerList.splice(this.eventTriggerList.indexOf(trigger), 1);
+                        this.updateContext();
+                    });
+
+                    eventTriggerList.append(itemDom);
+                }
+            };
+            this.eventTriggerList.forEach(trigger => addEventTrigger(trigger));
+            dom.querySelector('#qr--eventTriggerAdd').addEventListener('click', () => {
+                const trigger = { event:eventNames[0], filter:'' };
+                this.eventTriggerList.push(trigger);
+                addEventTrigger(trigger);
+                this.updateContext();
+            });
 
             /**@type {HTMLElement}*/
             const executeProgress = dom.querySelector('#qr--modal-executeProgress');
@@ -1870,6 +1925,9 @@ export class QuickReply {
                 scope.setMacro(`arg::${key}`, args[key]);
             }
             scope.setMacro('arg::*', '');
+            for (const [key, value] of Object.entries(args._variables ?? {})) {
+                scope.letVariable(key, value);
+            }
             if (isEditor) {
                 this.abortController = new SlashCommandAbortController();
             }
@@ -1905,6 +1963,7 @@ export class QuickReply {
             executeOnGroupMemberDraft: this.executeOnGroupMemberDraft,
             executeOnNewChat: this.executeOnNewChat,
             automationId: this.automationId,
+            eventTriggerList: this.eventTriggerList,
         };
     }
 }
@@ -0,0 +1,189 @@
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandClosure } from '../../../slash-commands/SlashCommandClosure.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { warn } from '../index.js';
+import { QuickReplySet } from './QuickReplySet.js';
+
+/**
+ * @typedef {object} QuickReplyExport
+ * @property {string} name Name of the exported closure
+ * @property {import('./QuickReply.js').QuickReply} qr Quick Reply that exports the closure
+ * @property {SlashCommand} command Description and arguments of the closure, used for help and autocomplete
+ */
+
+/**
+ * @typedef {object} QuickReplyExportArgument
+ * @property {string} name Name of the closure argument
+ * @property {string} type One of ARGUMENT_TYPE
+ * @property {string} description Description of the argument
+ */
+
+/**
+ * @param {string} version Version like 1.2.3
+ * @returns {number[]} Version parts
+ */
+function parseVersion(version) {
+    return String(version ?? '').split('.').map(it=>Number.parseInt(it) || 0);
+}
+
+/**
+ * @param {string} a Version
+ * @param {string} b Version
+ * @returns {number} Negative if a is lower than b, positive if a is higher than b, 0 if they are equal
+ */
+function compareVersions(a, b) {
+    const aParts = parseVersion(a);
+    const bParts = parseVersion(b);
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        const diff = (aParts[i] ?? 0) - (bParts[i] ?? 0);
+        if (diff != 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * A version is compatible if it has the same major version and is not lower than the required version.
+ * @param {string} version Version of the library
+ * @param {string} required Required version
+ * @returns {boolean}
+ */
+function isCompatibleVersion(version, required) {
+    return parseVersion(version)[0] == parseVersion(required)[0] && compareVersions(version, required) >= 0;
+}
+
+/**
+ * Parses an argument declaration of /export.
+ * @param {string} declaration Declaration like "name:type:description"
+ * @returns {QuickReplyExportArgument}
+ */
+export function parseExportArgument(declaration) {
+    const [name, type, ...description] = declaration.split(':');
+    return {
+        name: name.trim(),
+        type: (type ?? '').trim() || ARGUMENT_TYPE.STRING,
+        description: description.join(':').trim(),
+    };
+}
+
+/**
+ * Resolves library namespaces to Quick Reply sets and caches the closures they export with /export.
+ */
+export class QuickReplyLibrary {
+    /**@type {WeakMap<QuickReplySet, {source:string, exports:QuickReplyExport[]}>}*/ static #cache = new WeakMap();
+
+    /**
+     * Finds the set with the highest version of a library.
+     * @param {string} namespace Library namespace
+     * @param {string} [version] Required version, any version with the same major version that is not lower is accepted
+     * @returns {QuickReplySet}
+     */
+    static resolve(namespace, version = '') {
+        const sets = QuickReplySet.list.filter(it=>it.libraryNamespace && it.libraryNamespace == namespace);
+        if (sets.length == 0) {
+            throw new Error(`No Quick Reply library with the namespace "${namespace}" found.`);
+        }
+        const set = sets
+            .filter(it=>!version || isCompatibleVersion(it.libraryVersion, version))
+            .toSorted((a,b)=>compareVersions(b.libraryVersion, a.libraryVersion))[0]
+        ;
+        if (!set) {
+            throw new Error(`No version of the Quick Reply library "${namespace}" is compatible with ${version}. Available versions: ${sets.map(it=>it.libraryVersion || '(none)').join(', ')}`);
+        }
+        return set;
+    }
+
+    /**
+     * Lists the closures exported by a set. The list is cached until a Quick Reply of the set changes.
+     * @param {QuickReplySet} set Library set
+     * @returns {QuickReplyExport[]}
+     */
+    static getExports(set) {
+        const source = set.qrList.map(qr=>qr.message).join('\n');
+        const cached = this.#cache.get(set);
+        if (cached?.source === source) {
+            return cached.exports;
+        }
+        /**@type {QuickReplyExport[]}*/
+        const exports = [];
+        for (const qr of set.qrList) {
+            if (!qr.message.includes('/export')) continue;
+            let closure;
+            try {
+                closure = new SlashCommandParser().parse(qr.message, false);
+            } catch (ex) {
+                warn(`Failed to parse the exports of ${set.name}.${qr.label}`, ex);
+                continue;
+            }
+            for (const executor of closure.executorList.filter(it=>it.command?.name == 'export')) {
+                const getArg = (name)=>executor.namedArgumentList.find(it=>it.name == name)?.value?.toString() ?? '';
+                const name = getArg('name');
+                const body = executor.unnamedArgumentList[0]?.value;
+                if (!name || !(body instanceof SlashCommandClosure)) continue;
+                const declarations = executor.namedArgumentList
+                    .filter(it=>it.name == 'arg')
+                    .map(it=>parseExportArgument(it.value.toString()))
+                ;
+                exports.push({
+                    name,
+                    qr,
+                    command: SlashCommand.fromProps({
+                        name,
+                        helpString: getArg('help') || `Exported by the Quick Reply library "${set.libraryNamespace}".`,
+                        returns: getArg('returns') || null,
+                        namedArgumentList: body.argumentList.map(arg=>{
+                            const declaration = declarations.find(it=>it.name == arg.name);
+                            return SlashCommandNamedArgument.fromProps({
+                                name: arg.name,
+                                description: declaration?.description ?? '',
+                                typeList: Object.values(ARGUMENT_TYPE).includes(declaration?.type) ? [declaration.type] : [ARGUMENT_TYPE.STRING],
+                                defaultValue: typeof arg.value == 'string' ? arg.value : null,
+                            });
+                        }),
+                    }),
+                });
+            }
+        }
+        this.#cache.set(set, { source, exports });
+        return exports;
+    }
+
+    /**
+     * Finds an exported closure of a library set.
+     * @param {QuickReplySet} set Library set
+     * @param {string} name Name of the exported closure
+     * @returns {QuickReplyExport}
+     */
+    static getExport(set, name) {
+        const exp = this.getExports(set).find(it=>it.name == name);
+        if (!exp) {
+            throw new Error(`The Quick Reply library "${set.libraryNamespace}" does not export "${name}".`);
+        }
+        return exp;
+    }
+
+    /**
+     * Parses an exported closure so it can be executed by the importing script.
+     * The closure is parsed for every import to use the abort and debug controllers of the importing script.
+     * @param {QuickReplySet} set Library set
+     * @param {string} name Name of the exported closure
+     * @param {import('../../../slash-commands/SlashCommandAbortController.js').SlashCommandAbortController} abortController
+     * @param {import('../../../slash-commands/SlashCommandDebugController.js').SlashCommandDebugController} debugController
+     * @returns {SlashCommandClosure}
+     */
+    static getClosure(set, name, abortController, debugController) {
+        const exp = this.getExport(set, name);
+        const closure = new SlashCommandParser().parse(exp.qr.message, true, [], abortController, debugController);
+        if (debugController) {
+            closure.source = `${set.name}.${exp.qr.label}`;
+        }
+        const body = closure.executorList
+            .find(it=>it.command?.name == 'export' && it.namedArgumentList.find(arg=>arg.name == 'name')?.value?.toString() == name)
+            ?.unnamedArgumentList[0]?.value
+        ;
+        if (!(body instanceof SlashCommandClosure)) {
+            throw new Error(`The Quick Reply library "${set.libraryNamespace}" does not export "${name}".`);
+        }
+        return body;
+    }
+}
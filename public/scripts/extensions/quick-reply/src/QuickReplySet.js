@@ -29,6 +29,8 @@ export class QuickReplySet {
     /**@type {boolean}*/ injectInput = false;
     /**@type {string}*/ color = 'transparent';
     /**@type {boolean}*/ onlyBorderColor = false;
+    /**@type {string}*/ libraryNamespace = '';
+    /**@type {string}*/ libraryVersion = '';
     /**@type {QuickReply[]}*/ qrList = [];
     /**@type {number}*/ idIndex = 0;
     /**@type {boolean}*/ isDeleted = false;
@@ -360,6 +362,8 @@ export class QuickReplySet {
             injectInput: this.injectInput,
             color: this.color,
             onlyBorderColor: this.onlyBorderColor,
+            libraryNamespace: this.libraryNamespace,
+            libraryVersion: this.libraryVersion,
             qrList: this.qrList,
             idIndex: this.idIndex,
         };
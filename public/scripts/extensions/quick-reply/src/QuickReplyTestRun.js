@@ -0,0 +1,323 @@
+import { eventSource, event_types } from '../../../../script.js';
+import { Popup, POPUP_TYPE } from '../../../popup.js';
+import { SlashCommandAbortController } from '../../../slash-commands/SlashCommandAbortController.js';
+import { SlashCommandClosure } from '../../../slash-commands/SlashCommandClosure.js';
+import { SlashCommandExecutionError } from '../../../slash-commands/SlashCommandExecutionError.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { regexFromString } from '../../../utils.js';
+import { isolateVariables } from '../../../variables.js';
+import { QuickReplySet } from './QuickReplySet.js';
+
+/**
+ * @typedef {object} QuickReplyTestResult
+ * @property {string} qr Label of the Quick Reply that contains the test
+ * @property {string} name Name of the test
+ * @property {boolean} isPassed Whether the test has passed
+ * @property {string} [message] Reason of the failure
+ * @property {number} [line] Line of the failed command in the Quick Reply
+ * @property {number} duration Duration of the test in milliseconds
+ */
+
+/**
+ * @typedef {object} GenerationStub
+ * @property {'gen'|'genraw'} command Stubbed command
+ * @property {RegExp|string} match Text or regex the prompt has to contain, null to match any prompt
+ * @property {string} response Response returned instead of generating
+ */
+
+/**
+ * Commands that only return stubbed responses during a test run.
+ */
+const STUBBED_COMMANDS = ['gen', 'genraw'];
+
+/**
+ * Runs the /qr-test blocks of a Quick Reply set.
+ * Every test gets its own copy of the chat, global and scoped variables, and /gen and /genraw
+ * return stubbed responses instead of calling the API. The variables of the chat and the settings
+ * are never changed by a test run, and the run is aborted when the chat is changed.
+ */
+export class QuickReplyTestRun {
+    /**@type {QuickReplyTestRun}*/ static current;
+
+    /**@type {QuickReplySet}*/ set;
+    /**@type {import('./QuickReply.js').QuickReply}*/ qr;
+    /**@type {QuickReplyTestResult[]}*/ results = [];
+    /**@type {GenerationStub[]}*/ stubs = [];
+    /**@type {GenerationStub[]}*/ testStubs = null;
+    /**@type {Object.<string, Function>}*/ callbacks = {};
+    /**@type {Set<import('../../../slash-commands/SlashCommandScope.js').SlashCommandScope>}*/ scopes = new Set();
+    /**@type {SlashCommandAbortController}*/ abortController;
+    /**@type {boolean}*/ isChatChanged = false;
+    /**@type {()=>void}*/ chatChangedListener;
+
+    get passed() {
+        return this.results.filter(it=>it.isPassed).length;
+    }
+    get failed() {
+        return this.results.length - this.passed;
+    }
+
+    /**
+     * @param {QuickReplySet} set Set to test, null when a single test is executed outside of a test run
+     */
+    constructor(set = null) {
+        this.set = set;
+    }
+
+    /**
+     * Executes all Quick Replies of the set that contain /qr-test blocks.
+     * @returns {Promise<QuickReplyTestResult[]>}
+     */
+    async run() {
+        if (QuickReplyTestRun.current) {
+            throw new Error('Another test run is in progress.');
+        }
+        QuickReplyTestRun.current = this;
+        this.installStubs();
+        try {
+            for (const qr of this.set.qrList) {
+                if (this.isChatChanged) break;
+                if (!qr.message.includes('/qr-test')) continue;
+                this.qr = qr;
+                this.stubs = [];
+                const start = performance.now();
+                try {
+                    this.abortController = new SlashCommandAbortController();
+                    const closure = new SlashCommandParser().parse(qr.message, true, [], this.abortController);
+                    if (!closure.executorList.find(it=>it.command?.name == 'qr-test')) continue;
+                    closure.source = `${this.set.name}.${qr.label}`;
+                    this.scopes.add(closure.scope);
+                    isolateVariables(closure.scope);
+                    const result = await closure.execute();
+                    if (result.isAborted) {
+                        this.addFailure('', `Aborted: ${result.abortReason}`, null, start);
+                    }
+                } catch (ex) {
+                    // errors outside of /qr-test blocks, including parser errors
+                    this.addFailure('', ex.message, ex, start);
+                }
+            }
+        } finally {
+            this.uninstallStubs();
+            QuickReplyTestRun.current = null;
+        }
+        return this.results;
+    }
+
+    /**
+     * Executes a /qr-test block outside of a test run, e.g. when the Quick Reply is executed from the editor.
+     * @param {string} name Name of the test
+     * @param {SlashCommandClosure} closure Body of the test
+     * @returns {Promise<QuickReplyTestResult>}
+     */
+    static async runSingleTest(name, closure) {
+        if (QuickReplyTestRun.current) {
+            throw new Error('Another test run is in progress.');
+        }
+        const run = new QuickReplyTestRun();
+        QuickReplyTestRun.current = run;
+        run.abortController = closure.abortController;
+        run.installStubs();
+        try {
+            return await run.runTest(name, closure);
+        } finally {
+            run.uninstallStubs();
+            QuickReplyTestRun.current = null;
+        }
+    }
+
+    /**
+     * Executes the body of a /qr-test block and records the result.
+     * @param {string} name Name of the test
+     * @param {SlashCommandClosure} closure Body of the test
+     * @returns {Promise<QuickReplyTestResult>}
+     */
+    async runTest(name, closure) {
+        if (this.testStubs) {
+            throw new Error('Tests cannot be nested.');
+        }
+        const start = performance.now();
+        this.testStubs = [];
+        // tests see the scoped variables of the Quick Reply, but cannot change them for the following tests
+        closure.scope.parent = closure.scope.parent?.getCopy();
+        this.scopes.add(closure.scope);
+        isolateVariables(closure.scope, true);
+        try {
+            const result = await closure.execute();
+            if (result.isAborted) {
+                return this.addFailure(name, `Aborted: ${result.abortReason}`, null, start);
+            }
+            return this.addResult({ qr:this.qr?.label ?? '', name, isPassed:true, duration:performance.now() - start });
+        } catch (ex) {
+            return this.addFailure(name, ex.message, ex, start);
+        } finally {
+            this.testStubs = null;
+        }
+    }
+
+    /**
+     * @param {QuickReplyTestResult} result
+     */
+    addResult(result) {
+        this.results.push(result);
+        return result;
+    }
+
+    /**
+     * @param {string} name Name of the test, empty for errors outside of tests
+     * @param {string} message Reason of the failure
+     * @param {Error} ex Error that failed the test
+     * @param {number} start Start time of the test
+     */
+    addFailure(name, message, ex, start) {
+        return this.addResult({
+            qr: this.qr?.label ?? '',
+            name,
+            isPassed: false,
+            message,
+            line: ex instanceof SlashCommandExecutionError ? ex.line + 1 : null,
+            duration: performance.now() - start,
+        });
+    }
+
+    /**
+     * Adds a stubbed response for /gen or /genraw. Stubs added inside a /qr-test block only apply to that test,
+     * stubs added outside apply to all tests of the Quick Reply.
+     * @param {'gen'|'genraw'} command Stubbed command
+     * @param {string} match Text or regex (/pattern/flags) the prompt has to contain, empty to match any prompt
+     * @param {string} response Response returned instead of generating
+     */
+    addStub(command, match, response) {
+        const stub = {
+            command,
+            match: match ? (/^\/.+\/[a-z]*$/i.test(match) ? regexFromString(match) : match) : null,
+            response,
+        };
+        (this.testStubs ?? this.stubs).push(stub);
+    }
+
+    /**
+     * Replaces /gen and /genraw for the scripts of this run and aborts the run when the chat is changed.
+     * Scripts executed concurrently outside of the run still call the original commands.
+     */
+    installStubs() {
+        for (const name of STUBBED_COMMANDS) {
+            const command = SlashCommandParser.commands[name];
+            if (!command) continue;
+            const callback = command.callback;
+            this.callbacks[name] = callback;
+            command.callback = (args, value)=>{
+                if (!this.isOwnScope(args?._scope)) {
+                    return callback(args, value);
+                }
+                return this.generate(/**@type {'gen'|'genraw'}*/(name), String(value ?? ''));
+            };
+        }
+        this.chatChangedListener = ()=>{
+            this.isChatChanged = true;
+            this.abortController?.abort('The chat was changed during the test run.');
+        };
+        eventSource.on(event_types.CHAT_CHANGED, this.chatChangedListener);
+    }
+
+    uninstallStubs() {
+        for (const [name, callback] of Object.entries(this.callbacks)) {
+            SlashCommandParser.commands[name].callback = /**@type {any}*/(callback);
+        }
+        this.callbacks = {};
+        eventSource.removeListener(event_types.CHAT_CHANGED, this.chatChangedListener);
+        this.chatChangedListener = null;
+    }
+
+    /**
+     * @param {import('../../../slash-commands/SlashCommandScope.js').SlashCommandScope} scope Scope of an executed command
+     * @returns {boolean} Whether the command is executed by a script of this run
+     */
+    isOwnScope(scope) {
+        while (scope) {
+            if (this.scopes.has(scope)) return true;
+            scope = scope.parent;
+        }
+        return false;
+    }
+
+    /**
+     * Replaces /gen and /genraw during a test run.
+     * @param {'gen'|'genraw'} command Called command
+     * @param {string} prompt Prompt of the command
+     * @returns {string} Stubbed response
+     */
+    generate(command, prompt) {
+        const stub = [...(this.testStubs ?? []), ...this.stubs]
+            .filter(it=>it.command == command)
+            .find(it=>it.match === null || (it.match instanceof RegExp ? it.match.test(prompt) : prompt.includes(it.match)))
+        ;
+        if (!stub) {
+            const shortPrompt = prompt.length > 50 ? `${prompt.slice(0, 50)}…` : prompt;
+            throw new Error(`No stubbed response for /${command} "${shortPrompt}". Use /stub-${command} to add one.`);
+        }
+        return stub.response;
+    }
+
+    /**
+     * Shows the results of the test run.
+     */
+    async showResults() {
+        const dom = document.createElement('div'); {
+            dom.classList.add('qr--testResults');
+            const title = document.createElement('h3'); {
+                title.textContent = `Test Results: ${this.set.name}`;
+                dom.append(title);
+            }
+            const summary = document.createElement('div'); {
+                summary.classList.add('qr--testSummary');
+                if (this.results.length == 0) {
+                    summary.textContent = 'No tests found. Add /qr-test blocks to the Quick Replies of this set.';
+                } else {
+                    summary.textContent = `${this.passed} passed, ${this.failed} failed`;
+                    summary.classList.toggle('qr--isFailed', this.failed > 0);
+                }
+                dom.append(summary);
+            }
+            for (const label of [...new Set(this.results.map(it=>it.qr))]) {
+                const group = document.createElement('div'); {
+                    group.classList.add('qr--testGroup');
+                    const head = document.createElement('h4'); {
+                        head.textContent = label;
+                        group.append(head);
+                    }
+                    for (const result of this.results.filter(it=>it.qr == label)) {
+                        const item = document.createElement('div'); {
+                            item.classList.add('qr--testResult');
+                            item.classList.add(result.isPassed ? 'qr--isPassed' : 'qr--isFailed');
+                            const icon = document.createElement('i'); {
+                                icon.classList.add('fa-solid', result.isPassed ? 'fa-check' : 'fa-xmark');
+                                item.append(icon);
+                            }
+                            const name = document.createElement('span'); {
+                                name.classList.add('qr--testName');
+                                name.textContent = result.name || '(outside of tests)';
+                                item.append(name);
+                            }
+                            const duration = document.createElement('small'); {
+                                duration.classList.add('qr--testDuration');
+                                duration.textContent = `${Math.round(result.duration)} ms`;
+                                item.append(duration);
+                            }
+                            if (!result.isPassed) {
+                                const message = document.createElement('div'); {
+                                    message.classList.add('qr--testMessage');
+                                    message.textContent = result.line ? `Line ${result.line}: ${result.message}` : result.message;
+                                    item.append(message);
+                                }
+                            }
+                            group.append(item);
+                        }
+                    }
+                    dom.append(group);
+                }
+            }
+        }
+        await new Popup(dom, POPUP_TYPE.TEXT, null, { wide:true, allowVerticalScrolling:true }).show();
+    }
+}
@@ -1,3 +1,4 @@
+import { event_types } from '../../../../script.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
 import { SlashCommandAbortController } from '../../../slash-commands/SlashCommandAbortController.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
@@ -10,7 +11,9 @@ import { SlashCommandScope } from '../../../slash-commands/SlashCommandScope.js'
 import { isTrueBoolean } from '../../../utils.js';
 import { QuickReplyApi } from '../api/QuickReplyApi.js';
 import { QuickReply } from './QuickReply.js';
+import { QuickReplyLibrary, parseExportArgument } from './QuickReplyLibrary.js';
 import { QuickReplySet } from './QuickReplySet.js';
+import { QuickReplyTestRun } from './QuickReplyTestRun.js';
 
 export class SlashCommandHandler {
     /** @type {QuickReplyApi} */ api;
@@ -36,6 +39,7 @@ export class SlashCommandHandler {
             if (qr.executeOnChatChange) icons += '💬';
             if (qr.executeOnNewChat) icons += '🆕';
             if (qr.executeOnGroupMemberDraft) icons += enumIcons.group;
+            if (qr.eventTriggerList?.length) icons += '⚡';
             return icons;
         }
 
@@ -44,6 +48,10 @@ export class SlashCommandHandler {
             qrSets: (executor) => QuickReplySet.list.filter(qrSet => qrSet.name != String(executor.namedArgumentList.find(x => x.name == 'set')?.value))
                 .map(qrSet => new SlashCommandEnumValue(qrSet.name, null, enumTypes.enum, 'S')),
 
+            /** All app events that can trigger a QR */
+            events: () => [...new Set(Object.values(event_types))].toSorted()
+                .map(event => new SlashCommandEnumValue(event, null, enumTypes.enum, '⚡')),
+
             /** All QRs inside a set, utilizing the "set" named argument */
             qrEntries: (executor) => QuickReplySet.get(String(executor.namedArgumentList.find(x => x.name == 'set')?.value))?.qrList.map(qr => {
                 const icons = getExecutionIcons(qr);
@@ -58,6 +66,27 @@ export class SlashCommandHandler {
                 return new SlashCommandEnumValue(qr.label, message, enumTypes.enum, enumIcons.qr, null, ()=>qr.id.toString(), true);
             }) ?? [],
 
+            /** All library namespaces with the versions that are available */
+            qrLibraries: () => [...new Set(QuickReplySet.list.filter(qrSet => qrSet.libraryNamespace).map(qrSet => qrSet.libraryNamespace))]
+                .map(namespace => new SlashCommandEnumValue(
+                    namespace,
+                    QuickReplySet.list.filter(qrSet => qrSet.libraryNamespace == namespace).map(qrSet => qrSet.libraryVersion || '(no version)').join(', '),
+                    enumTypes.enum,
+                    'S',
+                )),
+
+            /** All closures exported by the library in the "library" named argument */
+            qrExports: (executor) => {
+                try {
+                    const library = String(executor.namedArgumentList.find(x => x.name == 'library')?.value ?? '');
+                    const version = String(executor.namedArgumentList.find(x => x.name == 'version')?.value ?? '');
+                    return QuickReplyLibrary.getExports(QuickReplyLibrary.resolve(library, version))
+                        .map(exp => new SlashCommandEnumValue(exp.name, exp.command.helpString, enumTypes.name, enumIcons.closure));
+                } catch {
+                    return [];
+                }
+            },
+
             /** All QRs as a set.name string, to be able to execute, for example via the /run command */
             qrExecutables: () => {
                 const globalSetList = this.api.settings.config.setList;
@@ -267,6 +296,15 @@ export class SlashCommandHandler {
             new SlashCommandNamedArgument('load', 'auto execute on chat load, e.g., load=true', [ARGUMENT_TYPE.BOOLEAN], false, false, 'false'),
             new SlashCommandNamedArgument('new', 'auto execute on new chat, e.g., new=true', [ARGUMENT_TYPE.BOOLEAN], false, false, 'false'),
             new SlashCommandNamedArgument('group', 'auto execute on group member selection, e.g., group=true', [ARGUMENT_TYPE.BOOLEAN], false, false, 'false'),
+            SlashCommandNamedArgument.fromProps({
+                name: 'event',
+                description: 'auto execute on an app event, e.g., event=message_swiped; add a filter after a colon, e.g., event="message_edited:[0]=5"; replaces all event triggers when used with /qr-update',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+                acceptsMultiple: true,
+                enumProvider: localEnumProviders.events,
+                forceEnum: false,
+            }),
             new SlashCommandNamedArgument('title', 'title / tooltip to be shown on button, e.g., title="My Fancy Button"', [ARGUMENT_TYPE.STRING], false),
         ];
         const qrUpdateArgs = [
@@ -293,12 +331,19 @@ export class SlashCommandHandler {
             ],
             helpString: `
                 <div>Creates a new Quick Reply.</div>
+                <div>
+                    QRs with an <code>event</code> trigger are executed whenever the app event is emitted.
+                    The event name and the JSON list of event arguments are available as the scoped variables <code>event</code> and <code>payload</code>.
+                </div>
                 <div>
                     <strong>Example:</strong>
                     <ul>
                         <li>
                             <pre><code>/qr-create set=MyPreset label=MyButton /echo 123</code></pre>
                         </li>
+                        <li>
+                            <pre><code>/qr-create set=MyPreset label=OnEdit hidden=true event="message_edited:[0]=0" /echo The first message was edited</code></pre>
+                        </li>
                     </ul>
                 </div>
             `,
@@ -682,12 +727,16 @@ export class SlashCommandHandler {
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'import',
             /**
              *
-             * @param {{_scope:SlashCommandScope, _abortController:SlashCommandAbortController, _debugController:SlashCommandDebugController, from:string}} args
+             * @param {{_scope:SlashCommandScope, _abortController:SlashCommandAbortController, _debugController:SlashCommandDebugController, from:string, library:string, version:string}} args
              * @param {string} value
              */
             callback: (args, value) => {
-                if (!args.from) throw new Error('/import requires from= to be set.');
+                if (!args.from && !args.library) throw new Error('/import requires from= or library= to be set.');
                 if (!value) throw new Error('/import requires the unnamed argument to be set.');
+                if (args.library) {
+                    this.importFromLibrary(args, value);
+                    return '';
+                }
                 let qr = [...this.api.listGlobalSets(), ...this.api.listChatSets()]
                     .map(it=>this.api.getSetByName(it)?.qrList ?? [])
                     .flat()
@@ -726,13 +775,7 @@ export class SlashCommandHandler {
                             value: executor.unnamedArgumentList[executor.namedArgumentList.find(arg=>arg.name == 'key') ? 0 : 1].value,
                         }))
                     ;
-                    for (let i = 0; i < value.length; i++) {
-                        const srcName = value[i];
-                        let dstName = srcName;
-                        if (i + 2 < value.length && value[i + 1] == 'as') {
-                            dstName = value[i + 2];
-                            i += 2;
-                        }
+                    for (const { srcName, dstName } of this.getImportNames(value)) {
                         const pick = candidates.find(it=>it.key == srcName);
                         if (!pick) throw new Error(`No scoped closure named "${srcName}" found in "${args.from}"`);
                         if (args._scope.existsVariableInScope(dstName)) {
@@ -750,7 +793,15 @@ export class SlashCommandHandler {
                 SlashCommandNamedArgument.fromProps({ name: 'from',
                     description: 'Quick Reply to import from (QRSet.QRLabel)',
                     typeList: ARGUMENT_TYPE.STRING,
-                    isRequired: true,
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'library',
+                    description: 'namespace of the Quick Reply library to import from',
+                    typeList: ARGUMENT_TYPE.STRING,
+                    enumProvider: localEnumProviders.qrLibraries,
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'version',
+                    description: 'required library version, any higher version with the same major version is accepted',
+                    typeList: ARGUMENT_TYPE.STRING,
                 }),
             ],
             unnamedArgumentList: [
@@ -758,6 +809,7 @@ export class SlashCommandHandler {
                     acceptsMultiple: true,
                     typeList: ARGUMENT_TYPE.STRING,
                     isRequired: true,
+                    enumProvider: localEnumProviders.qrExports,
                 }),
             ],
             splitUnnamedArgument: true,
@@ -768,9 +820,13 @@ export class SlashCommandHandler {
                 <div>
                     Only imports closures that are directly assigned a scoped variable via <code>/let</code> or <code>/var</code>.
                 </div>
+                <div>
+                    With <code>library=</code>, imports closures exported with <code>/export</code> from the Quick Reply set with that library namespace.
+                </div>
                 <div>
                     <strong>Examples:</strong>
                     <ul>
+                        <li><pre><code>/import library=utils version=1.2 greet |\n/:greet who=Alice</code></pre></li>
                         <li><pre><code>/import from=LibraryQrSet.FooBar foo |\n/:foo</code></pre></li>
                         <li><pre><code>/import from=LibraryQrSet.FooBar\n\tfoo\n\tbar\n|\n/:foo |\n/:bar</code></pre></li>
                         <li><pre><code>/import from=LibraryQrSet.FooBar\n\tfoo as x\n\tbar as y\n|\n/:x |\n/:y</code></pre></li>
@@ -778,6 +834,224 @@ export class SlashCommandHandler {
                 </div>
             `,
         }));
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'export',
+            callback: (args, value) => this.validateExport(args, value),
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'name',
+                    description: 'name of the exported closure',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'arg',
+                    description: 'type and description of a closure argument (name:type:description)',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    acceptsMultiple: true,
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'help',
+                    description: 'description of the closure shown in autocomplete',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'returns',
+                    description: 'description of the return value',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'exported closure',
+                    typeList: [ARGUMENT_TYPE.CLOSURE],
+                    isRequired: true,
+                }),
+            ],
+            helpString: `
+                <div>
+                    Exports a closure from a Quick Reply set with a library namespace. Other scripts import it with <code>/import library=</code>.
+                </div>
+                <div>
+                    The arguments of the closure are shown in autocomplete with the types and descriptions from <code>arg=</code>.
+                    Exports are read without executing the Quick Reply, so exported closures cannot use scoped variables defined outside of them.
+                </div>
+                <div>
+                    <strong>Example:</strong>
+                    <ul>
+                        <li><pre><code>/export name=greet help="Greets someone." arg="who:string:name of the person" {: who=World\n\t/echo Hello, {{var::who}}!\n:}</code></pre></li>
+                    </ul>
+                </div>
+            `,
+        }));
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'qr-test',
+            callback: (args, value) => this.runTest(args, value),
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'name',
+                    description: 'name of the test',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'test body',
+                    typeList: [ARGUMENT_TYPE.CLOSURE],
+                    isRequired: true,
+                }),
+            ],
+            helpString: `
+                <div>
+                    Defines a test. Use the test button in the Quick Reply set editor or <code>/qr-set-test</code> to run all tests of a set.
+                </div>
+                <div>
+                    Each test starts with a copy of the chat, global and scoped variables, and changes are discarded after the test.
+                    <code>/gen</code> and <code>/genraw</code> only return responses added with <code>/stub-gen</code> and <code>/stub-genraw</code>.
+                </div>
+                <div>
+                    <strong>Example:</strong>
+                    <ul>
+                        <li><pre><code>/qr-test name="greeting" {:\n\t/stub-gen Hello! |\n\t/:greet |\n\t/assert-equals expected="Hello!"\n:}</code></pre></li>
+                    </ul>
+                </div>
+            `,
+        }));
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'assert-equals',
+            callback: (args, value) => this.assertEquals(args, value),
+            returns: 'the tested value',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'expected',
+                    description: 'expected value',
+                    typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+                    isRequired: true,
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'message',
+                    description: 'message shown when the assertion fails',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'tested value, defaults to the pipe',
+                    typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+                }),
+            ],
+            helpString: `
+                <div>
+                    Fails the test if the value is not equal to the expected value.
+                </div>
+                <div>
+                    <strong>Example:</strong>
+                    <ul>
+                        <li><pre><code>/add 1 2 | /assert-equals expected=3</code></pre></li>
+                    </ul>
+                </div>
+            `,
+        }));
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'assert-contains',
+            callback: (args, value) => this.assertContains(args, value),
+            returns: 'the tested value',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'text',
+                    description: 'text the value has to contain',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'message',
+                    description: 'message shown when the assertion fails',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'tested value, defaults to the pipe',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+            ],
+            helpString: `
+                <div>
+                    Fails the test if the value does not contain the text.
+                </div>
+                <div>
+                    <strong>Example:</strong>
+                    <ul>
+                        <li><pre><code>/echo Hello, {{user}}! | /assert-contains text={{user}}</code></pre></li>
+                    </ul>
+                </div>
+            `,
+        }));
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'assert-throws',
+            callback: (args, value) => this.assertThrows(args, value),
+            returns: 'the error message',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'error',
+                    description: 'text the error message has to contain',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+                SlashCommandNamedArgument.fromProps({ name: 'message',
+                    description: 'message shown when the assertion fails',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'closure that is expected to fail',
+                    typeList: [ARGUMENT_TYPE.CLOSURE],
+                    isRequired: true,
+                }),
+            ],
+            helpString: `
+                <div>
+                    Fails the test if the closure does not throw an error.
+                </div>
+                <div>
+                    <strong>Example:</strong>
+                    <ul>
+                        <li><pre><code>/assert-throws error="No Quick Reply found" {: /run Missing.QR :}</code></pre></li>
+                    </ul>
+                </div>
+            `,
+        }));
+        for (const command of ['gen', 'genraw']) {
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: `stub-${command}`,
+                callback: (args, value) => this.addGenerationStub(/**@type {'gen'|'genraw'}*/(command), args, value),
+                namedArgumentList: [
+                    SlashCommandNamedArgument.fromProps({ name: 'match',
+                        description: 'text or regex (/pattern/flags) the prompt has to contain, matches any prompt if omitted',
+                        typeList: [ARGUMENT_TYPE.STRING],
+                    }),
+                ],
+                unnamedArgumentList: [
+                    SlashCommandArgument.fromProps({ description: 'response',
+                        typeList: [ARGUMENT_TYPE.STRING],
+                        isRequired: true,
+                    }),
+                ],
+                helpString: `
+                    <div>
+                        Sets the response of <code>/${command}</code> in tests. The first matching stub is used.
+                    </div>
+                    <div>
+                        Stubs added inside a <code>/qr-test</code> block only apply to that test, stubs added outside apply to all tests of the Quick Reply.
+                    </div>
+                    <div>
+                        <strong>Example:</strong>
+                        <ul>
+                            <li><pre><code>/stub-${command} match="/weather/i" It is sunny.</code></pre></li>
+                        </ul>
+                    </div>
+                `,
+            }));
+        }
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'qr-set-test',
+            callback: (args, value) => this.runSetTests(args, value),
+            returns: 'JSON object with the number of passed and failed tests and the results of the tests',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'silent',
+                    description: 'do not show the results',
+                    typeList: [ARGUMENT_TYPE.BOOLEAN],
+                    defaultValue: 'false',
+                }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'QR set name',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                    enumProvider: localEnumProviders.qrSets,
+                }),
+            ],
+            helpString: 'Runs the tests of a Quick Reply set.',
+        }));
     }
 
 
@@ -875,12 +1149,25 @@ export class SlashCommandHandler {
                     executeOnNewChat: isTrueBoolean(args.new),
                     executeOnGroupMemberDraft: isTrueBoolean(args.group),
                     automationId: args.automationId ?? '',
+                    eventTriggerList: this.getEventTriggers(args) ?? [],
                 },
             );
         } catch (ex) {
             toastr.error(ex.message);
         }
     }
+    /**
+     * Parses the event triggers of /qr-create and /qr-update.
+     * @param {{event?:string|string[]}} args Named arguments, every event is a name optionally followed by a colon and a filter
+     * @returns {import('./QuickReply.js').QuickReplyEventTrigger[]} Event triggers, undefined if no event argument is provided
+     */
+    getEventTriggers(args) {
+        if (args.event === undefined) return undefined;
+        return [args.event].flat().map(it=>{
+            const [event, ...filter] = String(it).split(':');
+            return { event:event.trim(), filter:filter.join(':').trim() };
+        }).filter(it=>it.event.length);
+    }
     getQuickReply(args) {
         if (!args.id && !args.label) {
             toastr.error('Please provide a valid id or label.');
@@ -911,6 +1198,7 @@ export class SlashCommandHandler {
                     executeOnGroupMemberDraft: args.group === undefined ? undefined : isTrueBoolean(args.group),
                     executeOnNewChat: args.new === undefined ? undefined : isTrueBoolean(args.new),
                     automationId: args.automationId ?? '',
+                    eventTriggerList: this.getEventTriggers(args),
                 },
             );
         } catch (ex) {
@@ -1010,4 +1298,111 @@ export class SlashCommandHandler {
             toastr.error(ex.message);
         }
     }
+
+
+    importFromLibrary(args, value) {
+        const set = QuickReplyLibrary.resolve(String(args.library), args.version ? String(args.version) : '');
+        for (const { srcName, dstName } of this.getImportNames(value)) {
+            const closure = QuickReplyLibrary.getClosure(set, srcName, args._abortController, args._debugController);
+            if (args._scope.existsVariableInScope(dstName)) {
+                args._scope.setVariable(dstName, closure);
+            } else {
+                args._scope.letVariable(dstName, closure);
+            }
+        }
+    }
+    getImportNames(value) {
+        const names = [];
+        for (let i = 0; i < value.length; i++) {
+            const srcName = value[i];
+            let dstName = srcName;
+            if (i + 2 < value.length && value[i + 1] == 'as') {
+                dstName = value[i + 2];
+                i += 2;
+            }
+            names.push({ srcName, dstName });
+        }
+        return names;
+    }
+    validateExport(args, closure) {
+        if (!args.name) {
+            throw new Error('/export requires name= to be set.');
+        }
+        if (!(closure instanceof SlashCommandClosure)) {
+            throw new Error('/export requires a closure.');
+        }
+        const declarations = [args.arg ?? []].flat().map(it=>parseExportArgument(String(it)));
+        for (const declaration of declarations) {
+            if (!closure.argumentList.find(it=>it.name == declaration.name)) {
+                throw new Error(`Argument "${declaration.name}" of "${args.name}" is not declared by the closure.`);
+            }
+            if (!Object.values(ARGUMENT_TYPE).includes(declaration.type)) {
+                throw new Error(`Unknown type "${declaration.type}" of argument "${declaration.name}". Valid types: ${Object.values(ARGUMENT_TYPE).join(', ')}`);
+            }
+        }
+        return '';
+    }
+
+
+    async runTest(args, closure) {
+        if (!(closure instanceof SlashCommandClosure)) {
+            throw new Error('/qr-test requires a closure as the test body.');
+        }
+        const name = String(args.name ?? '');
+        if (QuickReplyTestRun.current?.isOwnScope(args._scope)) {
+            await QuickReplyTestRun.current.runTest(name, closure);
+            return '';
+        }
+        const result = await QuickReplyTestRun.runSingleTest(name, closure);
+        if (result.isPassed) {
+            toastr.success(`Test "${name}" passed.`);
+        } else {
+            toastr.error(result.message, `Test "${name}" failed`);
+        }
+        return '';
+    }
+    assertEquals(args, value) {
+        const actual = String(value ?? '');
+        const expected = String(args.expected ?? '');
+        if (actual !== expected) {
+            throw new Error(`${args.message ? `${args.message}: ` : ''}Expected "${expected}" but got "${actual}".`);
+        }
+        return actual;
+    }
+    assertContains(args, value) {
+        const actual = String(value ?? '');
+        const text = String(args.text ?? '');
+        if (!actual.includes(text)) {
+            throw new Error(`${args.message ? `${args.message}: ` : ''}Expected "${actual}" to contain "${text}".`);
+        }
+        return actual;
+    }
+    async assertThrows(args, closure) {
+        if (!(closure instanceof SlashCommandClosure)) {
+            throw new Error('/assert-throws requires a closure.');
+        }
+        try {
+            await closure.execute();
+        } catch (ex) {
+            if (args.error && !ex.message.includes(args.error)) {
+                throw new Error(`${args.message ? `${args.message}: ` : ''}Expected an error containing "${args.error}" but got "${ex.message}".`);
+            }
+            return ex.message;
+        }
+        throw new Error(`${args.message ? `${args.message}: ` : ''}Expected the closure to throw an error.`);
+    }
+    addGenerationStub(command, args, value) {
+        if (!QuickReplyTestRun.current?.isOwnScope(args._scope)) {
+            throw new Error(`/stub-${command} can only be used in tests.`);
+        }
+        QuickReplyTestRun.current.addStub(command, args.match ?? '', String(value ?? ''));
+        return '';
+    }
+    async runSetTests(args, name) {
+        const run = await this.api.runTests(name);
+        if (!isTrueBoolean(args.silent)) {
+            await run.showResults();
+        }
+        return JSON.stringify({ passed:run.passed, failed:run.failed, results:run.results });
+    }
 }
@@ -4,6 +4,7 @@ import { log, warn } from '../../index.js';
 import { QuickReply } from '../QuickReply.js';
 import { QuickReplySet } from '../QuickReplySet.js';
 import { QuickReplySettings } from '../QuickReplySettings.js';
+import { QuickReplyTestRun } from '../QuickReplyTestRun.js';
 
 export class SettingsUi {
     /** @type {QuickReplySettings} */ settings;
@@ -25,6 +26,8 @@ export class SettingsUi {
     /**@type {HTMLInputElement}*/ injectInput;
     /**@type {HTMLInputElement}*/ color;
     /**@type {HTMLInputElement}*/ onlyBorderColor;
+    /**@type {HTMLInputElement}*/ libraryNamespace;
+    /**@type {HTMLInputElement}*/ libraryVersion;
     /**@type {HTMLSelectElement}*/ currentSet;
 
 
@@ -121,6 +124,7 @@ export class SettingsUi {
         this.dom.querySelector('#qr--set-import').addEventListener('click', ()=>importFile.click());
         this.dom.querySelector('#qr--set-export').addEventListener('click', async () => this.exportQrSet());
         this.dom.querySelector('#qr--set-duplicate').addEventListener('click', async () => this.duplicateQrSet());
+        this.dom.querySelector('#qr--set-test').addEventListener('click', async () => this.testQrSet());
         this.dom.querySelector('#qr--set-delete').addEventListener('click', async()=>this.deleteQrSet());
         this.dom.querySelector('#qr--set-add').addEventListener('click', async()=>{
             this.currentQrSet.addQuickReply();
@@ -200,6 +204,18 @@ export class SettingsUi {
             qrs.save();
             this.currentQrSet.updateColor();
         });
+        this.libraryNamespace = this.dom.querySelector('#qr--libraryNamespace');
+        this.libraryNamespace.addEventListener('input', ()=>{
+            const qrs = this.currentQrSet;
+            qrs.libraryNamespace = this.libraryNamespace.value.trim();
+            qrs.save();
+        });
+        this.libraryVersion = this.dom.querySelector('#qr--libraryVersion');
+        this.libraryVersion.addEventListener('input', ()=>{
+            const qrs = this.currentQrSet;
+            qrs.libraryVersion = this.libraryVersion.value.trim();
+            qrs.save();
+        });
         this.onQrSetChange();
     }
     onQrSetChange() {
@@ -209,6 +225,8 @@ export class SettingsUi {
         this.injectInput.checked = this.currentQrSet.injectInput;
         this.color.color = this.currentQrSet.color ?? 'transparent';
         this.onlyBorderColor.checked = this.currentQrSet.onlyBorderColor;
+        this.libraryNamespace.value = this.currentQrSet.libraryNamespace ?? '';
+        this.libraryVersion.value = this.currentQrSet.libraryVersion ?? '';
         this.qrList.innerHTML = '';
         const qrsDom = this.currentQrSet.renderSettings();
         this.qrList.append(qrsDom);
@@ -496,6 +514,17 @@ export class SettingsUi {
         }
     }
 
+    async testQrSet() {
+        const run = new QuickReplyTestRun(this.currentQrSet);
+        try {
+            await run.run();
+        } catch (ex) {
+            toastr.error(ex.message);
+            return;
+        }
+        await run.showResults();
+    }
+
     selectQrSet(qrs) {
         this.currentSet.value = qrs.name;
         this.onQrSetChange();
@@ -0,0 +1,60 @@
+import { chat, event_types, eventSource } from '../script.js';
+import { t } from './i18n.js';
+
+/**
+ * @typedef {import('../../src/failover.js').FailoverAttemptRecord} FailoverAttemptRecord
+ */
+
+/**
+ * Attempts of the last generation request, waiting to be saved to the received message.
+ * @type {FailoverAttemptRecord[]|null}
+ */
+let pendingAttempts = null;
+
+/**
+ * Reads the record of failover attempts from a generation response.
+ * Warns the user if the request had to fall back to another key or connection.
+ * @param {Response} response Generation response
+ */
+export function readFailoverAttempts(response) {
+    const header = response.headers.get('X-Failover-Attempts');
+
+    if (!header) {
+        return;
+    }
+
+    try {
+        /** @type {FailoverAttemptRecord[]} */
+        const attempts = JSON.parse(decodeURIComponent(header));
+        pendingAttempts = attempts;
+
+        const used = attempts[attempts.length - 1];
+        if (attempts.length > 1 && used?.ok) {
+            const name = [used.target, used.key].filter(x => x).join(' / ');
+            toastr.warning(t`The request was handled by ${name} after ${attempts.length - 1} failed attempt(s).`, t`Fallback connection used`);
+        }
+    } catch (error) {
+        console.warn('Failed to parse the failover attempts', error);
+    }
+}
+
+/**
+ * Saves the failover attempts of the last generation request to the extra data of the received messages.
+ */
+export function initFailover() {
+    eventSource.on(event_types.GENERATION_STARTED, () => {
+        pendingAttempts = null;
+    });
+
+    eventSource.on(event_types.MESSAGE_RECEIVED, (/** @type {number} */ messageId) => {
+        const message = chat[messageId];
+
+        if (!pendingAttempts || !message) {
+            return;
+        }
+
+        message.extra = message.extra ?? {};
+        message.extra.failover = pendingAttempts;
+        pendingAttempts = null;
+    });
+}
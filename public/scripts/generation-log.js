@@ -0,0 +1,358 @@
+import { getRequestHeaders, main_api } from '../script.js';
+import { t } from './i18n.js';
+import { getChatCompletionModel, oai_settings } from './openai.js';
+import { callGenericPopup, Popup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { getTextGenModel, getTextGenServer, textgenerationwebui_settings } from './textgen-settings.js';
+import { timestampToMoment } from './utils.js';
+
+const PAGE_SIZE = 50;
+
+/**
+ * @typedef {import('../../src/generation-log.js').GenerationLogSummary} GenerationLogSummary
+ * @typedef {import('../../src/generation-log.js').GenerationLogEntry} GenerationLogEntry
+ */
+
+/**
+ * Formats the token usage of a log entry.
+ * @param {import('../../src/generation-log.js').TokenUsage|null} usage Token usage
+ * @returns {string} Formatted token usage
+ */
+function formatTokens(usage) {
+    if (!usage) {
+        return t`No usage data`;
+    }
+
+    return `${usage.prompt_tokens ?? '?'} + ${usage.completion_tokens ?? '?'} = ${usage.total_tokens ?? '?'}`;
+}
+
+/**
+ * Converts a log entry summary to the view model of the templates.
+ * @param {GenerationLogSummary} entry Log entry summary
+ * @returns {object} View model
+ */
+function toViewModel(entry) {
+    return {
+        ...entry,
+        source: entry.source || entry.backend,
+        date: timestampToMoment(entry.date).format('L LTS'),
+        latency: `${(entry.latency / 1000).toFixed(2)}s`,
+        tokens: formatTokens(entry.usage),
+        failed: entry.status >= 400,
+    };
+}
+
+/**
+ * Converts a value to text shown in a read-only text area.
+ * @param {any} value Value to show
+ * @returns {string} Text
+ */
+function toText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Gets the backend and the request fields of the currently selected connection.
+ * @returns {{ backend: string, overrides: object }|null} Replay parameters, or null if the API can't be used for replays
+ */
+function getCurrentConnection() {
+    switch (main_api) {
+        case 'openai':
+            return {
+                backend: 'chat-completions',
+                overrides: {
+                    chat_completion_source: oai_settings.chat_completion_source,
+                    model: getChatCompletionModel(),
+                    custom_url: oai_settings.custom_url,
+                    vertexai_auth_mode: oai_settings.vertexai_auth_mode,
+                    vertexai_region: oai_settings.vertexai_region,
+                    vertexai_express_project_id: oai_settings.vertexai_express_project_id,
+                },
+            };
+        case 'textgenerationwebui':
+            return {
+                backend: 'text-completions',
+                overrides: {
+                    api_type: textgenerationwebui_settings.type,
+                    api_server: getTextGenServer(),
+                    model: getTextGenModel(),
+                },
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Generation Log Dialog class for browsing the recorded generation requests.
+ */
+class GenerationLogDialog {
+    constructor() {
+        this.container = null;
+        this.offset = 0;
+        this.total = 0;
+    }
+
+    /**
+     * Sets up the dialog UI elements and event listeners.
+     * @private
+     */
+    async setupDialogUI() {
+        const template = await renderTemplateAsync('generationLogDialog');
+        this.container = document.createElement('div');
+        this.container.classList.add('generationLogDialogContainer');
+        this.container.innerHTML = template;
+
+        /** @type {HTMLInputElement} */
+        const enabledCheckbox = this.container.querySelector('.generationLogEnabled');
+        enabledCheckbox.checked = await this.getEnabled();
+        enabledCheckbox.addEventListener('change', () => this.setEnabled(enabledCheckbox.checked));
+
+        const backendSelect = this.container.querySelector('.generationLogBackend');
+        backendSelect.addEventListener('change', () => this.refresh());
+
+        const refreshButton = this.container.querySelector('.generationLogRefreshButton');
+        refreshButton.addEventListener('click', () => this.refresh());
+
+        const moreButton = this.container.querySelector('.generationLogMoreButton');
+        moreButton.addEventListener('click', () => this.loadPage());
+
+        const clearButton = this.container.querySelector('.generationLogClearButton');
+        clearButton.addEventListener('click', async () => {
+            const confirm = await Popup.show.confirm(t`Are you sure?`, t`This will permanently delete all recorded requests.`);
+            if (!confirm) {
+                return;
+            }
+
+            await this.post('/api/generation-log/clear');
+            await this.refresh();
+        });
+    }
+
+    /**
+     * Sends a request to the generation log API.
+     * @param {string} url Endpoint URL
+     * @param {object} [body] Request body
+     * @returns {Promise<any>} Response data, if any
+     * @private
+     */
+    async post(url, body = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Error calling ${url}: ${response.statusText}`);
+        }
+
+        return response.status === 204 ? null : await response.json();
+    }
+
+    /**
+     * Checks if the generation log is enabled.
+     * @returns {Promise<boolean>} True if enabled
+     * @private
+     */
+    async getEnabled() {
+        try {
+            const data = await this.post('/api/generation-log/settings/get');
+            return !!data.enabled;
+        } catch (error) {
+            console.error('Error getting the generation log settings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Enables or disables the generation log.
+     * @param {boolean} enabled Whether the log is enabled
+     * @private
+     */
+    async setEnabled(enabled) {
+        try {
+            await this.post('/api/generation-log/settings/set', { enabled });
+        } catch (error) {
+            toastr.error(t`An error has occurred. Check the console for details.`);
+            console.error('Error saving the generation log settings:', error);
+        }
+    }
+
+    /**
+     * Reloads the list of entries from the first page.
+     * @private
+     */
+    async refresh() {
+        this.offset = 0;
+        this.container.querySelector('.generationLogList').innerHTML = '';
+        await this.loadPage();
+    }
+
+    /**
+     * Loads the next page of entries into the list.
+     * @private
+     */
+    async loadPage() {
+        try {
+            /** @type {HTMLSelectElement} */
+            const backendSelect = this.container.querySelector('.generationLogBackend');
+            /** @type {{ total: number, entries: GenerationLogSummary[] }} */
+            const data = await this.post('/api/generation-log/list', { offset: this.offset, limit: PAGE_SIZE, backend: backendSelect.value });
+
+            this.total = data.total;
+            this.offset += data.entries.length;
+
+            const template = await renderTemplateAsync('generationLogItems', { entries: data.entries.map(toViewModel) });
+            const fragment = document.createElement('div');
+            fragment.innerHTML = template;
+            this.bindItems(fragment);
+
+            const list = this.container.querySelector('.generationLogList');
+            list.append(...Array.from(fragment.children));
+            this.updatePlaceholder();
+        } catch (error) {
+            toastr.error(t`An error has occurred. Check the console for details.`);
+            console.error('Error loading the generation log:', error);
+        }
+    }
+
+    /**
+     * Shows the placeholder and the footer depending on the list state.
+     * @private
+     */
+    updatePlaceholder() {
+        const list = this.container.querySelector('.generationLogList');
+        const placeholder = this.container.querySelector('.generationLogPlaceholder');
+        const footer = this.container.querySelector('.generationLogFooter');
+        placeholder.classList.toggle('displayNone', list.children.length > 0);
+        footer.classList.toggle('displayNone', this.offset >= this.total);
+    }
+
+    /**
+     * Binds the event listeners of the rendered list items.
+     * @param {Element} element Element containing the items
+     * @private
+     */
+    bindItems(element) {
+        element.querySelectorAll('.generationLogItemView').forEach(button => {
+            button.addEventListener('click', async () => {
+                const id = button.closest('.generationLogItem')?.getAttribute('data-id');
+                if (id) {
+                    await this.view(id);
+                }
+            });
+        });
+        element.querySelectorAll('.generationLogItemDelete').forEach(button => {
+            button.addEventListener('click', async () => {
+                const item = button.closest('.generationLogItem');
+                const id = item?.getAttribute('data-id');
+                if (!id) {
+                    return;
+                }
+
+                try {
+                    await this.post('/api/generation-log/delete', { id });
+                    item.remove();
+                    this.offset--;
+                    this.total--;
+                    this.updatePlaceholder();
+                } catch (error) {
+                    toastr.error(t`An error has occurred. Check the console for details.`);
+                    console.error('Error deleting the generation log entry:', error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Opens the details of a log entry.
+     * @param {string} id Entry ID
+     * @private
+     */
+    async view(id) {
+        /** @type {GenerationLogEntry} */
+        let entry;
+
+        try {
+            entry = await this.post('/api/generation-log/get', { id });
+        } catch (error) {
+            toastr.error(t`An error has occurred. Check the console for details.`);
+            console.error('Error loading the generation log entry:', error);
+            return;
+        }
+
+        const template = await renderTemplateAsync('generationLogEntry', toViewModel(entry));
+        const element = document.createElement('div');
+        element.classList.add('generationLogDialogContainer');
+        element.innerHTML = template;
+
+        /** @type {HTMLTextAreaElement} */
+        const requestView = element.querySelector('.generationLogRequest');
+        /** @type {HTMLTextAreaElement} */
+        const outgoingView = element.querySelector('.generationLogOutgoing');
+        /** @type {HTMLTextAreaElement} */
+        const responseView = element.querySelector('.generationLogResponse');
+        /** @type {HTMLTextAreaElement} */
+        const replayView = element.querySelector('.generationLogReplayResponse');
+
+        requestView.value = toText(entry.request);
+        outgoingView.value = toText(entry.outgoing);
+        responseView.value = entry.streamed ? entry.transcript ?? '' : toText(entry.response);
+
+        const replay = async (/** @type {object} */ body) => {
+            const header = element.querySelector('.generationLogReplayHeader');
+            header.classList.remove('displayNone');
+            replayView.classList.remove('displayNone');
+            replayView.value = t`Waiting for the response...`;
+
+            try {
+                const response = await fetch('/api/generation-log/replay', {
+                    method: 'POST',
+                    headers: getRequestHeaders(),
+                    body: JSON.stringify({ id, ...body }),
+                });
+                const text = await response.text();
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch {
+                    data = text;
+                }
+                replayView.value = `${response.status} ${response.statusText}\n\n${toText(data)}`;
+            } catch (error) {
+                replayView.value = String(error);
+                console.error('Error replaying the generation request:', error);
+            }
+        };
+
+        element.querySelector('.generationLogReplayButton').addEventListener('click', () => replay({}));
+
+        const currentConnection = getCurrentConnection();
+        const replayCurrentButton = element.querySelector('.generationLogReplayCurrentButton');
+        replayCurrentButton.classList.toggle('displayNone', !currentConnection);
+        replayCurrentButton.addEventListener('click', () => replay(getCurrentConnection()));
+
+        await callGenericPopup(element, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+        await this.refresh();
+    }
+
+    /**
+     * Opens the Generation Log dialog.
+     */
+    async open() {
+        await this.setupDialogUI();
+        await this.refresh();
+        await callGenericPopup(this.container, POPUP_TYPE.TEXT, '', { wide: true, large: true });
+    }
+}
+
+export function initGenerationLog() {
+    const generationLogButton = document.getElementById('generation_log_button');
+    if (!generationLogButton) {
+        console.warn('Generation Log button not found');
+        return;
+    }
+
+    generationLogButton.addEventListener('click', () => new GenerationLogDialog().open());
+}
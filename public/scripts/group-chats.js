@@ -572,7 +572,9 @@ async function saveGroupChat(groupId, shouldSaveGroup) {
     });
 
     if (!response.ok) {
-        toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group Chat could not be saved`);
+        // The storage limit of the user was reached
+        const errorData = response.status === 413 ? await response.json().catch(() => null) : null;
+        toastr.error(errorData?.message ?? t`Check the server connection and reload the page to prevent data loss.`, t`Group Chat could not be saved`);
         console.error('Group chat could not be saved', response);
         return;
     }
@@ -459,21 +459,12 @@ function getTimeDiffMacro() {
 }
 
 /**
- * Substitutes {{macro}} parameters in a string.
- * @param {string} content - The string to substitute parameters in.
- * @param {EnvObject} env - Map of macro names to the values they'll be substituted with. If the param
- * values are functions, those functions will be called and their return values are used.
- * @param {function(string): string} postProcessFn - Function to run on the macro value before replacing it.
- * @returns {string} The string with substituted parameters.
+ * Gets the built-in macros that are evaluated before and after the environment macros.
+ * @param {string} rawContent - The string before any substitution.
+ * @param {EnvObject} env - Map of macro names to the values they'll be substituted with.
+ * @returns {{ preEnvMacros: Macro[], postEnvMacros: Macro[] }} Built-in macros
  */
-export function evaluateMacros(content, env, postProcessFn) {
-    if (!content) {
-        return '';
-    }
-
-    postProcessFn = typeof postProcessFn === 'function' ? postProcessFn : (x => x);
-    const rawContent = content;
-
+function getBuiltInMacros(rawContent, env) {
     /**
      * Built-ins running before the env variables
      * @type {Macro[]}
@@ -524,6 +515,43 @@ export function evaluateMacros(content, env, postProcessFn) {
         getPickReplaceMacro(rawContent),
     ];
 
+    return { preEnvMacros, postEnvMacros };
+}
+
+/**
+ * Gets the names of all macros that are substituted with the given environment,
+ * including the built-ins and the ones registered by extensions.
+ * @param {EnvObject} env - Map of macro names to the values they'll be substituted with.
+ * @returns {string[]} Macro names
+ */
+export function getMacroNames(env) {
+    const { preEnvMacros, postEnvMacros } = getBuiltInMacros('', env);
+    // Name at the start of the pattern, e.g. "roll" in {{roll[ : ]([^}]+)}} or "chatStart" in {{(chatStart)}}
+    const names = [...preEnvMacros, ...postEnvMacros]
+        .map(macro => macro.regex.source.match(/{{\(?(\w+)/)?.[1])
+        .filter(name => name);
+
+    return [...new Set([...names, ...Object.keys(env), ...Array.from(MacrosParser, macro => macro.key)])];
+}
+
+/**
+ * Substitutes {{macro}} parameters in a string.
+ * @param {string} content - The string to substitute parameters in.
+ * @param {EnvObject} env - Map of macro names to the values they'll be substituted with. If the param
+ * values are functions, those functions will be called and their return values are used.
+ * @param {function(string): string} postProcessFn - Function to run on the macro value before replacing it.
+ * @returns {string} The string with substituted parameters.
+ */
+export function evaluateMacros(content, env, postProcessFn) {
+    if (!content) {
+        return '';
+    }
+
+    postProcessFn = typeof postProcessFn === 'function' ? postProcessFn : (x => x);
+    const rawContent = content;
+
+    const { preEnvMacros, postEnvMacros } = getBuiltInMacros(rawContent, env);
+
     // Add all registered macros to the env object
     MacrosParser.populateEnv(env);
     const nonce = uuidv4();
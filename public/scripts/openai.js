@@ -76,6 +76,7 @@ import { t } from './i18n.js';
 import { ToolManager } from './tool-calling.js';
 import { accountStorage } from './util/AccountStorage.js';
 import { IGNORE_SYMBOL } from './constants.js';
+import { readFailoverAttempts } from './failover.js';
 
 export {
     openai_messages_count,
@@ -2449,6 +2450,7 @@ async function sendOpenAIRequest(type, messages, signal) {
         tryParseStreamingError(response, await response.text());
         throw new Error(`Got response status ${response.status}`);
     }
+    readFailoverAttempts(response);
     if (stream) {
         const eventStream = getEventSourceStream();
         response.body.pipeThrough(eventStream);
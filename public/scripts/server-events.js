@@ -0,0 +1,179 @@
+import {
+    characters,
+    eventSource,
+    event_types,
+    getCharacters,
+    getCurrentChatId,
+    isChatSaving,
+    is_send_press,
+    reloadCurrentChat,
+    this_chid,
+} from '../script.js';
+import { is_group_generating, selected_group } from './group-chats.js';
+import { t } from './i18n.js';
+import { debounce, uuidv4 } from './utils.js';
+import { invalidateWorldInfo, reloadChangedWorldInfo, updateWorldInfoList, worldInfoCache, world_names } from './world-info.js';
+import { debounce_timeout } from './constants.js';
+
+/**
+ * Unique ID of this browser tab. Sent with every request, so that the server
+ * doesn't echo the changes made by this tab back to it.
+ */
+export const clientId = uuidv4();
+
+/**
+ * Names of the data change events pushed by the server.
+ * @readonly
+ * @enum {string}
+ */
+export const SERVER_EVENTS = Object.freeze({
+    CHARACTER_SAVED: 'character-saved',
+    CHARACTER_DELETED: 'character-deleted',
+    CHARACTER_RENAMED: 'character-renamed',
+    CHAT_SAVED: 'chat-saved',
+    CHAT_DELETED: 'chat-deleted',
+    CHAT_RENAMED: 'chat-renamed',
+    GROUP_SAVED: 'group-saved',
+    GROUP_DELETED: 'group-deleted',
+    WORLD_INFO_SAVED: 'world-info-saved',
+    WORLD_INFO_DELETED: 'world-info-deleted',
+    SETTINGS_SAVED: 'settings-saved',
+});
+
+/**
+ * Checks if the app is busy generating or saving, so that the open chat can't be safely replaced.
+ * @returns {boolean} True if the app is busy
+ */
+function isBusy() {
+    return is_send_press || is_group_generating || isChatSaving;
+}
+
+const refreshCharactersDebounced = debounce(async () => {
+    if (isBusy()) {
+        refreshCharactersDebounced();
+        return;
+    }
+
+    await getCharacters();
+}, debounce_timeout.relaxed);
+
+/**
+ * Checks if a chat event refers to the currently open chat.
+ * @param {{ fileName: string, avatar?: string, isGroup: boolean }} data Event payload
+ * @returns {boolean} True if the event is about the open chat
+ */
+function isCurrentChat(data) {
+    if (data.isGroup !== !!selected_group) {
+        return false;
+    }
+
+    if (!data.isGroup && data.avatar !== characters[this_chid]?.avatar) {
+        return false;
+    }
+
+    return data.fileName === getCurrentChatId();
+}
+
+/**
+ * Asks the user to reload the open chat. It isn't reloaded automatically, as that would discard
+ * an open message edit or changes that haven't been saved yet.
+ */
+function onCurrentChatChanged() {
+    toastr.warning(
+        t`The open chat was changed in another session. Click here to reload it.`,
+        t`Chat is out of date`,
+        { timeOut: 0, extendedTimeOut: 0, preventDuplicates: true, onclick: () => reloadCurrentChat() },
+    );
+}
+
+/**
+ * Updates the list of world info books after a change in another session.
+ * A changed book that is open in the editor is kept as it is, and the user is asked to reload it.
+ * @param {string} name Name of the changed book
+ * @param {boolean} isDeleted Whether the book was deleted
+ */
+async function onWorldInfoChanged(name, isDeleted) {
+    const openName = world_names?.[Number($('#world_editor_select').val())];
+    const isOpen = !isDeleted && name === openName;
+
+    // The revision of the open book is kept, so that saving the outdated book is rejected
+    if (isOpen) {
+        worldInfoCache.delete(name);
+    } else {
+        invalidateWorldInfo(name);
+    }
+
+    await updateWorldInfoList();
+
+    // The list is rebuilt without a selection, keep the open book selected without reloading it
+    if (openName && world_names.includes(openName)) {
+        $('#world_editor_select').val(world_names.indexOf(openName));
+    }
+
+    if (isOpen) {
+        toastr.warning(
+            t`This book was changed in another session. Click here to reload it.`,
+            t`World info is out of date`,
+            { timeOut: 0, extendedTimeOut: 0, preventDuplicates: true, onclick: () => reloadChangedWorldInfo(name) },
+        );
+    }
+}
+
+/**
+ * Handles an event pushed by the server.
+ * @param {string} eventName Name of the event
+ * @param {any} data Event payload
+ */
+async function onServerEvent(eventName, data) {
+    switch (eventName) {
+        case SERVER_EVENTS.CHARACTER_SAVED:
+        case SERVER_EVENTS.CHARACTER_DELETED:
+        case SERVER_EVENTS.CHARACTER_RENAMED:
+        case SERVER_EVENTS.GROUP_SAVED:
+        case SERVER_EVENTS.GROUP_DELETED:
+            refreshCharactersDebounced();
+            break;
+        case SERVER_EVENTS.CHAT_SAVED:
+            if (isCurrentChat(data)) {
+                onCurrentChatChanged();
+            }
+            break;
+        case SERVER_EVENTS.CHAT_DELETED:
+        case SERVER_EVENTS.CHAT_RENAMED:
+            if (isCurrentChat({ ...data, fileName: data.oldFileName ?? data.fileName })) {
+                toastr.warning(t`The open chat was renamed or deleted in another session.`, t`Chat is out of date`, { timeOut: 0, extendedTimeOut: 0, preventDuplicates: true });
+            }
+            break;
+        case SERVER_EVENTS.WORLD_INFO_SAVED:
+        case SERVER_EVENTS.WORLD_INFO_DELETED:
+            await onWorldInfoChanged(data.name, eventName === SERVER_EVENTS.WORLD_INFO_DELETED);
+            break;
+    }
+}
+
+/**
+ * Subscribes to the data change events of the current user.
+ */
+export function initServerEvents() {
+    if (typeof EventSource === 'undefined') {
+        return;
+    }
+
+    const source = new EventSource(`/api/events?clientId=${encodeURIComponent(clientId)}`);
+
+    for (const eventName of Object.values(SERVER_EVENTS)) {
+        source.addEventListener(eventName, async (/** @type {MessageEvent} */ event) => {
+            try {
+                const data = JSON.parse(event.data);
+                await onServerEvent(eventName, data);
+                await eventSource.emit(event_types.SERVER_DATA_CHANGED, { type: eventName, ...data });
+            } catch (error) {
+                console.error(`Failed to handle server event ${eventName}`, error);
+            }
+        });
+    }
+
+    source.addEventListener('error', () => {
+        console.debug('Server event stream disconnected, the browser will reconnect automatically');
+    });
+}
@@ -1,5 +1,6 @@
 import { substituteParams } from '../../script.js';
 import { delay, escapeRegex, uuidv4 } from '../utils.js';
+import { withMacroScope } from '../variables.js';
 import { SlashCommand } from './SlashCommand.js';
 import { SlashCommandAbortController } from './SlashCommandAbortController.js';
 import { SlashCommandBreak } from './SlashCommandBreak.js';
@@ -78,7 +79,7 @@ export class SlashCommandClosure {
         let remaining = text;
         while (re.test(remaining)) {
             const match = re.exec(remaining);
-            const before = substituteParams(remaining.slice(0, match.index));
+            const before = withMacroScope(scope, ()=>substituteParams(remaining.slice(0, match.index)));
             const after = remaining.slice(match.index + match[0].length);
             const replacer = match.groups.pipe ? scope.pipe : match.groups.var ? scope.getVariable(match.groups.var, match.groups.index) : macroList.find(it=>it.key == match.groups.macro || new RegExp(escapeMacro(it, true)).test(match.groups.macro))?.value;
             if (replacer instanceof SlashCommandClosure) {
@@ -104,7 +105,7 @@ export class SlashCommandClosure {
             }
         }
         if (!isList) {
-            text = `${done}${substituteParams(remaining)}`;
+            text = `${done}${withMacroScope(scope, ()=>substituteParams(remaining))}`;
         }
 
         if (isList) {
@@ -533,6 +533,16 @@ export class SlashCommandParser {
                     ()=>`No matching variables in scope and no matching Quick Replies for "${result.name}"`,
                     ()=>'No variables in scope and no Quick Replies found.',
                 );
+                // closures imported from Quick Reply libraries describe their arguments like commands
+                const command = this.getImportedClosureCommand(executor);
+                if (command) {
+                    const argumentResult = new SlashCommandAutoCompleteNameResult(
+                        Object.assign(new SlashCommandExecutor(executor.start), executor, { command }),
+                        this.scopeIndex[this.commandIndex.indexOf(executor)],
+                        this.commands,
+                    );
+                    result.getSecondaryNameAt = (text, index, isSelect)=>argumentResult.getSecondaryNameAt(text, index, isSelect);
+                }
                 return result;
             }
             const result = new SlashCommandAutoCompleteNameResult(executor, this.scopeIndex[this.commandIndex.indexOf(executor)], this.commands);
@@ -541,6 +551,37 @@ export class SlashCommandParser {
         return null;
     }
 
+    /**
+     * Finds the description of a closure that was imported from a Quick Reply library with /import library=...
+     * @param {SlashCommandExecutor} executor The /: executor that calls the closure.
+     * @returns {SlashCommand} Description of the closure and its arguments, or null if the closure is not imported from a library.
+     */
+    getImportedClosureCommand(executor) {
+        const name = executor.unnamedArgumentList[0]?.value?.toString();
+        if (!name || !('quickReplyApi' in globalThis)) return null;
+        for (const importExecutor of this.commandIndex.filter(it=>it.name == 'import' && it.end <= executor.start).toReversed()) {
+            const getArg = (argName)=>importExecutor.namedArgumentList.find(it=>it.name == argName)?.value?.toString();
+            const library = getArg('library');
+            if (!library) continue;
+            const value = importExecutor.unnamedArgumentList.map(it=>it.value?.toString());
+            for (let i = 0; i < value.length; i++) {
+                const srcName = value[i];
+                let dstName = srcName;
+                if (i + 2 < value.length && value[i + 1] == 'as') {
+                    dstName = value[i + 2];
+                    i += 2;
+                }
+                if (dstName != name) continue;
+                try {
+                    return globalThis.quickReplyApi.getLibraryExport(library, getArg('version') ?? '', srcName)?.command ?? null;
+                } catch {
+                    return null;
+                }
+            }
+        }
+        return null;
+    }
+
     /**
      * Moves the index <length> number of characters forward and returns the last character taken.
      * @param {number} length Number of characters to take.
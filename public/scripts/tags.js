@@ -26,6 +26,7 @@ import { POPUP_RESULT, POPUP_TYPE, Popup, callGenericPopup } from './popup.js';
 import { debounce_timeout } from './constants.js';
 import { INTERACTABLE_CONTROL_CLASS } from './keyboard.js';
 import { commonEnumProviders } from './slash-commands/SlashCommandCommonEnumsProvider.js';
+import { exportCharacterBundle } from './character-bundle.js';
 import { renderTemplateAsync } from './templates.js';
 import { t, translate } from './i18n.js';
 
@@ -859,6 +860,30 @@ function getTag(tagName, { createNew = false } = {}) {
     return tag;
 }
 
+/**
+ * Assigns tags to a character or group by name. Missing tags are created with the given colors.
+ *
+ * @param {string} entityId - The avatar of the character or the id of the group
+ * @param {{ name: string, color?: string, color2?: string }[]} tagData - The tags to assign
+ * @returns {boolean} Whether any tag was added
+ */
+export function assignTagsByName(entityId, tagData) {
+    const tagsToAdd = tagData.filter(data => data?.name).map(data => {
+        const existing = getTag(data.name);
+
+        if (existing) {
+            return existing;
+        }
+
+        const tag = createNewTag(data.name);
+        tag.color = data.color || '';
+        tag.color2 = data.color2 || '';
+        return tag;
+    });
+
+    return tagsToAdd.length > 0 && addTagsToEntity(tagsToAdd, entityId);
+}
+
 /**
  * Creates a new tag with default properties and a randomly generated id
  *
@@ -1616,6 +1641,11 @@ function appendViewTagToList(list, tag, everything) {
         saveSettingsDebounced();
     });
 
+    template.find('.tag_export').on('click', async () => {
+        const avatars = characters.map(x => x.avatar).filter(avatar => tag_map[avatar]?.includes(tag.id));
+        await exportCharacterBundle(avatars, tag.name);
+    });
+
     list.append(template);
 
     // We prevent the popup from auto-close on Escape press on the color pickups. If the user really wants to, he can hit it again
@@ -18,6 +18,7 @@ import { getEventSourceStream } from './sse-stream.js';
 import { getCurrentDreamGenModelTokenizer, getCurrentOpenRouterModelTokenizer } from './textgen-models.js';
 import { ENCODE_TOKENIZERS, TEXTGEN_TOKENIZERS, getTextTokens, tokenizers } from './tokenizers.js';
 import { getSortableDelay, onlyUnique, arraysEqual } from './utils.js';
+import { readFailoverAttempts } from './failover.js';
 
 export const textgen_types = {
     OOBA: 'ooba',
@@ -1021,6 +1022,7 @@ export async function generateTextGenWithStreaming(generate_data, signal) {
         throw new Error(`Got response status ${response.status}`);
     }
 
+    readFailoverAttempts(response);
     const eventStream = getEventSourceStream();
     response.body.pipeThrough(eventStream);
     const reader = eventStream.readable.getReader();
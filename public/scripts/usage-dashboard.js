@@ -0,0 +1,200 @@
+import { characters, event_types, eventSource, getRequestHeaders, this_chid } from '../script.js';
+import { groups, selected_group } from './group-chats.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { accountsEnabled, isAdmin } from './user.js';
+
+/**
+ * @typedef {import('../../src/usage-ledger.js').UsageSummary} UsageSummary
+ * @typedef {import('../../src/usage-ledger.js').UsageTotals} UsageTotals
+ */
+
+/**
+ * Gets the character or group the generation request is made for.
+ * @returns {{ character: string, group: string }} Usage context
+ */
+function getUsageContext() {
+    const group = selected_group ? groups.find(x => x.id === selected_group) : null;
+    const character = this_chid !== undefined ? characters[this_chid] : null;
+
+    return {
+        character: character?.name ?? '',
+        group: group?.name ?? '',
+    };
+}
+
+/**
+ * Formats a cost in the given currency.
+ * @param {number} value Cost
+ * @param {string} currency Currency code
+ * @returns {string} Formatted cost
+ */
+function formatCost(value, currency) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 4 }).format(value);
+    } catch {
+        return `${value.toFixed(4)} ${currency}`;
+    }
+}
+
+/**
+ * Usage Dashboard class for browsing the token usage and the costs of generation requests.
+ */
+class UsageDashboard {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Sends a request to the usage API.
+     * @param {string} url Endpoint URL
+     * @param {object} [body] Request body
+     * @returns {Promise<any>} Response data, if any
+     * @private
+     */
+    async post(url, body = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Error calling ${url}: ${response.statusText}`);
+        }
+
+        return response.status === 204 ? null : await response.json();
+    }
+
+    /**
+     * Gets the selected month.
+     * @returns {string} Month in YYYY-MM format
+     * @private
+     */
+    getMonth() {
+        /** @type {HTMLInputElement} */
+        const monthInput = this.container.querySelector('.usageDashboardMonth');
+        return monthInput.value;
+    }
+
+    /**
+     * Loads the usage of the selected month.
+     * @private
+     */
+    async refresh() {
+        try {
+            const month = this.getMonth();
+            /** @type {UsageSummary} */
+            const summary = await this.post('/api/usage/summary', { month });
+            const users = accountsEnabled && isAdmin() ? await this.post('/api/usage/users', { month }) : [];
+            const cost = (/** @type {number} */ value) => formatCost(value, summary.currency);
+
+            /**
+             * @param {Record<string, UsageTotals>} totals Totals by name
+             * @param {string} fallback Name of the empty key
+             * @returns {object[]} Table rows
+             */
+            const toRows = (totals, fallback) => Object.entries(totals).map(([name, item]) => ({
+                ...item,
+                name: name || fallback,
+                cost: cost(item.cost),
+            }));
+
+            const viewModel = {
+                totals: { ...summary.totals, cost: cost(summary.totals.cost) },
+                budget: summary.budget > 0 ? cost(summary.budget) : t`No limit`,
+                budgetPercent: summary.budget > 0 ? Math.min(100, summary.totals.cost / summary.budget * 100) : 0,
+                overBudget: summary.budget > 0 && summary.totals.cost >= summary.budget,
+                tables: [
+                    { title: t`By day`, column: t`Day`, rows: toRows(summary.byDay, '').reverse() },
+                    { title: t`By character`, column: t`Character`, rows: toRows(summary.byCharacter, t`Other`).sort((a, b) => b.requests - a.requests) },
+                    { title: t`By model`, column: t`Model`, rows: toRows(summary.byModel, t`Unknown`).sort((a, b) => b.requests - a.requests) },
+                ],
+                users: users.map(user => ({
+                    ...user,
+                    tokens: user.totals.prompt_tokens + user.totals.completion_tokens,
+                    cost: cost(user.totals.cost),
+                })),
+            };
+
+            const content = this.container.querySelector('.usageDashboardContent');
+            content.innerHTML = await renderTemplateAsync('usageDashboardContent', viewModel);
+            this.bindUsers(content);
+        } catch (error) {
+            toastr.error(t`An error has occurred. Check the console for details.`);
+            console.error('Error loading the usage summary:', error);
+        }
+    }
+
+    /**
+     * Binds the event listeners of the user budget controls.
+     * @param {Element} element Element containing the user table
+     * @private
+     */
+    bindUsers(element) {
+        const setBudget = async (/** @type {string} */ handle, /** @type {number|null} */ budget) => {
+            try {
+                await this.post('/api/usage/budget', { handle, budget });
+                await this.refresh();
+            } catch (error) {
+                toastr.error(t`An error has occurred. Check the console for details.`);
+                console.error('Error setting the monthly budget:', error);
+            }
+        };
+
+        element.querySelectorAll('.usageDashboardUserBudget').forEach((/** @type {HTMLInputElement} */ input) => {
+            input.addEventListener('change', () => {
+                const handle = input.closest('tr')?.getAttribute('data-handle');
+                const budget = Number(input.value);
+                if (handle && Number.isFinite(budget) && budget >= 0) {
+                    setBudget(handle, budget);
+                }
+            });
+        });
+        element.querySelectorAll('.usageDashboardResetBudget').forEach(button => {
+            button.addEventListener('click', () => {
+                const handle = button.closest('tr')?.getAttribute('data-handle');
+                if (handle) {
+                    setBudget(handle, null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Opens the Usage Dashboard.
+     */
+    async open() {
+        const template = await renderTemplateAsync('usageDashboard', { month: new Date().toISOString().slice(0, 7) });
+        this.container = document.createElement('div');
+        this.container.innerHTML = template;
+
+        this.container.querySelector('.usageDashboardMonth').addEventListener('change', () => this.refresh());
+        this.container.querySelector('.usageDashboardRefreshButton').addEventListener('click', () => this.refresh());
+
+        await this.refresh();
+        await callGenericPopup(this.container, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+    }
+}
+
+/**
+ * Adds the character and the group to generation requests, and sets up the Usage Dashboard button.
+ */
+export function initUsageDashboard() {
+    eventSource.on(event_types.CHAT_COMPLETION_SETTINGS_READY, (/** @type {object} */ data) => {
+        data.usage_context = getUsageContext();
+    });
+
+    eventSource.on(event_types.TEXT_COMPLETION_SETTINGS_READY, (/** @type {object} */ data) => {
+        data.usage_context = getUsageContext();
+    });
+
+    const usageDashboardButton = document.getElementById('usage_dashboard_button');
+    if (!usageDashboardButton) {
+        console.warn('Usage Dashboard button not found');
+        return;
+    }
+
+    usageDashboardButton.addEventListener('click', () => new UsageDashboard().open());
+}
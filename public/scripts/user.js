@@ -333,6 +333,54 @@ async function changePassword(handle, callback) {
     }
 }
 
+/**
+ * Shows a popup to change the usage limits of a user.
+ * @param {string} handle User handle
+ * @param {import('../../src/user-limits.js').UserLimits} limits Current limits
+ * @param {function} callback Success callback
+ */
+async function changeLimits(handle, limits, callback) {
+    try {
+        const template = $(await renderTemplateAsync('userLimits'));
+        const fromList = (/** @type {string[]} */ list) => list.join(', ');
+        const toList = (/** @type {string} */ value) => value.split(',').map(x => x.trim()).filter(x => x);
+        template.find('input[name="generationsPerHour"]').val(limits.generationsPerHour || '');
+        template.find('input[name="maxStorageMb"]').val(limits.maxStorageBytes ? limits.maxStorageBytes / 1024 / 1024 : '');
+        template.find('input[name="allowedSources"]').val(fromList(limits.allowedSources));
+        template.find('input[name="allowedModels"]').val(fromList(limits.allowedModels));
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel', wide: false, large: false });
+        if (result === POPUP_RESULT.CANCELLED || result === POPUP_RESULT.NEGATIVE) {
+            throw new Error('Change limits cancelled');
+        }
+
+        const newLimits = {
+            generationsPerHour: Number(template.find('input[name="generationsPerHour"]').val()) || 0,
+            maxStorageBytes: Math.round((Number(template.find('input[name="maxStorageMb"]').val()) || 0) * 1024 * 1024),
+            allowedSources: toList(String(template.find('input[name="allowedSources"]').val())),
+            allowedModels: toList(String(template.find('input[name="allowedModels"]').val())),
+        };
+
+        const response = await fetch('/api/users/limits', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle, limits: newLimits }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to change limits');
+            throw new Error('Failed to change limits');
+        }
+
+        toastr.success('Limits changed successfully', 'Limits Changed');
+        callback();
+    }
+    catch (error) {
+        console.error('Error changing limits:', error);
+    }
+}
+
 /**
  * Delete a user.
  * @param {string} handle User handle
@@ -670,6 +718,77 @@ async function resetEverything(callback) {
 
 }
 
+/**
+ * Generate a new personal access key for the OpenAI-compatible API.
+ * @param {boolean} hasKey Whether the user already has a key
+ * @param {function} callback Success callback
+ */
+async function generateApiKey(hasKey, callback) {
+    try {
+        if (hasKey) {
+            const confirm = await callGenericPopup(
+                '<h3>Generate a new API key?</h3>The current key will stop working.',
+                POPUP_TYPE.CONFIRM,
+                '',
+                { okButton: 'Generate', cancelButton: 'Cancel', wide: false, large: false },
+            );
+
+            if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+                throw new Error('Generate API key cancelled');
+            }
+        }
+
+        const response = await fetch('/api/users/api-key/generate', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to generate API key');
+            throw new Error('Failed to generate API key');
+        }
+
+        const { key } = await response.json();
+        const template = $(`
+            <div class="flex-container flexFlowColumn">
+                <h3>Your API key</h3>
+                <small>Use it as a Bearer token with the <code>/v1/chat/completions</code> and <code>/v1/models</code> endpoints. It will not be shown again.</small>
+                <input type="text" class="text_pole" readonly>
+            </div>
+        `);
+        template.find('input').val(key).on('focus', function () { $(this).trigger('select'); });
+        await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: false, large: false });
+        callback();
+    } catch (error) {
+        console.error('Error generating API key:', error);
+    }
+}
+
+/**
+ * Revoke the personal access key of the user.
+ * @param {function} callback Success callback
+ */
+async function revokeApiKey(callback) {
+    try {
+        const response = await fetch('/api/users/api-key/revoke', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to revoke API key');
+            throw new Error('Failed to revoke API key');
+        }
+
+        toastr.success('API key revoked successfully', 'Revoke API Key');
+        callback();
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+    }
+}
+
 async function openUserProfile() {
     await getCurrentUser();
     const template = $(await renderTemplateAsync('userProfile'));
@@ -696,6 +815,15 @@ async function openUserProfile() {
             $(this).removeClass('disabled');
         });
     });
+    template.find('.userApiKeyRevokeButton').toggle(!!currentUser.apiKey);
+    template.find('.userApiKeyGenerateButton').on('click', () => generateApiKey(!!currentUser.apiKey, async () => {
+        await getCurrentUser();
+        template.find('.userApiKeyRevokeButton').toggle(!!currentUser.apiKey);
+    }));
+    template.find('.userApiKeyRevokeButton').on('click', () => revokeApiKey(async () => {
+        await getCurrentUser();
+        template.find('.userApiKeyRevokeButton').toggle(!!currentUser.apiKey);
+    }));
     template.find('.userResetSettingsButton').on('click', () => resetSettings(currentUser.handle, () => location.reload()));
     template.find('.userResetAllButton').on('click', () => resetEverything(() => location.reload()));
     template.find('.userAvatarChange').on('click', () => template.find('.avatarUpload').trigger('click'));
@@ -790,11 +918,14 @@ async function openAdminPanel() {
             userBlock.find('.hasPassword').toggle(user.password);
             userBlock.find('.noPassword').toggle(!user.password);
             userBlock.find('.userCreated').text(new Date(user.created).toLocaleString());
+            userBlock.find('.userStorage').text(humanFileSize(user.usage.storageBytes) + (user.limits.maxStorageBytes ? ` / ${humanFileSize(user.limits.maxStorageBytes)}` : ''));
+            userBlock.find('.userGenerations').text(user.usage.generationsLastHour + (user.limits.generationsPerHour ? ` / ${user.limits.generationsPerHour}` : ''));
             userBlock.find('.userEnableButton').toggle(!user.enabled).on('click', () => enableUser(user.handle, renderUsers));
             userBlock.find('.userDisableButton').toggle(user.enabled).on('click', () => disableUser(user.handle, renderUsers));
             userBlock.find('.userPromoteButton').toggle(!user.admin).on('click', () => promoteUser(user.handle, renderUsers));
             userBlock.find('.userDemoteButton').toggle(user.admin).on('click', () => demoteUser(user.handle, renderUsers));
             userBlock.find('.userChangePasswordButton').on('click', () => changePassword(user.handle, renderUsers));
+            userBlock.find('.userLimitsButton').on('click', () => changeLimits(user.handle, user.limits, renderUsers));
             userBlock.find('.userDelete').on('click', () => deleteUser(user.handle, renderUsers));
             userBlock.find('.userChangeNameButton').on('click', async () => changeName(user.handle, user.name, renderUsers));
             userBlock.find('.userBackupButton').on('click', function () {
@@ -0,0 +1,37 @@
+/**
+ * Gets a real regex object from a slash-delimited regex string
+ *
+ * This function works with `/` as delimiter, and each occurance of it inside the regex has to be escaped.
+ * Flags are optional, but can only be valid flags supported by JavaScript's `RegExp` (`g`, `i`, `m`, `s`, `u`, `y`).
+ *
+ * Has no dependencies, so the server can import it too.
+ *
+ * @param {string} input - A delimited regex string
+ * @returns {RegExp|null} The regex object, or null if not a valid regex
+ */
+export function parseRegexFromString(input) {
+    // Extracting the regex pattern and flags
+    let match = input.match(/^\/([\w\W]+?)\/([gimsuy]*)$/);
+    if (!match) {
+        return null; // Not a valid regex format
+    }
+
+    let [, pattern, flags] = match;
+
+    // If we find any unescaped slash delimiter, we also exit out.
+    // JS doesn't care about delimiters inside regex patterns, but for this to be a valid regex outside of our implementation,
+    // we have to make sure that our delimiter is correctly escaped. Or every other engine would fail.
+    if (pattern.match(/(^|[^\\])\//)) {
+        return null;
+    }
+
+    // Now we need to actually unescape the slash delimiters, because JS doesn't care about delimiters
+    pattern = pattern.replace('\\/', '/');
+
+    // Then we return the regex. If it fails, it was invalid syntax.
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        return null;
+    }
+}
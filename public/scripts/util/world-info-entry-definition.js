@@ -0,0 +1,68 @@
+/**
+ * Fields of a World Info entry, shared by the editor and the server API.
+ *
+ * Has no dependencies, so the server can import it too.
+ */
+
+export const DEFAULT_DEPTH = 4;
+export const DEFAULT_WEIGHT = 100;
+
+/**
+ * @typedef {object} WorldInfoEntryFieldDefinition
+ * @property {any} default Default value of the field
+ * @property {string} type Type of the field, a trailing question mark allows null
+ * @property {number[]} [values] Allowed values of an enum field
+ * @property {boolean} [excludeFromTemplate] Whether the field is only used by slash commands and isn't stored in the entry
+ */
+
+/**
+ * Definitions of types for new WI entries
+ *
+ * Use `newWorldInfoEntryTemplate` of world-info.js if you just need the template that contains default values
+ *
+ * @type {Record<string, WorldInfoEntryFieldDefinition>}
+ */
+export const newWorldInfoEntryDefinition = {
+    key: { default: [], type: 'array' },
+    keysecondary: { default: [], type: 'array' },
+    comment: { default: '', type: 'string' },
+    content: { default: '', type: 'string' },
+    constant: { default: false, type: 'boolean' },
+    vectorized: { default: false, type: 'boolean' },
+    selective: { default: true, type: 'boolean' },
+    // AND ANY, NOT ALL, NOT ANY, AND ALL
+    selectiveLogic: { default: 0, type: 'enum', values: [0, 1, 2, 3] },
+    addMemo: { default: false, type: 'boolean' },
+    order: { default: 100, type: 'number' },
+    // Before/after character, top/bottom of Author's Note, at depth, top/bottom of example messages
+    position: { default: 0, type: 'enum', values: [0, 1, 2, 3, 4, 5, 6] },
+    disable: { default: false, type: 'boolean' },
+    excludeRecursion: { default: false, type: 'boolean' },
+    preventRecursion: { default: false, type: 'boolean' },
+    matchPersonaDescription: { default: false, type: 'boolean' },
+    matchCharacterDescription: { default: false, type: 'boolean' },
+    matchCharacterPersonality: { default: false, type: 'boolean' },
+    matchCharacterDepthPrompt: { default: false, type: 'boolean' },
+    matchScenario: { default: false, type: 'boolean' },
+    matchCreatorNotes: { default: false, type: 'boolean' },
+    delayUntilRecursion: { default: 0, type: 'number' },
+    probability: { default: 100, type: 'number' },
+    useProbability: { default: true, type: 'boolean' },
+    depth: { default: DEFAULT_DEPTH, type: 'number' },
+    group: { default: '', type: 'string' },
+    groupOverride: { default: false, type: 'boolean' },
+    groupWeight: { default: DEFAULT_WEIGHT, type: 'number' },
+    scanDepth: { default: null, type: 'number?' },
+    caseSensitive: { default: null, type: 'boolean?' },
+    matchWholeWords: { default: null, type: 'boolean?' },
+    useGroupScoring: { default: null, type: 'boolean?' },
+    automationId: { default: '', type: 'string' },
+    // System, user, assistant
+    role: { default: 0, type: 'enum', values: [0, 1, 2] },
+    sticky: { default: null, type: 'number?' },
+    cooldown: { default: null, type: 'number?' },
+    delay: { default: null, type: 'number?' },
+    characterFilterNames: { default: [], type: 'array', excludeFromTemplate: true },
+    characterFilterTags: { default: [], type: 'array', excludeFromTemplate: true },
+    characterFilterExclude: { default: false, type: 'boolean', excludeFromTemplate: true },
+};
@@ -19,13 +19,251 @@ import { isFalseBoolean, convertValueType, isTrueBoolean } from './utils.js';
 
 const MAX_LOOPS = 100;
 
-export function getLocalVariable(name, args = {}) {
+/**
+ * Path keys that would reach the prototypes of lists and dictionaries.
+ */
+const UNSAFE_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Splits a variable path like `items[2].name` or `stats["max hp"]` into its keys.
+ * Negative list indices count from the end of the list.
+ * @param {string} path Variable path
+ * @returns {(string|number)[]} Keys of the path
+ */
+export function parseVariablePath(path) {
+    const text = String(path ?? '').trim();
+    const keys = [];
+    let i = 0;
+    while (i < text.length) {
+        if (text[i] == '.') {
+            i++;
+        } else if (text[i] == '[') {
+            const end = text.indexOf(']', i);
+            if (end == -1) {
+                throw new Error(`Invalid variable path "${text}": missing "]".`);
+            }
+            const key = text.slice(i + 1, end).trim();
+            if (/^(["']).*\1$/.test(key)) {
+                keys.push(key.slice(1, -1));
+            } else if (/^-?\d+$/.test(key)) {
+                keys.push(Number(key));
+            } else {
+                keys.push(key);
+            }
+            i = end + 1;
+        } else {
+            let end = i;
+            while (end < text.length && text[end] != '.' && text[end] != '[') end++;
+            keys.push(text.slice(i, end));
+            i = end;
+        }
+    }
+    const unsafeKey = keys.find(key => UNSAFE_PATH_KEYS.includes(String(key)));
+    if (unsafeKey !== undefined) {
+        throw new Error(`Invalid variable path "${text}": "${unsafeKey}" is not allowed.`);
+    }
+    return keys;
+}
+
+/**
+ * @param {object} container List or dictionary
+ * @param {string|number} key Key of the path
+ * @returns {string|number} Key in the container
+ */
+function resolvePathKey(container, key) {
+    return Array.isArray(container) && typeof key == 'number' && key < 0 ? container.length + key : key;
+}
+
+/**
+ * Gets a value from a list or dictionary.
+ * @param {any} value List or dictionary
+ * @param {(string|number)[]} keys Keys of the path
+ * @returns {any} Value at the path, or undefined if the path does not exist
+ */
+export function getValueByPath(value, keys) {
+    for (const key of keys) {
+        if (value === null || typeof value != 'object') {
+            return undefined;
+        }
+        value = value[resolvePathKey(value, key)];
+    }
+    return value;
+}
+
+/**
+ * Sets a value in a list or dictionary, creating the missing lists and dictionaries of the path.
+ * @param {any} value List or dictionary
+ * @param {(string|number)[]} keys Keys of the path
+ * @param {any} newValue Value to set
+ * @returns {any} The updated list or dictionary
+ */
+export function setValueByPath(value, keys, newValue) {
+    if (keys.length == 0) {
+        return newValue;
+    }
+    const [key, ...rest] = keys;
+    if (value === null || typeof value != 'object') {
+        value = typeof key == 'number' ? [] : {};
+    }
+    const resolvedKey = resolvePathKey(value, key);
+    if (typeof resolvedKey == 'number' && resolvedKey < 0) {
+        throw new Error(`List index ${key} is out of range.`);
+    }
+    value[resolvedKey] = setValueByPath(value[resolvedKey], rest, newValue);
+    return value;
+}
+
+/**
+ * Parses the stored value of a variable that is accessed with a path.
+ * @param {any} value Stored value
+ * @param {string} name Variable name for the error message
+ * @returns {object|null} List or dictionary, or null if the variable is empty
+ */
+function parseStructuredValue(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value == 'object') {
+        return value;
+    }
+    try {
+        const parsedValue = JSON.parse(value);
+        if (parsedValue !== null && typeof parsedValue == 'object') {
+            return parsedValue;
+        }
+    } catch {
+        // not JSON
+    }
+    throw new Error(`Variable "${name}" does not contain a list or dictionary.`);
+}
+
+/**
+ * Converts a value of a list or dictionary to the text passed down the pipe.
+ * @param {any} value Value
+ * @returns {string} Text, lists and dictionaries are serialized as JSON
+ */
+function formatStructuredValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value == 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Parses the result of a closure into a value of a list or dictionary.
+ * @param {any} value Closure result
+ * @returns {any} Parsed JSON value, or the text if it is not JSON
+ */
+function parseResultValue(value) {
+    if (typeof value != 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Chat and global variables of isolated runs, e.g. Quick Reply tests, keyed by the root scope of the run.
+ * Only the commands executed in the scope of a run, and the macros substituted by its closures, see them.
+ * @type {WeakMap<SlashCommandScope, {local: Object.<string, any>, global: Object.<string, any>}>}
+ */
+const isolatedVariables = new WeakMap();
+
+/**
+ * Scope of the closure that is substituting macros. Only set while the macros are substituted synchronously,
+ * so that other callers never see it.
+ * @type {SlashCommandScope|null}
+ */
+let macroScope = null;
+
+/**
+ * @param {SlashCommandScope} [scope] Scope of the executed command, or the scope of the substituted macros if not provided
+ * @returns {{local: Object.<string, any>, global: Object.<string, any>}|null} Variables of the isolated run of the scope, or null
+ */
+function getIsolatedVariables(scope) {
+    for (let it = scope ?? macroScope; it; it = it.parent) {
+        const variables = isolatedVariables.get(it);
+        if (variables) {
+            return variables;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {SlashCommandScope} [scope] Scope of the executed command
+ * @returns {Object.<string, any>} Chat variables, or the chat variables of the isolated run of the scope
+ */
+function getLocalVariableStore(scope = null) {
+    const isolated = getIsolatedVariables(scope);
+    if (isolated) {
+        return isolated.local;
+    }
     if (!chat_metadata.variables) {
         chat_metadata.variables = {};
     }
+    return chat_metadata.variables;
+}
+
+/**
+ * @param {SlashCommandScope} [scope] Scope of the executed command
+ * @returns {Object.<string, any>} Global variables, or the global variables of the isolated run of the scope
+ */
+function getGlobalVariableStore(scope = null) {
+    return getIsolatedVariables(scope)?.global ?? extension_settings.variables.global;
+}
+
+function saveLocalVariables(scope = null) {
+    // the variables of isolated runs are never saved
+    if (!getIsolatedVariables(scope)) {
+        saveMetadataDebounced();
+    }
+}
+
+function saveGlobalVariables(scope = null) {
+    if (!getIsolatedVariables(scope)) {
+        saveSettingsDebounced();
+    }
+}
+
+/**
+ * Gives the commands executed in a scope their own chat and global variables.
+ * The variables of the chat and the settings are neither changed nor saved by these commands.
+ * @param {SlashCommandScope} scope Root scope of the isolated run
+ * @param {boolean} [isCopy] Whether to start with copies of the variables the scope currently sees instead of empty ones
+ */
+export function isolateVariables(scope, isCopy = false) {
+    isolatedVariables.set(scope, {
+        local: isCopy ? { ...getLocalVariableStore(scope) } : {},
+        global: isCopy ? { ...getGlobalVariableStore(scope) } : {},
+    });
+}
+
+/**
+ * Substitutes macros with the variables of a closure scope, e.g. {{getvar::name}} in an isolated run.
+ * @param {SlashCommandScope} scope Scope of the closure
+ * @param {() => T} callback Function that substitutes the macros. Must be synchronous.
+ * @returns {T}
+ * @template T
+ */
+export function withMacroScope(scope, callback) {
+    const previous = macroScope;
+    macroScope = scope;
+    try {
+        return callback();
+    } finally {
+        macroScope = previous;
+    }
+}
 
-    let localVariable = chat_metadata?.variables[args.key ?? name];
-    if (args.index !== undefined) {
+export function getLocalVariable(name, args = {}) {
+    let localVariable = getLocalVariableStore(args._scope)[args.key ?? name];
+    if (args.path !== undefined) {
+        localVariable = formatStructuredValue(getValueByPath(parseStructuredValue(localVariable, args.key ?? name), parseVariablePath(args.path)));
+    } else if (args.index !== undefined) {
         try {
             localVariable = JSON.parse(localVariable);
             const numIndex = Number(args.index);
@@ -50,13 +288,14 @@ export function setLocalVariable(name, value, args = {}) {
         throw new Error('Variable name cannot be empty or undefined.');
     }
 
-    if (!chat_metadata.variables) {
-        chat_metadata.variables = {};
-    }
+    const variables = getLocalVariableStore(args._scope);
 
-    if (args.index !== undefined) {
+    if (args.path !== undefined) {
+        const localVariable = parseStructuredValue(variables[name], name);
+        variables[name] = JSON.stringify(setValueByPath(localVariable, parseVariablePath(args.path), convertValueType(value, args.as)));
+    } else if (args.index !== undefined) {
         try {
-            let localVariable = JSON.parse(chat_metadata.variables[name] ?? 'null');
+            let localVariable = JSON.parse(variables[name] ?? 'null');
             const numIndex = Number(args.index);
             if (Number.isNaN(numIndex)) {
                 if (localVariable === null) {
@@ -69,20 +308,22 @@ export function setLocalVariable(name, value, args = {}) {
                 }
                 localVariable[numIndex] = convertValueType(value, args.as);
             }
-            chat_metadata.variables[name] = JSON.stringify(localVariable);
+            variables[name] = JSON.stringify(localVariable);
         } catch {
             // that didn't work
         }
     } else {
-        chat_metadata.variables[name] = value;
+        variables[name] = value;
     }
-    saveMetadataDebounced();
+    saveLocalVariables(args._scope);
     return value;
 }
 
 export function getGlobalVariable(name, args = {}) {
-    let globalVariable = extension_settings.variables.global[args.key ?? name];
-    if (args.index !== undefined) {
+    let globalVariable = getGlobalVariableStore(args._scope)[args.key ?? name];
+    if (args.path !== undefined) {
+        globalVariable = formatStructuredValue(getValueByPath(parseStructuredValue(globalVariable, args.key ?? name), parseVariablePath(args.path)));
+    } else if (args.index !== undefined) {
         try {
             globalVariable = JSON.parse(globalVariable);
             const numIndex = Number(args.index);
@@ -107,9 +348,14 @@ export function setGlobalVariable(name, value, args = {}) {
         throw new Error('Variable name cannot be empty or undefined.');
     }
 
-    if (args.index !== undefined) {
+    const variables = getGlobalVariableStore(args._scope);
+
+    if (args.path !== undefined) {
+        const globalVariable = parseStructuredValue(variables[name], name);
+        variables[name] = JSON.stringify(setValueByPath(globalVariable, parseVariablePath(args.path), convertValueType(value, args.as)));
+    } else if (args.index !== undefined) {
         try {
-            let globalVariable = JSON.parse(extension_settings.variables.global[name] ?? 'null');
+            let globalVariable = JSON.parse(variables[name] ?? 'null');
             const numIndex = Number(args.index);
             if (Number.isNaN(numIndex)) {
                 if (globalVariable === null) {
@@ -122,24 +368,24 @@ export function setGlobalVariable(name, value, args = {}) {
                 }
                 globalVariable[numIndex] = convertValueType(value, args.as);
             }
-            extension_settings.variables.global[name] = JSON.stringify(globalVariable);
+            variables[name] = JSON.stringify(globalVariable);
         } catch {
             // that didn't work
         }
     } else {
-        extension_settings.variables.global[name] = value;
+        variables[name] = value;
     }
-    saveSettingsDebounced();
+    saveGlobalVariables(args._scope);
     return value;
 }
 
-function addLocalVariable(name, value) {
-    const currentValue = getLocalVariable(name) || 0;
+function addLocalVariable(name, value, scope = null) {
+    const currentValue = getLocalVariable(name, { _scope: scope }) || 0;
     try {
         const parsedValue = JSON.parse(currentValue);
         if (Array.isArray(parsedValue)) {
             parsedValue.push(value);
-            setLocalVariable(name, JSON.stringify(parsedValue));
+            setLocalVariable(name, JSON.stringify(parsedValue), { _scope: scope });
             return parsedValue;
         }
     } catch {
@@ -149,7 +395,7 @@ function addLocalVariable(name, value) {
 
     if (isNaN(increment) || isNaN(Number(currentValue))) {
         const stringValue = String(currentValue || '') + value;
-        setLocalVariable(name, stringValue);
+        setLocalVariable(name, stringValue, { _scope: scope });
         return stringValue;
     }
 
@@ -159,17 +405,17 @@ function addLocalVariable(name, value) {
         return '';
     }
 
-    setLocalVariable(name, newValue);
+    setLocalVariable(name, newValue, { _scope: scope });
     return newValue;
 }
 
-function addGlobalVariable(name, value) {
-    const currentValue = getGlobalVariable(name) || 0;
+function addGlobalVariable(name, value, scope = null) {
+    const currentValue = getGlobalVariable(name, { _scope: scope }) || 0;
     try {
         const parsedValue = JSON.parse(currentValue);
         if (Array.isArray(parsedValue)) {
             parsedValue.push(value);
-            setGlobalVariable(name, JSON.stringify(parsedValue));
+            setGlobalVariable(name, JSON.stringify(parsedValue), { _scope: scope });
             return parsedValue;
         }
     } catch {
@@ -179,7 +425,7 @@ function addGlobalVariable(name, value) {
 
     if (isNaN(increment) || isNaN(Number(currentValue))) {
         const stringValue = String(currentValue || '') + value;
-        setGlobalVariable(name, stringValue);
+        setGlobalVariable(name, stringValue, { _scope: scope });
         return stringValue;
     }
 
@@ -189,24 +435,24 @@ function addGlobalVariable(name, value) {
         return '';
     }
 
-    setGlobalVariable(name, newValue);
+    setGlobalVariable(name, newValue, { _scope: scope });
     return newValue;
 }
 
-function incrementLocalVariable(name) {
-    return addLocalVariable(name, 1);
+function incrementLocalVariable(name, scope = null) {
+    return addLocalVariable(name, 1, scope);
 }
 
-function incrementGlobalVariable(name) {
-    return addGlobalVariable(name, 1);
+function incrementGlobalVariable(name, scope = null) {
+    return addGlobalVariable(name, 1, scope);
 }
 
-function decrementLocalVariable(name) {
-    return addLocalVariable(name, -1);
+function decrementLocalVariable(name, scope = null) {
+    return addLocalVariable(name, -1, scope);
 }
 
-function decrementGlobalVariable(name) {
-    return addGlobalVariable(name, -1);
+function decrementGlobalVariable(name, scope = null) {
+    return addGlobalVariable(name, -1, scope);
 }
 
 /**
@@ -220,17 +466,32 @@ export function resolveVariable(name, scope = null) {
         return scope.getVariable(name);
     }
 
-    if (existsLocalVariable(name)) {
-        return getLocalVariable(name);
+    if (existsLocalVariable(name, scope)) {
+        return getLocalVariable(name, { _scope: scope });
     }
 
-    if (existsGlobalVariable(name)) {
-        return getGlobalVariable(name);
+    if (existsGlobalVariable(name, scope)) {
+        return getGlobalVariable(name, { _scope: scope });
     }
 
     return name;
 }
 
+/**
+ * Splits the name in a variable macro like {{getvar::inventory.items[0]}} into the variable name and a path.
+ * Names of existing variables are not split, so variables with dots in their names keep working.
+ * @param {string} name Name in the macro
+ * @param {(name: string) => boolean} exists Checks if a variable exists
+ * @returns {[string, {path?: string}]} Variable name and arguments for the getter
+ */
+function splitMacroVariableName(name, exists) {
+    const match = /^([^.[]+)([.[].+)$/.exec(name);
+    if (exists(name) || !match || !exists(match[1])) {
+        return [name, {}];
+    }
+    return [match[1], { path: match[2] }];
+}
+
 /**
  * Returns built-in variable macros.
  * @returns {import('./macros.js').Macro[]}
@@ -246,7 +507,7 @@ export function getVariableMacros() {
         // Replace {{decvar::name}} with empty string and decrement the variable name by 1
         { regex: /{{decvar::([^}]+)}}/gi, replace: (_, name) => decrementLocalVariable(name.trim()) },
         // Replace {{getvar::name}} with the value of the variable name
-        { regex: /{{getvar::([^}]+)}}/gi, replace: (_, name) => getLocalVariable(name.trim()) },
+        { regex: /{{getvar::([^}]+)}}/gi, replace: (_, name) => getLocalVariable(...splitMacroVariableName(name.trim(), existsLocalVariable)) },
         // Replace {{setglobalvar::name::value}} with empty string and set the global variable name to value
         { regex: /{{setglobalvar::([^:]+)::([^}]+)}}/gi, replace: (_, name, value) => { setGlobalVariable(name.trim(), value); return ''; } },
         // Replace {{addglobalvar::name::value}} with empty string and add value to the global variable value
@@ -256,7 +517,7 @@ export function getVariableMacros() {
         // Replace {{decglobalvar::name}} with empty string and decrement the global variable name by 1
         { regex: /{{decglobalvar::([^}]+)}}/gi, replace: (_, name) => decrementGlobalVariable(name.trim()) },
         // Replace {{getglobalvar::name}} with the value of the global variable name
-        { regex: /{{getglobalvar::([^}]+)}}/gi, replace: (_, name) => getGlobalVariable(name.trim()) },
+        { regex: /{{getglobalvar::([^}]+)}}/gi, replace: (_, name) => getGlobalVariable(...splitMacroVariableName(name.trim(), existsGlobalVariable)) },
     ];
 }
 
@@ -284,15 +545,14 @@ async function listVariablesCallback(args) {
 
     // Now the actual new return type handling
     const scope = String(args?.scope || '').toLowerCase().trim() || 'all';
-    if (!chat_metadata.variables) {
-        chat_metadata.variables = {};
-    }
+    const localStore = getLocalVariableStore(args._scope);
+    const globalStore = getGlobalVariableStore(args._scope);
 
     const includeLocalVariables = scope === 'all' || scope === 'local';
     const includeGlobalVariables = scope === 'all' || scope === 'global';
 
-    const localVariables = includeLocalVariables ? Object.entries(chat_metadata.variables).map(([name, value]) => `${name}: ${value}`) : [];
-    const globalVariables = includeGlobalVariables ? Object.entries(extension_settings.variables.global).map(([name, value]) => `${name}: ${value}`) : [];
+    const localVariables = includeLocalVariables ? Object.entries(localStore).map(([name, value]) => `${name}: ${value}`) : [];
+    const globalVariables = includeGlobalVariables ? Object.entries(globalStore).map(([name, value]) => `${name}: ${value}`) : [];
 
     const buildTextValue = (_) => {
         const localVariablesString = localVariables.length > 0 ? localVariables.join('\n\n') : 'No local variables';
@@ -307,8 +567,8 @@ async function listVariablesCallback(args) {
     };
 
     const jsonVariables = [
-        ...Object.entries(chat_metadata.variables).map(x => ({ key: x[0], value: x[1], scope: 'local' })),
-        ...Object.entries(extension_settings.variables.global).map(x => ({ key: x[0], value: x[1], scope: 'global' })),
+        ...Object.entries(localStore).map(x => ({ key: x[0], value: x[1], scope: 'local' })),
+        ...Object.entries(globalStore).map(x => ({ key: x[0], value: x[1], scope: 'global' })),
     ];
 
     return await slashCommandReturnHelper.doReturn(returnType ?? 'popup-html', jsonVariables, { objectToStringFunc: buildTextValue });
@@ -436,19 +696,21 @@ async function ifCallback(args, value) {
 /**
  * Checks if a local variable exists.
  * @param {string} name Local variable name
+ * @param {SlashCommandScope} [scope] Scope of the executed command
  * @returns {boolean} True if the local variable exists, false otherwise
  */
-function existsLocalVariable(name) {
-    return chat_metadata.variables && chat_metadata.variables[name] !== undefined;
+function existsLocalVariable(name, scope = null) {
+    return getLocalVariableStore(scope)[name] !== undefined;
 }
 
 /**
  * Checks if a global variable exists.
  * @param {string} name Global variable name
+ * @param {SlashCommandScope} [scope] Scope of the executed command
  * @returns {boolean} True if the global variable exists, false otherwise
  */
-function existsGlobalVariable(name) {
-    return extension_settings.variables.global && extension_settings.variables.global[name] !== undefined;
+function existsGlobalVariable(name, scope = null) {
+    return getGlobalVariableStore(scope)?.[name] !== undefined;
 }
 
 /**
@@ -481,13 +743,13 @@ export function parseBooleanOperands(args) {
             return operandVariable ?? '';
         }
 
-        if (existsLocalVariable(operand)) {
-            const operandLocalVariable = getLocalVariable(operand);
+        if (existsLocalVariable(operand, args._scope)) {
+            const operandLocalVariable = getLocalVariable(operand, { _scope: args._scope });
             return operandLocalVariable ?? '';
         }
 
-        if (existsGlobalVariable(operand)) {
-            const operandGlobalVariable = getGlobalVariable(operand);
+        if (existsGlobalVariable(operand, args._scope)) {
+            const operandGlobalVariable = getGlobalVariable(operand, { _scope: args._scope });
             return operandGlobalVariable ?? '';
         }
 
@@ -606,32 +868,34 @@ async function executeSubCommands(command, scope = null, parserFlags = null, abo
 /**
  * Deletes a local variable.
  * @param {string} name Variable name to delete
+ * @param {SlashCommandScope} [scope] Scope of the executed command
  * @returns {string} Empty string
  */
-function deleteLocalVariable(name) {
-    if (!existsLocalVariable(name)) {
+function deleteLocalVariable(name, scope = null) {
+    if (!existsLocalVariable(name, scope)) {
         console.warn(`The local variable "${name}" does not exist.`);
         return '';
     }
 
-    delete chat_metadata.variables[name];
-    saveMetadataDebounced();
+    delete getLocalVariableStore(scope)[name];
+    saveLocalVariables(scope);
     return '';
 }
 
 /**
  * Deletes a global variable.
  * @param {string} name Variable name to delete
+ * @param {SlashCommandScope} [scope] Scope of the executed command
  * @returns {string} Empty string
  */
-function deleteGlobalVariable(name) {
-    if (!existsGlobalVariable(name)) {
+function deleteGlobalVariable(name, scope = null) {
+    if (!existsGlobalVariable(name, scope)) {
         console.warn(`The global variable "${name}" does not exist.`);
         return '';
     }
 
-    delete extension_settings.variables.global[name];
-    saveSettingsDebounced();
+    delete getGlobalVariableStore(scope)[name];
+    saveGlobalVariables(scope);
     return '';
 }
 
@@ -832,6 +1096,134 @@ function sortArrayObjectCallback(args, value) {
     return JSON.stringify(parsedValue);
 }
 
+/**
+ * Reads and writes the variable of /push and /pop in the scope chosen with the scope argument.
+ * @param {NamedArguments} args Named arguments
+ * @param {string} key Variable name
+ * @returns {{get: () => any, set: (value: string) => void}}
+ */
+function getVariableAccessor(args, key) {
+    switch (args.scope ?? 'local') {
+        case 'local':
+            return { get: () => getLocalVariableStore(args._scope)[key], set: (value) => setLocalVariable(key, value, { _scope: args._scope }) };
+        case 'global':
+            return { get: () => getGlobalVariableStore(args._scope)?.[key], set: (value) => setGlobalVariable(key, value, { _scope: args._scope }) };
+        case 'scoped':
+            return { get: () => args._scope.getVariable(key), set: (value) => args._scope.setVariable(key, value) };
+        default:
+            throw new Error(`Unknown variable scope "${args.scope}".`);
+    }
+}
+
+/**
+ * Changes the list stored in a variable, or at the path of a variable, and saves the variable.
+ * @param {NamedArguments} args Named arguments with key, scope and path
+ * @param {(list: any[]) => any} update Changes the list and returns the result of the command
+ * @returns {any} Result of the update
+ */
+function updateListVariable(args, update) {
+    const key = String(args.key ?? '');
+    if (!key) {
+        throw new Error('Variable name cannot be empty or undefined.');
+    }
+    const variable = getVariableAccessor(args, key);
+    const keys = parseVariablePath(String(args.path ?? ''));
+    const root = parseStructuredValue(variable.get(), key);
+    const list = getValueByPath(root, keys) ?? [];
+    if (!Array.isArray(list)) {
+        throw new Error(args.path ? `Path "${args.path}" of variable "${key}" is not a list.` : `Variable "${key}" is not a list.`);
+    }
+    const result = update(list);
+    variable.set(JSON.stringify(setValueByPath(root, keys, list)));
+    return result;
+}
+
+/**
+ * Parses the list or dictionary that /map, /filter and /reduce iterate over.
+ * @param {NamedArguments} args Named arguments, the list argument takes a variable name or JSON and defaults to the pipe
+ * @returns {object} List or dictionary
+ */
+function getIteratedCollection(args) {
+    const value = args.list !== undefined ? resolveVariable(String(args.list), args._scope) : args._scope.pipe;
+    const collection = parseResultValue(value);
+    if (collection === null || typeof collection != 'object') {
+        throw new Error('Value is not a list or dictionary.');
+    }
+    return collection;
+}
+
+/**
+ * Executes the closure of /map, /filter or /reduce for one element.
+ * @param {SlashCommandClosure} closure Closure to execute
+ * @param {Object.<string, any>} macros Macros like {{item}} and {{index}}
+ * @returns {Promise<SlashCommandClosureResult>}
+ */
+async function executeForElement(closure, macros) {
+    closure.breakController = new SlashCommandBreakController();
+    for (const [key, value] of Object.entries(macros)) {
+        closure.scope.setMacro(key, value);
+    }
+    return await closure.execute();
+}
+
+/**
+ * @param {NamedArguments} args
+ * @param {SlashCommandClosure} closure
+ * @returns {Promise<string>}
+ */
+async function mapCallback(args, closure) {
+    if (!(closure instanceof SlashCommandClosure)) throw new Error('unnamed argument must be a closure');
+    const collection = getIteratedCollection(args);
+    const results = [];
+    for (const [index, item] of Object.entries(collection)) {
+        const result = await executeForElement(closure, { item: formatStructuredValue(item), index });
+        if (result.isAborted) return '';
+        results.push([index, parseResultValue(result.pipe)]);
+        if (result.isBreak) break;
+    }
+    return JSON.stringify(Array.isArray(collection) ? results.map(it => it[1]) : Object.fromEntries(results));
+}
+
+/**
+ * @param {NamedArguments} args
+ * @param {SlashCommandClosure} closure
+ * @returns {Promise<string>}
+ */
+async function filterCallback(args, closure) {
+    if (!(closure instanceof SlashCommandClosure)) throw new Error('unnamed argument must be a closure');
+    const collection = getIteratedCollection(args);
+    const results = [];
+    for (const [index, item] of Object.entries(collection)) {
+        const result = await executeForElement(closure, { item: formatStructuredValue(item), index });
+        if (result.isAborted) return '';
+        const isKept = String(result.pipe ?? '').trim() !== '' && !isFalseBoolean(String(result.pipe).trim());
+        if (isKept) {
+            results.push([index, item]);
+        }
+        if (result.isBreak) break;
+    }
+    return JSON.stringify(Array.isArray(collection) ? results.map(it => it[1]) : Object.fromEntries(results));
+}
+
+/**
+ * @param {NamedArguments} args
+ * @param {SlashCommandClosure} closure
+ * @returns {Promise<string>}
+ */
+async function reduceCallback(args, closure) {
+    if (!(closure instanceof SlashCommandClosure)) throw new Error('unnamed argument must be a closure');
+    const entries = Object.entries(getIteratedCollection(args));
+    // without an initial value, the first element is the initial value
+    let acc = args.initial !== undefined ? String(args.initial) : formatStructuredValue(entries.shift()?.[1]);
+    for (const [index, item] of entries) {
+        const result = await executeForElement(closure, { acc, item: formatStructuredValue(item), index });
+        if (result.isAborted) return '';
+        acc = formatStructuredValue(result.pipe);
+        if (result.isBreak) break;
+    }
+    return acc;
+}
+
 /**
  * Declare a new variable in the current scope.
  * @param {NamedArguments} args Named arguments.
@@ -864,6 +1256,35 @@ function letCallback(args, value) {
     }
 }
 
+/**
+ * Gets a scoped variable, or the element at the index or path of the variable.
+ * @param {NamedArguments} args Named arguments of /var
+ * @param {string} key Variable name
+ * @returns {any} Variable value
+ */
+function getScopedVariable(args, key) {
+    if (args.path !== undefined) {
+        const variable = parseStructuredValue(args._scope.getVariable(key), key);
+        return formatStructuredValue(getValueByPath(variable, parseVariablePath(String(args.path))));
+    }
+    return args._scope.getVariable(key, args.index);
+}
+
+/**
+ * Sets a scoped variable, or the element at the index or path of the variable.
+ * @param {NamedArguments} args Named arguments of /var
+ * @param {string} key Variable name
+ * @param {string|SlashCommandClosure} value New value
+ */
+function setScopedVariable(args, key, value) {
+    if (args.path !== undefined) {
+        const variable = parseStructuredValue(args._scope.getVariable(key), key);
+        args._scope.setVariable(key, JSON.stringify(setValueByPath(variable, parseVariablePath(String(args.path)), convertValueType(value, args.as))));
+        return;
+    }
+    args._scope.setVariable(key, value, args.index, args.as);
+}
+
 /**
  * Set or retrieve a variable in the current scope or nearest ancestor scope.
  * @param {NamedArguments} args Named arguments.
@@ -877,20 +1298,20 @@ function varCallback(args, value) {
         if (typeof key != 'string') throw new Error('Key must be a string');
         if (args._hasUnnamedArgument) {
             const val = typeof value[0] == 'string' ? value.join(' ') : value[0];
-            args._scope.setVariable(key, val, args.index, args.as);
+            setScopedVariable(args, key, val);
             return val;
         } else {
-            return args._scope.getVariable(key, args.index);
+            return getScopedVariable(args, key);
         }
     }
     const key = value.shift();
     if (typeof key != 'string') throw new Error('Key must be a string');
     if (value.length > 0) {
         const val = typeof value[0] == 'string' ? value.join(' ') : value[0];
-        args._scope.setVariable(key, val, args.index, args.as);
+        setScopedVariable(args, key, val);
         return val;
     } else {
-        return args._scope.getVariable(key, args.index);
+        return getScopedVariable(args, key);
     }
 }
 
@@ -979,9 +1400,12 @@ export function registerVariableCommands() {
             new SlashCommandNamedArgument(
                 'index', 'list index', [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING], false,
             ),
+            new SlashCommandNamedArgument(
+                'path', 'path to an element of a list or dictionary, like items[2].name; replaces index', [ARGUMENT_TYPE.STRING], false,
+            ),
             SlashCommandNamedArgument.fromProps({
                 name: 'as',
-                description: 'change the type of the value when used with index',
+                description: 'change the type of the value when used with index or path',
                 forceEnum: true,
                 enumProvider: commonEnumProviders.types,
                 isRequired: false,
@@ -997,6 +1421,7 @@ export function registerVariableCommands() {
             <div>
                 Set a local variable value and pass it down the pipe. The <code>index</code> argument is optional.
                 To convert the value to a specific JSON type when using <code>index</code>, use the <code>as</code> argument.
+                Use <code>path</code> to set an element of a nested list or dictionary. Missing lists and dictionaries on the path are created.
             </div>
             <div>
                 <strong>Example:</strong>
@@ -1007,6 +1432,9 @@ export function registerVariableCommands() {
                     <li>
                         <pre><code class="language-stscript">/setvar key=ages index=John as=number 21</code></pre>
                     </li>
+                    <li>
+                        <pre><code class="language-stscript">/setvar key=inventory path=items[0].count as=number 3</code></pre>
+                    </li>
                 </ul>
             </div>
         `,
@@ -1026,6 +1454,9 @@ export function registerVariableCommands() {
             new SlashCommandNamedArgument(
                 'index', 'list index', [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING], false,
             ),
+            new SlashCommandNamedArgument(
+                'path', 'path to an element of a list or dictionary, like items[2].name; replaces index', [ARGUMENT_TYPE.STRING], false,
+            ),
         ],
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
@@ -1038,6 +1469,8 @@ export function registerVariableCommands() {
         helpString: `
             <div>
                 Get a local variable value and pass it down the pipe. The <code>index</code> argument is optional.
+                Use <code>path</code> to get an element of a nested list or dictionary. Negative list indices count from the end.
+                The same paths work in macros: <code>{{getvar::inventory.items[0].name}}</code>
             </div>
             <div>
                 <strong>Examples:</strong>
@@ -1051,13 +1484,16 @@ export function registerVariableCommands() {
                     <li>
                         <pre><code class="language-stscript">/getvar index=3 costumes</code></pre>
                     </li>
+                    <li>
+                        <pre><code class="language-stscript">/getvar key=inventory path=items[2].name</code></pre>
+                    </li>
                 </ul>
             </div>
         `,
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'addvar',
-        callback: (args, value) => String(addLocalVariable(args.key || args.name, value)),
+        callback: (args, value) => String(addLocalVariable(args.key || args.name, value, args._scope)),
         aliases: ['addchatvar'],
         returns: 'the new variable value',
         namedArgumentList: [
@@ -1105,9 +1541,12 @@ export function registerVariableCommands() {
             new SlashCommandNamedArgument(
                 'index', 'list index', [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING], false,
             ),
+            new SlashCommandNamedArgument(
+                'path', 'path to an element of a list or dictionary, like items[2].name; replaces index', [ARGUMENT_TYPE.STRING], false,
+            ),
             SlashCommandNamedArgument.fromProps({
                 name: 'as',
-                description: 'change the type of the value when used with index',
+                description: 'change the type of the value when used with index or path',
                 forceEnum: true,
                 enumProvider: commonEnumProviders.types,
                 isRequired: false,
@@ -1123,6 +1562,7 @@ export function registerVariableCommands() {
             <div>
                 Set a global variable value and pass it down the pipe. The <code>index</code> argument is optional.
                 To convert the value to a specific JSON type when using <code>index</code>, use the <code>as</code> argument.
+                Use <code>path</code> to set an element of a nested list or dictionary. Missing lists and dictionaries on the path are created.
             </div>
             <div>
                 <strong>Example:</strong>
@@ -1133,6 +1573,9 @@ export function registerVariableCommands() {
                     <li>
                         <pre><code class="language-stscript">/setglobalvar key=ages index=John as=number 21</code></pre>
                     </li>
+                    <li>
+                        <pre><code class="language-stscript">/setglobalvar key=settings path=colors.background "#000"</code></pre>
+                    </li>
                 </ul>
             </div>
         `,
@@ -1151,6 +1594,9 @@ export function registerVariableCommands() {
             new SlashCommandNamedArgument(
                 'index', 'list index', [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING], false,
             ),
+            new SlashCommandNamedArgument(
+                'path', 'path to an element of a list or dictionary, like items[2].name; replaces index', [ARGUMENT_TYPE.STRING], false,
+            ),
         ],
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
@@ -1162,6 +1608,8 @@ export function registerVariableCommands() {
         helpString: `
             <div>
                 Get a global variable value and pass it down the pipe. The <code>index</code> argument is optional.
+                Use <code>path</code> to get an element of a nested list or dictionary. Negative list indices count from the end.
+                The same paths work in macros: <code>{{getglobalvar::settings.colors.background}}</code>
             </div>
             <div>
                 <strong>Examples:</strong>
@@ -1175,13 +1623,16 @@ export function registerVariableCommands() {
                     <li>
                         <pre><code class="language-stscript">/getglobalvar index=3 costumes</code></pre>
                     </li>
+                    <li>
+                        <pre><code class="language-stscript">/getglobalvar key=settings path=colors["background"]</code></pre>
+                    </li>
                 </ul>
             </div>
         `,
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'addglobalvar',
-        callback: (args, value) => String(addGlobalVariable(args.key || args.name, value)),
+        callback: (args, value) => String(addGlobalVariable(args.key || args.name, value, args._scope)),
         returns: 'the new variable value',
         namedArgumentList: [
             SlashCommandNamedArgument.fromProps({
@@ -1214,7 +1665,7 @@ export function registerVariableCommands() {
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'incvar',
-        callback: (_, value) => String(incrementLocalVariable(value)),
+        callback: (args, value) => String(incrementLocalVariable(value, args._scope)),
         aliases: ['incchatvar'],
         returns: 'the new variable value',
         unnamedArgumentList: [
@@ -1243,7 +1694,7 @@ export function registerVariableCommands() {
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'decvar',
-        callback: (_, value) => String(decrementLocalVariable(value)),
+        callback: (args, value) => String(decrementLocalVariable(value, args._scope)),
         aliases: ['decchatvar'],
         returns: 'the new variable value',
         unnamedArgumentList: [
@@ -1272,7 +1723,7 @@ export function registerVariableCommands() {
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'incglobalvar',
-        callback: (_, value) => String(incrementGlobalVariable(value)),
+        callback: (args, value) => String(incrementGlobalVariable(value, args._scope)),
         returns: 'the new variable value',
         unnamedArgumentList: [
             SlashCommandNamedArgument.fromProps({
@@ -1300,7 +1751,7 @@ export function registerVariableCommands() {
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'decglobalvar',
-        callback: (_, value) => String(decrementGlobalVariable(value)),
+        callback: (args, value) => String(decrementGlobalVariable(value, args._scope)),
         returns: 'the new variable value',
         unnamedArgumentList: [
             SlashCommandNamedArgument.fromProps({
@@ -1564,7 +2015,7 @@ export function registerVariableCommands() {
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'flushvar',
-        callback: async (_, value) => deleteLocalVariable(value instanceof SlashCommandClosure ? (await value.execute())?.pipe : String(value)),
+        callback: async (args, value) => deleteLocalVariable(value instanceof SlashCommandClosure ? (await value.execute())?.pipe : String(value), args._scope),
         aliases: ['flushchatvar'],
         unnamedArgumentList: [
             SlashCommandNamedArgument.fromProps({
@@ -1590,7 +2041,7 @@ export function registerVariableCommands() {
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'flushglobalvar',
-        callback: async (_, value) => deleteGlobalVariable(value instanceof SlashCommandClosure ? (await value.execute())?.pipe : String(value)),
+        callback: async (args, value) => deleteGlobalVariable(value instanceof SlashCommandClosure ? (await value.execute())?.pipe : String(value), args._scope),
         namedArgumentList: [],
         unnamedArgumentList: [
             SlashCommandNamedArgument.fromProps({
@@ -2151,6 +2602,233 @@ export function registerVariableCommands() {
             </div>
         `,
     }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'push',
+        callback: (args, value) => updateListVariable(args, list => {
+            list.push(convertValueType(value, args.as));
+            return JSON.stringify(list);
+        }),
+        returns: 'the updated list',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'key',
+                description: 'variable name',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME],
+                isRequired: true,
+                enumProvider: commonEnumProviders.variables('all'),
+                forceEnum: false,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'scope',
+                description: 'scope of the variable',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'local',
+                forceEnum: true,
+                enumList: [
+                    new SlashCommandEnumValue('local', 'Local variable', enumTypes.enum, enumIcons.localVariable),
+                    new SlashCommandEnumValue('global', 'Global variable', enumTypes.enum, enumIcons.globalVariable),
+                    new SlashCommandEnumValue('scoped', 'Scoped variable declared with /let', enumTypes.enum, enumIcons.scopeVariable),
+                ],
+            }),
+            new SlashCommandNamedArgument(
+                'path', 'path to a list inside the variable, like items or party[0].skills', [ARGUMENT_TYPE.STRING], false,
+            ),
+            SlashCommandNamedArgument.fromProps({
+                name: 'as',
+                description: 'change the type of the added value',
+                forceEnum: true,
+                enumProvider: commonEnumProviders.types,
+                isRequired: false,
+                defaultValue: 'string',
+            }),
+        ],
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'value', [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.BOOLEAN, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY], true,
+            ),
+        ],
+        helpString: `
+            <div>
+                Adds a value to the end of a list stored in a variable and passes the updated list down the pipe.
+                The list is created if the variable or path does not exist.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/push key=visited Tavern</code></pre>
+                    </li>
+                    <li>
+                        <pre><code class="language-stscript">/push key=inventory path=items as=object {"name": "sword", "count": 1}</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pop',
+        callback: (args) => updateListVariable(args, list => formatStructuredValue(list.pop())),
+        returns: 'the removed value',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'key',
+                description: 'variable name',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME],
+                isRequired: true,
+                enumProvider: commonEnumProviders.variables('all'),
+                forceEnum: false,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'scope',
+                description: 'scope of the variable',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'local',
+                forceEnum: true,
+                enumList: [
+                    new SlashCommandEnumValue('local', 'Local variable', enumTypes.enum, enumIcons.localVariable),
+                    new SlashCommandEnumValue('global', 'Global variable', enumTypes.enum, enumIcons.globalVariable),
+                    new SlashCommandEnumValue('scoped', 'Scoped variable declared with /let', enumTypes.enum, enumIcons.scopeVariable),
+                ],
+            }),
+            new SlashCommandNamedArgument(
+                'path', 'path to a list inside the variable, like items or party[0].skills', [ARGUMENT_TYPE.STRING], false,
+            ),
+        ],
+        helpString: `
+            <div>
+                Removes the last value of a list stored in a variable and passes it down the pipe.
+                Returns an empty string if the list is empty.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/pop key=visited | /echo Last visited: {{pipe}}</code></pre>
+                    </li>
+                    <li>
+                        <pre><code class="language-stscript">/pop key=inventory path=items | /echo Dropped {{pipe}}</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'map',
+        callback: mapCallback,
+        returns: 'the list or dictionary of the closure results',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'list',
+                description: 'name of a variable with the list or dictionary, or the list or dictionary itself; defaults to the pipe',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY],
+                enumProvider: commonEnumProviders.variables('all'),
+                forceEnum: false,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'closure executed for each element',
+                typeList: [ARGUMENT_TYPE.CLOSURE],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>
+                Executes a closure for each element of a list or dictionary and passes the list of the results down the pipe.
+                Dictionaries keep their keys. Inside the closure, <code>{{item}}</code> is the element and <code>{{index}}</code> its index or key.
+                Results that are valid JSON are added as lists, dictionaries, numbers or booleans.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/map list=[1,2,3] {: /mul {{item}} 2 :} | /echo</code></pre>
+                    </li>
+                    <li>
+                        <pre><code class="language-stscript">/getvar key=inventory path=items | /map {: /var key=x {{item}} | /var key=x path=name :} | /echo</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'filter',
+        callback: filterCallback,
+        returns: 'the list or dictionary of the kept elements',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'list',
+                description: 'name of a variable with the list or dictionary, or the list or dictionary itself; defaults to the pipe',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY],
+                enumProvider: commonEnumProviders.variables('all'),
+                forceEnum: false,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'closure executed for each element',
+                typeList: [ARGUMENT_TYPE.CLOSURE],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>
+                Executes a closure for each element of a list or dictionary and passes the elements for which the closure
+                returned a non-empty value other than <code>false</code>, <code>off</code> or <code>0</code> down the pipe.
+                Inside the closure, <code>{{item}}</code> is the element and <code>{{index}}</code> its index or key.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/filter list=["sword", "shield", "potion"] {: /test pattern="/^s/" {{item}} :} | /echo</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'reduce',
+        callback: reduceCallback,
+        returns: 'the last result of the closure',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'list',
+                description: 'name of a variable with the list or dictionary, or the list or dictionary itself; defaults to the pipe',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY],
+                enumProvider: commonEnumProviders.variables('all'),
+                forceEnum: false,
+            }),
+            new SlashCommandNamedArgument(
+                'initial', 'initial value of the accumulator; defaults to the first element', [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY], false,
+            ),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'closure executed for each element',
+                typeList: [ARGUMENT_TYPE.CLOSURE],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>
+                Executes a closure for each element of a list or dictionary to combine them into a single value, and passes it down the pipe.
+                Inside the closure, <code>{{acc}}</code> is the result of the previous execution, <code>{{item}}</code> the element
+                and <code>{{index}}</code> its index or key.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/reduce list=[1,2,3,4] {: /add {{acc}} {{item}} :} | /echo</code></pre>
+                    </li>
+                    <li>
+                        <pre><code class="language-stscript">/getvar key=inventory path=items | /reduce initial=0 {: /var key=x {{item}} | /var key=x path=count | /add {{acc}} {{pipe}} :} | /echo</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'rand',
         callback: (args, value) => String(randValuesCallback(Number(args.from ?? 0), Number(args.to ?? (value ? value : 1)), args)),
@@ -2224,9 +2902,12 @@ export function registerVariableCommands() {
                 false, // isRequired
                 false, // acceptsMultiple
             ),
+            new SlashCommandNamedArgument(
+                'path', 'path to an element of a list or dictionary, like items[2].name; replaces index', [ARGUMENT_TYPE.STRING], false,
+            ),
             SlashCommandNamedArgument.fromProps({
                 name: 'as',
-                description: 'change the type of the value when used with index',
+                description: 'change the type of the value when used with index or path',
                 forceEnum: true,
                 enumProvider: commonEnumProviders.types,
                 isRequired: false,
@@ -2251,8 +2932,9 @@ export function registerVariableCommands() {
         splitUnnamedArgumentCount: 1,
         helpString: `
             <div>
-                Get or set a variable. Use <code>index</code> to access elements of a JSON-serialized list or dictionary.
-                To convert the value to a specific JSON type when using with <code>index</code>, use the <code>as</code> argument.
+                Get or set a variable. Use <code>index</code> to access elements of a JSON-serialized list or dictionary,
+                or <code>path</code> to access elements of nested lists and dictionaries.
+                To convert the value to a specific JSON type when using with <code>index</code> or <code>path</code>, use the <code>as</code> argument.
             </div>
             <div>
                 <strong>Examples:</strong>
@@ -2266,6 +2948,9 @@ export function registerVariableCommands() {
                     <li>
                         <pre><code class="language-stscript">/let x {} | /var index=cool as=number x 1337 | /echo {{var::x}}</code></pre>
                     </li>
+                    <li>
+                        <pre><code class="language-stscript">/let x {} | /var path=stats.hp as=number x 10 | /var path=stats.hp x | /echo</code></pre>
+                    </li>
                 </ul>
             </div>
         `,
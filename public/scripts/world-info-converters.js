@@ -0,0 +1,605 @@
+import { lodash } from '../lib.js';
+import { extension_prompt_roles } from '../script.js';
+import { uuidv4 } from './utils.js';
+import { convertCharacterBook, DEFAULT_DEPTH, newWorldInfoEntryTemplate, world_info_logic, world_info_position } from './world-info.js';
+
+/**
+ * @typedef {object} LorebookConversionIssue
+ * @property {string|number|null} uid Entry UID or index in the source file, null for the lorebook itself
+ * @property {string} title Entry title
+ * @property {string[]} fields Fields that could not be converted
+ */
+
+/**
+ * @typedef {object} LorebookFormat
+ * @property {string} name Display name of the format
+ * @property {string} extension Extension of the exported file
+ * @property {(json: any) => boolean} detect Checks if the parsed file is in this format
+ * @property {(json: any, report: LorebookConversionReport) => object} fromFormat Converts the file to a World Info book
+ * @property {(name: string, data: any, report: LorebookConversionReport) => object} toFormat Converts a World Info book to the format
+ */
+
+/**
+ * Entry fields that are never reported as dropped: identifiers and legacy flags derived from other fields.
+ */
+const IGNORED_ENTRY_FIELDS = ['uid', 'displayIndex', 'addMemo', 'selective', 'originalData'];
+
+const TIMED_EFFECT_FIELDS = ['sticky', 'cooldown', 'delay'];
+
+/**
+ * Collects the fields that were lost while converting a lorebook between formats.
+ */
+export class LorebookConversionReport {
+    /** @type {Map<string|number|null, LorebookConversionIssue>} */
+    #issues = new Map();
+
+    /**
+     * @param {string} format Display name of the other format
+     * @param {'import'|'export'} direction Direction of the conversion
+     */
+    constructor(format, direction) {
+        this.format = format;
+        this.direction = direction;
+    }
+
+    /**
+     * Records a field that could not be converted.
+     * @param {string|number|null} uid Entry UID or index, null for the lorebook itself
+     * @param {string} title Entry title
+     * @param {string} field Name of the dropped field
+     */
+    drop(uid, title, field) {
+        if (!this.#issues.has(uid)) {
+            this.#issues.set(uid, { uid, title: title || '', fields: [] });
+        }
+
+        const issue = this.#issues.get(uid);
+        if (!issue.fields.includes(field)) {
+            issue.fields.push(field);
+        }
+    }
+
+    /**
+     * Reports the fields of a World Info entry that were changed from the defaults, but are not supported by the format.
+     * @param {object} entry World Info entry
+     * @param {string[]} supportedFields Fields preserved by the format
+     */
+    dropUnsupportedFields(entry, supportedFields) {
+        for (const [field, value] of Object.entries(entry)) {
+            if (supportedFields.includes(field) || IGNORED_ENTRY_FIELDS.includes(field)) {
+                continue;
+            }
+
+            if (!isDefaultEntryValue(field, value)) {
+                this.drop(entry.uid, entry.comment, field);
+            }
+        }
+    }
+
+    /**
+     * Reports the fields of an object in another format that have no World Info counterpart.
+     * @param {string|number|null} uid Entry UID or index
+     * @param {string} title Entry title
+     * @param {object} source Source object
+     * @param {string[]} mappedFields Fields that were converted or intentionally skipped
+     * @param {object} [defaults] Default values of the format that are not worth reporting
+     * @param {string} [prefix] Prefix of the reported field names, used for nested objects
+     */
+    dropUnmappedFields(uid, title, source, mappedFields, defaults = {}, prefix = '') {
+        for (const [field, value] of Object.entries(source ?? {})) {
+            if (mappedFields.includes(field) || isEmptyValue(value) || lodash.isEqual(value, defaults[field])) {
+                continue;
+            }
+
+            this.drop(uid, title, prefix + field);
+        }
+    }
+
+    /**
+     * @returns {boolean} True if nothing was lost in the conversion
+     */
+    get isEmpty() {
+        return this.#issues.size === 0;
+    }
+
+    /**
+     * @returns {LorebookConversionIssue[]} Dropped fields, grouped by entry
+     */
+    get issues() {
+        return Array.from(this.#issues.values());
+    }
+}
+
+/**
+ * Checks if a value carries no information.
+ * @param {any} value Value to check
+ * @returns {boolean} True if the value is empty
+ */
+function isEmptyValue(value) {
+    if (value === undefined || value === null || value === '' || value === false) {
+        return true;
+    }
+
+    if (Array.isArray(value)) {
+        return value.length === 0;
+    }
+
+    if (typeof value === 'object') {
+        return Object.keys(value).length === 0;
+    }
+
+    return false;
+}
+
+/**
+ * Checks if a World Info entry field has its default value.
+ * Missing values fall back to the defaults, and cleared timed effects are saved as 0.
+ * @param {string} field Field name
+ * @param {any} value Field value
+ * @returns {boolean} True if the value is the default one
+ */
+function isDefaultEntryValue(field, value) {
+    if (field === 'characterFilter') {
+        return isEmptyValue([...(value?.names ?? []), ...(value?.tags ?? [])]);
+    }
+
+    if (!(field in newWorldInfoEntryTemplate)) {
+        return isEmptyValue(value);
+    }
+
+    const defaultValue = newWorldInfoEntryTemplate[field];
+    return value === null || value === undefined || lodash.isEqual(value, defaultValue) || (TIMED_EFFECT_FIELDS.includes(field) && value === 0);
+}
+
+/**
+ * Gets the entries of a World Info book in the display order.
+ * @param {any} data World Info data
+ * @returns {object[]} Sorted entries
+ */
+function getSortedEntries(data) {
+    return Object.values(data.entries).sort((a, b) => (a.displayIndex ?? a.uid) - (b.displayIndex ?? b.uid));
+}
+
+/**
+ * Splits a comma-separated list of keys.
+ * @param {string} value Keys string
+ * @returns {string[]} List of keys
+ */
+function splitKeys(value) {
+    return String(value ?? '').split(',').map(x => x.trim()).filter(x => x);
+}
+
+/**
+ * Creates a World Info entry from the template.
+ * @param {number} uid Entry UID
+ * @param {object} fields Entry fields
+ * @returns {object} World Info entry
+ */
+function createEntry(uid, fields) {
+    return {
+        ...structuredClone(newWorldInfoEntryTemplate),
+        uid: uid,
+        displayIndex: uid,
+        ...fields,
+        addMemo: !!fields.comment,
+    };
+}
+
+const NOVEL_ENTRY_DEFAULTS = {
+    searchRange: 1000,
+    keyRelative: false,
+    nonStoryActivatable: false,
+};
+
+const NOVEL_CONTEXT_DEFAULTS = {
+    prefix: '',
+    suffix: '\n',
+    tokenBudget: 1,
+    reservedTokens: 0,
+    trimDirection: 'trimBottom',
+    insertionType: 'newline',
+    maximumTrimType: 'sentence',
+};
+
+/**
+ * NovelAI inserts lore at -1 (the end of the context) by default, other negative positions count lines from the end.
+ */
+const NOVEL_DEFAULT_INSERTION_POSITION = -1;
+
+/**
+ * Converts a NovelAI lorebook to a World Info book.
+ * Categories become inclusion groups, negative insertion positions become depth.
+ * @param {any} inputObj NovelAI lorebook
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} World Info data
+ */
+function convertNovelLorebook(inputObj, report) {
+    const outputObj = { entries: {} };
+    const categories = Array.isArray(inputObj.categories) ? inputObj.categories : [];
+
+    inputObj.entries.forEach((entry, index) => {
+        const displayName = entry.displayName;
+        const insertionPosition = entry.contextConfig?.insertionPosition ?? NOVEL_DEFAULT_INSERTION_POSITION;
+        const isAtDepth = insertionPosition < NOVEL_DEFAULT_INSERTION_POSITION;
+
+        outputObj.entries[index] = createEntry(index, {
+            key: entry.keys ?? [],
+            comment: displayName || '',
+            content: entry.text ?? '',
+            constant: !!entry.forceActivation,
+            order: entry.contextConfig?.budgetPriority ?? 0,
+            position: isAtDepth ? world_info_position.atDepth : world_info_position.before,
+            depth: isAtDepth ? -insertionPosition - 1 : DEFAULT_DEPTH,
+            disable: !entry.enabled,
+            group: categories.find(x => x.id === entry.category)?.name ?? '',
+        });
+
+        report.dropUnmappedFields(index, displayName, entry, ['keys', 'displayName', 'text', 'forceActivation', 'contextConfig', 'enabled', 'category', 'id', 'lastUpdatedAt', 'loreBiasGroups'], NOVEL_ENTRY_DEFAULTS);
+        report.dropUnmappedFields(index, displayName, entry.contextConfig, ['budgetPriority', 'insertionPosition'], NOVEL_CONTEXT_DEFAULTS, 'contextConfig.');
+
+        if (Array.isArray(entry.loreBiasGroups) && entry.loreBiasGroups.some(x => x?.phrases?.length)) {
+            report.drop(index, displayName, 'loreBiasGroups');
+        }
+    });
+
+    return outputObj;
+}
+
+/**
+ * Converts a World Info book to a NovelAI lorebook.
+ * @param {string} _name Name of the book (unused)
+ * @param {any} data World Info data
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} NovelAI lorebook
+ */
+function exportNovelLorebook(_name, data, report) {
+    const categories = new Map();
+    const entries = getSortedEntries(data).map(entry => {
+        const [group, ...otherGroups] = String(entry.group ?? '').split(/,\s*/).filter(x => x);
+        const isAtDepth = entry.position === world_info_position.atDepth;
+
+        if (group && !categories.has(group)) {
+            categories.set(group, { name: group, id: uuidv4(), enabled: true, createSubcontext: false, useCategoryDefaults: false, categoryBiasGroups: [] });
+        }
+
+        if (otherGroups.length) {
+            report.drop(entry.uid, entry.comment, 'group');
+        }
+
+        if (!isAtDepth && entry.position !== world_info_position.before) {
+            report.drop(entry.uid, entry.comment, 'position');
+        }
+
+        report.dropUnsupportedFields(entry, ['key', 'comment', 'content', 'constant', 'order', 'disable', 'group', 'position', 'depth']);
+
+        return {
+            text: entry.content ?? '',
+            contextConfig: {
+                ...NOVEL_CONTEXT_DEFAULTS,
+                budgetPriority: entry.order ?? 0,
+                insertionPosition: isAtDepth ? -(entry.depth ?? DEFAULT_DEPTH) - 1 : NOVEL_DEFAULT_INSERTION_POSITION,
+            },
+            lastUpdatedAt: Date.now(),
+            displayName: entry.comment ?? '',
+            id: uuidv4(),
+            keys: entry.key ?? [],
+            ...NOVEL_ENTRY_DEFAULTS,
+            enabled: !entry.disable,
+            forceActivation: !!entry.constant,
+            category: categories.get(group)?.id ?? '',
+            loreBiasGroups: [],
+        };
+    });
+
+    return {
+        lorebookVersion: 5,
+        entries: entries,
+        settings: { orderByKeyLocations: false },
+        categories: Array.from(categories.values()),
+    };
+}
+
+/**
+ * Converts an Agnai memory book to a World Info book.
+ * @param {any} inputObj Agnai memory book
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} World Info data
+ */
+function convertAgnaiMemoryBook(inputObj, report) {
+    const outputObj = { entries: {} };
+
+    inputObj.entries.forEach((entry, index) => {
+        outputObj.entries[index] = createEntry(index, {
+            key: entry.keywords ?? [],
+            comment: entry.name ?? '',
+            content: entry.entry ?? '',
+            selective: false,
+            order: entry.weight ?? entry.priority ?? 0,
+            disable: !entry.enabled,
+        });
+
+        // World Info has a single order for both the budget priority and the prompt placement
+        if (typeof entry.priority === 'number' && typeof entry.weight === 'number' && entry.priority !== entry.weight) {
+            report.drop(index, entry.name, 'priority');
+        }
+
+        report.dropUnmappedFields(index, entry.name, entry, ['keywords', 'name', 'entry', 'weight', 'priority', 'enabled']);
+    });
+
+    report.dropUnmappedFields(null, inputObj.name, inputObj, ['kind', 'name', 'entries', 'userId', '_id', 'createdAt', 'updatedAt']);
+
+    return outputObj;
+}
+
+/**
+ * Converts a World Info book to an Agnai memory book.
+ * @param {string} name Name of the book
+ * @param {any} data World Info data
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} Agnai memory book
+ */
+function exportAgnaiMemoryBook(name, data, report) {
+    const entries = getSortedEntries(data).map(entry => {
+        report.dropUnsupportedFields(entry, ['key', 'comment', 'content', 'order', 'disable']);
+
+        return {
+            name: entry.comment ?? '',
+            entry: entry.content ?? '',
+            keywords: entry.key ?? [],
+            priority: entry.order ?? 0,
+            weight: entry.order ?? 0,
+            enabled: !entry.disable,
+        };
+    });
+
+    return {
+        kind: 'memory',
+        name: name,
+        description: '',
+        entries: entries,
+    };
+}
+
+/**
+ * Converts a RisuAI lorebook to a World Info book.
+ * Folder entries are skipped, regex keys are wrapped in slashes.
+ * @param {any} inputObj RisuAI lorebook
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} World Info data
+ */
+function convertRisuLorebook(inputObj, report) {
+    const outputObj = { entries: {} };
+
+    inputObj.data.forEach((entry, index) => {
+        if (entry.mode === 'folder') {
+            report.drop(index, entry.comment, 'mode');
+            return;
+        }
+
+        const regexKey = String(entry.key ?? '').startsWith('/') ? entry.key : `/${entry.key}/`;
+        const hasProbability = typeof entry.activationPercent === 'number';
+
+        outputObj.entries[index] = createEntry(index, {
+            key: entry.useRegex ? [regexKey] : splitKeys(entry.key),
+            keysecondary: splitKeys(entry.secondkey),
+            comment: entry.comment ?? '',
+            content: entry.content ?? '',
+            constant: !!entry.alwaysActive,
+            selective: !!entry.selective,
+            order: entry.insertorder ?? 100,
+            probability: hasProbability ? entry.activationPercent : 100,
+            useProbability: true,
+        });
+
+        report.dropUnmappedFields(index, entry.comment, entry, ['key', 'secondkey', 'comment', 'content', 'alwaysActive', 'selective', 'insertorder', 'activationPercent', 'useRegex', 'mode', 'loreCache', 'bookVersion'], { mode: 'normal' });
+    });
+
+    return outputObj;
+}
+
+/**
+ * Converts a World Info book to a RisuAI lorebook.
+ * @param {string} _name Name of the book (unused)
+ * @param {any} data World Info data
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} RisuAI lorebook
+ */
+function exportRisuLorebook(_name, data, report) {
+    const entries = getSortedEntries(data).map(entry => {
+        const keys = entry.key ?? [];
+        const secondaryKeys = entry.keysecondary ?? [];
+
+        if ([...keys, ...secondaryKeys].some(x => String(x).includes(','))) {
+            report.drop(entry.uid, entry.comment, 'key');
+        }
+
+        // RisuAI only requires any secondary key to match
+        if (secondaryKeys.length && entry.selectiveLogic !== world_info_logic.AND_ANY) {
+            report.drop(entry.uid, entry.comment, 'selectiveLogic');
+        }
+
+        if (entry.position !== world_info_position.before) {
+            report.drop(entry.uid, entry.comment, 'position');
+        }
+
+        report.dropUnsupportedFields(entry, ['key', 'keysecondary', 'selectiveLogic', 'comment', 'content', 'constant', 'order', 'probability', 'useProbability', 'position']);
+
+        return {
+            key: keys.join(', '),
+            secondkey: secondaryKeys.join(', '),
+            insertorder: entry.order ?? 100,
+            comment: entry.comment ?? '',
+            content: entry.content ?? '',
+            mode: 'normal',
+            alwaysActive: !!entry.constant,
+            selective: secondaryKeys.length > 0,
+            useRegex: false,
+            activationPercent: entry.useProbability ? (entry.probability ?? 100) : 100,
+        };
+    });
+
+    return {
+        type: 'risu',
+        ver: 1,
+        data: entries,
+    };
+}
+
+/**
+ * Converts a standalone V3 lorebook or a V2/V3 character book to a World Info book.
+ * @param {any} inputObj Lorebook data
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} World Info data
+ */
+function importCharacterBook(inputObj, report) {
+    const book = inputObj.spec === 'lorebook_v3' ? inputObj.data : inputObj;
+
+    book.entries.forEach((entry, index) => {
+        report.dropUnmappedFields(entry.id ?? index, entry.comment, entry, ['id', 'keys', 'secondary_keys', 'comment', 'content', 'constant', 'selective', 'insertion_order', 'enabled', 'position', 'use_regex', 'case_sensitive', 'name', 'extensions']);
+    });
+
+    report.dropUnmappedFields(null, book.name, book, ['name', 'entries', 'extensions']);
+
+    return convertCharacterBook(book);
+}
+
+/**
+ * Converts a World Info book to a standalone V3 lorebook.
+ * Mirrors convertWorldInfoToCharacterBook in src/endpoints/characters.js.
+ * @param {string} name Name of the book
+ * @param {any} data World Info data
+ * @param {LorebookConversionReport} report Conversion report
+ * @returns {object} V3 lorebook
+ */
+function exportCharacterBook(name, data, report) {
+    const entries = getSortedEntries(data).map(entry => {
+        report.dropUnsupportedFields(entry, Object.keys(newWorldInfoEntryTemplate).concat('extensions'));
+
+        return {
+            id: entry.uid,
+            keys: entry.key,
+            secondary_keys: entry.keysecondary,
+            comment: entry.comment,
+            content: entry.content,
+            constant: entry.constant,
+            selective: entry.selective,
+            insertion_order: entry.order,
+            enabled: !entry.disable,
+            position: entry.position == world_info_position.before ? 'before_char' : 'after_char',
+            use_regex: true,
+            extensions: {
+                ...entry.extensions,
+                position: entry.position,
+                exclude_recursion: entry.excludeRecursion,
+                display_index: entry.displayIndex,
+                probability: entry.probability ?? null,
+                useProbability: entry.useProbability ?? false,
+                depth: entry.depth ?? DEFAULT_DEPTH,
+                selectiveLogic: entry.selectiveLogic ?? world_info_logic.AND_ANY,
+                group: entry.group ?? '',
+                group_override: entry.groupOverride ?? false,
+                group_weight: entry.groupWeight ?? null,
+                prevent_recursion: entry.preventRecursion ?? false,
+                delay_until_recursion: entry.delayUntilRecursion ?? false,
+                scan_depth: entry.scanDepth ?? null,
+                match_whole_words: entry.matchWholeWords ?? null,
+                use_group_scoring: entry.useGroupScoring ?? false,
+                case_sensitive: entry.caseSensitive ?? null,
+                automation_id: entry.automationId ?? '',
+                role: entry.role ?? extension_prompt_roles.SYSTEM,
+                vectorized: entry.vectorized ?? false,
+                sticky: entry.sticky ?? null,
+                cooldown: entry.cooldown ?? null,
+                delay: entry.delay ?? null,
+                match_persona_description: entry.matchPersonaDescription ?? false,
+                match_character_description: entry.matchCharacterDescription ?? false,
+                match_character_personality: entry.matchCharacterPersonality ?? false,
+                match_character_depth_prompt: entry.matchCharacterDepthPrompt ?? false,
+                match_scenario: entry.matchScenario ?? false,
+                match_creator_notes: entry.matchCreatorNotes ?? false,
+            },
+        };
+    });
+
+    return {
+        spec: 'lorebook_v3',
+        data: {
+            name: name,
+            description: '',
+            extensions: {},
+            entries: entries,
+        },
+    };
+}
+
+/**
+ * Lorebook formats of other applications, in the order of detection.
+ * @type {Record<string, LorebookFormat>}
+ */
+export const LOREBOOK_FORMATS = {
+    novel: {
+        name: 'NovelAI Lorebook',
+        extension: 'lorebook',
+        detect: json => json.lorebookVersion !== undefined,
+        fromFormat: convertNovelLorebook,
+        toFormat: exportNovelLorebook,
+    },
+    agnai: {
+        name: 'Agnai Memory Book',
+        extension: 'json',
+        detect: json => json.kind === 'memory',
+        fromFormat: convertAgnaiMemoryBook,
+        toFormat: exportAgnaiMemoryBook,
+    },
+    risu: {
+        name: 'RisuAI Lorebook',
+        extension: 'json',
+        detect: json => json.type === 'risu',
+        fromFormat: convertRisuLorebook,
+        toFormat: exportRisuLorebook,
+    },
+    character_book: {
+        name: 'Character Book (V2/V3)',
+        extension: 'json',
+        detect: json => json.spec === 'lorebook_v3' || (Array.isArray(json.entries) && json.entries.every(x => Array.isArray(x?.keys) && 'content' in x)),
+        fromFormat: importCharacterBook,
+        toFormat: exportCharacterBook,
+    },
+};
+
+/**
+ * Converts a lorebook of another application to a World Info book.
+ * @param {any} json Parsed lorebook file
+ * @returns {{ data: object, report: LorebookConversionReport } | null} Converted data, or null if the file is not in a known format
+ */
+export function convertLorebookToWorldInfo(json) {
+    const [, format] = Object.entries(LOREBOOK_FORMATS).find(([, format]) => format.detect(json)) ?? [];
+
+    if (!format) {
+        return null;
+    }
+
+    console.log(`Converting ${format.name}`);
+    const report = new LorebookConversionReport(format.name, 'import');
+    const data = format.fromFormat(json, report);
+    return { data, report };
+}
+
+/**
+ * Converts a World Info book to a lorebook of another application.
+ * @param {string} formatId Key of the target format in LOREBOOK_FORMATS
+ * @param {string} name Name of the book
+ * @param {any} data World Info data
+ * @returns {{ data: object, report: LorebookConversionReport }} Converted data and the report of dropped fields
+ */
+export function convertWorldInfoToLorebook(formatId, name, data) {
+    const format = LOREBOOK_FORMATS[formatId];
+
+    if (!format) {
+        throw new Error(`Unknown lorebook format: ${formatId}`);
+    }
+
+    const report = new LorebookConversionReport(format.name, 'export');
+    const converted = format.toFormat(name, data, report);
+    return { data: converted, report };
+}
@@ -0,0 +1,360 @@
+import { characters, chat, chat_metadata, generateRaw, getCurrentChatId, getMaxContextSize, this_chid } from '../script.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { removeReasoningFromString } from './reasoning.js';
+import { renderTemplateAsync } from './templates.js';
+import { getTokenCountAsync } from './tokenizers.js';
+import { createWorldInfoEntry, getSortedEntries, loadWorldInfo, METADATA_KEY, reloadEditor, saveWorldInfo, world_names } from './world-info.js';
+
+/**
+ * @typedef {object} LoreProposal A lorebook entry proposed by the model
+ * @property {string} name Name of the subject
+ * @property {string[]} keys Keywords of the subject
+ * @property {string} content Description of the subject
+ * @property {{ world: string, uid: number, comment: string, key: string[], content: string }} [match] Existing entry to update
+ */
+
+const EXTRACTION_PROMPT = `You are a lorebook editor. Read the roleplay transcript and list the named characters, places, items, factions and other persistent lore that appear in it.
+Reply with a JSON array only, without any commentary. Each element must be an object with the fields:
+"name" - the name of the subject;
+"keys" - an array of short keywords that refer to the subject in the text, including the name;
+"content" - a concise, factual description of the subject in the third person, based only on the transcript.
+Do not include {{user}} and {{char}}. Skip subjects that are mentioned only in passing.
+The subjects below already have lorebook entries with the descriptions given after their keywords. Include one of them only if the transcript reveals facts that are missing from its description, using the same name and describing only the missing facts.
+{{knownEntries}}`;
+
+/**
+ * Maximum number of existing entries listed in the prompt.
+ */
+const MAX_KNOWN_ENTRIES = 200;
+
+/**
+ * Maximum length of the description of an existing entry in the prompt.
+ */
+const MAX_KNOWN_CONTENT_LENGTH = 500;
+
+/**
+ * Gets the lorebook that new entries are added to by default.
+ * @returns {string} Lorebook name
+ */
+function getDefaultTargetBook() {
+    const candidates = [
+        chat_metadata[METADATA_KEY],
+        characters[this_chid]?.data?.extensions?.world,
+        world_names[Number($('#world_editor_select').val())],
+    ];
+
+    return candidates.find(x => x && world_names.includes(x)) ?? world_names[0] ?? '';
+}
+
+/**
+ * Splits the messages of a chat range into transcript chunks that fit into the model context.
+ * @param {number} start Index of the first message
+ * @param {number} end Index of the last message
+ * @param {number} tokenBudget Maximum number of tokens in a chunk
+ * @returns {Promise<string[]>} Transcript chunks
+ */
+async function getTranscriptChunks(start, end, tokenBudget) {
+    const chunks = [];
+    let chunk = [];
+    let chunkTokens = 0;
+
+    for (const message of chat.slice(start, end + 1)) {
+        if (message.is_system || !message.mes) {
+            continue;
+        }
+
+        const line = `${message.name}: ${message.mes}`;
+        const tokens = await getTokenCountAsync(line);
+
+        if (chunk.length && chunkTokens + tokens > tokenBudget) {
+            chunks.push(chunk.join('\n\n'));
+            chunk = [];
+            chunkTokens = 0;
+        }
+
+        chunk.push(line);
+        chunkTokens += tokens;
+    }
+
+    if (chunk.length) {
+        chunks.push(chunk.join('\n\n'));
+    }
+
+    return chunks;
+}
+
+/**
+ * Parses the entries from the model reply.
+ * @param {string} text Model reply
+ * @returns {LoreProposal[]} Proposed entries
+ */
+function parseProposals(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+
+    if (start === -1 || end <= start) {
+        console.warn('Lore extraction reply does not contain a JSON array', text);
+        return [];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        console.warn('Could not parse the lore extraction reply', error, text);
+        return [];
+    }
+
+    if (!Array.isArray(parsed)) {
+        return [];
+    }
+
+    return parsed
+        .filter(x => typeof x?.name === 'string' && typeof x?.content === 'string' && x.name.trim() && x.content.trim())
+        .map(x => ({
+            name: x.name.trim(),
+            keys: (Array.isArray(x.keys) ? x.keys : [x.name]).map(key => String(key).trim()).filter(key => key),
+            content: x.content.trim(),
+        }));
+}
+
+/**
+ * Finds the existing entry or an earlier proposal that describes the same subject.
+ * @param {{ name: string, keys: string[] }} proposal Proposed entry
+ * @param {{ comment?: string, name?: string, key?: string[], keys?: string[] }[]} candidates Entries to search
+ * @returns {number} Index of the matching candidate, or -1
+ */
+function findMatchingIndex(proposal, candidates) {
+    const keys = new Set([proposal.name, ...proposal.keys].map(x => x.toLowerCase()));
+
+    return candidates.findIndex(candidate => {
+        const candidateKeys = [candidate.comment ?? candidate.name, ...(candidate.key ?? candidate.keys ?? [])];
+        return candidateKeys.some(x => x && keys.has(String(x).toLowerCase()));
+    });
+}
+
+/**
+ * Adds the proposals from a chunk to the list, merging the ones about the same subject.
+ * @param {LoreProposal[]} proposals Proposals collected so far
+ * @param {LoreProposal[]} newProposals Proposals from the current chunk
+ * @param {object[]} existingEntries Existing World Info entries
+ */
+function mergeProposals(proposals, newProposals, existingEntries) {
+    for (const proposal of newProposals) {
+        const index = findMatchingIndex(proposal, proposals);
+
+        if (index !== -1) {
+            const previous = proposals[index];
+            previous.keys = Array.from(new Set([...previous.keys, ...proposal.keys]));
+            previous.content = previous.content.includes(proposal.content) ? previous.content : `${previous.content}\n${proposal.content}`;
+            continue;
+        }
+
+        const matchIndex = findMatchingIndex(proposal, existingEntries);
+        if (matchIndex !== -1) {
+            const { world, uid, comment, key, content } = existingEntries[matchIndex];
+            proposal.match = { world, uid, comment, key, content };
+        }
+
+        proposals.push(proposal);
+    }
+}
+
+/**
+ * Runs the chat messages through the model and collects the proposed entries.
+ * @param {number} start Index of the first message
+ * @param {number} end Index of the last message
+ * @returns {Promise<LoreProposal[]>} Proposed entries
+ */
+async function extractLore(start, end) {
+    const existingEntries = await getSortedEntries();
+    const knownEntries = existingEntries
+        .slice(0, MAX_KNOWN_ENTRIES)
+        .map(entry => {
+            const content = String(entry.content ?? '').replace(/\s+/g, ' ').trim();
+            const shortContent = content.length > MAX_KNOWN_CONTENT_LENGTH ? `${content.slice(0, MAX_KNOWN_CONTENT_LENGTH)}…` : content;
+            return `- ${entry.comment || entry.key?.[0] || ''} (${(entry.key ?? []).join(', ')}): ${shortContent}`;
+        })
+        .join('\n');
+    const prompt = EXTRACTION_PROMPT.replace('{{knownEntries}}', knownEntries || '(none)');
+    const promptTokens = await getTokenCountAsync(prompt);
+    const chunks = await getTranscriptChunks(start, end, Math.max(Math.floor(getMaxContextSize() / 2) - promptTokens, 512));
+    const chatId = getCurrentChatId();
+
+    /** @type {LoreProposal[]} */
+    const proposals = [];
+    let isStopped = false;
+    const progress = toastr.info(t`Click to stop.`, t`Extracting lore`, {
+        timeOut: 0,
+        extendedTimeOut: 0,
+        tapToDismiss: false,
+        onclick: () => { isStopped = true; },
+    });
+
+    try {
+        for (let i = 0; i < chunks.length; i++) {
+            if (isStopped || chatId !== getCurrentChatId()) {
+                break;
+            }
+
+            progress.find('.toast-title').text(t`Extracting lore` + ` (${i + 1}/${chunks.length})`);
+            const reply = await generateRaw(chunks[i], '', false, false, prompt);
+            mergeProposals(proposals, parseProposals(removeReasoningFromString(reply)), existingEntries);
+        }
+    } finally {
+        toastr.clear(progress);
+    }
+
+    return proposals;
+}
+
+/**
+ * Shows the proposed entries for review and writes the accepted ones.
+ * @param {LoreProposal[]} proposals Proposed entries
+ * @param {string} targetBook Lorebook for the new entries
+ */
+async function reviewProposals(proposals, targetBook) {
+    const template = $(await renderTemplateAsync('worldInfoExtractReview', {
+        targetBook,
+        proposals: proposals.map((proposal, index) => ({
+            index,
+            name: proposal.name,
+            keys: proposal.keys.join(', '),
+            // Updated entries are edited as a whole, so the user can merge the new facts into the existing text
+            content: proposal.match?.content ? `${proposal.match.content}\n${proposal.content}` : proposal.content,
+            match: proposal.match,
+        })),
+    }));
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: t`Save`, cancelButton: t`Cancel`, wide: true, large: true, allowVerticalScrolling: true });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    /** @type {Map<string, any>} */
+    const books = new Map();
+    const getBook = async (/** @type {string} */ name) => {
+        if (!books.has(name)) {
+            books.set(name, await loadWorldInfo(name));
+        }
+        return books.get(name);
+    };
+
+    let created = 0;
+    let updated = 0;
+
+    for (const element of template.find('.worldInfoExtractProposal')) {
+        if (!$(element).find('.worldInfoExtractAccept').prop('checked')) {
+            continue;
+        }
+
+        const proposal = proposals[Number($(element).data('index'))];
+        const name = String($(element).find('.worldInfoExtractName').val()).trim();
+        const keys = String($(element).find('.worldInfoExtractKeys').val()).split(',').map(x => x.trim()).filter(x => x);
+        const content = String($(element).find('.worldInfoExtractContent').val()).trim();
+
+        if (proposal.match) {
+            const data = await getBook(proposal.match.world);
+            const entry = data?.entries?.[proposal.match.uid];
+
+            if (!entry) {
+                toastr.warning(t`Entry ${proposal.match.uid} was not found in ${proposal.match.world}.`);
+                continue;
+            }
+
+            if (entry.content !== proposal.match.content) {
+                toastr.warning(t`Entry ${proposal.match.uid} in ${proposal.match.world} was changed during the extraction and was not updated.`);
+                continue;
+            }
+
+            entry.key = Array.from(new Set([...(entry.key ?? []), ...keys]));
+            entry.content = content;
+            updated++;
+            continue;
+        }
+
+        const data = await getBook(targetBook);
+        const entry = data && createWorldInfoEntry(targetBook, data);
+
+        if (!entry) {
+            continue;
+        }
+
+        Object.assign(entry, { key: keys, comment: name, content: content, addMemo: true });
+        created++;
+    }
+
+    for (const [name, data] of books) {
+        if (data) {
+            await saveWorldInfo(name, data, true);
+            reloadEditor(name);
+        }
+    }
+
+    if (created || updated) {
+        toastr.success(t`Created ${created} and updated ${updated} World Info entries.`);
+    }
+}
+
+/**
+ * Extracts lorebook entries from the current chat.
+ */
+async function openLoreExtractor() {
+    if (!getCurrentChatId() || !chat.length) {
+        toastr.warning(t`Open a chat to extract lore from.`);
+        return;
+    }
+
+    if (!world_names?.length) {
+        toastr.warning(t`Create a lorebook to save the extracted lore to.`);
+        return;
+    }
+
+    const template = $(await renderTemplateAsync('worldInfoExtract', {
+        books: world_names.map(name => ({ name, selected: name === getDefaultTargetBook() })),
+        start: 0,
+        end: chat.length - 1,
+        lastMessage: chat.length - 1,
+    }));
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: t`Extract`, cancelButton: t`Cancel` });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const targetBook = String(template.find('.worldInfoExtractBook').val());
+    const start = Math.max(Number(template.find('.worldInfoExtractStart').val()) || 0, 0);
+    const end = Math.min(Number(template.find('.worldInfoExtractEnd').val()) || 0, chat.length - 1);
+
+    if (start > end) {
+        toastr.warning(t`The first message must come before the last one.`);
+        return;
+    }
+
+    try {
+        const proposals = await extractLore(start, end);
+
+        if (!proposals.length) {
+            toastr.info(t`No new lore was found in the selected messages.`);
+            return;
+        }
+
+        await reviewProposals(proposals, targetBook);
+    } catch (error) {
+        console.error('Lore extraction failed', error);
+        toastr.error(error?.message ?? error?.error?.message ?? String(error), t`Could not extract lore`);
+    }
+}
+
+export function initWorldInfoExtractor() {
+    const extractButton = document.getElementById('world_info_extract');
+    if (!extractButton) {
+        console.warn('Lore extraction button not found');
+        return;
+    }
+
+    extractButton.addEventListener('click', () => openLoreExtractor());
+}
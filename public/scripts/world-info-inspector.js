@@ -0,0 +1,149 @@
+import { characters, Generate, this_chid } from '../script.js';
+import { selected_group } from './group-chats.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { getLastWorldInfoScanTrace } from './world-info.js';
+
+/**
+ * @typedef {import('./world-info.js').WIEntryTrace} WIEntryTrace
+ * @typedef {import('./world-info.js').WIScanTrace} WIScanTrace
+ */
+
+const STATUS_ORDER = ['activated', 'candidate', 'skipped'];
+
+const STATUS_ICONS = {
+    activated: 'fa-circle-check',
+    candidate: 'fa-circle-half-stroke',
+    skipped: 'fa-circle-minus',
+};
+
+/**
+ * Gets the description of a decision reason code.
+ * @param {string} reason Reason code
+ * @returns {string} Localized description
+ */
+function getReasonText(reason) {
+    switch (reason) {
+        case 'added': return t`Added to the prompt`;
+        case 'no_match': return t`No primary key matched the scanned text`;
+        case 'no_keys': return t`No keys defined and not constant`;
+        case 'disabled': return t`Disabled`;
+        case 'character_filter': return t`Filtered out by character`;
+        case 'tag_filter': return t`Filtered out by tag`;
+        case 'delay': return t`Suppressed by delay`;
+        case 'cooldown': return t`Suppressed by cooldown`;
+        case 'delay_until_recursion': return t`Delayed until recursion`;
+        case 'exclude_recursion': return t`Excluded from recursion`;
+        case 'decorator_activate': return t`Activated by @@activate decorator`;
+        case 'decorator_dont_activate': return t`Suppressed by @@dont_activate decorator`;
+        case 'external': return t`Activated externally`;
+        case 'constant': return t`Constant`;
+        case 'sticky': return t`Sticky effect is active`;
+        case 'primary_key': return t`Primary key matched`;
+        case 'secondary_keys': return t`Primary key matched, secondary keys satisfied`;
+        case 'secondary_keys_failed': return t`Primary key matched, secondary keys not satisfied`;
+        case 'group_score': return t`Lost inclusion group by key match score`;
+        case 'group_sticky': return t`Lost inclusion group to a sticky entry`;
+        case 'group_already_activated': return t`Inclusion group was already activated`;
+        case 'group_priority_winner': return t`Won inclusion group by priority`;
+        case 'group_priority_loser': return t`Lost inclusion group by priority`;
+        case 'group_roll_winner': return t`Won inclusion group roll`;
+        case 'group_roll_loser': return t`Lost inclusion group roll`;
+        case 'probability_passed': return t`Passed probability roll`;
+        case 'probability_failed': return t`Failed probability roll`;
+        case 'budget': return t`Cut off by token budget`;
+        case 'empty_content': return t`Empty content after regex scripts`;
+        default: return reason;
+    }
+}
+
+/**
+ * Prepares an entry trace for display.
+ * @param {WIEntryTrace} entry Entry trace
+ * @returns {object} View model of the entry
+ */
+function getEntryViewModel(entry) {
+    const timedEffects = Object.entries(entry.timedEffects).filter(([, active]) => active).map(([effect]) => effect);
+
+    return {
+        ...entry,
+        icon: STATUS_ICONS[entry.status],
+        reasonText: getReasonText(entry.reason),
+        timedEffects: timedEffects.join(', '),
+        probability: entry.probability ? `${entry.probability.roll.toFixed(1)} / ${entry.probability.chance}%` : '',
+        groupRoll: typeof entry.group?.roll === 'number' ? `${entry.group.roll.toFixed(2)} / ${entry.group.totalWeight}` : '',
+        groupScore: typeof entry.group?.score === 'number' ? `${entry.group.score} / ${entry.group.maxScore}` : '',
+        steps: entry.steps.map(step => ({ ...step, reasonText: getReasonText(step.reason) })),
+        isNoMatch: entry.reason === 'no_match',
+    };
+}
+
+/**
+ * Renders the trace of a World Info scan.
+ * @param {WIScanTrace} trace Scan trace
+ * @returns {Promise<string>} Rendered HTML
+ */
+async function renderTrace(trace) {
+    const entries = [...trace.entries]
+        .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.world.localeCompare(b.world) || a.uid - b.uid)
+        .map(getEntryViewModel);
+
+    return renderTemplateAsync('worldInfoInspector', {
+        date: new Date(trace.date).toLocaleString(),
+        isDryRun: trace.isDryRun,
+        budget: trace.budget,
+        loops: trace.loops,
+        budgetOverflowed: trace.budgetOverflowed,
+        activatedCount: entries.filter(x => x.status === 'activated').length,
+        noMatchCount: entries.filter(x => x.isNoMatch).length,
+        entries,
+    });
+}
+
+/**
+ * Opens the World Info activation inspector with the trace of the latest scan.
+ */
+async function openWorldInfoInspector() {
+    const container = document.createElement('div');
+
+    const render = async () => {
+        const trace = getLastWorldInfoScanTrace();
+        container.innerHTML = trace
+            ? await renderTrace(trace)
+            : await renderTemplateAsync('worldInfoInspector', { empty: true });
+
+        const showNoMatch = /** @type {HTMLInputElement} */ (container.querySelector('.worldInfoInspectorShowNoMatch'));
+        showNoMatch?.addEventListener('change', () => {
+            container.querySelector('.worldInfoInspector')?.classList.toggle('showNoMatch', showNoMatch.checked);
+        });
+
+        container.querySelector('.worldInfoInspectorDryRun')?.addEventListener('click', async () => {
+            if (!characters[this_chid] && !selected_group) {
+                toastr.warning(t`Select a character or a group to run a dry run.`);
+                return;
+            }
+
+            try {
+                await Generate('normal', {}, true);
+                await render();
+            } catch (error) {
+                console.error('World Info dry run failed', error);
+                toastr.error(error.message, t`Dry run failed`);
+            }
+        });
+    };
+
+    await render();
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, large: true, allowVerticalScrolling: true });
+}
+
+export function initWorldInfoInspector() {
+    const inspectorButton = document.getElementById('world_info_inspector');
+    if (!inspectorButton) {
+        console.warn('World Info inspector button not found');
+        return;
+    }
+
+    inspectorButton.addEventListener('click', () => openWorldInfoInspector());
+}
@@ -0,0 +1,414 @@
+import { chat_metadata, characters, getMaxContextSize, substituteParams, this_chid } from '../script.js';
+import { t } from './i18n.js';
+import { Popup, POPUP_TYPE } from './popup.js';
+import { power_user } from './power-user.js';
+import { renderTemplateAsync } from './templates.js';
+import { getTokenCountAsync } from './tokenizers.js';
+import { getCharaFilename } from './utils.js';
+import {
+    getWorldInfoBudget,
+    loadWorldInfo,
+    matchWorldInfoKey,
+    METADATA_KEY,
+    openWorldInfoEntry,
+    parseRegexFromString,
+    reloadEditor,
+    saveWorldInfo,
+    selected_world_info,
+    world_info,
+    world_info_max_recursion_steps,
+    world_info_recursive,
+    world_names,
+} from './world-info.js';
+
+/**
+ * @typedef {'error'|'warning'|'info'} LorebookLintSeverity
+ */
+
+/**
+ * @typedef {object} LorebookLintFix A change that resolves an issue
+ * @property {string} label Button label
+ * @property {{ world: string, uid: number }[]} targets Entries to change
+ * @property {(entry: object) => void} apply Changes the entry
+ */
+
+/**
+ * @typedef {object} LorebookLintIssue
+ * @property {LorebookLintSeverity} severity Severity of the issue
+ * @property {string} world Name of the book
+ * @property {number} uid UID of the entry
+ * @property {string} title Title of the entry
+ * @property {string} message Description of the issue
+ * @property {LorebookLintFix} [fix] One-click fix
+ */
+
+const SEVERITY_ICONS = {
+    error: 'fa-circle-xmark',
+    warning: 'fa-triangle-exclamation',
+    info: 'fa-circle-info',
+};
+
+/**
+ * Gets the names of the books that are active for the current chat, in the same order as the scan.
+ * @returns {string[]} Book names
+ */
+function getActiveBookNames() {
+    const names = [chat_metadata[METADATA_KEY], power_user.persona_description_lorebook];
+
+    const character = characters[this_chid];
+    if (character) {
+        names.push(character.data?.extensions?.world);
+        const fileName = getCharaFilename(this_chid);
+        names.push(...(world_info.charLore?.find(x => x.name === fileName)?.extraBooks ?? []));
+    }
+
+    names.push(...selected_world_info);
+    return names.filter(x => x && world_names.includes(x));
+}
+
+/**
+ * Gets the display title of an entry.
+ * @param {object} entry World Info entry
+ * @returns {string} Entry title
+ */
+function getEntryTitle(entry) {
+    return entry.comment || entry.key?.join(', ') || '';
+}
+
+/**
+ * Checks a single entry for settings that prevent it from activating.
+ * @param {string} world Name of the book
+ * @param {object} entry World Info entry
+ * @returns {LorebookLintIssue[]} Found issues
+ */
+function lintEntry(world, entry) {
+    /** @type {LorebookLintIssue[]} */
+    const issues = [];
+    const report = (/** @type {LorebookLintSeverity} */ severity, /** @type {string} */ message, /** @type {LorebookLintFix} */ fix = undefined) => {
+        issues.push({ severity, world, uid: entry.uid, title: getEntryTitle(entry), message, fix });
+    };
+    const target = [{ world, uid: entry.uid }];
+
+    if (entry.disable) {
+        report('info', t`Entry is disabled and never activates.`, { label: t`Enable`, targets: target, apply: x => { x.disable = false; } });
+        return issues;
+    }
+
+    if (!entry.key?.some(x => x?.trim()) && !entry.constant && !entry.vectorized) {
+        report('warning', t`Entry has no primary keys and is not constant, so it never activates.`, { label: t`Make constant`, targets: target, apply: x => { x.constant = true; } });
+    }
+
+    if (entry.useProbability && entry.probability === 0) {
+        report('warning', t`Entry has a 0% trigger chance, so it never activates.`, { label: t`Set to 100%`, targets: target, apply: x => { x.probability = 100; } });
+    }
+
+    if (!entry.content?.trim()) {
+        report('warning', t`Entry has no content.`, { label: t`Disable`, targets: target, apply: x => { x.disable = true; } });
+    }
+
+    for (const key of [...(entry.key ?? []), ...(entry.keysecondary ?? [])]) {
+        if (/^\/[\s\S]+\/[a-z]*$/.test(key) && !parseRegexFromString(key)) {
+            report('error', t`Key ${key} looks like a regular expression, but is not valid.`, {
+                label: t`Remove key`,
+                targets: target,
+                apply: x => {
+                    x.key = x.key.filter(k => k !== key);
+                    x.keysecondary = (x.keysecondary ?? []).filter(k => k !== key);
+                },
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Finds the primary keys shared by the entries outside of a common inclusion group.
+ * @param {object[]} entries Enabled entries of all books
+ * @returns {LorebookLintIssue[]} Found issues
+ */
+function lintDuplicateKeys(entries) {
+    /** @type {LorebookLintIssue[]} */
+    const issues = [];
+    /** @type {Map<string, object>} */
+    const owners = new Map();
+    const getGroups = (/** @type {object} */ entry) => String(entry.group ?? '').split(/,\s*/).filter(x => x);
+
+    for (const entry of entries) {
+        for (const key of entry.key ?? []) {
+            const normalizedKey = key.trim().toLowerCase();
+
+            if (!normalizedKey) {
+                continue;
+            }
+
+            const owner = owners.get(normalizedKey);
+
+            if (!owner) {
+                owners.set(normalizedKey, entry);
+                continue;
+            }
+
+            // Entries of the same inclusion group are expected to share keys
+            if (owner === entry || getGroups(owner).some(x => getGroups(entry).includes(x))) {
+                continue;
+            }
+
+            issues.push({
+                severity: 'warning',
+                world: entry.world,
+                uid: entry.uid,
+                title: getEntryTitle(entry),
+                message: t`Primary key ${key} is also used by ${owner.world} #${owner.uid} ${getEntryTitle(owner)}.`,
+                fix: {
+                    label: t`Remove key`,
+                    targets: [{ world: entry.world, uid: entry.uid }],
+                    apply: x => { x.key = x.key.filter(k => k !== key); },
+                },
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Finds the entries that trigger each other through recursion, and the recursion chains that exceed the budget.
+ * @param {object[]} entries Enabled entries of all books
+ * @returns {Promise<LorebookLintIssue[]>} Found issues
+ */
+async function lintRecursion(entries) {
+    /** @type {LorebookLintIssue[]} */
+    const issues = [];
+
+    if (!world_info_recursive) {
+        return issues;
+    }
+
+    const keys = entries.map(x => (x.key ?? []).map(key => substituteParams(key).trim()).filter(key => key));
+
+    // Edges point from the entry whose content is added to the recursion buffer to the entries it activates
+    const edges = entries.map(source => {
+        if (source.preventRecursion || !source.content) {
+            return [];
+        }
+
+        return entries
+            .map((target, index) => ({ target, index }))
+            .filter(({ target }) => target !== source && !target.excludeRecursion && !target.constant)
+            .filter(({ target, index }) => keys[index].some(key => matchWorldInfoKey(source.content, key, target)))
+            .map(({ index }) => index);
+    });
+
+    for (const component of findStronglyConnectedComponents(edges)) {
+        if (component.length < 2) {
+            continue;
+        }
+
+        const [first, ...others] = component.map(index => entries[index]);
+        const members = [first, ...others].map(x => `${x.world} #${x.uid}`).join(', ');
+
+        issues.push({
+            severity: 'warning',
+            world: first.world,
+            uid: first.uid,
+            title: getEntryTitle(first),
+            message: t`Entries activate each other through recursion: ${members}. Activating any of them activates all.`,
+            fix: {
+                label: t`Prevent further recursion`,
+                targets: others.map(x => ({ world: x.world, uid: x.uid })),
+                apply: x => { x.preventRecursion = true; },
+            },
+        });
+    }
+
+    const budget = getWorldInfoBudget(getMaxContextSize());
+    const maxSteps = world_info_max_recursion_steps || Infinity;
+    const tokens = await Promise.all(entries.map(x => getTokenCountAsync(x.content ?? '')));
+
+    for (const [index, entry] of entries.entries()) {
+        const reached = new Set([index]);
+        let frontier = [index];
+
+        for (let step = 0; step < maxSteps && frontier.length; step++) {
+            frontier = frontier.flatMap(x => edges[x]).filter(x => !reached.has(x));
+            frontier.forEach(x => reached.add(x));
+        }
+
+        const chainTokens = Array.from(reached).reduce((sum, x) => sum + tokens[x], 0);
+
+        if (reached.size > 1 && chainTokens > budget) {
+            issues.push({
+                severity: 'warning',
+                world: entry.world,
+                uid: entry.uid,
+                title: getEntryTitle(entry),
+                message: t`Entry activates ${reached.size - 1} other entries through recursion, ${chainTokens} tokens in total, more than the World Info budget of ${budget} tokens.`,
+                fix: {
+                    label: t`Prevent further recursion`,
+                    targets: [{ world: entry.world, uid: entry.uid }],
+                    apply: x => { x.preventRecursion = true; },
+                },
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Groups the nodes of a directed graph into strongly connected components (Tarjan's algorithm).
+ * @param {number[][]} edges Outgoing edges of every node
+ * @returns {number[][]} Components, as lists of node indices
+ */
+function findStronglyConnectedComponents(edges) {
+    const indices = new Array(edges.length).fill(-1);
+    const lowLinks = new Array(edges.length).fill(0);
+    const onStack = new Array(edges.length).fill(false);
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    const visit = (/** @type {number} */ node) => {
+        indices[node] = lowLinks[node] = counter++;
+        stack.push(node);
+        onStack[node] = true;
+
+        for (const next of edges[node]) {
+            if (indices[next] === -1) {
+                visit(next);
+                lowLinks[node] = Math.min(lowLinks[node], lowLinks[next]);
+            } else if (onStack[next]) {
+                lowLinks[node] = Math.min(lowLinks[node], indices[next]);
+            }
+        }
+
+        if (lowLinks[node] === indices[node]) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack[member] = false;
+                component.push(member);
+            } while (member !== node);
+            components.push(component.sort((a, b) => a - b));
+        }
+    };
+
+    for (let node = 0; node < edges.length; node++) {
+        if (indices[node] === -1) {
+            visit(node);
+        }
+    }
+
+    return components;
+}
+
+/**
+ * Checks the books for duplicate keys, entries that never activate, invalid regexes and recursion problems.
+ * @param {string[]} bookNames Names of the books to check
+ * @returns {Promise<LorebookLintIssue[]>} Found issues, ordered by severity
+ */
+export async function lintLorebooks(bookNames) {
+    /** @type {LorebookLintIssue[]} */
+    const issues = [];
+    const enabledEntries = [];
+
+    for (const world of bookNames) {
+        const data = await loadWorldInfo(world);
+
+        for (const entry of Object.values(data?.entries ?? {}).sort((a, b) => (a.displayIndex ?? a.uid) - (b.displayIndex ?? b.uid))) {
+            issues.push(...lintEntry(world, entry));
+
+            if (!entry.disable) {
+                enabledEntries.push({ ...entry, world });
+            }
+        }
+    }
+
+    issues.push(...lintDuplicateKeys(enabledEntries));
+    issues.push(...await lintRecursion(enabledEntries));
+
+    const order = Object.keys(SEVERITY_ICONS);
+    return issues.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+}
+
+/**
+ * Applies a fix to the entries and saves the changed books.
+ * @param {LorebookLintFix} fix Fix to apply
+ */
+async function applyFix(fix) {
+    const worlds = new Set(fix.targets.map(x => x.world));
+
+    for (const world of worlds) {
+        const data = await loadWorldInfo(world);
+
+        if (!data) {
+            continue;
+        }
+
+        for (const { uid } of fix.targets.filter(x => x.world === world)) {
+            const entry = data.entries[uid];
+            if (entry) {
+                fix.apply(entry);
+            }
+        }
+
+        await saveWorldInfo(world, data, true);
+        reloadEditor(world);
+    }
+}
+
+/**
+ * Opens the lint report of a book.
+ * @param {string} name Name of the book
+ */
+export async function openLorebookLint(name) {
+    const container = document.createElement('div');
+    const popup = new Popup(container, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, allowVerticalScrolling: true });
+    let includeActive = false;
+
+    const render = async () => {
+        const bookNames = includeActive ? Array.from(new Set([name, ...getActiveBookNames()])) : [name];
+        const issues = await lintLorebooks(bookNames);
+
+        container.innerHTML = await renderTemplateAsync('worldInfoLint', {
+            books: bookNames.join(', '),
+            includeActive,
+            issues: issues.map((issue, index) => ({ ...issue, index, icon: SEVERITY_ICONS[issue.severity], fixLabel: issue.fix?.label })),
+        });
+
+        const includeActiveCheckbox = /** @type {HTMLInputElement} */ (container.querySelector('.worldInfoLintIncludeActive'));
+        includeActiveCheckbox.addEventListener('change', async () => {
+            includeActive = includeActiveCheckbox.checked;
+            await render();
+        });
+
+        container.querySelectorAll('.worldInfoLintIssue').forEach(element => {
+            const issue = issues[Number(element.getAttribute('data-index'))];
+
+            element.querySelector('.worldInfoLintOpen')?.addEventListener('click', async () => {
+                await popup.completeAffirmative();
+                await openWorldInfoEntry(issue.world, issue.uid);
+            });
+
+            element.querySelector('.worldInfoLintFix')?.addEventListener('click', async () => {
+                try {
+                    await applyFix(issue.fix);
+                    await render();
+                } catch (error) {
+                    console.error('Could not apply the lorebook fix', error);
+                    toastr.error(error.message, t`Could not apply the fix`);
+                }
+            });
+        });
+    };
+
+    try {
+        await render();
+        await popup.show();
+    } catch (error) {
+        console.error('Failed to lint lorebook', error);
+        toastr.error(error.message, t`Could not check the lorebook`);
+    }
+}
@@ -0,0 +1,152 @@
+import { chat, getCurrentChatId } from '../script.js';
+import { t } from './i18n.js';
+import { Popup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { loadWorldInfo, openWorldInfoEntry } from './world-info.js';
+
+/**
+ * @typedef {import('./world-info.js').WIActivation} WIActivation
+ */
+
+/**
+ * @typedef {object} WITimelineSpan Consecutive generations during which an entry stayed in the prompt
+ * @property {number} start Index of the first generation
+ * @property {number} end Index of the last generation
+ * @property {number} startMessage ID of the first message
+ * @property {number} endMessage ID of the last message
+ */
+
+/**
+ * @typedef {object} WITimelineRow
+ * @property {string} world Name of the book
+ * @property {number} uid UID of the entry
+ * @property {WITimelineSpan[]} spans Periods when the entry was in the prompt
+ * @property {number} count Number of generations with the entry
+ */
+
+/**
+ * Gets the messages that have the World Info activations recorded.
+ * @returns {{ messageId: number, activations: WIActivation[] }[]} Generations in the chat order
+ */
+function getGenerations() {
+    return chat
+        .map((message, messageId) => ({ messageId, activations: message?.extra?.world_info_activations }))
+        .filter(x => Array.isArray(x.activations));
+}
+
+/**
+ * Builds the activation spans of every entry that was activated in the chat.
+ * @param {{ messageId: number, activations: WIActivation[] }[]} generations Generations in the chat order
+ * @returns {WITimelineRow[]} Timeline rows, ordered by the first activation
+ */
+function buildTimeline(generations) {
+    /** @type {Map<string, WITimelineRow>} */
+    const rows = new Map();
+
+    generations.forEach(({ messageId, activations }, index) => {
+        for (const { world, uid } of activations) {
+            const id = `${world}.${uid}`;
+
+            if (!rows.has(id)) {
+                rows.set(id, { world, uid, spans: [], count: 0 });
+            }
+
+            const row = rows.get(id);
+            const lastSpan = row.spans[row.spans.length - 1];
+            row.count++;
+
+            // Extend the span if the entry was also in the previous generation
+            if (lastSpan && lastSpan.end === index - 1) {
+                lastSpan.end = index;
+                lastSpan.endMessage = messageId;
+            } else {
+                row.spans.push({ start: index, end: index, startMessage: messageId, endMessage: messageId });
+            }
+        }
+    });
+
+    return Array.from(rows.values());
+}
+
+/**
+ * Gets the entry data for the timeline rows.
+ * @param {WITimelineRow[]} rows Timeline rows
+ * @returns {Promise<Map<string, object>>} Entries by book name and UID, missing for the deleted ones
+ */
+async function getEntries(rows) {
+    const entries = new Map();
+
+    for (const world of new Set(rows.map(x => x.world))) {
+        const data = await loadWorldInfo(world);
+
+        for (const row of rows.filter(x => x.world === world)) {
+            const entry = data?.entries?.[row.uid];
+            if (entry) {
+                entries.set(`${world}.${row.uid}`, entry);
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Opens the World Info activation timeline of the current chat.
+ */
+async function openWorldInfoTimeline() {
+    if (!getCurrentChatId()) {
+        toastr.warning(t`Open a chat to see its World Info timeline.`);
+        return;
+    }
+
+    const generations = getGenerations();
+    const rows = buildTimeline(generations);
+    const entries = await getEntries(rows);
+    const total = generations.length;
+
+    const template = $(await renderTemplateAsync('worldInfoTimeline', {
+        total,
+        rows: rows.map((row, index) => {
+            const entry = entries.get(`${row.world}.${row.uid}`);
+            const timedEffects = ['sticky', 'cooldown', 'delay'].filter(x => entry?.[x]).map(x => `${x} ${entry[x]}`);
+
+            return {
+                ...row,
+                index,
+                title: entry ? (entry.comment || entry.key?.join(', ')) : t`(deleted)`,
+                isDeleted: !entry,
+                settings: [entry?.scanDepth !== null && entry?.scanDepth !== undefined ? `${t`scan depth`} ${entry.scanDepth}` : '', ...timedEffects].filter(x => x).join(', '),
+                spans: row.spans.map(span => ({
+                    left: (span.start / total * 100).toFixed(3),
+                    width: ((span.end - span.start + 1) / total * 100).toFixed(3),
+                    title: span.startMessage === span.endMessage ? `#${span.startMessage}` : `#${span.startMessage} – #${span.endMessage}`,
+                })),
+            };
+        }),
+    }));
+
+    const popup = new Popup(template, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, large: true, allowVerticalScrolling: true });
+
+    template.find('.worldInfoTimelineEntry').on('click', async function () {
+        const row = rows[Number($(this).closest('.worldInfoTimelineRow').data('index'))];
+
+        if (!entries.has(`${row.world}.${row.uid}`)) {
+            return;
+        }
+
+        await popup.completeAffirmative();
+        await openWorldInfoEntry(row.world, row.uid);
+    });
+
+    await popup.show();
+}
+
+export function initWorldInfoTimeline() {
+    const timelineButton = document.getElementById('world_info_timeline');
+    if (!timelineButton) {
+        console.warn('World Info timeline button not found');
+        return;
+    }
+
+    timelineButton.addEventListener('click', () => openWorldInfoTimeline());
+}
@@ -17,11 +17,20 @@ import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '
 import { SlashCommandEnumValue, enumTypes } from './slash-commands/SlashCommandEnumValue.js';
 import { commonEnumProviders, enumIcons } from './slash-commands/SlashCommandCommonEnumsProvider.js';
 import { SlashCommandClosure } from './slash-commands/SlashCommandClosure.js';
-import { callGenericPopup, Popup, POPUP_TYPE } from './popup.js';
+import { callGenericPopup, Popup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
 import { StructuredCloneMap } from './util/StructuredCloneMap.js';
 import { renderTemplateAsync } from './templates.js';
 import { t } from './i18n.js';
 import { accountStorage } from './util/AccountStorage.js';
+import { parseRegexFromString } from './util/regex-string.js';
+import { DEFAULT_DEPTH, DEFAULT_WEIGHT, newWorldInfoEntryDefinition } from './util/world-info-entry-definition.js';
+import { convertLorebookToWorldInfo, convertWorldInfoToLorebook, LOREBOOK_FORMATS } from './world-info-converters.js';
+import { openLorebookLint } from './world-info-lint.js';
+
+// Kept as an export of this module for extensions
+export { parseRegexFromString };
+
+/** @typedef {import('./world-info-converters.js').LorebookConversionReport} LorebookConversionReport */
 
 export const world_info_insertion_strategy = {
     evenly: 0,
@@ -92,8 +101,7 @@ export const worldInfoFilter = new FilterHelper(() => updateEditor());
 export const SORT_ORDER_KEY = 'world_info_sort_order';
 export const METADATA_KEY = 'world_info';
 
-export const DEFAULT_DEPTH = 4;
-export const DEFAULT_WEIGHT = 100;
+export { DEFAULT_DEPTH, DEFAULT_WEIGHT };
 export const MAX_SCAN_DEPTH = 1000;
 const KNOWN_DECORATORS = ['@@activate', '@@dont_activate'];
 
@@ -145,6 +153,49 @@ const KNOWN_DECORATORS = ['@@activate', '@@dont_activate'];
  * @typedef TimedEffectType Type of timed effect
  * @type {'sticky'|'cooldown'|'delay'}
  */
+
+/**
+ * @typedef WIEntryTraceStatus Outcome of the entry in a scan
+ * @type {'activated'|'candidate'|'skipped'}
+ */
+
+/**
+ * @typedef {object} WIEntryTraceStep A decision made about an entry during the scan
+ * @property {number} loop Number of the scan loop, starting from 1
+ * @property {string} scanState Name of the scan state of the loop
+ * @property {WIEntryTraceStatus} status Status of the entry after the decision
+ * @property {string} reason Code of the reason, e.g. 'primary_key' or 'budget'
+ */
+
+/**
+ * @typedef {object} WIEntryTrace The reasoning trace of an entry
+ * @property {string} world The world info book of origin of the entry
+ * @property {number} uid The UID of the entry
+ * @property {string} comment The title of the entry
+ * @property {WIEntryTraceStatus} status Final status of the entry
+ * @property {string} reason Code of the reason of the final status
+ * @property {number} loop Scan loop of the final decision, 0 if the entry was never scanned
+ * @property {string} scanState Name of the scan state of the final decision
+ * @property {number} scanDepth Scan depth used for the entry
+ * @property {{ sticky: boolean, cooldown: boolean, delay: boolean }} timedEffects Timed effects active at the start of the scan
+ * @property {string} [matchedKey] The primary key that matched
+ * @property {string} [matchedText] The scanned text around the matched key
+ * @property {string} [matchedSecondaryKey] The secondary key that matched
+ * @property {{ roll: number, chance: number }} [probability] The probability roll
+ * @property {{ name: string, score?: number, maxScore?: number, roll?: number, totalWeight?: number }} [group] The inclusion group that decided the entry
+ * @property {{ budget: number, tokens: number }} [budget] The token budget state when the entry was cut off
+ * @property {WIEntryTraceStep[]} steps All decisions in order
+ */
+
+/**
+ * @typedef {object} WIScanTrace The reasoning trace of one World Info scan
+ * @property {number} date Timestamp of the scan
+ * @property {boolean} isDryRun Whether the scan was a dry run
+ * @property {number} budget The token budget of the scan
+ * @property {number} loops Number of scan loops
+ * @property {boolean} budgetOverflowed Whether the token budget was exceeded
+ * @property {WIEntryTrace[]} entries Traces of all scanned entries
+ */
 // End typedef area
 
 /**
@@ -320,6 +371,49 @@ class WorldInfoBuffer {
         return false;
     }
 
+    /**
+     * Gets the text around the first match of the given string in the buffer.
+     * @param {string} haystack The string to search in
+     * @param {string} needle The string to search for
+     * @param {WIScanEntry} entry The entry that triggered the scan
+     * @param {number} [radius=50] Number of characters to include around the match
+     * @returns {string|null} The text around the match, or null if the string was not found
+     */
+    getMatchContext(haystack, needle, entry, radius = 50) {
+        let index = -1;
+        let length = 0;
+
+        const keyRegex = parseRegexFromString(needle);
+        if (keyRegex) {
+            // Non-global copy to avoid the state of lastIndex
+            const match = new RegExp(keyRegex.source, keyRegex.flags.replace('g', '')).exec(haystack);
+            index = match?.index ?? -1;
+            length = match?.[0].length ?? 0;
+        } else {
+            const transformedHaystack = this.#transformString(haystack, entry);
+            const transformedString = this.#transformString(needle, entry);
+            const matchWholeWords = entry.matchWholeWords ?? world_info_match_whole_words;
+
+            if (matchWholeWords && transformedString.split(/\s+/).length === 1) {
+                const match = new RegExp(`(?:^|\\W)(${escapeRegex(transformedString)})(?:$|\\W)`).exec(transformedHaystack);
+                index = match ? match.index + match[0].indexOf(match[1]) : -1;
+            } else {
+                index = transformedHaystack.indexOf(transformedString);
+            }
+
+            length = transformedString.length;
+        }
+
+        if (index === -1) {
+            return null;
+        }
+
+        const start = Math.max(0, index - radius);
+        const end = Math.min(haystack.length, index + length + radius);
+        const text = haystack.slice(start, end).replaceAll('\x01', '').trim();
+        return `${start > 0 ? '…' : ''}${text}${end < haystack.length ? '…' : ''}`;
+    }
+
     /**
      * Adds a message to the recursion buffer.
      * @param {string} message The message to add
@@ -748,6 +842,147 @@ class WorldInfoTimedEffects {
     }
 }
 
+/**
+ * Records why each entry was activated or skipped during one World Info scan.
+ */
+class WorldInfoScanTrace {
+    /**
+     * @type {Map<string, WIEntryTrace>} Traces of the scanned entries
+     */
+    #entries = new Map();
+
+    /**
+     * @type {number} The current scan loop
+     */
+    loop = 0;
+
+    /**
+     * @type {number} The state of the current scan loop
+     */
+    scanState = scan_state.INITIAL;
+
+    /**
+     * @type {boolean} Whether the token budget was exceeded
+     */
+    budgetOverflowed = false;
+
+    /**
+     * @param {boolean} isDryRun Whether the scan is a dry run
+     * @param {number} budget The token budget of the scan
+     */
+    constructor(isDryRun, budget) {
+        this.date = Date.now();
+        this.isDryRun = isDryRun;
+        this.budget = budget;
+    }
+
+    /**
+     * Adds the entries to be scanned. Until decided otherwise, the entries are considered not matched.
+     * @param {WIScanEntry[]} entries The entries to scan
+     * @param {WorldInfoTimedEffects} timedEffects The timed effects of the scan
+     * @param {WorldInfoBuffer} buffer The buffer of the scan
+     */
+    addEntries(entries, timedEffects, buffer) {
+        for (const entry of entries) {
+            this.#entries.set(`${entry.world}.${entry.uid}`, {
+                world: entry.world,
+                uid: entry.uid,
+                comment: String(/** @type {any} */ (entry).comment ?? ''),
+                status: 'skipped',
+                reason: 'no_match',
+                loop: 0,
+                scanState: '',
+                scanDepth: entry.scanDepth ?? buffer.getDepth(),
+                timedEffects: {
+                    sticky: timedEffects.isEffectActive('sticky', entry),
+                    cooldown: timedEffects.isEffectActive('cooldown', entry),
+                    delay: timedEffects.isEffectActive('delay', entry),
+                },
+                steps: [],
+            });
+        }
+    }
+
+    /**
+     * Records a decision about an entry.
+     * @param {WIScanEntry} entry The entry
+     * @param {WIEntryTraceStatus} status Status of the entry after the decision
+     * @param {string} reason Code of the reason
+     * @param {Partial<WIEntryTrace>} [details] Additional data, such as the matched key
+     */
+    record(entry, status, reason, details = {}) {
+        const trace = this.#entries.get(`${entry.world}.${entry.uid}`);
+
+        if (!trace) {
+            return;
+        }
+
+        const scanState = Object.entries(scan_state).find(x => x[1] === this.scanState)?.[0]?.toLowerCase() ?? '';
+        const lastStep = trace.steps[trace.steps.length - 1];
+        Object.assign(trace, details, { status, reason, loop: this.loop, scanState });
+
+        // The same decision repeated in the next loops is recorded once
+        if (lastStep && lastStep.status === status && lastStep.reason === reason) {
+            Object.assign(lastStep, { loop: this.loop, scanState });
+            return;
+        }
+
+        trace.steps.push({ loop: this.loop, scanState, status, reason });
+    }
+
+    /**
+     * Gets the trace as plain data.
+     * @returns {WIScanTrace} The scan trace
+     */
+    toJSON() {
+        return {
+            date: this.date,
+            isDryRun: this.isDryRun,
+            budget: this.budget,
+            loops: this.loop,
+            budgetOverflowed: this.budgetOverflowed,
+            entries: [...this.#entries.values()],
+        };
+    }
+}
+
+/**
+ * @type {WIScanTrace|null} The trace of the latest World Info scan
+ */
+let lastScanTrace = null;
+
+/**
+ * Gets the reasoning trace of the latest World Info scan, either of a generation or a dry run.
+ * @returns {WIScanTrace|null} The scan trace, or null if nothing was scanned yet
+ */
+export function getLastWorldInfoScanTrace() {
+    return lastScanTrace;
+}
+
+/**
+ * @typedef {object} WIActivation An entry that was added to the prompt of a message
+ * @property {string} world The name of the world
+ * @property {number} uid The UID of the entry
+ */
+
+/**
+ * @type {WIActivation[]} Entries activated by the latest World Info scan that was not a dry run
+ */
+let lastActivations = [];
+
+/**
+ * Saves the entries activated for the latest generation to the message extra.
+ * @param {object} message The chat message
+ * @param {boolean} isContinuation Whether the generation continued the message, keeping its previous activations
+ */
+export function saveWorldInfoActivations(message, isContinuation) {
+    const activations = isContinuation ? [...(message.extra?.world_info_activations ?? []), ...lastActivations] : lastActivations;
+    const unique = new Map(activations.map(x => [`${x.world}.${x.uid}`, x]));
+
+    message.extra ??= {};
+    message.extra.world_info_activations = structuredClone(Array.from(unique.values()));
+}
+
 export function getWorldInfoSettings() {
     return {
         world_info,
@@ -795,6 +1030,14 @@ export const wi_anchor_position = {
  * */
 export const worldInfoCache = new StructuredCloneMap({ cloneOnGet: true, cloneOnSet: false });
 
+/**
+ * Save revisions of the books as first loaded or last saved by this session.
+ * Sent with every save, so that the server rejects saves of books that were changed in another session.
+ *
+ * @type {Map<string,number>}
+ */
+const worldInfoRevisions = new Map();
+
 /**
  * Gets the world info based on chat messages.
  * @param {string[]} chat - The chat messages to scan, in reverse order.
@@ -819,6 +1062,10 @@ export async function getWorldInfoPrompt(chat, maxContext, isDryRun, globalScanD
     worldInfoAfter = activatedWorldInfo.worldInfoAfter;
     worldInfoString = worldInfoBefore + worldInfoAfter;
 
+    if (!isDryRun) {
+        lastActivations = Array.from(activatedWorldInfo.allActivatedEntries?.values() ?? []).map(x => ({ world: x.world, uid: x.uid }));
+    }
+
     if (!isDryRun && activatedWorldInfo.allActivatedEntries && activatedWorldInfo.allActivatedEntries.size > 0) {
         const arg = Array.from(activatedWorldInfo.allActivatedEntries.values());
         await eventSource.emit(event_types.WORLD_INFO_ACTIVATED, arg);
@@ -1860,6 +2107,10 @@ export async function loadWorldInfo(name) {
     if (response.ok) {
         const data = await response.json();
         worldInfoCache.set(name, data);
+        // Keep the revision of a book changed in another session until the user reloads it
+        if (!worldInfoRevisions.has(name)) {
+            worldInfoRevisions.set(name, data.revision);
+        }
         return data;
     }
 
@@ -2084,6 +2335,7 @@ async function displayWorldEntries(name, data, navigation = navigation_option.no
         $('#world_popup_export').off('click').on('click', nullWorldInfo);
         $('#world_popup_delete').off('click').on('click', nullWorldInfo);
         $('#world_duplicate').off('click').on('click', nullWorldInfo);
+        $('#world_popup_lint').off('click').on('click', nullWorldInfo);
         worldEntriesList.hide();
         $('#world_info_pagination').html('');
         return;
@@ -2297,11 +2549,11 @@ async function displayWorldEntries(name, data, navigation = navigation_option.no
         }
     });
 
-    $('#world_popup_export').off('click').on('click', () => {
+    $('#world_popup_lint').off('click').on('click', () => openLorebookLint(name));
+
+    $('#world_popup_export').off('click').on('click', async () => {
         if (name && data) {
-            const jsonValue = JSON.stringify(data);
-            const fileName = `${name}.json`;
-            download(jsonValue, fileName, 'application/json');
+            await exportWorldInfo(name, data);
         }
     });
 
@@ -2562,40 +2814,19 @@ function isValidRegex(input) {
     return parseRegexFromString(input) !== null;
 }
 
+/** @type {WorldInfoBuffer|null} */
+let keyMatchBuffer = null;
+
 /**
- * Gets a real regex object from a slash-delimited regex string
- *
- * This function works with `/` as delimiter, and each occurance of it inside the regex has to be escaped.
- * Flags are optional, but can only be valid flags supported by JavaScript's `RegExp` (`g`, `i`, `m`, `s`, `u`, `y`).
- *
- * @param {string} input - A delimited regex string
- * @returns {RegExp|null} The regex object, or null if not a valid regex
+ * Checks if a key of an entry matches the text, following the same rules as the World Info scan.
+ * @param {string} haystack The text to search in
+ * @param {string} needle The key to search for
+ * @param {object} entry The entry that owns the key
+ * @returns {boolean} True if the key was found in the text
  */
-export function parseRegexFromString(input) {
-    // Extracting the regex pattern and flags
-    let match = input.match(/^\/([\w\W]+?)\/([gimsuy]*)$/);
-    if (!match) {
-        return null; // Not a valid regex format
-    }
-
-    let [, pattern, flags] = match;
-
-    // If we find any unescaped slash delimiter, we also exit out.
-    // JS doesn't care about delimiters inside regex patterns, but for this to be a valid regex outside of our implementation,
-    // we have to make sure that our delimiter is correctly escaped. Or every other engine would fail.
-    if (pattern.match(/(^|[^\\])\//)) {
-        return null;
-    }
-
-    // Now we need to actually unescape the slash delimiters, because JS doesn't care about delimiters
-    pattern = pattern.replace('\\/', '/');
-
-    // Then we return the regex. If it fails, it was invalid syntax.
-    try {
-        return new RegExp(pattern, flags);
-    } catch (e) {
-        return null;
-    }
+export function matchWorldInfoKey(haystack, needle, entry) {
+    keyMatchBuffer ??= new WorldInfoBuffer([], {});
+    return keyMatchBuffer.matchKeys(haystack, needle, entry);
 }
 
 /**
@@ -3603,54 +3834,7 @@ export async function deleteWorldInfoEntry(data, uid, { silent = false } = {}) {
     return true;
 }
 
-/**
- * Definitions of types for new WI entries
- *
- * Use `newEntryTemplate` if you just need the template that contains default values
- *
- * @type {{[key: string]: { default: any, type: string, excludeFromTemplate?: boolean }}}
- */
-export const newWorldInfoEntryDefinition = {
-    key: { default: [], type: 'array' },
-    keysecondary: { default: [], type: 'array' },
-    comment: { default: '', type: 'string' },
-    content: { default: '', type: 'string' },
-    constant: { default: false, type: 'boolean' },
-    vectorized: { default: false, type: 'boolean' },
-    selective: { default: true, type: 'boolean' },
-    selectiveLogic: { default: world_info_logic.AND_ANY, type: 'enum' },
-    addMemo: { default: false, type: 'boolean' },
-    order: { default: 100, type: 'number' },
-    position: { default: 0, type: 'number' },
-    disable: { default: false, type: 'boolean' },
-    excludeRecursion: { default: false, type: 'boolean' },
-    preventRecursion: { default: false, type: 'boolean' },
-    matchPersonaDescription: { default: false, type: 'boolean' },
-    matchCharacterDescription: { default: false, type: 'boolean' },
-    matchCharacterPersonality: { default: false, type: 'boolean' },
-    matchCharacterDepthPrompt: { default: false, type: 'boolean' },
-    matchScenario: { default: false, type: 'boolean' },
-    matchCreatorNotes: { default: false, type: 'boolean' },
-    delayUntilRecursion: { default: 0, type: 'number' },
-    probability: { default: 100, type: 'number' },
-    useProbability: { default: true, type: 'boolean' },
-    depth: { default: DEFAULT_DEPTH, type: 'number' },
-    group: { default: '', type: 'string' },
-    groupOverride: { default: false, type: 'boolean' },
-    groupWeight: { default: DEFAULT_WEIGHT, type: 'number' },
-    scanDepth: { default: null, type: 'number?' },
-    caseSensitive: { default: null, type: 'boolean?' },
-    matchWholeWords: { default: null, type: 'boolean?' },
-    useGroupScoring: { default: null, type: 'boolean?' },
-    automationId: { default: '', type: 'string' },
-    role: { default: 0, type: 'enum' },
-    sticky: { default: null, type: 'number?' },
-    cooldown: { default: null, type: 'number?' },
-    delay: { default: null, type: 'number?' },
-    characterFilterNames: { default: [], type: 'array', excludeFromTemplate: true },
-    characterFilterTags: { default: [], type: 'array', excludeFromTemplate: true },
-    characterFilterExclude: { default: false, type: 'boolean', excludeFromTemplate: true },
-};
+export { newWorldInfoEntryDefinition };
 
 export const newWorldInfoEntryTemplate = Object.fromEntries(
     Object.entries(newWorldInfoEntryDefinition).filter(([_, value]) => !value.excludeFromTemplate).map(([key, value]) => [key, value.default]),
@@ -3680,14 +3864,54 @@ async function _save(name, data) {
     // Prevent double saving if both immediate and debounced save are called
     cancelDebounce(saveWorldDebounced);
 
-    await fetch('/api/worldinfo/edit', {
+    const response = await fetch('/api/worldinfo/edit', {
         method: 'POST',
         headers: getRequestHeaders(),
-        body: JSON.stringify({ name: name, data: data }),
+        body: JSON.stringify({ name: name, data: { ...data, revision: worldInfoRevisions.get(name) } }),
     });
+
+    // The book was saved in another session after it was loaded here
+    if (response.status === 409) {
+        toastr.error(
+            t`This book was changed in another session, the last changes were not saved. Click here to reload it.`,
+            t`World info is out of date`,
+            { timeOut: 0, extendedTimeOut: 0, preventDuplicates: true, onclick: () => reloadChangedWorldInfo(name) },
+        );
+        return;
+    }
+
+    if (response.status === 413) {
+        const errorData = await response.json().catch(() => null);
+        toastr.error(errorData?.message, t`World Info was not saved`, { preventDuplicates: true });
+        return;
+    }
+
+    if (response.ok) {
+        const { revision } = await response.json();
+        worldInfoRevisions.set(name, revision);
+    }
+
     await eventSource.emit(event_types.WORLDINFO_UPDATED, name, data);
 }
 
+/**
+ * Discards the cached data and the revision of a book that was changed in another session.
+ * @param {string} name Name of the book
+ */
+export function invalidateWorldInfo(name) {
+    worldInfoCache.delete(name);
+    worldInfoRevisions.delete(name);
+}
+
+/**
+ * Discards the cached data of a book that was changed in another session and reloads it in the editor.
+ * @param {string} name Name of the book
+ */
+export function reloadChangedWorldInfo(name) {
+    invalidateWorldInfo(name);
+    reloadEditor(name);
+}
+
 
 /**
  * Saves the world info
@@ -3781,6 +4005,7 @@ export async function deleteWorldInfo(worldInfoName) {
     if (worldInfoCache.has(worldInfoName)) {
         worldInfoCache.delete(worldInfoName);
     }
+    worldInfoRevisions.delete(worldInfoName);
 
     const existingWorldIndex = selected_world_info.findIndex((e) => e === worldInfoName);
     if (existingWorldIndex !== -1) {
@@ -4093,6 +4318,22 @@ function parseDecorators(content) {
 
 }
 
+/**
+ * Gets the token budget of World Info for the given context size.
+ * @param {number} maxContext Context size in tokens
+ * @returns {number} Token budget, with the cap applied
+ */
+export function getWorldInfoBudget(maxContext) {
+    const budget = Math.round(world_info_budget * maxContext / 100) || 1;
+
+    if (world_info_budget_cap > 0 && budget > world_info_budget_cap) {
+        console.debug(`[WI] Budget ${budget} exceeds cap ${world_info_budget_cap}, using cap`);
+        return world_info_budget_cap;
+    }
+
+    return budget;
+}
+
 /**
  * Performs a scan on the chat and returns the world info activated.
  * @param {string[]} chat The chat messages to scan, in reverse order.
@@ -4138,18 +4379,16 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
     let failedProbabilityChecks = new Set();
     let allActivatedText = '';
 
-    let budget = Math.round(world_info_budget * maxContext / 100) || 1;
-
-    if (world_info_budget_cap > 0 && budget > world_info_budget_cap) {
-        console.debug(`[WI] Budget ${budget} exceeds cap ${world_info_budget_cap}, using cap`);
-        budget = world_info_budget_cap;
-    }
+    const budget = getWorldInfoBudget(maxContext);
 
     console.debug(`[WI] Context size: ${maxContext}; WI budget: ${budget} (max% = ${world_info_budget}%, cap = ${world_info_budget_cap})`);
     const sortedEntries = await getSortedEntries();
     const timedEffects = new WorldInfoTimedEffects(chat, sortedEntries, isDryRun);
+    const trace = new WorldInfoScanTrace(isDryRun, budget);
 
     timedEffects.checkTimedEffects();
+    trace.addEntries(sortedEntries, timedEffects, buffer);
+    lastScanTrace = trace.toJSON();
 
     if (sortedEntries.length === 0) {
         return { worldInfoBefore: '', worldInfoAfter: '', WIDepthEntries: [], EMEntries: [], ANBeforeEntries: [], ANAfterEntries: [], allActivatedEntries: new Set() };
@@ -4177,6 +4416,8 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
         // Track how many times the loop has run. May be useful for debugging.
         count++;
+        trace.loop = count;
+        trace.scanState = scanState;
 
         console.debug(`[WI] --- LOOP #${count} START ---`);
         console.debug('[WI] Scan state', Object.entries(scan_state).find(x => x[1] === scanState));
@@ -4205,6 +4446,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
             if (entry.disable == true) {
                 log('disabled');
+                trace.record(entry, 'skipped', 'disabled');
                 continue;
             }
 
@@ -4215,6 +4457,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
                 if (filtered) {
                     log('filtered out by character');
+                    trace.record(entry, 'skipped', 'character_filter');
                     continue;
                 }
             }
@@ -4232,6 +4475,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
                         if (filtered) {
                             log('filtered out by tag');
+                            trace.record(entry, 'skipped', 'tag_filter');
                             continue;
                         }
                     }
@@ -4244,43 +4488,51 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
             if (isDelay) {
                 log('suppressed by delay');
+                trace.record(entry, 'skipped', 'delay');
                 continue;
             }
 
             if (isCooldown && !isSticky) {
                 log('suppressed by cooldown');
+                trace.record(entry, 'skipped', 'cooldown');
                 continue;
             }
 
             // Only use checks for recursion flags if the scan step was activated by recursion
             if (scanState !== scan_state.RECURSION && entry.delayUntilRecursion && !isSticky) {
                 log('suppressed by delay until recursion');
+                trace.record(entry, 'skipped', 'delay_until_recursion');
                 continue;
             }
 
             if (scanState === scan_state.RECURSION && entry.delayUntilRecursion && entry.delayUntilRecursion > currentRecursionDelayLevel && !isSticky) {
                 log('suppressed by delay until recursion level', entry.delayUntilRecursion, '. Currently', currentRecursionDelayLevel);
+                trace.record(entry, 'skipped', 'delay_until_recursion');
                 continue;
             }
 
             if (scanState === scan_state.RECURSION && world_info_recursive && entry.excludeRecursion && !isSticky) {
                 log('suppressed by exclude recursion');
+                trace.record(entry, 'skipped', 'exclude_recursion');
                 continue;
             }
 
             if (entry.decorators.includes('@@activate')) {
                 log('activated by @@activate decorator');
+                trace.record(entry, 'candidate', 'decorator_activate');
                 activatedNow.add(entry);
                 continue;
             }
 
             if (entry.decorators.includes('@@dont_activate')) {
                 log('suppressed by @@dont_activate decorator');
+                trace.record(entry, 'skipped', 'decorator_dont_activate');
                 continue;
             }
 
             if (buffer.getExternallyActivated(entry)) {
                 log('externally activated');
+                trace.record(entry, 'candidate', 'external');
                 activatedNow.add(buffer.getExternallyActivated(entry));
                 continue;
             }
@@ -4288,18 +4540,21 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
             // Now do checks for immediate activations
             if (entry.constant) {
                 log('activated because of constant');
+                trace.record(entry, 'candidate', 'constant');
                 activatedNow.add(entry);
                 continue;
             }
 
             if (isSticky) {
                 log('activated because active sticky');
+                trace.record(entry, 'candidate', 'sticky');
                 activatedNow.add(entry);
                 continue;
             }
 
             if (!Array.isArray(entry.key) || !entry.key.length) {
                 log('has no keys defined, skipped');
+                trace.record(entry, 'skipped', 'no_keys');
                 continue;
             }
 
@@ -4314,9 +4569,16 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
             if (!primaryKeyMatch) {
                 // Don't write logs for simple no-matches
+                trace.record(entry, 'skipped', 'no_match', { scanDepth: entry.scanDepth ?? buffer.getDepth() });
                 continue;
             }
 
+            const matchDetails = {
+                matchedKey: primaryKeyMatch,
+                matchedText: buffer.getMatchContext(textToScan, substituteParams(primaryKeyMatch).trim(), entry),
+                scanDepth: entry.scanDepth ?? buffer.getDepth(),
+            };
+
             const hasSecondaryKeywords = (
                 entry.selective && //all entries are selective now
                 Array.isArray(entry.keysecondary) && //always true
@@ -4326,6 +4588,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
             if (!hasSecondaryKeywords) {
                 // Handle cases where secondary is empty
                 log('activated by primary key match', primaryKeyMatch);
+                trace.record(entry, 'candidate', 'primary_key', matchDetails);
                 activatedNow.add(entry);
                 continue;
             }
@@ -4335,6 +4598,9 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
             const selectiveLogic = entry.selectiveLogic ?? 0; // If selectiveLogic isn't found, assume it's AND, only do this once per entry
             log('Entry with primary key match', primaryKeyMatch, 'has secondary keywords. Checking with logic logic', Object.entries(world_info_logic).find(x => x[1] === entry.selectiveLogic));
 
+            /** @type {string|null} The secondary key that satisfied the logic */
+            let secondaryKeyMatch = null;
+
             /** @type {() => boolean} */
             function matchSecondaryKeys() {
                 let hasAnyMatch = false;
@@ -4350,10 +4616,12 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
                     // If AND ANY logic and the main checks pass OR if NOT ALL logic and the main checks do not pass
                     if (selectiveLogic === world_info_logic.AND_ANY && hasSecondaryMatch) {
                         log('activated. (AND ANY) Found match secondary keyword', secondarySubstituted);
+                        secondaryKeyMatch = keysecondary;
                         return true;
                     }
                     if (selectiveLogic === world_info_logic.NOT_ALL && !hasSecondaryMatch) {
                         log('activated. (NOT ALL) Found not matching secondary keyword', secondarySubstituted);
+                        secondaryKeyMatch = keysecondary;
                         return true;
                     }
                 }
@@ -4376,10 +4644,12 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
             const matched = matchSecondaryKeys();
             if (!matched) {
                 log('skipped. Secondary keywords not satisfied', entry.keysecondary);
+                trace.record(entry, 'skipped', 'secondary_keys_failed', matchDetails);
                 continue;
             }
 
             // Success logging was already done inside the function, so just add the entry
+            trace.record(entry, 'candidate', 'secondary_keys', { ...matchDetails, ...(secondaryKeyMatch ? { matchedSecondaryKey: secondaryKeyMatch } : {}) });
             activatedNow.add(entry);
             continue;
         }
@@ -4398,7 +4668,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
         let newContent = '';
         const textToScanTokens = await getTokenCountAsync(allActivatedText);
 
-        filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanState, timedEffects);
+        filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanState, timedEffects, trace);
 
         console.debug('[WI] --- PROBABILITY CHECKS ---');
         !newEntries.length && console.debug('[WI] No probability checks to do');
@@ -4418,12 +4688,15 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
                 }
 
                 const rollValue = Math.random() * 100;
+                const probability = { roll: rollValue, chance: entry.probability };
                 if (rollValue <= entry.probability) {
                     console.debug(`WI entry ${entry.uid} passed probability check of ${entry.probability}%`);
+                    trace.record(entry, 'candidate', 'probability_passed', { probability });
                     return true;
                 }
 
                 failedProbabilityChecks.add(entry);
+                trace.record(entry, 'skipped', 'probability_failed', { probability });
                 return false;
             }
 
@@ -4437,7 +4710,8 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
             entry.content = substituteParams(entry.content);
             newContent += `${entry.content}\n`;
 
-            if ((textToScanTokens + (await getTokenCountAsync(newContent))) >= budget) {
+            const newContentTokens = textToScanTokens + (await getTokenCountAsync(newContent));
+            if (newContentTokens >= budget) {
                 console.debug('[WI] --- BUDGET OVERFLOW CHECK ---');
                 if (world_info_overflow_alert) {
                     console.warn(`[WI] budget of ${budget} reached, stopping after ${allActivatedEntries.size} entries`);
@@ -4446,10 +4720,16 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
                     console.debug(`[WI] budget of ${budget} reached, stopping after ${allActivatedEntries.size} entries`);
                 }
                 token_budget_overflowed = true;
+                trace.budgetOverflowed = true;
+                // The entries after the overflowing one are not checked at all
+                for (const skippedEntry of newEntries.slice(newEntries.indexOf(entry))) {
+                    trace.record(skippedEntry, 'skipped', 'budget', { budget: { budget, tokens: newContentTokens } });
+                }
                 break;
             }
 
             allActivatedEntries.set(`${entry.world}.${entry.uid}`, entry);
+            trace.record(entry, 'activated', 'added');
             console.debug(`[WI] Entry ${entry.uid} activation successful, adding to prompt`, entry);
         }
 
@@ -4541,6 +4821,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
         if (!content) {
             console.debug(`[WI] Entry ${entry.uid}`, 'skipped adding to prompt due to empty content', entry);
+            trace.record(entry, 'skipped', 'empty_content');
             return;
         }
 
@@ -4596,6 +4877,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
 
     timedEffects.setTimedEffects(Array.from(allActivatedEntries.values()));
     buffer.resetExternalEffects();
+    lastScanTrace = trace.toJSON();
     timedEffects.cleanUp();
 
     console.log(`[WI] ${isDryRun ? 'Hypothetically adding' : 'Adding'} ${allActivatedEntries.size} entries to prompt`, Array.from(allActivatedEntries.values()));
@@ -4608,7 +4890,7 @@ export async function checkWorldInfo(chat, maxContext, isDryRun, globalScanData)
  * Only leaves entries with the highest key matching score in each group.
  * @param {Record<string, WIScanEntry[]>} groups The groups to filter
  * @param {WorldInfoBuffer} buffer The buffer to use for scoring
- * @param {(entry: WIScanEntry) => void} removeEntry The function to remove an entry
+ * @param {(entry: WIScanEntry, reason?: string, details?: Partial<WIEntryTrace>) => void} removeEntry The function to remove an entry
  * @param {number} scanState The current scan state
  * @param {Map<string, boolean>} hasStickyMap The sticky entries map
  */
@@ -4641,7 +4923,7 @@ function filterGroupsByScoring(groups, buffer, removeEntry, scanState, hasSticky
 
             if (scores[i] < maxScore) {
                 console.debug(`[WI] Entry ${group[i].uid}`, `removed as score loser from inclusion group '${key}'`, group[i]);
-                removeEntry(group[i]);
+                removeEntry(group[i], 'group_score', { group: { name: key, score: scores[i], maxScore } });
                 group.splice(i, 1);
                 scores.splice(i, 1);
                 i--;
@@ -4654,7 +4936,7 @@ function filterGroupsByScoring(groups, buffer, removeEntry, scanState, hasSticky
  * Removes entries on cooldown and forces sticky entries as winners.
  * @param {Record<string, WIScanEntry[]>} groups The groups to filter
  * @param {WorldInfoTimedEffects} timedEffects The timed effects to use
- * @param {(entry: WIScanEntry) => void} removeEntry The function to remove an entry
+ * @param {(entry: WIScanEntry, reason?: string, details?: Partial<WIEntryTrace>) => void} removeEntry The function to remove an entry
  * @returns {Map<string, boolean>} If any sticky entries were found
  */
 function filterGroupsByTimedEffects(groups, timedEffects, removeEntry) {
@@ -4673,7 +4955,7 @@ function filterGroupsByTimedEffects(groups, timedEffects, removeEntry) {
                 }
 
                 console.debug(`[WI] Entry ${entry.uid}`, `removed as a non-sticky loser from inclusion group '${key}'`, entry);
-                removeEntry(entry);
+                removeEntry(entry, 'group_sticky', { group: { name: key } });
             }
 
             hasStickyMap.set(key, true);
@@ -4684,7 +4966,7 @@ function filterGroupsByTimedEffects(groups, timedEffects, removeEntry) {
         if (cooldownEntries.length) {
             console.debug(`[WI] Inclusion group '${key}' has entries on cooldown. They will be removed.`, cooldownEntries);
             for (const entry of cooldownEntries) {
-                removeEntry(entry);
+                removeEntry(entry, 'cooldown');
             }
         }
 
@@ -4692,7 +4974,7 @@ function filterGroupsByTimedEffects(groups, timedEffects, removeEntry) {
         if (delayEntries.length) {
             console.debug(`[WI] Inclusion group '${key}' has entries with delay. They will be removed.`, delayEntries);
             for (const entry of delayEntries) {
-                removeEntry(entry);
+                removeEntry(entry, 'delay');
             }
         }
     }
@@ -4707,8 +4989,9 @@ function filterGroupsByTimedEffects(groups, timedEffects, removeEntry) {
  * @param {WorldInfoBuffer} buffer The buffer to use for scanning
  * @param {number} scanState The current scan state
  * @param {WorldInfoTimedEffects} timedEffects The timed effects currently active
+ * @param {WorldInfoScanTrace} trace The trace to record the decisions in
  */
-function filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanState, timedEffects) {
+function filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanState, timedEffects, trace) {
     console.debug('[WI] --- INCLUSION GROUP CHECKS ---');
 
     const grouped = newEntries.filter(x => x.group).reduce((acc, item) => {
@@ -4726,15 +5009,18 @@ function filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanSt
         return;
     }
 
-    const removeEntry = (entry) => newEntries.splice(newEntries.indexOf(entry), 1);
-    function removeAllBut(group, chosen, logging = true) {
+    const removeEntry = (entry, reason = 'group_loser', details = {}) => {
+        trace.record(entry, 'skipped', reason, details);
+        newEntries.splice(newEntries.indexOf(entry), 1);
+    };
+    function removeAllBut(group, chosen, reason, details, logging = true) {
         for (const entry of group) {
             if (entry === chosen) {
                 continue;
             }
 
             if (logging) console.debug(`[WI] Entry ${entry.uid}`, `removed as loser from inclusion group '${entry.group}'`, entry);
-            removeEntry(entry);
+            removeEntry(entry, reason, details);
         }
     }
 
@@ -4754,7 +5040,7 @@ function filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanSt
         if (Array.from(allActivatedEntries.values()).some(x => x.group === key)) {
             console.debug(`[WI] Skipping inclusion group check, group '${key}' was already activated`);
             // We need to forcefully deactivate all other entries in the group
-            removeAllBut(group, null, false);
+            removeAllBut(group, null, 'group_already_activated', { group: { name: key } }, false);
             continue;
         }
 
@@ -4767,7 +5053,8 @@ function filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanSt
         const prios = group.filter(x => x.groupOverride).sort(sortFn);
         if (prios.length) {
             console.debug(`[WI] Entry ${prios[0].uid}`, `activated as prio winner from inclusion group '${key}'`, prios[0]);
-            removeAllBut(group, prios[0]);
+            trace.record(prios[0], 'candidate', 'group_priority_winner', { group: { name: key } });
+            removeAllBut(group, prios[0], 'group_priority_loser', { group: { name: key } });
             continue;
         }
 
@@ -4793,141 +5080,12 @@ function filterByInclusionGroups(newEntries, allActivatedEntries, buffer, scanSt
         }
 
         // Remove every group item from newEntries but the winner
-        removeAllBut(group, winner);
+        const groupDetails = { group: { name: key, roll: rollValue, totalWeight } };
+        trace.record(winner, 'candidate', 'group_roll_winner', groupDetails);
+        removeAllBut(group, winner, 'group_roll_loser', groupDetails);
     }
 }
 
-function convertAgnaiMemoryBook(inputObj) {
-    const outputObj = { entries: {} };
-
-    inputObj.entries.forEach((entry, index) => {
-        outputObj.entries[index] = {
-            ...newWorldInfoEntryTemplate,
-            uid: index,
-            key: entry.keywords,
-            keysecondary: [],
-            comment: entry.name,
-            content: entry.entry,
-            constant: false,
-            selective: false,
-            vectorized: false,
-            selectiveLogic: world_info_logic.AND_ANY,
-            order: entry.weight,
-            position: 0,
-            disable: !entry.enabled,
-            addMemo: !!entry.name,
-            excludeRecursion: false,
-            delayUntilRecursion: false,
-            displayIndex: index,
-            probability: 100,
-            useProbability: true,
-            group: '',
-            groupOverride: false,
-            groupWeight: DEFAULT_WEIGHT,
-            scanDepth: null,
-            caseSensitive: null,
-            matchWholeWords: null,
-            useGroupScoring: null,
-            automationId: '',
-            role: extension_prompt_roles.SYSTEM,
-            sticky: null,
-            cooldown: null,
-            delay: null,
-        };
-    });
-
-    return outputObj;
-}
-
-function convertRisuLorebook(inputObj) {
-    const outputObj = { entries: {} };
-
-    inputObj.data.forEach((entry, index) => {
-        outputObj.entries[index] = {
-            ...newWorldInfoEntryTemplate,
-            uid: index,
-            key: entry.key.split(',').map(x => x.trim()),
-            keysecondary: entry.secondkey ? entry.secondkey.split(',').map(x => x.trim()) : [],
-            comment: entry.comment,
-            content: entry.content,
-            constant: entry.alwaysActive,
-            selective: entry.selective,
-            vectorized: false,
-            selectiveLogic: world_info_logic.AND_ANY,
-            order: entry.insertorder,
-            position: world_info_position.before,
-            disable: false,
-            addMemo: true,
-            excludeRecursion: false,
-            delayUntilRecursion: false,
-            displayIndex: index,
-            probability: entry.activationPercent ?? 100,
-            useProbability: entry.activationPercent ?? true,
-            group: '',
-            groupOverride: false,
-            groupWeight: DEFAULT_WEIGHT,
-            scanDepth: null,
-            caseSensitive: null,
-            matchWholeWords: null,
-            useGroupScoring: null,
-            automationId: '',
-            role: extension_prompt_roles.SYSTEM,
-            sticky: null,
-            cooldown: null,
-            delay: null,
-        };
-    });
-
-    return outputObj;
-}
-
-function convertNovelLorebook(inputObj) {
-    const outputObj = {
-        entries: {},
-    };
-
-    inputObj.entries.forEach((entry, index) => {
-        const displayName = entry.displayName;
-        const addMemo = displayName !== undefined && displayName.trim() !== '';
-
-        outputObj.entries[index] = {
-            ...newWorldInfoEntryTemplate,
-            uid: index,
-            key: entry.keys,
-            keysecondary: [],
-            comment: displayName || '',
-            content: entry.text,
-            constant: false,
-            selective: false,
-            vectorized: false,
-            selectiveLogic: world_info_logic.AND_ANY,
-            order: entry.contextConfig?.budgetPriority ?? 0,
-            position: 0,
-            disable: !entry.enabled,
-            addMemo: addMemo,
-            excludeRecursion: false,
-            delayUntilRecursion: false,
-            displayIndex: index,
-            probability: 100,
-            useProbability: true,
-            group: '',
-            groupOverride: false,
-            groupWeight: DEFAULT_WEIGHT,
-            scanDepth: null,
-            caseSensitive: null,
-            matchWholeWords: null,
-            useGroupScoring: null,
-            automationId: '',
-            role: extension_prompt_roles.SYSTEM,
-            sticky: null,
-            cooldown: null,
-            delay: null,
-        };
-    });
-
-    return outputObj;
-}
-
 export function convertCharacterBook(characterBook) {
     const result = { entries: {}, originalData: characterBook };
 
@@ -4962,7 +5120,7 @@ export function convertCharacterBook(characterBook) {
             groupOverride: entry.extensions?.group_override ?? false,
             groupWeight: entry.extensions?.group_weight ?? DEFAULT_WEIGHT,
             scanDepth: entry.extensions?.scan_depth ?? null,
-            caseSensitive: entry.extensions?.case_sensitive ?? null,
+            caseSensitive: entry.extensions?.case_sensitive ?? entry.case_sensitive ?? null,
             matchWholeWords: entry.extensions?.match_whole_words ?? null,
             useGroupScoring: entry.extensions?.use_group_scoring ?? null,
             automationId: entry.extensions?.automation_id ?? '',
@@ -5155,6 +5313,50 @@ export function onWorldInfoChange(args, text) {
     return '';
 }
 
+/**
+ * Shows the fields that were lost while converting a lorebook.
+ * @param {LorebookConversionReport} report Conversion report
+ */
+async function showLorebookConversionReport(report) {
+    const template = await renderTemplateAsync('worldInfoConversionReport', {
+        format: report.format,
+        isExport: report.direction === 'export',
+        issues: report.issues.map(issue => ({ ...issue, isBook: issue.uid === null, fields: issue.fields.join(', ') })),
+    });
+
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Exports a World Info book as a file, converting it to the format chosen by the user.
+ * @param {string} name Name of the book
+ * @param {any} data World Info data
+ */
+async function exportWorldInfo(name, data) {
+    const template = $(await renderTemplateAsync('worldInfoExport', {
+        formats: Object.entries(LOREBOOK_FORMATS).map(([id, format]) => ({ id, name: format.name })),
+    }));
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: t`Export`, cancelButton: t`Cancel` });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const formatId = String(template.find('input[name="world_export_format"]:checked').val() ?? '');
+
+    if (!LOREBOOK_FORMATS[formatId]) {
+        download(JSON.stringify(data), `${name}.json`, 'application/json');
+        return;
+    }
+
+    const conversion = convertWorldInfoToLorebook(formatId, name, data);
+    download(JSON.stringify(conversion.data), `${name}.${LOREBOOK_FORMATS[formatId].extension}`, 'application/json');
+
+    if (!conversion.report.isEmpty) {
+        await showLorebookConversionReport(conversion.report);
+    }
+}
+
 export async function importWorldInfo(file) {
     if (!file) {
         return;
@@ -5163,6 +5365,9 @@ export async function importWorldInfo(file) {
     const formData = new FormData();
     formData.append('avatar', file);
 
+    /** @type {{ data: object, report: LorebookConversionReport } | null} */
+    let conversion = null;
+
     try {
         let jsonData;
 
@@ -5179,22 +5384,10 @@ export async function importWorldInfo(file) {
             return;
         }
 
-        // Convert Novel Lorebook
-        if (jsonData.lorebookVersion !== undefined) {
-            console.log('Converting Novel Lorebook');
-            formData.append('convertedData', JSON.stringify(convertNovelLorebook(jsonData)));
-        }
-
-        // Convert Agnai Memory Book
-        if (jsonData.kind === 'memory') {
-            console.log('Converting Agnai Memory Book');
-            formData.append('convertedData', JSON.stringify(convertAgnaiMemoryBook(jsonData)));
-        }
-
-        // Convert Risu Lorebook
-        if (jsonData.type === 'risu') {
-            console.log('Converting Risu Lorebook');
-            formData.append('convertedData', JSON.stringify(convertRisuLorebook(jsonData)));
+        // Convert lorebooks of other applications
+        conversion = convertLorebookToWorldInfo(jsonData);
+        if (conversion) {
+            formData.append('convertedData', JSON.stringify(conversion.data));
         }
     } catch (error) {
         toastr.error(`Error parsing file: ${error}`);
@@ -5218,6 +5411,8 @@ export async function importWorldInfo(file) {
         processData: false,
         success: async function (data) {
             if (data.name) {
+                // The import may have replaced a loaded book
+                invalidateWorldInfo(data.name);
                 await updateWorldInfoList();
 
                 const newIndex = world_names.indexOf(data.name);
@@ -5226,9 +5421,17 @@ export async function importWorldInfo(file) {
                 }
 
                 toastr.success(`World Info "${data.name}" imported successfully!`);
+
+                if (conversion && !conversion.report.isEmpty) {
+                    await showLorebookConversionReport(conversion.report);
+                }
+            }
+        },
+        error: (jqXHR, _exception) => {
+            if (jqXHR.status === 413) {
+                toastr.error(jqXHR.responseText, t`Could not import World Info`);
             }
         },
-        error: (_jqXHR, _exception) => { },
     });
 }
 
@@ -5245,6 +5448,35 @@ export function openWorldInfoEditor(worldName) {
     $('#world_editor_select').val(index).trigger('change');
 }
 
+/**
+ * Opens the world info editor and scrolls to an entry.
+ * @param {string} worldName The name of the world
+ * @param {number} uid The UID of the entry
+ */
+export async function openWorldInfoEntry(worldName, uid) {
+    const index = world_names.indexOf(worldName);
+
+    if (index === -1) {
+        toastr.warning(t`World Info file ${worldName} was not found.`);
+        return;
+    }
+
+    if (!$('#WorldInfo').is(':visible')) {
+        $('#WIDrawerIcon').trigger('click');
+    }
+
+    // The entry could be hidden by the search
+    $('#world_info_search').val('');
+    worldInfoFilter.setFilterData(FILTER_TYPES.WORLD_INFO_SEARCH, '', true);
+
+    if (Number($('#world_editor_select').val()) !== index) {
+        $('#world_editor_select').val(index);
+        await showWorldEditor(worldName);
+    }
+
+    await updateEditor(Number(uid));
+}
+
 /**
  * Assigns a lorebook to the current chat.
  * @param {JQuery.ClickEvent<Document, undefined, any, any>} event Pointer event
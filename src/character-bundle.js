@@ -0,0 +1,263 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import archiver from 'archiver';
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { read } from './character-card-parser.js';
+import { readCharXFiles, writeUniqueFile } from './charx.js';
+import { tryParse } from './util.js';
+
+const MANIFEST_FILE = 'manifest.json';
+const BUNDLE_VERSION = 1;
+
+/**
+ * @typedef {object} BundleTag
+ * @property {string} name Tag name
+ * @property {string} [color] Background color of the tag
+ * @property {string} [color2] Text color of the tag
+ */
+
+/**
+ * @typedef {object} BundleCharacter
+ * @property {string} avatar Avatar file name of the character
+ * @property {string} name Character name
+ * @property {BundleTag[]} tags Tags assigned to the character
+ * @property {string[]} books Names of the lorebooks assigned to the character, the primary one first
+ * @property {string[]} chats File names of the chats of the character
+ */
+
+/**
+ * @typedef {object} BundleManifest
+ * @property {number} version Version of the bundle format
+ * @property {number} date Timestamp of the export
+ * @property {BundleCharacter[]} characters Bundled characters
+ * @property {string[]} worlds Names of the bundled lorebooks
+ */
+
+/**
+ * @typedef {object} BundleSelection
+ * @property {string} avatar Avatar file name of the character
+ * @property {BundleTag[]} [tags] Tags assigned to the character
+ * @property {string[]} [books] Additional lorebooks assigned to the character
+ */
+
+/**
+ * @typedef {object} BundleConflict
+ * @property {'avatar'|'name'} type Whether an existing character has the same avatar file name or the same name
+ * @property {string} avatar Avatar file name of the existing character
+ */
+
+/**
+ * @typedef {'skip'|'overwrite'|'rename'} BundleResolution
+ */
+
+/**
+ * Lists the chat files of a character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @returns {string[]} Chat file names
+ */
+function listChats(directories, avatar) {
+    const chatsPath = path.join(directories.chats, path.parse(avatar).name);
+
+    if (!fs.existsSync(chatsPath) || !fs.statSync(chatsPath).isDirectory()) {
+        return [];
+    }
+
+    return fs.readdirSync(chatsPath).filter(file => path.extname(file).toLowerCase() === '.jsonl');
+}
+
+/**
+ * Collects the characters, chats and lorebooks to bundle.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {BundleSelection[]} selection Characters to bundle
+ * @returns {{ manifest: BundleManifest, files: { name: string, filePath: string }[] }} Manifest and files to archive
+ */
+export function collectBundleFiles(directories, selection) {
+    /** @type {BundleManifest} */
+    const manifest = { version: BUNDLE_VERSION, date: Date.now(), characters: [], worlds: [] };
+    const files = [];
+
+    for (const item of selection) {
+        const avatar = sanitize(String(item?.avatar ?? ''));
+        const avatarPath = path.join(directories.characters, avatar);
+
+        if (!avatar || !fs.existsSync(avatarPath)) {
+            console.warn(`Character ${avatar} not found, skipping`);
+            continue;
+        }
+
+        const card = JSON.parse(read(fs.readFileSync(avatarPath)));
+        const books = _.uniq([card.data?.extensions?.world, ...(Array.isArray(item.books) ? item.books : [])])
+            .map(book => sanitize(String(book ?? '')))
+            .filter(book => book && fs.existsSync(path.join(directories.worlds, `${book}.json`)));
+        const tags = (Array.isArray(item.tags) ? item.tags : [])
+            .filter(tag => tag?.name)
+            .map(tag => ({ name: String(tag.name), color: String(tag.color ?? ''), color2: String(tag.color2 ?? '') }));
+        const chats = listChats(directories, avatar);
+
+        manifest.characters.push({ avatar, name: String(card.data?.name ?? card.name ?? ''), tags, books, chats });
+        files.push({ name: `characters/${avatar}`, filePath: avatarPath });
+
+        for (const chat of chats) {
+            files.push({ name: `chats/${path.parse(avatar).name}/${chat}`, filePath: path.join(directories.chats, path.parse(avatar).name, chat) });
+        }
+
+        for (const book of books.filter(book => !manifest.worlds.includes(book))) {
+            manifest.worlds.push(book);
+            files.push({ name: `worlds/${book}.json`, filePath: path.join(directories.worlds, `${book}.json`) });
+        }
+    }
+
+    return { manifest, files };
+}
+
+/**
+ * Streams a character bundle archive to the response.
+ * @param {import('express').Response} response Response object
+ * @param {BundleManifest} manifest Bundle manifest
+ * @param {{ name: string, filePath: string }[]} files Files to archive
+ * @param {string} fileName Name of the downloaded file
+ */
+export function sendCharacterBundle(response, manifest, files, fileName) {
+    const archive = archiver('zip');
+
+    archive.on('error', function (err) {
+        console.error('Character bundle archive failed', err);
+        if (!response.headersSent) {
+            response.status(500).send({ error: err.message });
+        } else {
+            response.end();
+        }
+    });
+
+    response.attachment(fileName);
+    // @ts-ignore
+    archive.pipe(response);
+
+    archive.append(JSON.stringify(manifest, null, 4), { name: MANIFEST_FILE });
+    for (const file of files) {
+        archive.file(file.filePath, { name: file.name });
+    }
+
+    archive.finalize();
+}
+
+/**
+ * Reads a character bundle archive.
+ * @param {ArrayBufferLike} archiveBuffer Buffer containing the archive
+ * @returns {Promise<{ manifest: BundleManifest, files: Map<string, Buffer> }>} Manifest and files of the archive
+ */
+export async function readCharacterBundle(archiveBuffer) {
+    const files = await readCharXFiles(archiveBuffer);
+    const manifest = tryParse(files.get(MANIFEST_FILE)?.toString('utf8'));
+
+    if (!manifest || !Array.isArray(manifest.characters)) {
+        throw new Error('The archive is not a character bundle');
+    }
+
+    manifest.characters = manifest.characters
+        .filter(x => x && typeof x.avatar === 'string')
+        .map(x => ({
+            avatar: sanitize(x.avatar),
+            name: String(x.name ?? ''),
+            tags: Array.isArray(x.tags) ? x.tags.filter(tag => tag?.name) : [],
+            books: Array.isArray(x.books) ? x.books.map(book => sanitize(String(book))).filter(book => book) : [],
+            chats: Array.isArray(x.chats) ? x.chats.map(chat => sanitize(String(chat))).filter(chat => chat) : [],
+        }))
+        .filter(x => x.avatar && files.has(`characters/${x.avatar}`));
+    manifest.worlds = (Array.isArray(manifest.worlds) ? manifest.worlds : [])
+        .map(book => sanitize(String(book)))
+        .filter(book => book && files.has(`worlds/${book}.json`));
+
+    return { manifest, files };
+}
+
+/**
+ * Finds an existing character that conflicts with a bundled one.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {BundleCharacter} character Bundled character
+ * @param {Map<string, string>} characterNames Avatar file names of the existing characters by lowercase name
+ * @returns {BundleConflict|null} Conflict, or null if the character can be imported as is
+ */
+export function getCharacterConflict(directories, character, characterNames) {
+    if (fs.existsSync(path.join(directories.characters, character.avatar))) {
+        return { type: 'avatar', avatar: character.avatar };
+    }
+
+    const avatar = characterNames.get(character.name.toLowerCase());
+    return avatar ? { type: 'name', avatar } : null;
+}
+
+/**
+ * Checks if a bundled lorebook differs from an existing one with the same name.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} name Lorebook name
+ * @param {Map<string, Buffer>} files Files of the archive
+ * @returns {boolean} True if the existing lorebook would be replaced
+ */
+export function hasWorldConflict(directories, name, files) {
+    const worldPath = path.join(directories.worlds, `${name}.json`);
+    return fs.existsSync(worldPath) && !fs.readFileSync(worldPath).equals(files.get(`worlds/${name}.json`));
+}
+
+/**
+ * Writes the bundled lorebooks to the user data.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string[]} worlds Names of the bundled lorebooks to import
+ * @param {Map<string, Buffer>} files Files of the archive
+ * @param {Record<string, BundleResolution>} resolutions How to resolve the conflicts, by lorebook name. Existing lorebooks are kept by default.
+ * @returns {Map<string, string>} Names of the lorebooks in the user data, by bundled name
+ */
+export function importBundleWorlds(directories, worlds, files, resolutions) {
+    const names = new Map();
+
+    for (const name of worlds.filter(x => files.has(`worlds/${x}.json`))) {
+        const content = files.get(`worlds/${name}.json`);
+        const conflict = hasWorldConflict(directories, name, files);
+        const resolution = conflict ? (resolutions?.[name] ?? 'skip') : 'overwrite';
+
+        if (resolution === 'rename') {
+            names.set(name, path.parse(writeUniqueFile(directories.worlds, `${name}.json`, content)).name);
+            continue;
+        }
+
+        if (resolution === 'overwrite') {
+            writeFileAtomicSync(path.join(directories.worlds, `${name}.json`), content);
+        }
+
+        names.set(name, name);
+    }
+
+    return names;
+}
+
+/**
+ * Writes the bundled chats of a character to the user data. Existing chats are never overwritten.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {BundleCharacter} character Bundled character
+ * @param {Map<string, Buffer>} files Files of the archive
+ * @param {string} avatar Avatar file name of the imported character
+ * @returns {number} Number of imported chats
+ */
+export function importBundleChats(directories, character, files, avatar) {
+    const chatsPath = path.join(directories.chats, path.parse(avatar).name);
+    let count = 0;
+
+    for (const chat of character.chats) {
+        const content = files.get(`chats/${path.parse(character.avatar).name}/${chat}`);
+
+        if (!content) {
+            continue;
+        }
+
+        fs.mkdirSync(chatsPath, { recursive: true });
+        writeUniqueFile(chatsPath, chat, content);
+        count++;
+    }
+
+    return count;
+}
@@ -0,0 +1,248 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { read } from './character-card-parser.js';
+import { getConfigValue, tryParse } from './util.js';
+
+/**
+ * Saves made within this interval after the latest revision replace it instead of adding a new one.
+ */
+const COALESCE_INTERVAL = 60 * 1000;
+
+/**
+ * Fields that change without the user editing the card and are ignored when comparing revisions.
+ */
+const VOLATILE_FIELDS = ['chat', 'fav', 'data.extensions.fav'];
+
+/**
+ * @typedef {object} CharacterRevisionRecord
+ * @property {number} revision Revision number, starting from 0
+ * @property {number} date Timestamp of the revision
+ * @property {object} card Full character card data
+ * @property {number} [restored_from] Number of the revision the card was restored from
+ */
+
+/**
+ * @typedef {object} CharacterFieldDiff
+ * @property {string} field Path to the field, e.g. "data.alternate_greetings.1"
+ * @property {'added'|'removed'|'changed'} type Type of the change
+ * @property {any} before Value in the older revision
+ * @property {any} after Value in the newer revision
+ */
+
+/**
+ * Gets the path to the revision log of a character card.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ * @returns {string} Path to the revision log
+ */
+export function getCharacterRevisionLogPath(directories, avatar) {
+    return path.join(directories.revisions, path.relative(directories.root, directories.characters), `${path.parse(avatar).name}.jsonl`);
+}
+
+/**
+ * Reads all records from a revision log.
+ * @param {string} logPath Path to the revision log
+ * @returns {CharacterRevisionRecord[]} List of records, oldest first
+ */
+function readRecords(logPath) {
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+
+    return fs.readFileSync(logPath, 'utf8').split('\n').map(line => tryParse(line)).filter(x => x?.card);
+}
+
+/**
+ * Removes the fields that are not a part of the card contents.
+ * @param {object} card Character card data
+ * @returns {object} Card without volatile fields
+ */
+function omitVolatileFields(card) {
+    return _.omit(card, VOLATILE_FIELDS);
+}
+
+/**
+ * Reads the card that is about to be overwritten, if its history is not recorded yet.
+ * Allows the first edit of a card created before revisions were enabled to be undone.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ * @returns {{ date: number, card: object }|null} Current card, or null if not needed
+ */
+export function getCharacterRevisionBaseline(directories, avatar) {
+    const avatarPath = path.join(directories.characters, avatar);
+
+    if (fs.existsSync(getCharacterRevisionLogPath(directories, avatar)) || !fs.existsSync(avatarPath)) {
+        return null;
+    }
+
+    try {
+        const card = JSON.parse(read(fs.readFileSync(avatarPath)));
+        return { date: Math.floor(fs.statSync(avatarPath).mtimeMs), card };
+    } catch (error) {
+        console.warn(`Could not read the current version of ${avatar}`, error);
+        return null;
+    }
+}
+
+/**
+ * Records a saved version of a character card in its revision log.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ * @param {string} data Saved character card data
+ * @param {object} [options] Options
+ * @param {{ date: number, card: object }|null} [options.baseline] Card that was overwritten by the save
+ * @param {number} [options.restoredFrom] Number of the revision that was restored by the save
+ * @returns {number|null} Number of the recorded revision, or null if the card didn't change
+ */
+export function recordCharacterRevision(directories, avatar, data, { baseline = null, restoredFrom = undefined } = {}) {
+    const logPath = getCharacterRevisionLogPath(directories, avatar);
+    const maxRevisions = Math.max(2, Number(getConfigValue('backups.character.maxRevisions', 50, 'number')) || 50);
+    const records = readRecords(logPath);
+    const card = JSON.parse(data);
+
+    if (records.length === 0 && baseline) {
+        records.push({ revision: 0, date: baseline.date, card: baseline.card });
+    }
+
+    const latest = records[records.length - 1];
+
+    if (latest && _.isEqual(omitVolatileFields(latest.card), omitVolatileFields(card))) {
+        return null;
+    }
+
+    // Consecutive saves of the same editing session are merged, but never into the only or a restored revision
+    const coalesce = latest && records.length > 1 && restoredFrom === undefined && latest.restored_from === undefined && Date.now() - latest.date < COALESCE_INTERVAL;
+
+    /** @type {CharacterRevisionRecord} */
+    const record = { revision: latest ? latest.revision + Number(!coalesce) : 0, date: Date.now(), card };
+
+    if (restoredFrom !== undefined) {
+        record.restored_from = restoredFrom;
+    }
+
+    if (coalesce) {
+        records[records.length - 1] = record;
+    } else {
+        records.push(record);
+    }
+
+    const content = records.slice(-maxRevisions).map(x => JSON.stringify(x)).join('\n') + '\n';
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    writeFileAtomicSync(logPath, content, 'utf8');
+    return record.revision;
+}
+
+/**
+ * Moves the revision log of a renamed character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} oldAvatar Old avatar file name
+ * @param {string} newAvatar New avatar file name
+ */
+export function renameCharacterRevisions(directories, oldAvatar, newAvatar) {
+    const oldPath = getCharacterRevisionLogPath(directories, oldAvatar);
+    const newPath = getCharacterRevisionLogPath(directories, newAvatar);
+
+    if (fs.existsSync(oldPath) && !fs.existsSync(newPath)) {
+        fs.renameSync(oldPath, newPath);
+    }
+}
+
+/**
+ * Deletes the revision log of a deleted character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ */
+export function deleteCharacterRevisions(directories, avatar) {
+    fs.rmSync(getCharacterRevisionLogPath(directories, avatar), { force: true });
+}
+
+/**
+ * Flattens the contents of a card into a map of field paths and values.
+ * @param {object} card Character card data
+ * @returns {Map<string, any>} Values by field path
+ */
+function flattenCard(card) {
+    const result = new Map();
+
+    const visit = (/** @type {any} */ value, /** @type {string} */ prefix) => {
+        const isContainer = _.isPlainObject(value) || Array.isArray(value);
+
+        if (!isContainer || _.isEmpty(value)) {
+            result.set(prefix, value);
+            return;
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            visit(child, prefix ? `${prefix}.${key}` : key);
+        }
+    };
+
+    visit(omitVolatileFields(_.pick(card, ['spec', 'spec_version', 'data'])), '');
+    return result;
+}
+
+/**
+ * Compares two versions of a character card field by field.
+ * Only the V2/V3 fields are compared, the V1 fields at the top level are duplicates of them.
+ * @param {object} before Older version of the card
+ * @param {object} after Newer version of the card
+ * @returns {CharacterFieldDiff[]} List of changed fields
+ */
+export function diffCharacterCards(before, after) {
+    const a = flattenCard(before);
+    const b = flattenCard(after);
+
+    return _.union([...a.keys()], [...b.keys()])
+        .filter(field => !_.isEqual(a.get(field), b.get(field)))
+        .map(field => ({
+            field,
+            type: !a.has(field) ? 'added' : !b.has(field) ? 'removed' : 'changed',
+            before: a.get(field) ?? null,
+            after: b.get(field) ?? null,
+        }));
+}
+
+/**
+ * Lists the revisions of a character card.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ * @returns {{ revision: number, date: number, name: string, changed: string[], restored_from?: number }[]} List of revisions, oldest first
+ */
+export function listCharacterRevisions(directories, avatar) {
+    const records = readRecords(getCharacterRevisionLogPath(directories, avatar));
+
+    return records.map((record, index) => {
+        // Names of the changed fields of the card data, e.g. "description" or "character_book"
+        const changed = index === 0 ? [] : _.uniq(diffCharacterCards(records[index - 1].card, record.card)
+            .map(x => x.field.split('.').slice(x.field.startsWith('data.') ? 1 : 0)[0]));
+
+        return {
+            revision: record.revision,
+            date: record.date,
+            name: String(record.card?.data?.name ?? record.card?.name ?? ''),
+            changed,
+            ...(record.restored_from !== undefined ? { restored_from: record.restored_from } : {}),
+        };
+    });
+}
+
+/**
+ * Gets the contents of a character card at the given revision.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ * @param {number} revision Revision number
+ * @returns {object} Character card data
+ */
+export function getCharacterRevision(directories, avatar, revision) {
+    const record = readRecords(getCharacterRevisionLogPath(directories, avatar)).find(x => x.revision === revision);
+
+    if (!record) {
+        throw new Error(`Revision ${revision} not found`);
+    }
+
+    return record.card;
+}
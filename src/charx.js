@@ -0,0 +1,374 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+
+import archiver from 'archiver';
+import mime from 'mime-types';
+import sanitize from 'sanitize-filename';
+import yauzl from 'yauzl';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { tryParse } from './util.js';
+import { readFirstLine } from './endpoints/chats.js';
+
+const ASSET_PROTOCOL = 'embeded://';
+const GALLERY_ASSET_TYPE = 'x-sillytavern-gallery';
+
+// Limits of the extracted archives, to reject ZIP bombs before they exhaust the memory
+const MAX_ARCHIVE_ENTRIES = 5000;
+const MAX_ARCHIVE_ENTRY_SIZE = 64 * 1024 * 1024;
+const MAX_ARCHIVE_TOTAL_SIZE = 512 * 1024 * 1024;
+
+/**
+ * @typedef {object} CharXAsset
+ * @property {string} type Asset type (icon, emotion, background or x-sillytavern-gallery)
+ * @property {string} uri Asset URI, embedded assets use the embeded:// protocol
+ * @property {string} name Asset name. Sprites in a subfolder are named "subfolder/label".
+ * @property {string} ext File extension without the dot
+ */
+
+/**
+ * @typedef {object} CharXFile
+ * @property {CharXAsset} asset Asset descriptor written to card.json
+ * @property {string} filePath Path to the file on disk
+ * @property {Buffer} [content] Content written instead of the file on disk
+ */
+
+/**
+ * Lists the image files of a directory.
+ * @param {string} directory Directory path
+ * @returns {string[]} File names
+ */
+function listImages(directory) {
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+        return [];
+    }
+
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isFile() && String(mime.lookup(entry.name)).startsWith('image/'))
+        .map(entry => entry.name);
+}
+
+/**
+ * Creates an embedded asset for a file.
+ * @param {string} type Asset type
+ * @param {string} name Asset name
+ * @param {string} filePath Path to the file on disk
+ * @param {string} archiveFolder Folder of the file in the archive
+ * @returns {CharXFile} Asset with the file path
+ */
+function createAsset(type, name, filePath, archiveFolder) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const archivePath = path.posix.join('assets', archiveFolder, path.basename(filePath));
+    return { asset: { type, uri: `${ASSET_PROTOCOL}${archivePath}`, name, ext }, filePath };
+}
+
+/**
+ * Resolves a background reference from chat metadata to a file in the user data.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} value Background URL or CSS url() value
+ * @returns {string|null} Path to the file, or null if not found
+ */
+function resolveBackground(directories, value) {
+    const url = decodeURIComponent(String(value).replace(/^url\(["']?/, '').replace(/["']?\)$/, ''))
+        .replace(/^\/+/, '')
+        .split('?')[0];
+
+    const roots = [
+        ['backgrounds/', directories.backgrounds],
+        ['user/images/', directories.userImages],
+    ];
+
+    for (const [prefix, root] of roots) {
+        if (!url.startsWith(prefix)) {
+            continue;
+        }
+
+        const filePath = path.join(root, ...url.slice(prefix.length).split('/').map(x => sanitize(x)));
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+            return filePath;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the backgrounds used in the chats of a character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @returns {Promise<string[]>} Paths to the background files
+ */
+async function getCharacterBackgrounds(directories, avatar) {
+    const chatsPath = path.join(directories.chats, path.parse(avatar).name);
+    /** @type {Set<string>} */
+    const result = new Set();
+
+    if (!fs.existsSync(chatsPath)) {
+        return [];
+    }
+
+    for (const file of fs.readdirSync(chatsPath).filter(x => path.extname(x) === '.jsonl')) {
+        const header = tryParse(await readFirstLine(path.join(chatsPath, file)));
+        const metadata = header?.chat_metadata;
+        const references = [metadata?.custom_background, ...(Array.isArray(metadata?.chat_backgrounds) ? metadata.chat_backgrounds : [])];
+
+        for (const reference of references.filter(x => typeof x === 'string' && x)) {
+            const filePath = resolveBackground(directories, reference);
+            if (filePath) {
+                result.add(filePath);
+            }
+        }
+    }
+
+    return Array.from(result);
+}
+
+/**
+ * Collects the files of a character that are bundled in a CharX archive:
+ * the avatar, expression sprites, backgrounds used in the chats and gallery images.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @param {string} name Character name
+ * @param {string} [galleryFolder] Gallery folder of the character, defaults to the character name
+ * @returns {Promise<CharXFile[]>} Files to bundle
+ */
+export async function collectCharXFiles(directories, avatar, name, galleryFolder) {
+    /** @type {CharXFile[]} */
+    const files = [createAsset('icon', 'main', path.join(directories.characters, avatar), 'icon')];
+    const usedPaths = new Set();
+
+    const spritesPath = path.join(directories.characters, sanitize(name));
+    for (const file of listImages(spritesPath)) {
+        files.push(createAsset('emotion', path.parse(file).name, path.join(spritesPath, file), 'emotion'));
+    }
+
+    // Sprite sets in subfolders, e.g. outfits
+    if (fs.existsSync(spritesPath) && fs.statSync(spritesPath).isDirectory()) {
+        for (const folder of fs.readdirSync(spritesPath, { withFileTypes: true }).filter(x => x.isDirectory())) {
+            for (const file of listImages(path.join(spritesPath, folder.name))) {
+                const filePath = path.join(spritesPath, folder.name, file);
+                files.push(createAsset('emotion', `${folder.name}/${path.parse(file).name}`, filePath, `emotion/${folder.name}`));
+            }
+        }
+    }
+
+    for (const filePath of await getCharacterBackgrounds(directories, avatar)) {
+        files.push(createAsset('background', path.parse(filePath).name, filePath, 'background'));
+    }
+
+    const galleryPath = path.join(directories.userImages, sanitize(galleryFolder || name));
+    for (const file of listImages(galleryPath)) {
+        files.push(createAsset(GALLERY_ASSET_TYPE, path.parse(file).name, path.join(galleryPath, file), 'gallery'));
+    }
+
+    // Archive paths must be unique, a chat background may also be a gallery image
+    return files.filter(file => {
+        const key = file.asset.uri.toLowerCase();
+        if (usedPaths.has(key)) {
+            return false;
+        }
+        usedPaths.add(key);
+        return true;
+    });
+}
+
+/**
+ * Streams a CharX archive to the response.
+ * @param {import('express').Response} response Response object
+ * @param {object} card Character card in the V3 format
+ * @param {CharXFile[]} files Files to bundle
+ * @param {string} fileName Name of the downloaded file
+ */
+export function sendCharXArchive(response, card, files, fileName) {
+    const archive = archiver('zip');
+
+    archive.on('error', function (err) {
+        console.error('CharX archive failed', err);
+        if (!response.headersSent) {
+            response.status(500).send({ error: err.message });
+        } else {
+            response.end();
+        }
+    });
+
+    response.attachment(fileName);
+    // @ts-ignore
+    archive.pipe(response);
+
+    archive.append(JSON.stringify(card, null, 4), { name: 'card.json' });
+    for (const file of files) {
+        const name = file.asset.uri.slice(ASSET_PROTOCOL.length);
+        if (file.content) {
+            archive.append(file.content, { name });
+        } else {
+            archive.file(file.filePath, { name });
+        }
+    }
+
+    archive.finalize();
+}
+
+/**
+ * Reads all files of a ZIP archive.
+ * The archive is rejected if it has too many files or if the extracted files are too large.
+ * @param {ArrayBufferLike} archiveBuffer Buffer containing a ZIP archive
+ * @returns {Promise<Map<string, Buffer>>} File contents by path in the archive
+ */
+export async function readCharXFiles(archiveBuffer) {
+    return new Promise((resolve, reject) => {
+        /** @type {Map<string, Buffer>} */
+        const files = new Map();
+        let totalSize = 0;
+
+        yauzl.fromBuffer(Buffer.from(archiveBuffer), { lazyEntries: true }, (err, zipfile) => {
+            if (err) {
+                return reject(err);
+            }
+
+            let isFailed = false;
+            const fail = (/** @type {Error} */ error) => {
+                if (!isFailed) {
+                    isFailed = true;
+                    zipfile.close();
+                    reject(error);
+                }
+            };
+
+            if (zipfile.entryCount > MAX_ARCHIVE_ENTRIES) {
+                return fail(new Error(`The archive has too many files (${zipfile.entryCount}, the limit is ${MAX_ARCHIVE_ENTRIES})`));
+            }
+
+            zipfile.readEntry();
+            zipfile.on('entry', (entry) => {
+                if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX')) {
+                    return zipfile.readEntry();
+                }
+
+                // The header sizes can be forged, the extracted bytes are counted below as well
+                if (entry.uncompressedSize > MAX_ARCHIVE_ENTRY_SIZE || totalSize + entry.uncompressedSize > MAX_ARCHIVE_TOTAL_SIZE) {
+                    return fail(new Error(`The archive is too large to extract (${entry.fileName})`));
+                }
+
+                zipfile.openReadStream(entry, (err, readStream) => {
+                    if (err) {
+                        return fail(err);
+                    }
+
+                    const chunks = [];
+                    let entrySize = 0;
+                    readStream.on('data', chunk => {
+                        entrySize += chunk.length;
+                        totalSize += chunk.length;
+                        if (entrySize > MAX_ARCHIVE_ENTRY_SIZE || totalSize > MAX_ARCHIVE_TOTAL_SIZE) {
+                            readStream.destroy();
+                            return fail(new Error(`The archive is too large to extract (${entry.fileName})`));
+                        }
+                        chunks.push(chunk);
+                    });
+                    readStream.on('end', () => {
+                        if (isFailed) {
+                            return;
+                        }
+                        files.set(entry.fileName, Buffer.concat(chunks));
+                        zipfile.readEntry();
+                    });
+                    readStream.on('error', fail);
+                });
+            });
+            zipfile.on('end', () => resolve(files));
+            zipfile.on('error', fail);
+        });
+    });
+}
+
+/**
+ * Gets the content of an embedded asset.
+ * @param {Map<string, Buffer>} files Files of the archive
+ * @param {CharXAsset} asset Asset descriptor
+ * @returns {Buffer|null} File content, or null if the asset is not embedded in the archive
+ */
+export function getCharXAssetContent(files, asset) {
+    if (typeof asset?.uri !== 'string') {
+        return null;
+    }
+
+    const archivePath = asset.uri.replace(/^[a-z]+:\/\//i, '').replace(/^\/+/, '');
+    return files.get(archivePath) ?? null;
+}
+
+/**
+ * Writes a file without overwriting a different file with the same name.
+ * @param {string} directory Target directory
+ * @param {string} fileName File name
+ * @param {Buffer} content File content
+ * @param {(name: string, index: number) => string} [getAlternativeName] Gets the name of the file without extension if the name is taken
+ * @returns {string} Name of the written file
+ */
+export function writeUniqueFile(directory, fileName, content, getAlternativeName = (name, index) => `${name} (${index})`) {
+    const { name, ext } = path.parse(fileName);
+    let candidate = fileName;
+
+    for (let i = 1; fs.existsSync(path.join(directory, candidate)); i++) {
+        if (fs.readFileSync(path.join(directory, candidate)).equals(content)) {
+            return candidate;
+        }
+        candidate = `${getAlternativeName(name, i)}${ext}`;
+    }
+
+    writeFileAtomicSync(path.join(directory, candidate), content);
+    return candidate;
+}
+
+/**
+ * Writes the sprites, backgrounds and gallery images of an imported CharX archive to the user data.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} name Name of the imported character
+ * @param {CharXAsset[]} assets Assets of the card
+ * @param {Map<string, Buffer>} files Files of the archive
+ * @returns {number} Number of imported assets
+ */
+export function importCharXAssets(directories, name, assets, files) {
+    let count = 0;
+
+    for (const asset of assets) {
+        const content = getCharXAssetContent(files, asset);
+        const ext = String(asset.ext || '').replace(/[^a-z0-9]/gi, '').toLowerCase() || 'png';
+        const parts = String(asset.name || '').split('/').map(x => sanitize(x)).filter(x => x);
+
+        if (!content || parts.length === 0) {
+            continue;
+        }
+
+        const fileName = `${parts.pop()}.${ext}`;
+
+        try {
+            switch (asset.type) {
+                case 'emotion': {
+                    const spritesPath = path.join(directories.characters, sanitize(name), ...parts);
+                    fs.mkdirSync(spritesPath, { recursive: true });
+                    // Sprites of another character with the same name are kept, a dash suffix keeps the expression label
+                    writeUniqueFile(spritesPath, fileName, content, (name, index) => `${name}-${index}`);
+                    break;
+                }
+                case 'background':
+                    writeUniqueFile(directories.backgrounds, fileName, content);
+                    break;
+                case GALLERY_ASSET_TYPE: {
+                    const galleryPath = path.join(directories.userImages, sanitize(name));
+                    fs.mkdirSync(galleryPath, { recursive: true });
+                    writeUniqueFile(galleryPath, fileName, content);
+                    break;
+                }
+                default:
+                    continue;
+            }
+
+            count++;
+        } catch (error) {
+            console.warn(`Failed to import CharX asset ${asset.uri}`, error);
+        }
+    }
+
+    return count;
+}
@@ -0,0 +1,446 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, tryParse } from './util.js';
+
+/**
+ * Every N-th revision stores a full copy of the chat to keep replays short.
+ */
+const CHECKPOINT_INTERVAL = 50;
+const MAX_CACHED_STATES = 100;
+const MAX_REVISIONS = Math.max(CHECKPOINT_INTERVAL, Number(getConfigValue('backups.chat.maxRevisions', 1000, 'number')) || 1000);
+
+/**
+ * @typedef {object} ChatState
+ * @property {object|null} header Chat header (the first line of the file with chat metadata)
+ * @property {object[]} messages Chat messages
+ */
+
+/**
+ * @typedef {object} MessageDelta
+ * @property {number} index Index of the message in the chat
+ * @property {object} [message] Full message, if the message is new
+ * @property {Object.<string, any>} [set] Fields that were added or changed
+ * @property {string[]} [unset] Fields that were removed
+ * @property {Object.<string, string>} [swipes] Changed swipes by swipe index
+ * @property {number} [swipes_length] New number of swipes, if it changed
+ */
+
+/**
+ * @typedef {object} RevisionRecord
+ * @property {number} revision Revision number, starting from 0
+ * @property {number} date Timestamp of the revision
+ * @property {number} length Number of messages in the chat after the revision
+ * @property {object|null} [header] New chat header, if it changed
+ * @property {boolean} [full] Whether the record contains a full copy of the chat
+ * @property {object[]} [messages] All messages, if the record is a full copy
+ * @property {MessageDelta[]} [changes] Changed messages, if the record is a delta
+ */
+
+/**
+ * @typedef {object} MessageDiff
+ * @property {number} index Index of the message in the chat
+ * @property {'added'|'removed'|'changed'} type Type of the change
+ * @property {string[]} fields Names of the changed fields
+ * @property {{ added: number[], removed: number[], changed: number[] }} swipes Indices of changed swipes
+ * @property {object|null} before Message in the older revision
+ * @property {object|null} after Message in the newer revision
+ */
+
+/**
+ * Latest known state of recently saved chats, by revision log path.
+ * @type {Map<string, { revision: number, state: ChatState }>}
+ */
+const latestStates = new Map();
+
+/**
+ * Gets the path to the revision log of a chat file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} chatFilePath Path to the chat file
+ * @returns {string} Path to the revision log
+ */
+export function getRevisionLogPath(directories, chatFilePath) {
+    return path.join(directories.revisions, path.relative(directories.root, chatFilePath));
+}
+
+/**
+ * Splits the items of a chat file into the header and messages.
+ * @param {object[]} items Parsed lines of a chat file
+ * @returns {ChatState} Chat state
+ */
+export function toChatState(items) {
+    const messages = items.filter(x => x && typeof x === 'object');
+    const header = messages.length && typeof messages[0].mes !== 'string' ? messages.shift() : null;
+    return { header, messages };
+}
+
+/**
+ * Converts a chat state back to the items of a chat file.
+ * @param {ChatState} state Chat state
+ * @returns {object[]} Lines of a chat file
+ */
+export function fromChatState(state) {
+    return state.header ? [state.header, ...state.messages] : [...state.messages];
+}
+
+/**
+ * Reads all records from a revision log.
+ * @param {string} logPath Path to the revision log
+ * @returns {RevisionRecord[]} List of records
+ */
+function readRecords(logPath) {
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+
+    return fs.readFileSync(logPath, 'utf8').split('\n').map(line => tryParse(line)).filter(x => x);
+}
+
+/**
+ * Computes the delta between two versions of a message.
+ * @param {number} index Index of the message
+ * @param {object|undefined} before Previous version of the message
+ * @param {object} after New version of the message
+ * @returns {MessageDelta|null} Delta, or null if the message didn't change
+ */
+function getMessageDelta(index, before, after) {
+    if (!before) {
+        return { index, message: after };
+    }
+
+    if (_.isEqual(before, after)) {
+        return null;
+    }
+
+    /** @type {MessageDelta} */
+    const delta = { index };
+
+    for (const [key, value] of Object.entries(after)) {
+        if (key === 'swipes' && Array.isArray(value) && Array.isArray(before.swipes)) {
+            value.forEach((swipe, swipeIndex) => {
+                if (!_.isEqual(swipe, before.swipes[swipeIndex])) {
+                    delta.swipes = { ...delta.swipes, [swipeIndex]: swipe };
+                }
+            });
+            if (value.length !== before.swipes.length) {
+                delta.swipes_length = value.length;
+            }
+            continue;
+        }
+
+        if (!_.isEqual(value, before[key])) {
+            delta.set = { ...delta.set, [key]: value };
+        }
+    }
+
+    const removed = Object.keys(before).filter(key => !Object.hasOwn(after, key));
+    if (removed.length) {
+        delta.unset = removed;
+    }
+
+    return delta;
+}
+
+/**
+ * Applies a message delta to a list of messages.
+ * @param {object[]} messages List of messages to modify
+ * @param {MessageDelta} delta Delta to apply
+ */
+function applyMessageDelta(messages, delta) {
+    if (delta.message) {
+        messages[delta.index] = _.cloneDeep(delta.message);
+        return;
+    }
+
+    const message = messages[delta.index] ?? {};
+
+    for (const [key, value] of Object.entries(delta.set ?? {})) {
+        message[key] = _.cloneDeep(value);
+    }
+
+    for (const key of delta.unset ?? []) {
+        delete message[key];
+    }
+
+    if (delta.swipes || delta.swipes_length !== undefined) {
+        const swipes = Array.isArray(message.swipes) ? message.swipes : [];
+        for (const [swipeIndex, swipe] of Object.entries(delta.swipes ?? {})) {
+            swipes[Number(swipeIndex)] = swipe;
+        }
+        if (delta.swipes_length !== undefined) {
+            swipes.length = delta.swipes_length;
+        }
+        message.swipes = swipes;
+    }
+
+    messages[delta.index] = message;
+}
+
+/**
+ * Replays the revision log up to the given revision.
+ * @param {RevisionRecord[]} records All records of the revision log
+ * @param {number} revision Revision to stop at (inclusive)
+ * @returns {ChatState} State of the chat at the given revision
+ */
+function replay(records, revision) {
+    const target = records.findIndex(x => x.revision === revision);
+
+    if (target === -1) {
+        throw new Error(`Revision ${revision} not found`);
+    }
+
+    let start = target;
+    while (start > 0 && !records[start].full) {
+        start--;
+    }
+
+    /** @type {ChatState} */
+    const state = { header: null, messages: [] };
+
+    for (const record of records.slice(start, target + 1)) {
+        if (record.header !== undefined) {
+            state.header = _.cloneDeep(record.header);
+        }
+
+        if (record.full) {
+            state.messages = _.cloneDeep(record.messages ?? []);
+        }
+
+        for (const delta of record.changes ?? []) {
+            applyMessageDelta(state.messages, delta);
+        }
+
+        state.messages.length = record.length;
+    }
+
+    return state;
+}
+
+/**
+ * Caches the latest state of a chat.
+ * @param {string} logPath Path to the revision log
+ * @param {number} revision Latest revision number
+ * @param {ChatState} state Latest state
+ */
+function cacheLatestState(logPath, revision, state) {
+    latestStates.delete(logPath);
+    latestStates.set(logPath, { revision, state: _.cloneDeep(state) });
+
+    if (latestStates.size > MAX_CACHED_STATES) {
+        latestStates.delete(latestStates.keys().next().value);
+    }
+}
+
+/**
+ * Gets the latest revision of a chat.
+ * @param {string} logPath Path to the revision log
+ * @returns {{ revision: number, state: ChatState }|null} Latest revision, or null if there are none
+ */
+function getLatestRevision(logPath) {
+    if (latestStates.has(logPath)) {
+        return latestStates.get(logPath);
+    }
+
+    const records = readRecords(logPath);
+
+    if (records.length === 0) {
+        return null;
+    }
+
+    const revision = records[records.length - 1].revision;
+    const state = replay(records, revision);
+    cacheLatestState(logPath, revision, state);
+    return { revision, state };
+}
+
+/**
+ * Removes the oldest records of a revision log that exceed the retention limit.
+ * The oldest kept record is converted to a full copy, so the remaining revisions can still be replayed.
+ * @param {string} logPath Path to the revision log
+ */
+function pruneRecords(logPath) {
+    const records = readRecords(logPath);
+
+    if (records.length <= MAX_REVISIONS) {
+        return;
+    }
+
+    const kept = records.slice(-MAX_REVISIONS);
+    const first = kept[0];
+
+    if (!first.full) {
+        const state = replay(records, first.revision);
+        kept[0] = { revision: first.revision, date: first.date, length: first.length, header: state.header, full: true, messages: state.messages };
+    }
+
+    writeFileAtomicSync(logPath, kept.map(x => JSON.stringify(x)).join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Appends a revision to the log of a chat if it differs from the latest recorded one.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} chatFilePath Path to the chat file
+ * @param {object[]} items Lines of the chat file that was saved
+ * @returns {number|null} Number of the recorded revision, or null if nothing changed
+ */
+export function recordChatRevision(directories, chatFilePath, items) {
+    const logPath = getRevisionLogPath(directories, chatFilePath);
+    const latest = getLatestRevision(logPath);
+    const state = toChatState(items);
+
+    // The save counter changes on every save and is maintained by the chat endpoints
+    if (state.header) {
+        state.header = _.omit(state.header, 'revision');
+    }
+    const revision = latest ? latest.revision + 1 : 0;
+
+    /** @type {RevisionRecord} */
+    const record = { revision, date: Date.now(), length: state.messages.length };
+
+    if (!latest || revision % CHECKPOINT_INTERVAL === 0 || !_.isEqual(latest.state.header, state.header)) {
+        record.header = state.header;
+    }
+
+    if (revision % CHECKPOINT_INTERVAL === 0) {
+        record.full = true;
+        record.messages = state.messages;
+    } else {
+        const changes = state.messages
+            .map((message, index) => getMessageDelta(index, latest.state.messages[index], message))
+            .filter(x => x);
+
+        if (changes.length === 0 && !Object.hasOwn(record, 'header') && state.messages.length === latest.state.messages.length) {
+            return null;
+        }
+
+        record.changes = changes;
+    }
+
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.appendFileSync(logPath, JSON.stringify(record) + '\n', 'utf8');
+    cacheLatestState(logPath, revision, state);
+
+    // The whole log is only read back when a checkpoint is written
+    if (record.full) {
+        pruneRecords(logPath);
+    }
+
+    return revision;
+}
+
+/**
+ * Forgets the cached states of the revision logs at or below the given path.
+ * @param {string} logPath Path to a revision log or a directory of revision logs
+ */
+function evictCachedStates(logPath) {
+    for (const key of [...latestStates.keys()]) {
+        if (key === logPath || key.startsWith(logPath + path.sep)) {
+            latestStates.delete(key);
+        }
+    }
+}
+
+/**
+ * Deletes the revision logs of a deleted chat file or directory of chat files.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} chatPath Path to the chat file or directory
+ */
+export function deleteChatRevisions(directories, chatPath) {
+    const logPath = getRevisionLogPath(directories, chatPath);
+    evictCachedStates(logPath);
+    fs.rmSync(logPath, { recursive: true, force: true });
+}
+
+/**
+ * Moves the revision logs of a renamed chat file or directory of chat files.
+ * Does nothing if the new path already has revision logs.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} oldChatPath Previous path to the chat file or directory
+ * @param {string} newChatPath New path to the chat file or directory
+ */
+export function moveChatRevisions(directories, oldChatPath, newChatPath) {
+    const oldLogPath = getRevisionLogPath(directories, oldChatPath);
+    const newLogPath = getRevisionLogPath(directories, newChatPath);
+    evictCachedStates(oldLogPath);
+
+    if (!fs.existsSync(oldLogPath) || fs.existsSync(newLogPath)) {
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(newLogPath), { recursive: true });
+    fs.renameSync(oldLogPath, newLogPath);
+}
+
+/**
+ * Lists the revisions of a chat.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} chatFilePath Path to the chat file
+ * @returns {{ revision: number, date: number, length: number, changed: number[] }[]} List of revisions, oldest first
+ */
+export function listChatRevisions(directories, chatFilePath) {
+    const records = readRecords(getRevisionLogPath(directories, chatFilePath));
+    let previousLength = 0;
+
+    return records.map(record => {
+        const changed = record.full
+            ? _.range(record.length)
+            : (record.changes ?? []).map(x => x.index);
+
+        // Truncated messages count as changed too
+        for (let i = record.length; i < previousLength; i++) {
+            changed.push(i);
+        }
+
+        previousLength = record.length;
+        return { revision: record.revision, date: record.date, length: record.length, changed };
+    });
+}
+
+/**
+ * Gets the contents of a chat at the given revision.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} chatFilePath Path to the chat file
+ * @param {number} revision Revision number
+ * @returns {ChatState} State of the chat
+ */
+export function getChatRevision(directories, chatFilePath, revision) {
+    const records = readRecords(getRevisionLogPath(directories, chatFilePath));
+    return replay(records, revision);
+}
+
+/**
+ * Compares two versions of a chat message by message.
+ * @param {ChatState} before Older state of the chat
+ * @param {ChatState} after Newer state of the chat
+ * @returns {MessageDiff[]} List of changed messages
+ */
+export function diffChatStates(before, after) {
+    const result = [];
+    const length = Math.max(before.messages.length, after.messages.length);
+
+    for (let index = 0; index < length; index++) {
+        const a = before.messages[index] ?? null;
+        const b = after.messages[index] ?? null;
+
+        if (_.isEqual(a, b)) {
+            continue;
+        }
+
+        const type = !a ? 'added' : !b ? 'removed' : 'changed';
+        const fields = _.union(Object.keys(a ?? {}), Object.keys(b ?? {})).filter(key => !_.isEqual(a?.[key], b?.[key]));
+        const swipesA = Array.isArray(a?.swipes) ? a.swipes : [];
+        const swipesB = Array.isArray(b?.swipes) ? b.swipes : [];
+        const swipes = {
+            added: _.range(swipesA.length, Math.max(swipesA.length, swipesB.length)),
+            removed: _.range(swipesB.length, Math.max(swipesA.length, swipesB.length)),
+            changed: _.range(Math.min(swipesA.length, swipesB.length)).filter(i => !_.isEqual(swipesA[i], swipesB[i])),
+        };
+
+        result.push({ index, type, fields, swipes, before: a, after: b });
+    }
+
+    return result;
+}
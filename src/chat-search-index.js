@@ -0,0 +1,514 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+
+import _ from 'lodash';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { tryParse } from './util.js';
+import { timestampToMoment } from './endpoints/stats.js';
+
+const INDEX_FILE = 'chat-search-index.json';
+const INDEX_VERSION = 1;
+const SAVE_DEBOUNCE = 5000;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * @typedef {object} IndexedFile
+ * @property {number} mtime Modification time of the file when it was indexed
+ * @property {number} size Size of the file when it was indexed
+ * @property {number} messages Number of indexed messages
+ * @property {string[]} terms Terms that have postings for this file
+ */
+
+/**
+ * @typedef {object} SearchIndex
+ * @property {number} version Index format version
+ * @property {Object.<string, IndexedFile>} files Indexed files by key
+ * @property {Object.<string, Object.<string, number[]>>} postings Message indices by term and file key
+ */
+
+/**
+ * @typedef {object} SearchOptions
+ * @property {string} query Search query. Double-quoted parts are matched as phrases.
+ * @property {string[]} [speakers] Only match messages from these speakers (case-insensitive)
+ * @property {boolean} [isUser] Only match user (true) or non-user (false) messages
+ * @property {number} [from] Only match messages sent at or after this timestamp
+ * @property {number} [to] Only match messages sent at or before this timestamp
+ * @property {string} [avatar] Only search chats of this character avatar
+ * @property {string} [groupId] Only search chats of this group
+ * @property {number} [limit] Maximum number of hits to return
+ */
+
+/**
+ * @typedef {object} SearchHit
+ * @property {string} file_name Chat file name
+ * @property {string} [avatar] Character avatar, if the chat belongs to a character
+ * @property {string} [group] Group ID, if the chat belongs to a group
+ * @property {number} message_index Index of the message in the chat
+ * @property {string} name Name of the speaker
+ * @property {boolean} is_user Whether the message was sent by the user
+ * @property {string|number} send_date Message send date as stored in the chat
+ * @property {string} snippet Part of the message around the first match
+ */
+
+/**
+ * In-memory copies of the per-user indices.
+ * @type {Map<string, SearchIndex>}
+ */
+const indices = new Map();
+
+/**
+ * Pending index operations per user. Used to serialize updates.
+ * @type {Map<string, Promise<any>>}
+ */
+const queues = new Map();
+
+/**
+ * @type {Map<string, import('lodash').DebouncedFunc<function(): void>>}
+ */
+const saveFunctions = new Map();
+
+process.on('exit', () => {
+    for (const func of saveFunctions.values()) {
+        func.flush();
+    }
+});
+
+/**
+ * Splits a text into lowercase search terms.
+ * @param {string} text Text to tokenize
+ * @returns {string[]} List of terms
+ */
+export function tokenize(text) {
+    return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Gets the index key for a chat file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} filePath Path to the chat file
+ * @returns {string} Index key
+ */
+function getFileKey(directories, filePath) {
+    return path.relative(directories.root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Gets the owner info of an indexed chat file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} key Index key
+ * @returns {{ filePath: string, fileName: string, avatar?: string, groupChatId?: string }} Chat file info
+ */
+function getFileInfo(directories, key) {
+    const filePath = path.join(directories.root, ...key.split('/'));
+    const fileName = path.basename(filePath);
+
+    if (path.dirname(filePath) === directories.groupChats) {
+        return { filePath, fileName, groupChatId: path.parse(fileName).name };
+    }
+
+    return { filePath, fileName, avatar: `${path.basename(path.dirname(filePath))}.png` };
+}
+
+/**
+ * Parses a serialized chat into a list of messages.
+ * The header line is skipped, so message indices match the ones used by the client.
+ * @param {string} data Serialized JSONL chat
+ * @returns {object[]} List of messages. Unparseable lines are represented with null.
+ */
+function parseChatMessages(data) {
+    const lines = data.split('\n').filter(line => line.trim());
+    const items = lines.map(line => tryParse(line) ?? null);
+
+    if (items.length && items[0] && typeof items[0].mes !== 'string') {
+        items.shift();
+    }
+
+    return items;
+}
+
+/**
+ * Loads the search index for a user, creating an empty one if needed.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {SearchIndex} Search index
+ */
+function getIndex(handle, directories) {
+    if (indices.has(handle)) {
+        return indices.get(handle);
+    }
+
+    /** @type {SearchIndex} */
+    let index = { version: INDEX_VERSION, files: {}, postings: {} };
+    const indexPath = path.join(directories.root, INDEX_FILE);
+
+    if (fs.existsSync(indexPath)) {
+        const data = tryParse(fs.readFileSync(indexPath, 'utf8'));
+        if (data?.version === INDEX_VERSION && data.files && data.postings) {
+            index = data;
+        } else {
+            console.warn(`Chat search index for ${handle} is outdated or corrupted, rebuilding.`);
+        }
+    }
+
+    indices.set(handle, index);
+    return index;
+}
+
+/**
+ * Schedules the index of a user to be written to disk.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ */
+function scheduleSave(handle, directories) {
+    if (!saveFunctions.has(handle)) {
+        const save = () => {
+            try {
+                const index = indices.get(handle);
+                if (index) {
+                    writeFileAtomicSync(path.join(directories.root, INDEX_FILE), JSON.stringify(index), 'utf8');
+                }
+            } catch (error) {
+                console.error(`Could not save chat search index for ${handle}`, error);
+            }
+        };
+        saveFunctions.set(handle, _.debounce(save, SAVE_DEBOUNCE));
+    }
+
+    saveFunctions.get(handle)();
+}
+
+/**
+ * Runs an index operation after all previously queued operations of the user are done.
+ * @template T
+ * @param {string} handle User handle
+ * @param {function(): Promise<T>} fn Operation to run
+ * @returns {Promise<T>} Result of the operation
+ */
+function enqueue(handle, fn) {
+    const previous = queues.get(handle) ?? Promise.resolve();
+    const next = previous.catch(() => { }).then(fn);
+    queues.set(handle, next);
+    return next;
+}
+
+/**
+ * Removes all postings of a file from the index.
+ * @param {SearchIndex} index Search index
+ * @param {string} key File key
+ */
+function removeFile(index, key) {
+    const file = index.files[key];
+
+    if (!file) {
+        return;
+    }
+
+    for (const term of file.terms) {
+        const posting = index.postings[term];
+        if (!posting) {
+            continue;
+        }
+        delete posting[key];
+        if (_.isEmpty(posting)) {
+            delete index.postings[term];
+        }
+    }
+
+    delete index.files[key];
+}
+
+/**
+ * Replaces the postings of a file with the contents of the serialized chat.
+ * @param {SearchIndex} index Search index
+ * @param {string} key File key
+ * @param {string} data Serialized JSONL chat
+ * @param {fs.Stats} stats File stats
+ */
+function addFile(index, key, data, stats) {
+    removeFile(index, key);
+
+    /** @type {Map<string, number[]>} */
+    const termMessages = new Map();
+    const messages = parseChatMessages(data);
+
+    messages.forEach((message, messageIndex) => {
+        if (typeof message?.mes !== 'string') {
+            return;
+        }
+
+        for (const term of new Set(tokenize(message.mes))) {
+            if (!termMessages.has(term)) {
+                termMessages.set(term, []);
+            }
+            termMessages.get(term).push(messageIndex);
+        }
+    });
+
+    for (const [term, messageIndices] of termMessages) {
+        if (!Object.hasOwn(index.postings, term)) {
+            index.postings[term] = {};
+        }
+        index.postings[term][key] = messageIndices;
+    }
+
+    index.files[key] = {
+        mtime: stats.mtimeMs,
+        size: stats.size,
+        messages: messages.length,
+        terms: Array.from(termMessages.keys()),
+    };
+}
+
+/**
+ * Lists all chat files of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<string[]>} Paths to chat files
+ */
+async function listChatFiles(directories) {
+    const result = [];
+
+    if (fs.existsSync(directories.chats)) {
+        const characterDirs = await fs.promises.readdir(directories.chats, { withFileTypes: true });
+        for (const dir of characterDirs.filter(x => x.isDirectory())) {
+            const dirPath = path.join(directories.chats, dir.name);
+            const files = await fs.promises.readdir(dirPath);
+            result.push(...files.filter(x => path.extname(x) === '.jsonl').map(x => path.join(dirPath, x)));
+        }
+    }
+
+    if (fs.existsSync(directories.groupChats)) {
+        const files = await fs.promises.readdir(directories.groupChats);
+        result.push(...files.filter(x => path.extname(x) === '.jsonl').map(x => path.join(directories.groupChats, x)));
+    }
+
+    return result;
+}
+
+/**
+ * Brings the index in sync with the chat files on disk.
+ * Files that were changed outside of the save endpoints (imports, renames, deletions) are picked up here.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<void>}
+ */
+function syncIndex(handle, directories) {
+    return enqueue(handle, async () => {
+        const index = getIndex(handle, directories);
+        const seenKeys = new Set();
+        let changed = false;
+
+        for (const filePath of await listChatFiles(directories)) {
+            const key = getFileKey(directories, filePath);
+            seenKeys.add(key);
+
+            try {
+                const stats = await fs.promises.stat(filePath);
+                const indexed = index.files[key];
+                if (indexed && indexed.mtime === stats.mtimeMs && indexed.size === stats.size) {
+                    continue;
+                }
+
+                const data = await fs.promises.readFile(filePath, 'utf8');
+                addFile(index, key, data, stats);
+                changed = true;
+            } catch (error) {
+                console.warn(`Could not index chat file ${filePath}`, error);
+            }
+        }
+
+        for (const key of Object.keys(index.files)) {
+            if (!seenKeys.has(key)) {
+                removeFile(index, key);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            scheduleSave(handle, directories);
+        }
+    });
+}
+
+/**
+ * Updates the index entry of a chat file that was just written.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} filePath Path to the chat file
+ * @param {string} data Serialized JSONL chat that was written to the file
+ * @returns {Promise<void>}
+ */
+export function updateChatIndex(handle, directories, filePath, data) {
+    return enqueue(handle, async () => {
+        const index = getIndex(handle, directories);
+        const stats = await fs.promises.stat(filePath);
+        addFile(index, getFileKey(directories, filePath), data, stats);
+        scheduleSave(handle, directories);
+    }).catch(error => {
+        console.error(`Could not update chat search index for ${filePath}`, error);
+    });
+}
+
+/**
+ * Parses a search query into terms and phrases.
+ * @param {string} query Search query
+ * @returns {{ terms: string[], phrases: string[] }} Unique terms that must be present, and phrases to match
+ */
+export function parseQuery(query) {
+    const terms = new Set();
+    const phrases = [];
+
+    for (const match of String(query ?? '').matchAll(/"([^"]*)"|(\S+)/g)) {
+        const tokens = tokenize(match[1] ?? match[2]);
+        tokens.forEach(token => terms.add(token));
+        if (match[1] !== undefined && tokens.length > 1) {
+            phrases.push(tokens.join(' '));
+        }
+    }
+
+    return { terms: Array.from(terms), phrases };
+}
+
+/**
+ * Makes a snippet of the message text around the first occurrence of the needle.
+ * @param {string} text Message text
+ * @param {string} needle Term or phrase to center the snippet on
+ * @returns {string} Snippet
+ */
+function getSnippet(text, needle) {
+    const position = Math.max(0, text.toLowerCase().indexOf(needle));
+    const start = Math.max(0, position - SNIPPET_RADIUS);
+    const end = Math.min(text.length, position + needle.length + SNIPPET_RADIUS);
+    return (start > 0 ? '...' : '') + text.slice(start, end).trim() + (end < text.length ? '...' : '');
+}
+
+/**
+ * Maps group chat IDs to the IDs of groups they belong to.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<Map<string, string>>} Group ID by chat ID
+ */
+async function getGroupChatOwners(directories) {
+    const owners = new Map();
+
+    if (!fs.existsSync(directories.groups)) {
+        return owners;
+    }
+
+    const files = await fs.promises.readdir(directories.groups);
+    for (const file of files.filter(x => path.extname(x) === '.json')) {
+        try {
+            const group = JSON.parse(await fs.promises.readFile(path.join(directories.groups, file), 'utf8'));
+            if (Array.isArray(group.chats)) {
+                group.chats.forEach(chatId => owners.set(String(chatId), group.id));
+            }
+        } catch (error) {
+            console.warn(file, 'group file is corrupted:', error);
+        }
+    }
+
+    return owners;
+}
+
+/**
+ * Searches all chats of a user.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {SearchOptions} options Search options
+ * @returns {Promise<{ total: number, hits: SearchHit[] }>} Matching messages, newest first
+ */
+export async function searchChats(handle, directories, options) {
+    const { terms, phrases } = parseQuery(options.query);
+
+    if (terms.length === 0) {
+        return { total: 0, hits: [] };
+    }
+
+    await syncIndex(handle, directories);
+
+    const index = getIndex(handle, directories);
+    const postings = terms.map(term => index.postings[term] ?? {});
+    postings.sort((a, b) => Object.keys(a).length - Object.keys(b).length);
+
+    /** @type {Map<string, number[]>} */
+    const candidates = new Map();
+    for (const [key, messageIndices] of Object.entries(postings[0])) {
+        const matching = messageIndices.filter(messageIndex => postings.slice(1).every(posting => posting[key]?.includes(messageIndex)));
+        if (matching.length) {
+            candidates.set(key, matching);
+        }
+    }
+
+    const speakers = (options.speakers ?? []).map(x => String(x).toLowerCase());
+    const groupOwners = await getGroupChatOwners(directories);
+    const needle = phrases[0] ?? terms[0];
+    /** @type {(SearchHit & { timestamp: number })[]} */
+    const hits = [];
+
+    for (const [key, messageIndices] of candidates) {
+        const info = getFileInfo(directories, key);
+        const group = info.groupChatId ? groupOwners.get(info.groupChatId) : undefined;
+
+        if (options.avatar && info.avatar !== options.avatar) {
+            continue;
+        }
+
+        if (options.groupId && group !== options.groupId) {
+            continue;
+        }
+
+        let messages;
+        try {
+            messages = parseChatMessages(await fs.promises.readFile(info.filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`Could not read chat file ${info.filePath}`, error);
+            continue;
+        }
+
+        for (const messageIndex of messageIndices) {
+            const message = messages[messageIndex];
+
+            if (typeof message?.mes !== 'string') {
+                continue;
+            }
+
+            if (speakers.length && !speakers.includes(String(message.name ?? '').toLowerCase())) {
+                continue;
+            }
+
+            if (typeof options.isUser === 'boolean' && !!message.is_user !== options.isUser) {
+                continue;
+            }
+
+            const timestamp = timestampToMoment(message.send_date);
+
+            if ((options.from && timestamp < options.from) || (options.to && timestamp > options.to)) {
+                continue;
+            }
+
+            const normalizedText = tokenize(message.mes).join(' ');
+            if (!phrases.every(phrase => ` ${normalizedText} `.includes(` ${phrase} `))) {
+                continue;
+            }
+
+            hits.push({
+                file_name: info.fileName,
+                ...(info.avatar ? { avatar: info.avatar } : { group: group ?? null }),
+                message_index: messageIndex,
+                name: message.name,
+                is_user: !!message.is_user,
+                send_date: message.send_date,
+                snippet: getSnippet(message.mes, needle),
+                timestamp,
+            });
+        }
+    }
+
+    hits.sort((a, b) => b.timestamp - a.timestamp);
+    const limit = options.limit > 0 ? options.limit : hits.length;
+
+    return {
+        total: hits.length,
+        hits: hits.slice(0, limit).map(({ timestamp: _, ...hit }) => hit),
+    };
+}
@@ -44,6 +44,10 @@ export const USER_DIRECTORY_TEMPLATE = Object.freeze({
     backups: 'backups',
     sysprompt: 'sysprompt',
     reasoning: 'reasoning',
+    revisions: 'revisions',
+    generationLogs: 'generation-logs',
+    usage: 'usage',
+    scripts: 'scripts',
 });
 
 /**
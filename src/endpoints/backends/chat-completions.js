@@ -1,7 +1,7 @@
 import process from 'node:process';
 import util from 'node:util';
 import express from 'express';
-import fetch from 'node-fetch';
+import nodeFetch from 'node-fetch';
 
 import {
     AIMLAPI_HEADERS,
@@ -48,6 +48,14 @@ import {
     getWebTokenizer,
 } from '../tokenizers.js';
 import { getVertexAIAuth, getProjectIdFromServiceAccount } from '../google.js';
+import { HOOK_NAMES, runHooks } from '../../plugin-hooks.js';
+import { createLoggedFetch, withGenerationLog } from '../../generation-log.js';
+import { createFailoverFetch, isFailoverAttempt, withFailover } from '../../failover.js';
+import { withUsageLedger } from '../../usage-ledger.js';
+import { withUserLimits } from '../../user-limits.js';
+
+// Requests to the APIs are recorded in the generation log
+const fetch = createLoggedFetch(createFailoverFetch(nodeFetch));
 
 const API_OPENAI = 'https://api.openai.com/v1';
 const API_CLAUDE = 'https://api.anthropic.com/v1';
@@ -252,7 +260,7 @@ async function sendClaudeRequest(request, response) {
             console.debug('Claude response:', generateResponseJson);
 
             // Wrap it back to OAI format + save the original content
-            const reply = { choices: [{ 'message': { 'content': responseText } }], content: generateResponseJson.content };
+            const reply = { choices: [{ 'message': { 'content': responseText } }], content: generateResponseJson.content, usage: generateResponseJson.usage };
             return response.send(reply);
         }
     } catch (error) {
@@ -590,7 +598,7 @@ async function sendMakerSuiteRequest(request, response) {
             }
 
             // Wrap it back to OAI format
-            const reply = { choices: [{ 'message': { 'content': responseText } }], responseContent };
+            const reply = { choices: [{ 'message': { 'content': responseText } }], responseContent, usageMetadata: generateResponseJson.usageMetadata };
             return response.send(reply);
         }
     } catch (error) {
@@ -1389,9 +1397,97 @@ router.post('/bias', async function (request, response) {
 });
 
 
-router.post('/generate', function (request, response) {
+/**
+ * Runs the afterChatCompletion hook when the generation response is sent to the client.
+ * Non-streamed responses are held until all interceptors have run, streamed responses are reported when finished.
+ * @param {express.Request} request Express request
+ * @param {express.Response} response Express response
+ */
+function interceptChatCompletionResponse(request, response) {
+    const send = response.send;
+    const write = response.write;
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let streamed = false;
+
+    const getPayload = () => ({
+        handle: request.user.profile.handle,
+        source: String(request.body.chat_completion_source),
+        body: request.body,
+        streamed,
+        data: null,
+    });
+
+    // @ts-ignore
+    response.write = function (chunk, ...args) {
+        streamed = true;
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+        return write.call(this, chunk, ...args);
+    };
+
+    response.on('finish', () => {
+        if (!streamed) {
+            return;
+        }
+
+        const payload = { ...getPayload(), text: Buffer.concat(chunks).toString('utf8') };
+        runHooks(HOOK_NAMES.AFTER_CHAT_COMPLETION, payload).catch(() => { });
+    });
+
+    response.send = function (body) {
+        response.send = send;
+
+        if (!body || typeof body !== 'object' || Buffer.isBuffer(body) || body.error || response.statusCode >= 400) {
+            return send.call(this, body);
+        }
+
+        const payload = { ...getPayload(), data: body };
+        runHooks(HOOK_NAMES.AFTER_CHAT_COMPLETION, payload)
+            .then(() => send.call(this, payload.data))
+            .catch((error) => send.call(this.status(error.status ?? 500), { error: { message: error.message } }));
+        return this;
+    };
+}
+
+/**
+ * Sends a Chat Completion request to the source selected in the request body and forwards the response.
+ * @param {express.Request} request Express request
+ * @param {express.Response} response Express response
+ */
+export async function generateChatCompletion(request, response) {
     if (!request.body) return response.status(400).send({ error: true });
 
+    try {
+        const payload = await runHooks(HOOK_NAMES.BEFORE_CHAT_COMPLETION, {
+            handle: request.user.profile.handle,
+            source: String(request.body.chat_completion_source),
+            body: request.body,
+        });
+        request.body = payload.body;
+    } catch (error) {
+        return response.status(error.status ?? 500).send({ error: { message: error.message } });
+    }
+
+    interceptChatCompletionResponse(request, response);
+
+    try {
+        return await withFailover(sendChatCompletionRequest)(request, response);
+    } catch (error) {
+        // The source handlers may throw synchronously, e.g. on an invalid reverse proxy URL
+        console.error('Chat completion request failed', error);
+        if (!response.headersSent) {
+            return response.status(500).send({ error: { message: error.message } });
+        }
+        return response.end();
+    }
+}
+
+/**
+ * Sends a Chat Completion request to the source selected in the request body.
+ * @param {express.Request} request Express request
+ * @param {express.Response} response Express response
+ */
+async function sendChatCompletionRequest(request, response) {
     const postProcessingType = request.body.custom_prompt_post_processing;
     if (Array.isArray(request.body.messages) && postProcessingType) {
         console.info('Applying custom prompt post-processing of type', postProcessingType);
@@ -1634,7 +1730,7 @@ router.post('/generate', function (request, response) {
                 response.send(json);
                 console.debug(json);
                 console.debug(json?.choices?.[0]?.message);
-            } else if (fetchResponse.status === 429 && retries > 0) {
+            } else if (fetchResponse.status === 429 && retries > 0 && !isFailoverAttempt()) {
                 console.warn(`Out of quota, retrying in ${Math.round(timeout / 1000)}s`);
                 setTimeout(() => {
                     timeout *= 2;
@@ -1676,4 +1772,6 @@ router.post('/generate', function (request, response) {
             response.end();
         }
     }
-});
+}
+
+router.post('/generate', withGenerationLog('chat-completions', withUserLimits(withUsageLedger('chat-completions', generateChatCompletion))));
@@ -1,5 +1,5 @@
 import { Readable } from 'node:stream';
-import fetch from 'node-fetch';
+import nodeFetch from 'node-fetch';
 import express from 'express';
 import _ from 'lodash';
 
@@ -16,6 +16,13 @@ import {
 import { forwardFetchResponse, trimV1, getConfigValue } from '../../util.js';
 import { setAdditionalHeaders } from '../../additional-headers.js';
 import { createHash } from 'node:crypto';
+import { createLoggedFetch, withGenerationLog } from '../../generation-log.js';
+import { createFailoverFetch, withFailover } from '../../failover.js';
+import { withUsageLedger } from '../../usage-ledger.js';
+import { withUserLimits } from '../../user-limits.js';
+
+// Requests to the APIs are recorded in the generation log
+const fetch = createLoggedFetch(createFailoverFetch(nodeFetch));
 
 export const router = express.Router();
 
@@ -259,7 +266,12 @@ router.post('/props', async function (request, response) {
     }
 });
 
-router.post('/generate', async function (request, response) {
+/**
+ * Sends a Text Completion request to the API selected in the request body and forwards the response.
+ * @param {express.Request} request Express request
+ * @param {express.Response} response Express response
+ */
+export async function generateTextCompletion(request, response) {
     if (!request.body) return response.sendStatus(400);
 
     try {
@@ -423,7 +435,9 @@ router.post('/generate', async function (request, response) {
             ? response.send(value)
             : response.end();
     }
-});
+}
+
+router.post('/generate', withGenerationLog('text-completions', withUserLimits(withUsageLedger('text-completions', withFailover(generateTextCompletion)))));
 
 const ollama = express.Router();
 
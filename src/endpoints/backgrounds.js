@@ -7,6 +7,7 @@ import sanitize from 'sanitize-filename';
 import { dimensions, invalidateThumbnail } from './thumbnails.js';
 import { getImages } from '../util.js';
 import { getFileNameValidationFunction } from '../middleware/validateFileName.js';
+import { requireStorageQuota } from '../user-limits.js';
 
 export const router = express.Router();
 
@@ -58,7 +59,7 @@ router.post('/rename', function (request, response) {
     return response.send('ok');
 });
 
-router.post('/upload', function (request, response) {
+router.post('/upload', requireStorageQuota, function (request, response) {
     if (!request.body || !request.file) return response.sendStatus(400);
 
     const img_path = path.join(request.file.destination, request.file.filename);
@@ -14,14 +14,38 @@ import storage from 'node-persist';
 
 import { AVATAR_WIDTH, AVATAR_HEIGHT, DEFAULT_AVATAR_PATH } from '../constants.js';
 import { default as validateAvatarUrlMiddleware, getFileNameValidationFunction } from '../middleware/validateFileName.js';
-import { deepMerge, humanizedISO8601DateTime, tryParse, extractFileFromZipBuffer, MemoryLimitedMap, getConfigValue, mutateJsonString } from '../util.js';
+import { deepMerge, humanizedISO8601DateTime, tryParse, MemoryLimitedMap, getConfigValue, mutateJsonString } from '../util.js';
 import { TavernCardValidator } from '../validator/TavernCardValidator.js';
+import { TavernCardLinter } from '../validator/TavernCardLinter.js';
 import { parse, read, write } from '../character-card-parser.js';
 import { readWorldInfoFile } from './worldinfo.js';
 import { invalidateThumbnail } from './thumbnails.js';
 import { importRisuSprites } from './sprites.js';
 import { getUserDirectories } from '../users.js';
 import { getChatInfo } from './chats.js';
+import { EVENT_NAMES, emitUserDataEvent } from '../server-events.js';
+import { HOOK_NAMES, runHooks } from '../plugin-hooks.js';
+import { isStorageQuotaReached, requireStorageQuota } from '../user-limits.js';
+import { collectCharXFiles, getCharXAssetContent, importCharXAssets, readCharXFiles, sendCharXArchive } from '../charx.js';
+import {
+    deleteCharacterRevisions,
+    diffCharacterCards,
+    getCharacterRevision,
+    getCharacterRevisionBaseline,
+    listCharacterRevisions,
+    recordCharacterRevision,
+    renameCharacterRevisions,
+} from '../character-revisions.js';
+import { deleteChatRevisions, moveChatRevisions } from '../chat-revisions.js';
+import {
+    collectBundleFiles,
+    getCharacterConflict,
+    hasWorldConflict,
+    importBundleChats,
+    importBundleWorlds,
+    readCharacterBundle,
+    sendCharacterBundle,
+} from '../character-bundle.js';
 
 // With 100 MB limit it would take roughly 3000 characters to reach this limit
 const memoryCacheCapacity = getConfigValue('performance.memoryCacheCapacity', '100mb');
@@ -31,6 +55,7 @@ const isAndroid = process.platform === 'android';
 // Use shallow character data for the character list
 const useShallowCharacters = !!getConfigValue('performance.lazyLoadCharacters', false, 'boolean');
 const useDiskCache = !!getConfigValue('performance.useDiskCache', true, 'boolean');
+const isRevisionsEnabled = !!getConfigValue('backups.character.revisions', true, 'boolean');
 
 class DiskCache {
     /**
@@ -211,9 +236,10 @@ async function readCharacterData(inputFile, inputFormat = 'png') {
  * @param {string} outputFile - Target image file name
  * @param {import('express').Request} request - Express request obejct
  * @param {Crop|undefined} crop - Crop parameters
+ * @param {number} [restoredFrom] - Number of the revision that is being restored
  * @returns {Promise<boolean>} - True if the operation was successful
  */
-async function writeCharacterData(inputFile, data, outputFile, request, crop = undefined) {
+async function writeCharacterData(inputFile, data, outputFile, request, crop = undefined, restoredFrom = undefined) {
     try {
         // Reset the cache
         for (const key of memoryCache.keys()) {
@@ -251,8 +277,14 @@ async function writeCharacterData(inputFile, data, outputFile, request, crop = u
         // Get the chunks
         const outputImage = write(inputImage, data);
         const outputImagePath = path.join(request.user.directories.characters, `${outputFile}.png`);
+        const baseline = isRevisionsEnabled ? getCharacterRevisionBaseline(request.user.directories, `${outputFile}.png`) : null;
+        // Revisions are optional, so they stop being recorded when the storage limit is reached
+        const withRevision = !(await isStorageQuotaReached(request));
 
         writeFileAtomicSync(outputImagePath, outputImage);
+        if (withRevision) {
+            recordRevision(request.user.directories, `${outputFile}.png`, data, baseline, restoredFrom);
+        }
         return true;
     } catch (err) {
         console.error(err);
@@ -260,6 +292,26 @@ async function writeCharacterData(inputFile, data, outputFile, request, crop = u
     }
 }
 
+/**
+ * Records a revision of a saved character card in its revision log.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Character avatar file name
+ * @param {string} data Character card data
+ * @param {{ date: number, card: object }|null} baseline Card that was overwritten by the save
+ * @param {number} [restoredFrom] Number of the revision that was restored
+ */
+function recordRevision(directories, avatar, data, baseline, restoredFrom) {
+    try {
+        if (!isRevisionsEnabled) {
+            return;
+        }
+
+        recordCharacterRevision(directories, avatar, data, { baseline, restoredFrom });
+    } catch (err) {
+        console.error(`Could not record character revision for ${avatar}`, err);
+    }
+}
+
 /**
  * @typedef {Object} Crop
  * @property {number} x X-coordinate
@@ -761,7 +813,8 @@ async function importFromCharX(uploadPath, { request }, preservedFileName) {
     const data = fs.readFileSync(uploadPath).buffer;
     fs.unlinkSync(uploadPath);
     console.info('Importing from CharX');
-    const cardBuffer = await extractFileFromZipBuffer(data, 'card.json');
+    const files = await readCharXFiles(data);
+    const cardBuffer = files.get('card.json');
 
     if (!cardBuffer) {
         throw new Error('Failed to extract card.json from CharX file');
@@ -776,14 +829,13 @@ async function importFromCharX(uploadPath, { request }, preservedFileName) {
     /** @type {string|Buffer} */
     let avatar = DEFAULT_AVATAR_PATH;
     const assets = _.get(card, 'data.assets');
-    if (Array.isArray(assets) && assets.length) {
-        for (const asset of assets.filter(x => x.type === 'icon' && typeof x.uri === 'string')) {
-            const pathNoProtocol = String(asset.uri.replace(/^(?:\/\/|[^/]+)*\//, ''));
-            const buffer = await extractFileFromZipBuffer(data, pathNoProtocol);
-            if (buffer) {
-                avatar = buffer;
-                break;
-            }
+    const icons = Array.isArray(assets) ? assets.filter(x => x.type === 'icon' && typeof x.uri === 'string') : [];
+    // The main icon is preferred, any other icon is used as a fallback
+    for (const asset of _.sortBy(icons, x => x.name === 'main' ? 0 : 1)) {
+        const buffer = getCharXAssetContent(files, asset);
+        if (buffer) {
+            avatar = buffer;
+            break;
         }
     }
 
@@ -792,6 +844,12 @@ async function importFromCharX(uploadPath, { request }, preservedFileName) {
     card.name = sanitize(card.name);
     const fileName = preservedFileName || getPngName(card.name, request.user.directories);
     const result = await writeCharacterData(avatar, JSON.stringify(card), fileName, request);
+
+    if (result && Array.isArray(assets)) {
+        const count = importCharXAssets(request.user.directories, card.name, assets, files);
+        console.info(`Imported ${count} assets from CharX`);
+    }
+
     return result ? fileName : '';
 }
 
@@ -935,7 +993,17 @@ async function importFromPng(uploadPath, { request }, preservedFileName) {
 
 export const router = express.Router();
 
-router.post('/create', getFileNameValidationFunction('file_name'), async function (request, response) {
+/**
+ * Checks the storage limit only when a new avatar is uploaded, so that characters can always be edited.
+ * @param {import("express").Request} request - Express request object
+ * @param {import("express").Response} response - Express response object
+ * @param {import("express").NextFunction} next - Next middleware
+ */
+function requireAvatarStorageQuota(request, response, next) {
+    return request.file ? requireStorageQuota(request, response, next) : next();
+}
+
+router.post('/create', getFileNameValidationFunction('file_name'), requireStorageQuota, async function (request, response) {
     try {
         if (!request.body) return response.sendStatus(400);
 
@@ -950,14 +1018,15 @@ router.post('/create', getFileNameValidationFunction('file_name'), async functio
 
         if (!request.file) {
             await writeCharacterData(DEFAULT_AVATAR_PATH, char, internalName, request);
-            return response.send(avatarName);
         } else {
             const crop = tryParse(request.query.crop);
             const uploadPath = path.join(request.file.destination, request.file.filename);
             await writeCharacterData(uploadPath, char, internalName, request, crop);
             fs.unlinkSync(uploadPath);
-            return response.send(avatarName);
         }
+
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: avatarName });
+        return response.send(avatarName);
     } catch (err) {
         console.error(err);
         response.sendStatus(500);
@@ -990,17 +1059,20 @@ router.post('/rename', validateAvatarUrlMiddleware, async function (request, res
         _.set(oldData, 'name', newName);
         const newData = JSON.stringify(oldData);
 
-        // Write data to new location
+        // Write data to new location, keeping the revision history
+        renameCharacterRevisions(request.user.directories, oldAvatarName, newAvatarName);
         await writeCharacterData(oldAvatarPath, newData, newInternalName, request);
 
         // Rename chats folder
         if (fs.existsSync(oldChatsPath) && !fs.existsSync(newChatsPath)) {
             fs.cpSync(oldChatsPath, newChatsPath, { recursive: true });
             fs.rmSync(oldChatsPath, { recursive: true, force: true });
+            moveChatRevisions(request.user.directories, oldChatsPath, newChatsPath);
         }
 
         // Remove the old character file
         fs.unlinkSync(oldAvatarPath);
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_RENAMED, { oldAvatar: oldAvatarName, avatar: newAvatarName });
 
         // Return new avatar name to ST
         return response.send({ avatar: newAvatarName });
@@ -1011,7 +1083,7 @@ router.post('/rename', validateAvatarUrlMiddleware, async function (request, res
     }
 });
 
-router.post('/edit', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/edit', validateAvatarUrlMiddleware, requireAvatarStorageQuota, async function (request, response) {
     if (!request.body) {
         console.warn('Error: no response body detected');
         response.status(400).send('Error: no response body detected');
@@ -1045,6 +1117,7 @@ router.post('/edit', validateAvatarUrlMiddleware, async function (request, respo
             response.setHeader('Clear-Site-Data', '"cache"');
         }
 
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: request.body.avatar_url });
         return response.sendStatus(200);
     } catch (err) {
         console.error('An error occurred, character edit invalidated.', err);
@@ -1091,6 +1164,7 @@ router.post('/edit-attribute', validateAvatarUrlMiddleware, async function (requ
         let newCharJSON = JSON.stringify(char);
         const targetFile = (request.body.avatar_url).replace('.png', '');
         await writeCharacterData(avatarPath, newCharJSON, targetFile, request);
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: request.body.avatar_url });
         return response.sendStatus(200);
     } catch (err) {
         console.error('An error occurred, character edit invalidated.', err);
@@ -1129,6 +1203,7 @@ router.post('/merge-attributes', getFileNameValidationFunction('avatar'), async
         //Accept either V1 or V2.
         if (validator.validate()) {
             await writeCharacterData(avatarPath, JSON.stringify(character), targetImg, request);
+            emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: update.avatar });
             response.sendStatus(200);
         } else {
             console.warn(validator.lastValidationError);
@@ -1139,6 +1214,120 @@ router.post('/merge-attributes', getFileNameValidationFunction('avatar'), async
     }
 });
 
+router.post('/revisions/list', validateAvatarUrlMiddleware, function (request, response) {
+    try {
+        if (!request.body.avatar_url) {
+            return response.sendStatus(400);
+        }
+
+        const revisions = listCharacterRevisions(request.user.directories, request.body.avatar_url);
+        return response.send(revisions);
+    } catch (error) {
+        console.error('Could not list character revisions:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/revisions/get', validateAvatarUrlMiddleware, function (request, response) {
+    try {
+        if (!request.body.avatar_url || !Number.isInteger(request.body.revision)) {
+            return response.sendStatus(400);
+        }
+
+        const card = getCharacterRevision(request.user.directories, request.body.avatar_url, request.body.revision);
+        return response.send(card);
+    } catch (error) {
+        console.error('Could not get character revision:', error);
+        return response.status(404).send({ error: error.message });
+    }
+});
+
+router.post('/revisions/diff', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        if (!request.body.avatar_url || !Number.isInteger(request.body.from)) {
+            return response.sendStatus(400);
+        }
+
+        const before = getCharacterRevision(request.user.directories, request.body.avatar_url, request.body.from);
+
+        // Compare with the current character card if no target revision is provided
+        const after = Number.isInteger(request.body.to)
+            ? getCharacterRevision(request.user.directories, request.body.avatar_url, request.body.to)
+            : JSON.parse(await readCharacterData(path.join(request.user.directories.characters, request.body.avatar_url)) ?? '{}');
+
+        return response.send(diffCharacterCards(before, after));
+    } catch (error) {
+        console.error('Could not diff character revisions:', error);
+        return response.status(404).send({ error: error.message });
+    }
+});
+
+router.post('/revisions/restore', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        if (!request.body.avatar_url || !Number.isInteger(request.body.revision)) {
+            return response.sendStatus(400);
+        }
+
+        const avatarPath = path.join(request.user.directories.characters, request.body.avatar_url);
+        const currentJSON = await readCharacterData(avatarPath);
+        if (typeof currentJSON !== 'string') throw new Error('Failed to read character file');
+
+        const current = JSON.parse(currentJSON);
+        const card = _.cloneDeep(getCharacterRevision(request.user.directories, request.body.avatar_url, request.body.revision));
+
+        // The selected chat and favorite status are not a part of the history
+        card.chat = current.chat;
+        card.fav = current.fav;
+        if (_.isObject(card.data?.extensions)) {
+            card.data.extensions.fav = current.data?.extensions?.fav ?? card.data.extensions.fav;
+        }
+
+        const targetFile = path.parse(request.body.avatar_url).name;
+        const result = await writeCharacterData(avatarPath, JSON.stringify(card), targetFile, request, undefined, request.body.revision);
+
+        if (!result) {
+            return response.sendStatus(500);
+        }
+
+        console.info(`Restored character ${request.body.avatar_url} to revision ${request.body.revision}`);
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: request.body.avatar_url });
+        return response.sendStatus(200);
+    } catch (error) {
+        console.error('Could not restore character revision:', error);
+        return response.status(404).send({ error: error.message });
+    }
+});
+
+router.post('/lint', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        if (!request.body.avatar_url) {
+            return response.sendStatus(400);
+        }
+
+        const avatarPath = path.join(request.user.directories.characters, request.body.avatar_url);
+        if (!fs.existsSync(avatarPath)) {
+            return response.sendStatus(404);
+        }
+
+        const card = JSON.parse(await readCharacterData(avatarPath) ?? '{}');
+        const macros = Array.isArray(request.body.macros) ? request.body.macros.filter(x => typeof x === 'string') : [];
+
+        let image = null;
+        try {
+            const rawImg = await Jimp.read(avatarPath);
+            image = { size: fs.statSync(avatarPath).size, width: rawImg.bitmap.width, height: rawImg.bitmap.height };
+        } catch (error) {
+            console.warn(`Could not read the image of ${request.body.avatar_url}`, error);
+        }
+
+        const issues = new TavernCardLinter(card, { macros, image }).lint();
+        return response.send({ spec: card.spec ?? 'chara_card_v1', issues });
+    } catch (error) {
+        console.error('Could not lint character card:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/delete', validateAvatarUrlMiddleware, async function (request, response) {
     if (!request.body || !request.body.avatar_url) {
         return response.sendStatus(400);
@@ -1156,6 +1345,7 @@ router.post('/delete', validateAvatarUrlMiddleware, async function (request, res
 
     fs.unlinkSync(avatarPath);
     invalidateThumbnail(request.user.directories, 'avatar', request.body.avatar_url);
+    deleteCharacterRevisions(request.user.directories, request.body.avatar_url);
     let dir_name = (request.body.avatar_url.replace('.png', ''));
 
     if (!dir_name.length) {
@@ -1165,13 +1355,16 @@ router.post('/delete', validateAvatarUrlMiddleware, async function (request, res
 
     if (request.body.delete_chats == true) {
         try {
-            await fs.promises.rm(path.join(request.user.directories.chats, sanitize(dir_name)), { recursive: true, force: true });
+            const chatsPath = path.join(request.user.directories.chats, sanitize(dir_name));
+            await fs.promises.rm(chatsPath, { recursive: true, force: true });
+            deleteChatRevisions(request.user.directories, chatsPath);
         } catch (err) {
             console.error(err);
             return response.sendStatus(500);
         }
     }
 
+    emitUserDataEvent(request, EVENT_NAMES.CHARACTER_DELETED, { avatar: request.body.avatar_url });
     return response.sendStatus(200);
 });
 
@@ -1286,7 +1479,26 @@ function getPreservedName(request) {
         : undefined;
 }
 
-router.post('/import', async function (request, response) {
+/**
+ * Runs the hooks of an imported character. The character is already saved at this point,
+ * so failed or rejecting interceptors are only logged and don't fail the import.
+ * @param {import("express").Request} request - Express request object
+ * @param {string} avatar - Avatar file name of the imported character
+ * @param {string} format - Format of the imported file
+ */
+async function runAfterImportHooks(request, avatar, format) {
+    try {
+        await runHooks(HOOK_NAMES.AFTER_CHARACTER_IMPORT, {
+            handle: request.user.profile.handle,
+            avatar,
+            format,
+        });
+    } catch (error) {
+        console.error(`After-import hook failed for ${avatar}:`, error);
+    }
+}
+
+router.post('/import', requireStorageQuota, async function (request, response) {
     if (!request.body || !request.file) return response.sendStatus(400);
 
     const uploadPath = path.join(request.file.destination, request.file.filename);
@@ -1319,6 +1531,8 @@ router.post('/import', async function (request, response) {
             invalidateThumbnail(request.user.directories, 'avatar', `${preservedFileName}.png`);
         }
 
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: `${fileName}.png` });
+        await runAfterImportHooks(request, `${fileName}.png`, String(format));
         response.send({ file_name: fileName });
     } catch (err) {
         console.error(err);
@@ -1364,6 +1578,7 @@ router.post('/duplicate', validateAvatarUrlMiddleware, async function (request,
 
         fs.copyFileSync(filename, newFilename);
         console.info(`${filename} was copied to ${newFilename}`);
+        emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar: path.parse(newFilename).base });
         response.send({ path: path.parse(newFilename).base });
     }
     catch (error) {
@@ -1407,6 +1622,33 @@ router.post('/export', validateAvatarUrlMiddleware, async function (request, res
                     return response.sendStatus(400);
                 }
             }
+            case 'charx': {
+                const json = await readCharacterData(filename);
+                if (json === undefined) return response.sendStatus(400);
+                const card = getCharaCardV2(JSON.parse(json), request.user.directories);
+                unsetPrivateFields(card);
+
+                // Bundle the current state of the linked lorebook
+                const world = card.data?.extensions?.world;
+                const worldInfo = world ? readWorldInfoFile(request.user.directories, world, false) : null;
+                if (worldInfo?.entries) {
+                    _.set(card, 'data.character_book', convertWorldInfoToCharacterBook(world, worldInfo.entries));
+                }
+
+                const galleryFolder = typeof request.body.gallery_folder === 'string' ? request.body.gallery_folder : '';
+                const files = await collectCharXFiles(request.user.directories, path.basename(filename), card.data?.name ?? card.name, galleryFolder);
+
+                // The avatar embeds the card as well, it must not leak the private fields
+                const icon = files.find(x => x.asset.type === 'icon');
+                if (icon) {
+                    const rawBuffer = await fsPromises.readFile(icon.filePath);
+                    icon.content = write(rawBuffer, mutateJsonString(read(rawBuffer), unsetPrivateFields));
+                }
+                card.spec = 'chara_card_v3';
+                card.spec_version = '3.0';
+                _.set(card, 'data.assets', files.map(x => x.asset));
+                return sendCharXArchive(response, card, files, `${path.parse(filename).name}.charx`);
+            }
         }
 
         return response.sendStatus(400);
@@ -1415,3 +1657,186 @@ router.post('/export', validateAvatarUrlMiddleware, async function (request, res
         response.sendStatus(500);
     }
 });
+
+/**
+ * Gets the avatar file names of the existing characters by lowercase character name.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<Map<string, string>>} Avatar file names by name
+ */
+async function getCharacterNames(directories) {
+    const names = new Map();
+    const files = fs.readdirSync(directories.characters).filter(file => path.extname(file).toLowerCase() === '.png');
+
+    for (const file of files) {
+        const card = tryParse(await readCharacterData(path.join(directories.characters, file)));
+        const name = card?.data?.name ?? card?.name;
+
+        if (name) {
+            names.set(String(name).toLowerCase(), file);
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Reads the character bundle uploaded with a request and removes the uploaded file.
+ * @param {import('express').Request} request Express request object
+ * @returns {Promise<Awaited<ReturnType<typeof readCharacterBundle>>>} Bundle contents
+ */
+async function readUploadedBundle(request) {
+    const uploadPath = path.join(request.file.destination, request.file.filename);
+
+    try {
+        return await readCharacterBundle(fs.readFileSync(uploadPath).buffer);
+    } finally {
+        fs.rmSync(uploadPath, { force: true });
+    }
+}
+
+router.post('/export-bulk', async function (request, response) {
+    try {
+        if (!Array.isArray(request.body.characters) || request.body.characters.length === 0) {
+            return response.sendStatus(400);
+        }
+
+        const { manifest, files } = collectBundleFiles(request.user.directories, request.body.characters);
+
+        if (manifest.characters.length === 0) {
+            return response.status(404).send({ error: 'No characters found' });
+        }
+
+        console.info(`Exporting ${manifest.characters.length} characters with ${manifest.worlds.length} lorebooks`);
+        return sendCharacterBundle(response, manifest, files, 'characters.zip');
+    } catch (err) {
+        console.error('Bulk character export failed', err);
+        response.sendStatus(500);
+    }
+});
+
+router.post('/import-bulk/preview', async function (request, response) {
+    if (!request.file) return response.sendStatus(400);
+
+    try {
+        const { manifest, files } = await readUploadedBundle(request);
+        const names = await getCharacterNames(request.user.directories);
+
+        return response.send({
+            characters: manifest.characters.map(character => ({
+                ...character,
+                chats: character.chats.length,
+                conflict: getCharacterConflict(request.user.directories, character, names),
+            })),
+            worlds: manifest.worlds.map(name => ({ name, conflict: hasWorldConflict(request.user.directories, name, files) })),
+        });
+    } catch (err) {
+        console.error('Could not read character bundle:', err);
+        return response.status(400).send({ error: err.message });
+    }
+});
+
+router.post('/import-bulk', requireStorageQuota, async function (request, response) {
+    if (!request.file) return response.sendStatus(400);
+
+    try {
+        const { manifest, files } = await readUploadedBundle(request);
+        const resolutions = tryParse(request.body.resolutions) ?? {};
+        const names = await getCharacterNames(request.user.directories);
+        /** @type {Set<string>} Avatar file names that will be written by the import */
+        const plannedAvatars = new Set();
+        const isFileTaken = (/** @type {string} */ file) => plannedAvatars.has(`${file}.png`) || fs.existsSync(path.join(request.user.directories.characters, `${file}.png`));
+        const plan = [];
+
+        // Resolve the final name and file of every character before anything is written,
+        // since earlier characters of the bundle may take the name or file name of later ones
+        for (const character of manifest.characters) {
+            const conflict = plannedAvatars.has(character.avatar)
+                ? { type: 'avatar', avatar: character.avatar }
+                : getCharacterConflict(request.user.directories, character, names);
+            const requested = conflict ? (resolutions.characters?.[character.avatar] ?? 'skip') : 'import';
+            const resolution = ['import', 'overwrite', 'rename'].includes(requested) ? requested : 'skip';
+
+            if (resolution === 'skip' || (resolution === 'import' && conflict)) {
+                plan.push({ character, resolution: 'skip' });
+                continue;
+            }
+
+            const content = files.get(`characters/${character.avatar}`);
+            const card = JSON.parse(read(content));
+            let name = character.name;
+            let targetFile = path.parse(character.avatar).name;
+
+            if (resolution === 'overwrite' && conflict) {
+                targetFile = path.parse(conflict.avatar).name;
+            }
+
+            if (resolution === 'rename') {
+                for (let i = 1; names.has(name.toLowerCase()); i++) {
+                    name = `${character.name} (${i})`;
+                }
+                const baseName = sanitize(name) || targetFile;
+                targetFile = baseName;
+                for (let i = 1; isFileTaken(targetFile); i++) {
+                    targetFile = `${baseName}${i}`;
+                }
+            }
+
+            plannedAvatars.add(`${targetFile}.png`);
+            names.set(name.toLowerCase(), `${targetFile}.png`);
+            plan.push({ character, resolution, content, card, name, targetFile, isOverwrite: resolution === 'overwrite' && !!conflict });
+        }
+
+        // Only the lorebooks of the characters that are imported
+        const worlds = _.uniq(plan.filter(x => x.resolution !== 'skip').flatMap(x => x.character.books));
+        const worldNames = importBundleWorlds(request.user.directories, worlds, files, resolutions.worlds);
+        const results = [];
+
+        for (const { character, resolution, content, card, name, targetFile, isOverwrite } of plan) {
+            if (resolution === 'skip') {
+                results.push({ original: character.avatar, skipped: true });
+                continue;
+            }
+
+            if (isOverwrite) {
+                invalidateThumbnail(request.user.directories, 'avatar', `${targetFile}.png`);
+            }
+
+            if (resolution === 'rename') {
+                _.set(card, 'name', name);
+                _.set(card, 'data.name', name);
+            }
+
+            const world = card.data?.extensions?.world;
+            if (world && worldNames.has(world)) {
+                _.set(card, 'data.extensions.world', worldNames.get(world));
+            }
+
+            const result = await writeCharacterData(content, JSON.stringify(card), targetFile, request);
+
+            if (!result) {
+                results.push({ original: character.avatar, skipped: true });
+                continue;
+            }
+
+            const avatar = `${targetFile}.png`;
+            const chats = importBundleChats(request.user.directories, character, files, avatar);
+            emitUserDataEvent(request, EVENT_NAMES.CHARACTER_SAVED, { avatar });
+            await runAfterImportHooks(request, avatar, 'bundle');
+
+            results.push({
+                original: character.avatar,
+                avatar,
+                name,
+                tags: character.tags,
+                books: character.books.map(book => worldNames.get(book) ?? book),
+                chats,
+            });
+        }
+
+        console.info(`Imported ${results.filter(x => !x.skipped).length} of ${manifest.characters.length} characters from a bundle`);
+        return response.send({ characters: results, worlds: Object.fromEntries(worldNames) });
+    } catch (err) {
+        console.error('Bulk character import failed', err);
+        return response.status(400).send({ error: err.message });
+    }
+});
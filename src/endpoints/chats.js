@@ -2,6 +2,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import readline from 'node:readline';
 import process from 'node:process';
+import { Buffer } from 'node:buffer';
 
 import express from 'express';
 import sanitize from 'sanitize-filename';
@@ -17,11 +18,27 @@ import {
     removeOldBackups,
     formatBytes,
 } from '../util.js';
+import { searchChats, updateChatIndex } from '../chat-search-index.js';
+import {
+    deleteChatRevisions,
+    diffChatStates,
+    fromChatState,
+    getChatRevision,
+    listChatRevisions,
+    moveChatRevisions,
+    recordChatRevision,
+    toChatState,
+} from '../chat-revisions.js';
+import { timestampToMoment } from './stats.js';
+import { EVENT_NAMES, emitUserDataEvent } from '../server-events.js';
+import { HOOK_NAMES, HookRejectedError, runHooks } from '../plugin-hooks.js';
+import { getStorageQuotaError, isStorageQuotaReached, requireStorageQuota } from '../user-limits.js';
 
 const isBackupEnabled = !!getConfigValue('backups.chat.enabled', true, 'boolean');
 const maxTotalChatBackups = Number(getConfigValue('backups.chat.maxTotalBackups', -1, 'number'));
 const throttleInterval = Number(getConfigValue('backups.chat.throttleInterval', 10_000, 'number'));
 const checkIntegrity = !!getConfigValue('backups.chat.checkIntegrity', true, 'boolean');
+const isRevisionsEnabled = !!getConfigValue('backups.chat.revisions', true, 'boolean');
 
 export const CHAT_BACKUPS_PREFIX = 'chat_';
 
@@ -72,6 +89,60 @@ function getBackupFunction(handle) {
     return backupFunctions.get(handle) || (() => { });
 }
 
+/**
+ * Records a revision of a saved chat in its revision log.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} filePath Path to the chat file
+ * @param {object[]} chatData Lines of the chat file
+ */
+function recordRevision(directories, filePath, chatData) {
+    try {
+        if (!isRevisionsEnabled) {
+            return;
+        }
+
+        recordChatRevision(directories, filePath, chatData);
+    } catch (err) {
+        console.error(`Could not record chat revision for ${filePath}`, err);
+    }
+}
+
+/**
+ * Writes a chat file, then backs it up, records its revision and updates the search index.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} handle User handle
+ * @param {string} filePath Path to the chat file
+ * @param {string} backupName Name of the chat in the backups
+ * @param {object[]} chatData Lines of the chat file
+ * @param {object} [options] Options
+ * @param {boolean} [options.withRevision] Whether to record the revision, false when the user has reached the storage limit
+ */
+export function writeChatFile(directories, handle, filePath, backupName, chatData, { withRevision = true } = {}) {
+    const jsonlData = chatData.map(JSON.stringify).join('\n');
+    writeFileAtomicSync(filePath, jsonlData, 'utf8');
+    getBackupFunction(handle)(directories.backups, backupName, jsonlData);
+    if (withRevision) {
+        recordRevision(directories, filePath, chatData);
+    }
+    updateChatIndex(handle, directories, filePath, jsonlData);
+}
+
+/**
+ * Gets the path to a chat file from the request body.
+ * @param {import('express').Request} request Express request
+ * @returns {string} Path to the chat file
+ */
+function getChatFilePath(request) {
+    const fileName = sanitize(`${String(request.body.file_name)}.jsonl`);
+
+    if (request.body.is_group) {
+        return path.join(request.user.directories.groupChats, fileName);
+    }
+
+    const directoryName = String(request.body.avatar_url).replace('.png', '');
+    return path.join(request.user.directories.chats, directoryName, fileName);
+}
+
 /**
  * Gets a preview message from an array of chat messages
  * @param {Array<Object>} messages - Array of chat messages, each with a 'mes' property
@@ -299,7 +370,7 @@ function importRisuChat(userName, characterName, jsonData) {
  * @param {string} filePath Path to the file
  * @returns {Promise<string>} The first line of the file
  */
-function readFirstLine(filePath) {
+export function readFirstLine(filePath) {
     const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
     const rl = readline.createInterface({ input: stream });
     return new Promise((resolve, reject) => {
@@ -352,6 +423,57 @@ async function checkChatIntegrity(filePath, integritySlug) {
     return chatIntegrity === integritySlug;
 }
 
+/**
+ * Checks if a chat line is the header that holds chat metadata.
+ * @param {object} item Parsed line of a chat file
+ * @returns {boolean} Whether the line is a chat header
+ */
+export function isChatHeader(item) {
+    return !!item && typeof item === 'object' && typeof item.mes !== 'string';
+}
+
+/**
+ * Gets the save revision of a chat file. It is incremented on every save and used to detect concurrent edits.
+ * @param {string} filePath Path to the chat file
+ * @returns {Promise<number>} Save revision, or 0 if the file doesn't exist or has no revision yet
+ */
+async function getChatSaveRevision(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return 0;
+    }
+
+    const header = tryParse(await readFirstLine(filePath));
+    return isChatHeader(header) && Number.isInteger(header.revision) ? header.revision : 0;
+}
+
+/**
+ * @typedef {Object} ChatDivergence
+ * @property {number} diverged_at - Index of the first message that differs, or -1 if only the metadata differs
+ * @property {number[]} diverged - Indices of all messages that differ
+ * @property {number} server_length - Number of messages in the chat file on the server
+ * @property {number} client_length - Number of messages in the chat that was sent for saving
+ */
+
+/**
+ * Compares the messages of a chat that is being saved with the chat file on the server.
+ * @param {string} filePath Path to the chat file
+ * @param {object[]} chatData Lines of the chat being saved
+ * @returns {Promise<ChatDivergence>} Divergence report
+ */
+async function getChatDivergence(filePath, chatData) {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    const serverState = toChatState(data.split('\n').map(line => tryParse(line)));
+    const clientState = toChatState(chatData);
+    const diverged = diffChatStates(serverState, clientState).map(x => x.index);
+
+    return {
+        diverged_at: diverged.length ? diverged[0] : -1,
+        diverged,
+        server_length: serverState.messages.length,
+        client_length: clientState.messages.length,
+    };
+}
+
 /**
  * @typedef {Object} ChatInfo
  * @property {string} [file_name] - The name of the chat file
@@ -424,27 +546,162 @@ export async function getChatInfo(pathToFile, additionalData = {}, isGroup = fal
     });
 }
 
+/**
+ * Checks if saving a chat would exceed the storage limit of the user.
+ * Only the growth of the chat file is counted, so chats can still be shortened when the limit is reached.
+ * @param {import('express').Request} request Express request
+ * @param {string} filePath Path to the chat file
+ * @param {number} [size] Size of the saved chat in bytes. Defaults to the size of the request body.
+ * @returns {Promise<string|null>} Error message, or null if the chat can be saved
+ */
+async function getChatSaveQuotaError(request, filePath, size = Number(request.headers['content-length']) || 0) {
+    const currentSize = fs.existsSync(filePath) ? (await fs.promises.stat(filePath)).size : 0;
+    const growth = size - currentSize;
+    return growth > 0 ? await getStorageQuotaError(request, growth) : null;
+}
+
+/** @type {Map<string, Promise<any>>} Tails of the pending saves of each chat file, keyed by file path */
+const chatSaveQueues = new Map();
+
+/**
+ * Runs a save function after all pending saves of the same chat file have finished.
+ * Saves that check the revision inside the function can't both pass the check for the same revision.
+ * @template T
+ * @param {string} filePath Path to the chat file
+ * @param {() => Promise<T>} saveFn Function that checks and writes the chat file
+ * @returns {Promise<T>} Result of the save function
+ */
+function queueChatFileSave(filePath, saveFn) {
+    const result = (chatSaveQueues.get(filePath) ?? Promise.resolve()).then(saveFn);
+    const tail = result.catch(() => { });
+    chatSaveQueues.set(filePath, tail);
+    tail.then(() => {
+        if (chatSaveQueues.get(filePath) === tail) {
+            chatSaveQueues.delete(filePath);
+        }
+    });
+    return result;
+}
+
+/**
+ * Error thrown when saving a chat would exceed the storage limit of the user.
+ */
+export class ChatQuotaError extends Error {
+    /**
+     * @param {string} message Reason shown to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ChatQuotaError';
+        this.status = 413;
+    }
+}
+
+/**
+ * @typedef {Object} ChatFileTarget
+ * @property {string} filePath - Path to the chat file
+ * @property {string} fileName - Name of the chat without the extension
+ * @property {string} backupName - Name of the chat in the backups
+ * @property {string} [avatar] - Avatar of the character, if it's not a group chat
+ * @property {boolean} isGroup - Whether it's a group chat
+ */
+
+/**
+ * Changes a chat file in its save queue, with the same checks and side effects as a save from the client.
+ * The chat file is read inside the queue, so the saves made in the meantime are kept.
+ * @param {import('express').Request} request Request of the change, used for the storage limit and the save event
+ * @param {ChatFileTarget} target Chat file to change
+ * @param {(chatData: object[]) => object[]|Promise<object[]>} updateFn Gets the current lines of the chat and returns the lines to save
+ * @returns {Promise<object[]>} Saved lines of the chat
+ * @throws {ChatQuotaError} If the save would exceed the storage limit
+ * @throws {HookRejectedError} If a plugin has rejected the save
+ */
+export function updateChatFile(request, { filePath, fileName, backupName, avatar, isGroup }, updateFn) {
+    return queueChatFileSave(filePath, async () => {
+        const currentData = fs.existsSync(filePath) ? await fs.promises.readFile(filePath, 'utf8') : '';
+        let chatData = await updateFn(currentData.split('\n').map(line => tryParse(line)).filter(x => x));
+
+        const size = Buffer.byteLength(chatData.map(x => JSON.stringify(x)).join('\n'), 'utf8');
+        const quotaError = await getChatSaveQuotaError(request, filePath, size);
+        if (quotaError) {
+            throw new ChatQuotaError(quotaError);
+        }
+
+        const hookPayload = await runHooks(HOOK_NAMES.BEFORE_CHAT_SAVE, {
+            handle: request.user.profile.handle,
+            fileName: fileName,
+            avatar: isGroup ? undefined : avatar,
+            isGroup: isGroup,
+            chat: chatData,
+        });
+        chatData = hookPayload.chat;
+
+        // Bump the save revision so that open clients notice the chat has changed
+        const revision = await getChatSaveRevision(filePath) + 1;
+        if (isChatHeader(chatData[0])) {
+            chatData[0].revision = revision;
+        }
+
+        const withRevision = !(await isStorageQuotaReached(request));
+        writeChatFile(request.user.directories, request.user.profile.handle, filePath, backupName, chatData, { withRevision });
+        emitUserDataEvent(request, EVENT_NAMES.CHAT_SAVED, {
+            fileName: fileName,
+            avatar: isGroup ? undefined : avatar,
+            isGroup: isGroup,
+            revision: isChatHeader(chatData[0]) ? revision : undefined,
+        });
+        return chatData;
+    });
+}
+
 export const router = express.Router();
 
 router.post('/save', validateAvatarUrlMiddleware, async function (request, response) {
     try {
         const directoryName = String(request.body.avatar_url).replace('.png', '');
-        const chatData = request.body.chat;
-        const jsonlData = chatData.map(JSON.stringify).join('\n');
+        let chatData = request.body.chat;
         const fileName = `${String(request.body.file_name)}.jsonl`;
         const filePath = path.join(request.user.directories.chats, directoryName, sanitize(fileName));
-        if (checkIntegrity && !request.body.force) {
-            const integritySlug = chatData?.[0]?.chat_metadata?.integrity;
-            const isIntact = await checkChatIntegrity(filePath, integritySlug);
-            if (!isIntact) {
-                console.error(`Chat integrity check failed for ${filePath}`);
-                return response.status(400).send({ error: 'integrity' });
+        return await queueChatFileSave(filePath, async () => {
+            if (checkIntegrity && !request.body.force) {
+                const integritySlug = chatData?.[0]?.chat_metadata?.integrity;
+                const isIntact = await checkChatIntegrity(filePath, integritySlug);
+                if (!isIntact) {
+                    console.error(`Chat integrity check failed for ${filePath}`);
+                    return response.status(400).send({ error: 'integrity' });
+                }
             }
-        }
-        writeFileAtomicSync(filePath, jsonlData, 'utf8');
-        getBackupFunction(request.user.profile.handle)(request.user.directories.backups, directoryName, jsonlData);
-        return response.send({ result: 'ok' });
+            const currentRevision = await getChatSaveRevision(filePath);
+            if (Number.isInteger(request.body.revision) && request.body.revision !== currentRevision && !request.body.force) {
+                console.warn(`Chat revision conflict for ${filePath}: expected ${request.body.revision}, found ${currentRevision}`);
+                const divergence = await getChatDivergence(filePath, chatData);
+                return response.status(409).send({ error: 'conflict', revision: currentRevision, ...divergence });
+            }
+            const quotaError = await getChatSaveQuotaError(request, filePath);
+            if (quotaError) {
+                return response.status(413).send({ error: 'quota', message: quotaError });
+            }
+            const hookPayload = await runHooks(HOOK_NAMES.BEFORE_CHAT_SAVE, {
+                handle: request.user.profile.handle,
+                fileName: String(request.body.file_name),
+                avatar: request.body.avatar_url,
+                isGroup: false,
+                chat: chatData,
+            });
+            chatData = hookPayload.chat;
+            const revision = currentRevision + 1;
+            if (isChatHeader(chatData[0])) {
+                chatData[0].revision = revision;
+            }
+            const withRevision = !(await isStorageQuotaReached(request));
+            writeChatFile(request.user.directories, request.user.profile.handle, filePath, directoryName, chatData, { withRevision });
+            emitUserDataEvent(request, EVENT_NAMES.CHAT_SAVED, { fileName: String(request.body.file_name), avatar: request.body.avatar_url, isGroup: false, revision });
+            return response.send({ result: 'ok', revision });
+        });
     } catch (error) {
+        if (error instanceof HookRejectedError) {
+            return response.status(error.status).send({ error: error.message });
+        }
         console.error(error);
         return response.send(error);
     }
@@ -508,7 +765,16 @@ router.post('/rename', validateAvatarUrlMiddleware, async function (request, res
 
         fs.copyFileSync(pathToOriginalFile, pathToRenamedFile);
         fs.unlinkSync(pathToOriginalFile);
+
+        moveChatRevisions(request.user.directories, pathToOriginalFile, pathToRenamedFile);
+
         console.info('Successfully renamed chat file.');
+        emitUserDataEvent(request, EVENT_NAMES.CHAT_RENAMED, {
+            oldFileName: path.parse(pathToOriginalFile).name,
+            fileName: sanitizedFileName,
+            avatar: request.body.is_group ? undefined : request.body.avatar_url,
+            isGroup: !!request.body.is_group,
+        });
         return response.send({ ok: true, sanitizedFileName });
     } catch (error) {
         console.error('Error renaming chat file:', error);
@@ -528,7 +794,9 @@ router.post('/delete', validateAvatarUrlMiddleware, function (request, response)
     }
 
     fs.unlinkSync(filePath);
+    deleteChatRevisions(request.user.directories, filePath);
     console.info(`Deleted chat file: ${filePath}`);
+    emitUserDataEvent(request, EVENT_NAMES.CHAT_DELETED, { fileName: path.parse(filePath).name, avatar: request.body.avatar_url, isGroup: false });
     return response.send('ok');
 });
 
@@ -621,7 +889,7 @@ router.post('/group/import', function (request, response) {
     }
 });
 
-router.post('/import', validateAvatarUrlMiddleware, function (request, response) {
+router.post('/import', validateAvatarUrlMiddleware, requireStorageQuota, function (request, response) {
     if (!request.body) return response.sendStatus(400);
 
     const format = request.body.file_type;
@@ -744,14 +1012,16 @@ router.post('/group/delete', (request, response) => {
 
     if (fs.existsSync(pathToFile)) {
         fs.unlinkSync(pathToFile);
+        deleteChatRevisions(request.user.directories, pathToFile);
+        emitUserDataEvent(request, EVENT_NAMES.CHAT_DELETED, { fileName: String(id), isGroup: true });
         return response.send({ ok: true });
     }
 
     return response.send({ error: true });
 });
 
-router.post('/group/save', (request, response) => {
-    if (!request.body || !request.body.id) {
+router.post('/group/save', async (request, response) => {
+    if (!request.body || !request.body.id || !Array.isArray(request.body.chat)) {
         return response.sendStatus(400);
     }
 
@@ -763,10 +1033,36 @@ router.post('/group/save', (request, response) => {
     }
 
     let chat_data = request.body.chat;
-    let jsonlData = chat_data.map(JSON.stringify).join('\n');
-    writeFileAtomicSync(pathToFile, jsonlData, 'utf8');
-    getBackupFunction(request.user.profile.handle)(request.user.directories.backups, String(id), jsonlData);
-    return response.send({ ok: true });
+
+    // Group chat files have no header line to store a revision in, so concurrent edits of a group chat
+    // are not detected: saves of the same file are only written in order, and the last one wins.
+    return await queueChatFileSave(pathToFile, async () => {
+        try {
+            const quotaError = await getChatSaveQuotaError(request, pathToFile);
+            if (quotaError) {
+                return response.status(413).send({ error: 'quota', message: quotaError });
+            }
+
+            const hookPayload = await runHooks(HOOK_NAMES.BEFORE_CHAT_SAVE, {
+                handle: request.user.profile.handle,
+                fileName: String(id),
+                isGroup: true,
+                chat: chat_data,
+            });
+            chat_data = hookPayload.chat;
+
+            const withRevision = !(await isStorageQuotaReached(request));
+            writeChatFile(request.user.directories, request.user.profile.handle, pathToFile, String(id), chat_data, { withRevision });
+            emitUserDataEvent(request, EVENT_NAMES.CHAT_SAVED, { fileName: String(id), isGroup: true });
+            return response.send({ ok: true });
+        } catch (error) {
+            if (error instanceof HookRejectedError) {
+                return response.status(error.status).send({ error: error.message });
+            }
+            console.error('Could not save the group chat', error);
+            return response.sendStatus(500);
+        }
+    });
 });
 
 router.post('/search', validateAvatarUrlMiddleware, function (request, response) {
@@ -887,6 +1183,37 @@ router.post('/search', validateAvatarUrlMiddleware, function (request, response)
     }
 });
 
+router.post('/search/global', async function (request, response) {
+    try {
+        const query = String(request.body.query ?? '').trim();
+
+        if (!query) {
+            return response.status(400).send({ error: 'Search query is required' });
+        }
+
+        const speakers = [request.body.speaker ?? []].flat().map(String).filter(x => x);
+        const from = request.body.from ? timestampToMoment(request.body.from) : 0;
+        const to = request.body.to ? timestampToMoment(request.body.to) : 0;
+        const limit = Math.min(Number(request.body.limit) || 100, 1000);
+
+        const result = await searchChats(request.user.profile.handle, request.user.directories, {
+            query,
+            speakers,
+            isUser: typeof request.body.is_user === 'boolean' ? request.body.is_user : undefined,
+            from,
+            to,
+            avatar: request.body.avatar_url ? String(request.body.avatar_url) : undefined,
+            groupId: request.body.group_id ? String(request.body.group_id) : undefined,
+            limit,
+        });
+
+        return response.send(result);
+    } catch (error) {
+        console.error('Global chat search error:', error);
+        return response.status(500).json({ error: 'Search failed' });
+    }
+});
+
 router.post('/recent', async function (request, response) {
     try {
         /** @type {{pngFile?: string, groupId?: string, filePath: string, mtime: number}[]} */
@@ -962,3 +1289,106 @@ router.post('/recent', async function (request, response) {
         return response.sendStatus(500);
     }
 });
+
+router.post('/revisions/list', validateAvatarUrlMiddleware, function (request, response) {
+    try {
+        if (!request.body.file_name) {
+            return response.sendStatus(400);
+        }
+
+        const filePath = getChatFilePath(request);
+        const revisions = listChatRevisions(request.user.directories, filePath);
+        return response.send(revisions);
+    } catch (error) {
+        console.error('Could not list chat revisions:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/revisions/get', validateAvatarUrlMiddleware, function (request, response) {
+    try {
+        if (!request.body.file_name || !Number.isInteger(request.body.revision)) {
+            return response.sendStatus(400);
+        }
+
+        const filePath = getChatFilePath(request);
+        const state = getChatRevision(request.user.directories, filePath, request.body.revision);
+        return response.send(fromChatState(state));
+    } catch (error) {
+        console.error('Could not get chat revision:', error);
+        return response.status(404).send({ error: error.message });
+    }
+});
+
+router.post('/revisions/diff', validateAvatarUrlMiddleware, function (request, response) {
+    try {
+        if (!request.body.file_name || !Number.isInteger(request.body.from)) {
+            return response.sendStatus(400);
+        }
+
+        const filePath = getChatFilePath(request);
+        const before = getChatRevision(request.user.directories, filePath, request.body.from);
+
+        // Compare with the current chat file if no target revision is provided
+        const after = Number.isInteger(request.body.to)
+            ? getChatRevision(request.user.directories, filePath, request.body.to)
+            : toChatState(fs.readFileSync(filePath, 'utf8').split('\n').map(line => tryParse(line)));
+
+        return response.send(diffChatStates(before, after));
+    } catch (error) {
+        console.error('Could not diff chat revisions:', error);
+        return response.status(404).send({ error: error.message });
+    }
+});
+
+router.post('/revisions/restore', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        if (!request.body.file_name || !Number.isInteger(request.body.revision)) {
+            return response.sendStatus(400);
+        }
+
+        const filePath = getChatFilePath(request);
+        const revision = getChatRevision(request.user.directories, filePath, request.body.revision);
+        const isGroup = !!request.body.is_group;
+        const target = {
+            filePath: filePath,
+            fileName: path.parse(filePath).name,
+            backupName: isGroup ? path.parse(filePath).name : String(request.body.avatar_url).replace('.png', ''),
+            avatar: request.body.avatar_url,
+            isGroup: isGroup,
+        };
+
+        const chatData = await updateChatFile(request, target, (currentData) => {
+            // Restore a single message into the current version of the chat
+            if (Number.isInteger(request.body.message_index)) {
+                const index = request.body.message_index;
+                const message = revision.messages[index];
+                const current = toChatState(currentData);
+
+                if (!message || index > current.messages.length) {
+                    throw new RangeError('Message not found');
+                }
+
+                current.messages[index] = message;
+                return fromChatState(current);
+            }
+
+            return fromChatState(revision);
+        });
+
+        console.info(`Restored chat ${filePath} to revision ${request.body.revision}`);
+        return response.send(chatData);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return response.status(400).send({ error: error.message });
+        }
+        if (error instanceof ChatQuotaError) {
+            return response.status(error.status).send({ error: 'quota', message: error.message });
+        }
+        if (error instanceof HookRejectedError) {
+            return response.status(error.status).send({ error: error.message });
+        }
+        console.error('Could not restore chat revision:', error);
+        return response.status(404).send({ error: error.message });
+    }
+});
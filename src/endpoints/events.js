@@ -0,0 +1,95 @@
+import express from 'express';
+
+import { serverEvents, USER_DATA_EVENTS } from '../server-events.js';
+
+const HEARTBEAT_INTERVAL = 30_000;
+
+/**
+ * @typedef {object} EventStreamClient
+ * @property {string|null} clientId ID of the browser tab that opened the stream
+ * @property {import('express').Response} response Response used as the event stream
+ */
+
+/**
+ * Open event streams by user handle.
+ * @type {Map<string, Set<EventStreamClient>>}
+ */
+const streams = new Map();
+
+/**
+ * Writes an event to an event stream.
+ * @param {import('express').Response} response Event stream response
+ * @param {string} eventName Name of the event
+ * @param {object} data Event payload
+ */
+function writeEvent(response, eventName, data) {
+    response.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression middleware buffers the output until flushed
+    // @ts-ignore
+    response.flush?.();
+}
+
+for (const eventName of USER_DATA_EVENTS) {
+    serverEvents.on(eventName, (/** @type {import('../../index').UserDataEvent} */ event) => {
+        const clients = streams.get(event.handle);
+
+        if (!clients) {
+            return;
+        }
+
+        const data = { ...event };
+        delete data.handle;
+
+        for (const client of clients) {
+            // The client that made the change already knows about it
+            if (client.clientId && client.clientId === event.clientId) {
+                continue;
+            }
+
+            writeEvent(client.response, eventName, data);
+        }
+    });
+}
+
+setInterval(() => {
+    for (const clients of streams.values()) {
+        for (const client of clients) {
+            client.response.write(': heartbeat\n\n');
+            // @ts-ignore
+            client.response.flush?.();
+        }
+    }
+}, HEARTBEAT_INTERVAL).unref();
+
+export const router = express.Router();
+
+router.get('/', (request, response) => {
+    const handle = request.user.profile.handle;
+    /** @type {EventStreamClient} */
+    const client = {
+        clientId: request.query.clientId ? String(request.query.clientId) : null,
+        response,
+    };
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    writeEvent(response, 'connected', { clientId: client.clientId });
+
+    if (!streams.has(handle)) {
+        streams.set(handle, new Set());
+    }
+
+    streams.get(handle).add(client);
+
+    request.on('close', () => {
+        const clients = streams.get(handle);
+        clients?.delete(client);
+        if (clients?.size === 0) {
+            streams.delete(handle);
+        }
+    });
+});
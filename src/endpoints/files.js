@@ -7,6 +7,7 @@ import { sync as writeFileSyncAtomic } from 'write-file-atomic';
 
 import { validateAssetFileName } from './assets.js';
 import { clientRelativePath } from '../util.js';
+import { requireStorageQuota } from '../user-limits.js';
 
 export const router = express.Router();
 
@@ -25,7 +26,7 @@ router.post('/sanitize-filename', async (request, response) => {
     }
 });
 
-router.post('/upload', async (request, response) => {
+router.post('/upload', requireStorageQuota, async (request, response) => {
     try {
         if (!request.body.name) {
             return response.status(400).send('No upload name specified');
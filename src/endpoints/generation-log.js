@@ -0,0 +1,149 @@
+import express from 'express';
+import _ from 'lodash';
+
+import {
+    INTERNAL_REQUEST_FIELDS,
+    deleteGenerationLogEntries,
+    getGenerationLogEntry,
+    isGenerationLogEnabled,
+    listGenerationLog,
+    removeRedactedValues,
+    setGenerationLogEnabled,
+    withGenerationLog,
+} from '../generation-log.js';
+import { convertTextCompletionPrompt } from '../prompt-converters.js';
+import { withUsageLedger } from '../usage-ledger.js';
+import { withUserLimits } from '../user-limits.js';
+import { generateChatCompletion } from './backends/chat-completions.js';
+import { generateTextCompletion } from './backends/text-completions.js';
+
+const BACKENDS = {
+    'chat-completions': generateChatCompletion,
+    'text-completions': generateTextCompletion,
+};
+
+/**
+ * Converts a logged request body to the request body of another backend.
+ * @param {Record<string, any>} body Logged request body
+ * @param {string} from Backend that handled the logged request
+ * @param {string} to Backend that will handle the replayed request
+ * @returns {Record<string, any>} Request body
+ */
+function convertRequestBody(body, from, to) {
+    // Entries logged by older versions may still contain them
+    body = _.omit(body, INTERNAL_REQUEST_FIELDS);
+
+    if (from === to) {
+        return body;
+    }
+
+    if (to === 'text-completions') {
+        const prompt = convertTextCompletionPrompt(body.messages ?? []);
+        return { ..._.omit(body, ['messages', 'chat_completion_source']), prompt };
+    }
+
+    const messages = [{ role: 'user', content: String(body.prompt ?? '') }];
+    return { ..._.omit(body, ['prompt', 'api_type', 'api_server']), messages };
+}
+
+export const router = express.Router();
+
+router.post('/settings/get', (request, response) => {
+    return response.send({ enabled: isGenerationLogEnabled(request.user.directories) });
+});
+
+router.post('/settings/set', (request, response) => {
+    try {
+        setGenerationLogEnabled(request.user.directories, !!request.body.enabled);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Failed to save the generation log settings', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/list', (request, response) => {
+    try {
+        const offset = Math.max(0, Number(request.body.offset) || 0);
+        const limit = Math.min(500, Math.max(1, Number(request.body.limit) || 100));
+        const backend = request.body.backend ? String(request.body.backend) : null;
+        return response.send(listGenerationLog(request.user.directories, { offset, limit, backend }));
+    } catch (error) {
+        console.error('Failed to list the generation log', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/get', (request, response) => {
+    if (!request.body.id) {
+        return response.sendStatus(400);
+    }
+
+    const entry = getGenerationLogEntry(request.user.directories, String(request.body.id));
+
+    if (!entry) {
+        return response.sendStatus(404);
+    }
+
+    return response.send(entry);
+});
+
+router.post('/delete', (request, response) => {
+    if (!request.body.id) {
+        return response.sendStatus(400);
+    }
+
+    try {
+        const ids = Array.isArray(request.body.id) ? request.body.id.map(String) : [String(request.body.id)];
+        deleteGenerationLogEntries(request.user.directories, ids);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Failed to delete the generation log entry', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/clear', (request, response) => {
+    try {
+        deleteGenerationLogEntries(request.user.directories, null);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Failed to clear the generation log', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/replay', async (request, response) => {
+    if (!request.body.id) {
+        return response.sendStatus(400);
+    }
+
+    const id = String(request.body.id);
+    const entry = getGenerationLogEntry(request.user.directories, id);
+
+    if (!entry) {
+        return response.sendStatus(404);
+    }
+
+    const backend = String(request.body.backend ?? entry.backend);
+
+    if (!Object.hasOwn(BACKENDS, backend)) {
+        return response.status(400).send({ error: true, message: `Unknown backend: ${backend}` });
+    }
+
+    // Replays are sent to the logged connection only, without failover
+    const overrides = _.isPlainObject(request.body.overrides) ? _.omit(request.body.overrides, INTERNAL_REQUEST_FIELDS) : {};
+    // Secrets are redacted in the log, the stored ones are used instead
+    const loggedRequest = removeRedactedValues(entry.request ?? {});
+
+    if (loggedRequest === undefined) {
+        return response.status(400).send({ error: true, message: 'The logged request contains redacted secrets that can\'t be replayed' });
+    }
+
+    const body = convertRequestBody(loggedRequest, entry.backend, backend);
+
+    // Replays are compared side by side with the original response, so they are never streamed
+    request.body = { ...body, ...overrides, stream: false };
+
+    return withGenerationLog(backend, withUserLimits(withUsageLedger(backend, BACKENDS[backend])), { replayOf: id })(request, response);
+});
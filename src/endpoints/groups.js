@@ -6,6 +6,8 @@ import sanitize from 'sanitize-filename';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 
 import { humanizedISO8601DateTime } from '../util.js';
+import { EVENT_NAMES, emitUserDataEvent } from '../server-events.js';
+import { deleteChatRevisions } from '../chat-revisions.js';
 
 export const router = express.Router();
 
@@ -84,6 +86,7 @@ router.post('/create', (request, response) => {
     }
 
     writeFileAtomicSync(pathToFile, fileData);
+    emitUserDataEvent(request, EVENT_NAMES.GROUP_SAVED, { id });
     return response.send(groupMetadata);
 });
 
@@ -96,6 +99,7 @@ router.post('/edit', (request, response) => {
     const fileData = JSON.stringify(request.body, null, 4);
 
     writeFileAtomicSync(pathToFile, fileData);
+    emitUserDataEvent(request, EVENT_NAMES.GROUP_SAVED, { id: String(id) });
     return response.send({ ok: true });
 });
 
@@ -118,6 +122,7 @@ router.post('/delete', async (request, response) => {
 
                 if (fs.existsSync(pathToFile)) {
                     fs.unlinkSync(pathToFile);
+                    deleteChatRevisions(request.user.directories, pathToFile);
                 }
             }
         }
@@ -127,6 +132,7 @@ router.post('/delete', async (request, response) => {
 
     if (fs.existsSync(pathToGroup)) {
         fs.unlinkSync(pathToGroup);
+        emitUserDataEvent(request, EVENT_NAMES.GROUP_DELETED, { id: String(id) });
     }
 
     return response.send({ ok: true });
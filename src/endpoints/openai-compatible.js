@@ -0,0 +1,372 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import express from 'express';
+
+import { CHAT_COMPLETION_SOURCES, SETTINGS_FILE } from '../constants.js';
+import { getConfigValue, tryParse, uuidv4 } from '../util.js';
+import { getUserByApiKey, getUserDirectories } from '../users.js';
+import { readSecret, SECRET_KEYS } from './secrets.js';
+import { generateChatCompletion } from './backends/chat-completions.js';
+import { withGenerationLog } from '../generation-log.js';
+import { withUsageLedger } from '../usage-ledger.js';
+import { withUserLimits } from '../user-limits.js';
+
+const ENABLE_OPENAI_COMPATIBLE_API = !!getConfigValue('enableOpenAICompatibleApi', false, 'boolean');
+const generate = withGenerationLog('chat-completions', withUserLimits(withUsageLedger('chat-completions', generateChatCompletion)));
+
+/**
+ * @typedef {object} SourceConfig
+ * @property {string|null} secret Secret key of the source API key, if the source needs one
+ * @property {string} model Name of the setting that stores the selected model
+ */
+
+/**
+ * Chat Completion sources that can be reached through the API.
+ * @type {Record<string, SourceConfig>}
+ */
+const SOURCES = {
+    [CHAT_COMPLETION_SOURCES.OPENAI]: { secret: SECRET_KEYS.OPENAI, model: 'openai_model' },
+    [CHAT_COMPLETION_SOURCES.CLAUDE]: { secret: SECRET_KEYS.CLAUDE, model: 'claude_model' },
+    [CHAT_COMPLETION_SOURCES.OPENROUTER]: { secret: SECRET_KEYS.OPENROUTER, model: 'openrouter_model' },
+    [CHAT_COMPLETION_SOURCES.AI21]: { secret: SECRET_KEYS.AI21, model: 'ai21_model' },
+    [CHAT_COMPLETION_SOURCES.MAKERSUITE]: { secret: SECRET_KEYS.MAKERSUITE, model: 'google_model' },
+    [CHAT_COMPLETION_SOURCES.VERTEXAI]: { secret: SECRET_KEYS.VERTEXAI, model: 'vertexai_model' },
+    [CHAT_COMPLETION_SOURCES.MISTRALAI]: { secret: SECRET_KEYS.MISTRALAI, model: 'mistralai_model' },
+    [CHAT_COMPLETION_SOURCES.CUSTOM]: { secret: null, model: 'custom_model' },
+    [CHAT_COMPLETION_SOURCES.COHERE]: { secret: SECRET_KEYS.COHERE, model: 'cohere_model' },
+    [CHAT_COMPLETION_SOURCES.PERPLEXITY]: { secret: SECRET_KEYS.PERPLEXITY, model: 'perplexity_model' },
+    [CHAT_COMPLETION_SOURCES.GROQ]: { secret: SECRET_KEYS.GROQ, model: 'groq_model' },
+    [CHAT_COMPLETION_SOURCES.ZEROONEAI]: { secret: SECRET_KEYS.ZEROONEAI, model: 'zerooneai_model' },
+    [CHAT_COMPLETION_SOURCES.NANOGPT]: { secret: SECRET_KEYS.NANOGPT, model: 'nanogpt_model' },
+    [CHAT_COMPLETION_SOURCES.DEEPSEEK]: { secret: SECRET_KEYS.DEEPSEEK, model: 'deepseek_model' },
+    [CHAT_COMPLETION_SOURCES.AIMLAPI]: { secret: SECRET_KEYS.AIMLAPI, model: 'aimlapi_model' },
+    [CHAT_COMPLETION_SOURCES.XAI]: { secret: SECRET_KEYS.XAI, model: 'xai_model' },
+    [CHAT_COMPLETION_SOURCES.POLLINATIONS]: { secret: null, model: 'pollinations_model' },
+};
+
+/**
+ * Sources that don't respond in the OpenAI format and need their responses converted.
+ */
+const NON_OPENAI_SOURCES = [
+    CHAT_COMPLETION_SOURCES.CLAUDE,
+    CHAT_COMPLETION_SOURCES.MAKERSUITE,
+    CHAT_COMPLETION_SOURCES.VERTEXAI,
+    CHAT_COMPLETION_SOURCES.COHERE,
+];
+
+/**
+ * Sends an error in the OpenAI format.
+ * @param {express.Response} response Express response
+ * @param {number} status HTTP status code
+ * @param {string} message Error message
+ * @param {string} [type] Error type
+ */
+function sendError(response, status, message, type = 'invalid_request_error') {
+    return response.status(status).json({ error: { message, type, code: null } });
+}
+
+/**
+ * Reads the Chat Completion settings of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {Record<string, any>} Chat Completion settings
+ */
+export function readChatCompletionSettings(directories) {
+    const settingsPath = path.join(directories.root, SETTINGS_FILE);
+
+    if (!fs.existsSync(settingsPath)) {
+        return {};
+    }
+
+    const settings = tryParse(fs.readFileSync(settingsPath, 'utf8'));
+    return settings?.oai_settings ?? {};
+}
+
+/**
+ * Checks if a source is configured for a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {Record<string, any>} settings Chat Completion settings
+ * @param {string} source Chat Completion source
+ * @returns {boolean} True if the source can be used
+ */
+export function isSourceConfigured(directories, settings, source) {
+    switch (source) {
+        case CHAT_COMPLETION_SOURCES.CUSTOM:
+            return !!settings.custom_url;
+        case CHAT_COMPLETION_SOURCES.VERTEXAI:
+            return !!readSecret(directories, SECRET_KEYS.VERTEXAI) || !!readSecret(directories, SECRET_KEYS.VERTEXAI_SERVICE_ACCOUNT);
+        case CHAT_COMPLETION_SOURCES.POLLINATIONS:
+            return settings.chat_completion_source === source;
+        default:
+            return !!SOURCES[source]?.secret && !!readSecret(directories, SOURCES[source].secret);
+    }
+}
+
+/**
+ * Gets the model selected for a source in the user settings.
+ * @param {Record<string, any>} settings Chat Completion settings
+ * @param {string} source Chat Completion source
+ * @returns {string} Model ID
+ */
+function getSelectedModel(settings, source) {
+    const model = String(settings[SOURCES[source]?.model] ?? '');
+    // Not a real model, but a special value for the OpenRouter website settings
+    return model === 'OR_Website' ? '' : model;
+}
+
+/**
+ * Resolves the requested model ID to a source and a model.
+ * Models are addressed as "source/model" or just "source" for the model selected in the UI.
+ * Any other model ID is sent to the currently selected source.
+ * @param {Record<string, any>} settings Chat Completion settings
+ * @param {string} modelId Requested model ID
+ * @returns {{ source: string, model: string }} Source and model
+ */
+export function resolveModel(settings, modelId) {
+    const [prefix, ...rest] = String(modelId ?? '').split('/');
+
+    if (Object.hasOwn(SOURCES, prefix)) {
+        return { source: prefix, model: rest.join('/') || getSelectedModel(settings, prefix) };
+    }
+
+    const source = Object.hasOwn(SOURCES, settings.chat_completion_source) ? settings.chat_completion_source : CHAT_COMPLETION_SOURCES.OPENAI;
+    return { source, model: modelId || getSelectedModel(settings, source) };
+}
+
+/**
+ * Converts an OpenAI request body to the request body of the Chat Completion backend.
+ * @param {Record<string, any>} body OpenAI request body
+ * @param {Record<string, any>} settings Chat Completion settings
+ * @param {string} source Chat Completion source
+ * @param {string} model Model ID
+ * @returns {Record<string, any>} Chat Completion request body
+ */
+export function toChatCompletionRequest(body, settings, source, model) {
+    const stop = typeof body.stop === 'string' ? [body.stop] : body.stop;
+
+    return {
+        chat_completion_source: source,
+        model: model,
+        messages: body.messages,
+        stream: !!body.stream,
+        temperature: body.temperature,
+        top_p: body.top_p,
+        top_k: body.top_k,
+        max_tokens: body.max_tokens ?? body.max_completion_tokens,
+        presence_penalty: body.presence_penalty,
+        frequency_penalty: body.frequency_penalty,
+        stop: Array.isArray(stop) ? stop : undefined,
+        seed: body.seed,
+        n: body.n,
+        logit_bias: body.logit_bias,
+        tools: body.tools,
+        tool_choice: body.tool_choice,
+        reasoning_effort: body.reasoning_effort,
+        claude_use_sysprompt: true,
+        use_makersuite_sysprompt: true,
+        custom_url: settings.custom_url,
+        custom_include_body: settings.custom_include_body,
+        custom_exclude_body: settings.custom_exclude_body,
+        custom_include_headers: settings.custom_include_headers,
+        vertexai_auth_mode: settings.vertexai_auth_mode,
+        vertexai_region: settings.vertexai_region,
+        vertexai_express_project_id: settings.vertexai_express_project_id,
+    };
+}
+
+/**
+ * Extracts the text of a streamed response chunk of a source that doesn't use the OpenAI format.
+ * @param {string} source Chat Completion source
+ * @param {any} data Parsed event data
+ * @returns {string} Text of the chunk
+ */
+function getStreamedText(source, data) {
+    switch (source) {
+        case CHAT_COMPLETION_SOURCES.CLAUDE:
+            return data?.delta?.text ?? '';
+        case CHAT_COMPLETION_SOURCES.MAKERSUITE:
+        case CHAT_COMPLETION_SOURCES.VERTEXAI:
+            return data?.candidates?.[0]?.content?.parts?.filter(x => !x.thought)?.map(x => x.text ?? '')?.join('') ?? '';
+        case CHAT_COMPLETION_SOURCES.COHERE:
+            return data?.delta?.message?.content?.text ?? '';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Adapts the responses of the Chat Completion backend to the OpenAI format.
+ * @param {express.Response} response Express response
+ * @param {string} source Chat Completion source
+ * @param {string} modelId Model ID reported to the client
+ * @param {boolean} stream Whether the response is streamed
+ */
+function adaptResponse(response, source, modelId, stream) {
+    const id = `chatcmpl-${uuidv4()}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    const send = response.send;
+    response.send = function (body) {
+        response.send = send;
+        const data = typeof body === 'string' ? tryParse(body) ?? body : body;
+
+        if (!data || typeof data !== 'object' || data.error || response.statusCode >= 400) {
+            const message = data?.error?.message ?? (typeof data === 'string' ? data : 'Chat completion request failed');
+            return sendError(response, response.statusCode >= 400 ? response.statusCode : 502, message, 'api_error');
+        }
+
+        const text = data.choices?.[0]?.message?.content ?? data.message?.content?.find?.(x => x.type === 'text')?.text ?? '';
+        const choices = NON_OPENAI_SOURCES.includes(source) || !Array.isArray(data.choices)
+            ? [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+            : data.choices;
+
+        return response.json({ ...data, id: data.id ?? id, object: 'chat.completion', created: data.created ?? created, model: modelId, choices });
+    };
+
+    if (!stream) {
+        return;
+    }
+
+    const write = response.write;
+    const end = response.end;
+    const isConverted = NON_OPENAI_SOURCES.includes(source);
+    let buffer = '';
+
+    /**
+     * @param {any} chunk Chunk to write
+     */
+    const writeChunk = (chunk) => {
+        write.call(response, chunk);
+        // @ts-ignore
+        response.flush?.();
+    };
+
+    /**
+     * @param {object} delta Delta of the chunk
+     * @param {string|null} finishReason Finish reason
+     */
+    const writeDelta = (delta, finishReason) => {
+        const chunk = { id, object: 'chat.completion.chunk', created, model: modelId, choices: [{ index: 0, delta, finish_reason: finishReason }] };
+        writeChunk(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+
+    // @ts-ignore
+    response.write = function (chunk) {
+        if (!isConverted || response.statusCode >= 400) {
+            writeChunk(chunk);
+            return true;
+        }
+
+        buffer += Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop() ?? '';
+
+        for (const event of events) {
+            const data = event.split(/\r?\n/).filter(x => x.startsWith('data:')).map(x => x.slice(5).trim()).join('');
+            const text = getStreamedText(source, tryParse(data));
+            if (text) {
+                writeDelta({ role: 'assistant', content: text }, null);
+            }
+        }
+
+        return true;
+    };
+
+    // @ts-ignore
+    response.end = function (...args) {
+        response.write = write;
+        response.end = end;
+
+        if (isConverted && response.statusCode < 400 && !response.writableEnded) {
+            writeDelta({}, 'stop');
+            writeChunk('data: [DONE]\n\n');
+        }
+
+        return end.apply(response, args);
+    };
+}
+
+/**
+ * Authenticates the request with the personal access key of a user.
+ * @param {express.Request} request Express request
+ * @param {express.Response} response Express response
+ * @param {express.NextFunction} next Next middleware
+ */
+async function authenticate(request, response, next) {
+    if (!ENABLE_OPENAI_COMPATIBLE_API) {
+        return sendError(response, 404, 'OpenAI-compatible API is disabled. Set enableOpenAICompatibleApi to true in config.yaml to enable it.');
+    }
+
+    try {
+        const [scheme, key] = String(request.headers.authorization ?? '').split(' ');
+        const user = scheme === 'Bearer' ? await getUserByApiKey(key) : null;
+
+        if (!user) {
+            return sendError(response, 401, 'Invalid API key. Generate a personal access key in the SillyTavern user profile.', 'authentication_error');
+        }
+
+        request.user = {
+            profile: user,
+            directories: getUserDirectories(user.handle),
+        };
+
+        return next();
+    } catch (error) {
+        console.error('OpenAI-compatible API authentication failed', error);
+        return sendError(response, 500, 'Authentication failed', 'api_error');
+    }
+}
+
+export const router = express.Router();
+router.use(authenticate);
+
+router.get('/models', (request, response) => {
+    try {
+        const settings = readChatCompletionSettings(request.user.directories);
+        const data = Object.keys(SOURCES)
+            .filter(source => isSourceConfigured(request.user.directories, settings, source))
+            .map(source => {
+                const model = getSelectedModel(settings, source);
+                return { id: model ? `${source}/${model}` : source, object: 'model', created: 0, owned_by: source };
+            });
+
+        return response.json({ object: 'list', data });
+    } catch (error) {
+        console.error('Failed to list models', error);
+        return sendError(response, 500, 'Failed to list models', 'api_error');
+    }
+});
+
+router.post('/chat/completions', async (request, response) => {
+    try {
+        if (!Array.isArray(request.body?.messages) || request.body.messages.length === 0) {
+            return sendError(response, 400, 'messages must be a non-empty array');
+        }
+
+        const settings = readChatCompletionSettings(request.user.directories);
+        const { source, model } = resolveModel(settings, request.body.model);
+
+        if (!isSourceConfigured(request.user.directories, settings, source)) {
+            return sendError(response, 400, `Chat completion source ${source} is not configured`);
+        }
+
+        const stream = !!request.body.stream;
+        const modelId = model ? `${source}/${model}` : source;
+
+        request.body = toChatCompletionRequest(request.body, settings, source, model);
+
+        if (stream) {
+            response.setHeader('Content-Type', 'text/event-stream');
+            response.setHeader('Cache-Control', 'no-cache');
+        }
+
+        adaptResponse(response, source, modelId, stream);
+        await generate(request, response);
+    } catch (error) {
+        console.error('OpenAI-compatible chat completion failed', error);
+        if (!response.headersSent) {
+            return sendError(response, 500, error.message || 'Chat completion request failed', 'api_error');
+        }
+        response.end();
+    }
+});
@@ -0,0 +1,131 @@
+import express from 'express';
+
+import { getUserByApiKey, getUserDirectories } from '../users.js';
+import {
+    deleteScript,
+    getScript,
+    listScripts,
+    runScript,
+    runStoredScript,
+    saveScript,
+    SCRIPT_RUNNER_ENABLED,
+} from '../script-runner.js';
+import { COMMANDS } from '../stscript/commands.js';
+
+/**
+ * Rejects the requests if the script runner is disabled.
+ * @param {express.Request} _request Express request
+ * @param {express.Response} response Express response
+ * @param {express.NextFunction} next Next middleware
+ */
+function requireScriptRunner(_request, response, next) {
+    if (!SCRIPT_RUNNER_ENABLED) {
+        return response.status(404).send({ error: 'Script runner is disabled. Set scriptRunner.enabled to true in config.yaml to enable it.' });
+    }
+
+    return next();
+}
+
+/**
+ * Authenticates the request with the personal access key of a user.
+ * @param {express.Request} request Express request
+ * @param {express.Response} response Express response
+ * @param {express.NextFunction} next Next middleware
+ */
+async function authenticate(request, response, next) {
+    try {
+        const [scheme, key] = String(request.headers.authorization ?? '').split(' ');
+        const user = scheme === 'Bearer' ? await getUserByApiKey(key) : null;
+
+        if (!user) {
+            return response.status(401).send({ error: 'Invalid API key. Generate a personal access key in the SillyTavern user profile.' });
+        }
+
+        request.user = {
+            profile: user,
+            directories: getUserDirectories(user.handle),
+        };
+
+        return next();
+    } catch (error) {
+        console.error('Script API authentication failed', error);
+        return response.sendStatus(500);
+    }
+}
+
+export const router = express.Router();
+router.use(requireScriptRunner);
+
+router.post('/commands', (_request, response) => {
+    const commands = Object.entries(COMMANDS).map(([name, command]) => ({ name, help: command.help }));
+    return response.send(commands);
+});
+
+router.post('/list', (request, response) => {
+    try {
+        return response.send(listScripts(request.user.directories));
+    } catch (error) {
+        console.error('Failed to list the scripts', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/get', (request, response) => {
+    if (!request.body.name) {
+        return response.sendStatus(400);
+    }
+
+    const script = getScript(request.user.directories, String(request.body.name));
+
+    if (!script) {
+        return response.sendStatus(404);
+    }
+
+    return response.send(script);
+});
+
+router.post('/save', (request, response) => {
+    try {
+        return response.send(saveScript(request.user.directories, request.body));
+    } catch (error) {
+        return response.status(400).send({ error: error.message });
+    }
+});
+
+router.post('/delete', (request, response) => {
+    if (!request.body.name) {
+        return response.sendStatus(400);
+    }
+
+    if (!deleteScript(request.user.directories, String(request.body.name))) {
+        return response.sendStatus(404);
+    }
+
+    return response.sendStatus(204);
+});
+
+/**
+ * Runs a stored script by name, or a script from the request body.
+ */
+router.post('/run', async (request, response) => {
+    try {
+        if (request.body.name) {
+            return response.send(await runStoredScript(request.user.profile, String(request.body.name)));
+        }
+
+        if (typeof request.body.script !== 'string') {
+            return response.status(400).send({ error: 'Script name or text is required' });
+        }
+
+        const target = request.body.target && typeof request.body.target === 'object' ? request.body.target : null;
+        return response.send(await runScript(request.user.profile, request.body.script, target));
+    } catch (error) {
+        return response.status(400).send({ error: error.message });
+    }
+});
+
+/**
+ * Script API for external tools, authenticated with personal access keys instead of sessions.
+ */
+export const apiRouter = express.Router();
+apiRouter.use(requireScriptRunner, authenticate, router);
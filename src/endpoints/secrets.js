@@ -1,5 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
 
 import express from 'express';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
@@ -94,6 +95,29 @@ const EXPORTABLE_KEYS = [
 
 const allowKeysExposure = !!getConfigValue('allowKeysExposure', false, 'boolean');
 
+/**
+ * Function that picks the secret to read instead of the active one. Returns null to use the active secret.
+ * @typedef {(key: string, secrets: SecretValue[]) => string|null} SecretSelector
+ */
+
+/**
+ * Secret selector of the request that is currently being handled.
+ * @type {AsyncLocalStorage<SecretSelector>}
+ */
+const secretSelector = new AsyncLocalStorage();
+
+/**
+ * Runs a callback with a secret selector. Secrets read without an explicit ID while the callback
+ * is running are picked by the selector instead of using the active secret.
+ * @template T
+ * @param {SecretSelector} selector Secret selector
+ * @param {() => T} callback Callback to run
+ * @returns {T} Result of the callback
+ */
+export function runWithSecretSelector(selector, callback) {
+    return secretSelector.run(selector, callback);
+}
+
 /**
  * SecretManager class to handle all secret operations
  */
@@ -260,6 +284,7 @@ export class SecretManager {
         const secretArray = secrets[key];
 
         if (Array.isArray(secretArray) && secretArray.length > 0) {
+            id = id || secretSelector.getStore()?.(key, secretArray) || null;
             const activeSecret = secretArray.find(s => id ? s.id === id : s.active);
             return activeSecret?.value || '';
         }
@@ -7,6 +7,7 @@ import sanitize from 'sanitize-filename';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 
 import { getImageBuffers } from '../util.js';
+import { requireStorageQuota } from '../user-limits.js';
 
 /**
  * Gets the path to the sprites folder for the provided character name
@@ -176,7 +177,7 @@ router.post('/delete', async (request, response) => {
     }
 });
 
-router.post('/upload-zip', async (request, response) => {
+router.post('/upload-zip', requireStorageQuota, async (request, response) => {
     const file = request.file;
     const name = request.body.name;
 
@@ -223,7 +224,7 @@ router.post('/upload-zip', async (request, response) => {
     }
 });
 
-router.post('/upload', async (request, response) => {
+router.post('/upload', requireStorageQuota, async (request, response) => {
     const file = request.file;
     const label = request.body.label;
     const name = request.body.name;
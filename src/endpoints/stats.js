@@ -43,7 +43,7 @@ const TIMESTAMPS = new Map();
  * // Date string
  * timestampToMoment("January 1, 2021 12:00am");
  */
-function timestampToMoment(timestamp) {
+export function timestampToMoment(timestamp) {
     if (!timestamp) {
         return 0;
     }
@@ -0,0 +1,66 @@
+import express from 'express';
+import storage from 'node-persist';
+
+import { KEY_PREFIX, getUserDirectories, requireAdminMiddleware } from '../users.js';
+import { getUsageSummary, setMonthlyBudget } from '../usage-ledger.js';
+
+export const router = express.Router();
+
+router.post('/summary', async (request, response) => {
+    try {
+        const summary = await getUsageSummary(request.user.directories, request.user.profile.handle, request.body?.month);
+        return response.send(summary);
+    } catch (error) {
+        console.error('Usage summary failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/users', requireAdminMiddleware, async (request, response) => {
+    try {
+        /** @type {import('../users.js').User[]} */
+        const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+        const result = [];
+
+        for (const user of users) {
+            const summary = await getUsageSummary(getUserDirectories(user.handle), user.handle, request.body?.month);
+            result.push({
+                handle: user.handle,
+                name: user.name,
+                budget: summary.budget,
+                customBudget: typeof user.monthlyBudget === 'number',
+                totals: summary.totals,
+            });
+        }
+
+        result.sort((a, b) => b.totals.cost - a.totals.cost);
+        return response.send(result);
+    } catch (error) {
+        console.error('Usage user list failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/budget', requireAdminMiddleware, async (request, response) => {
+    try {
+        const handle = String(request.body?.handle ?? '');
+        const budget = request.body?.budget;
+
+        if (!handle || (budget !== null && !Number.isFinite(Number(budget)))) {
+            console.warn('Set budget failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const found = await setMonthlyBudget(handle, budget === null ? null : Number(budget));
+
+        if (!found) {
+            console.warn('Set budget failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Set budget failed:', error);
+        return response.sendStatus(500);
+    }
+});
@@ -16,6 +16,7 @@ import {
     ensurePublicDirectoriesExist,
 } from '../users.js';
 import { DEFAULT_USER } from '../constants.js';
+import { getUserLimits, getUserLimitsUsage, setUserLimits } from '../user-limits.js';
 
 export const router = express.Router();
 
@@ -27,7 +28,11 @@ router.post('/get', requireAdminMiddleware, async (_request, response) => {
         /** @type {Promise<import('../users.js').UserViewModel>[]} */
         const viewModelPromises = users
             .map(user => new Promise(resolve => {
-                getUserAvatar(user.handle).then(avatar =>
+                Promise.all([
+                    getUserAvatar(user.handle),
+                    getUserLimits(user.handle),
+                    getUserLimitsUsage(user.handle, getUserDirectories(user.handle)),
+                ]).then(([avatar, limits, usage]) =>
                     resolve({
                         handle: user.handle,
                         name: user.name,
@@ -36,6 +41,8 @@ router.post('/get', requireAdminMiddleware, async (_request, response) => {
                         enabled: user.enabled,
                         created: user.created,
                         password: !!user.password,
+                        limits: limits,
+                        usage: usage,
                     }),
                 );
             }));
@@ -155,6 +162,27 @@ router.post('/demote', requireAdminMiddleware, async (request, response) => {
     }
 });
 
+router.post('/limits', requireAdminMiddleware, async (request, response) => {
+    try {
+        if (!request.body.handle || !request.body.limits || typeof request.body.limits !== 'object') {
+            console.warn('Set user limits failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const found = await setUserLimits(request.body.handle, request.body.limits);
+
+        if (!found) {
+            console.error('Set user limits failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Set user limits failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/create', requireAdminMiddleware, async (request, response) => {
     try {
         if (!request.body.handle || !request.body.name) {
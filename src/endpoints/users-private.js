@@ -5,7 +5,7 @@ import crypto from 'node:crypto';
 import storage from 'node-persist';
 import express from 'express';
 
-import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey } from '../users.js';
+import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey, getApiKeyHash } from '../users.js';
 import { SETTINGS_FILE } from '../constants.js';
 import { checkForNewContent, CONTENT_TYPES } from './content-manager.js';
 import { color, Cache } from '../util.js';
@@ -38,6 +38,8 @@ router.get('/me', async (request, response) => {
         }
 
         const user = request.user.profile;
+        /** @type {import('../users.js').User} */
+        const storedUser = await storage.getItem(toKey(user.handle));
         const viewModel = {
             handle: user.handle,
             name: user.name,
@@ -45,6 +47,7 @@ router.get('/me', async (request, response) => {
             admin: user.admin,
             password: !!user.password,
             created: user.created,
+            apiKey: !!storedUser?.apiKey,
         };
 
         return response.json(viewModel);
@@ -136,6 +139,49 @@ router.post('/change-password', async (request, response) => {
     }
 });
 
+router.post('/api-key/generate', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        if (!user) {
+            console.error('Generate API key failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        const key = `st-${crypto.randomBytes(24).toString('hex')}`;
+        user.apiKey = getApiKeyHash(key);
+        await storage.setItem(toKey(user.handle), user);
+
+        console.info('Generated a new API key for user', user.handle);
+        return response.json({ key });
+    } catch (error) {
+        console.error('Generate API key failed', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/api-key/revoke', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        if (!user) {
+            console.error('Revoke API key failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        delete user.apiKey;
+        await storage.setItem(toKey(user.handle), user);
+
+        console.info('Revoked the API key of user', user.handle);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Revoke API key failed', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/backup', async (request, response) => {
     try {
         const handle = request.body.handle;
@@ -4,6 +4,18 @@ import path from 'node:path';
 import express from 'express';
 import sanitize from 'sanitize-filename';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
+import _ from 'lodash';
+
+import { EVENT_NAMES, emitUserDataEvent } from '../server-events.js';
+import { getStorageQuotaError, requireStorageQuota } from '../user-limits.js';
+import {
+    addWorldInfoEntry,
+    filterWorldInfoEntries,
+    getWorldInfoEntry,
+    listWorldInfoFiles,
+    removeWorldInfoEntry,
+    validateWorldInfoEntryFields,
+} from '../world-info-entries.js';
 
 /**
  * Reads a World Info file and returns its contents
@@ -32,8 +44,215 @@ export function readWorldInfoFile(directories, worldInfoName, allowDummy) {
     return worldInfo;
 }
 
+/**
+ * Reads a World Info file for editing a single entry.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} worldInfoName Name of the World Info file
+ * @returns {object|null} World Info file contents, or null if the file doesn't exist or is invalid
+ */
+function readWorldInfoForEdit(directories, worldInfoName) {
+    const name = sanitize(String(worldInfoName ?? ''));
+
+    if (!name || !fs.existsSync(path.join(directories.worlds, `${name}.json`))) {
+        return null;
+    }
+
+    const data = readWorldInfoFile(directories, name, false);
+    return data && typeof data.entries === 'object' ? data : null;
+}
+
+/**
+ * Gets the save revision of a World Info file. It is incremented on every save and used to detect concurrent edits.
+ * @param {object|null} data World Info file contents
+ * @returns {number} Save revision, or 0 if the file doesn't exist or has no revision yet
+ */
+function getWorldInfoRevision(data) {
+    return Number.isInteger(data?.revision) ? data.revision : 0;
+}
+
+/**
+ * Checks if a World Info file was changed since the client has loaded it, and sends a conflict if it was.
+ * The check is skipped if the client doesn't send the revision it has loaded.
+ * @param {import('express').Response} response Response object
+ * @param {object|null} data Current World Info file contents
+ * @param {any} revision Revision loaded by the client
+ * @returns {boolean} True if the file can be written
+ */
+function checkWorldInfoRevision(response, data, revision) {
+    const currentRevision = getWorldInfoRevision(data);
+
+    if (Number.isInteger(revision) && revision !== currentRevision) {
+        response.status(409).send({ error: 'conflict', revision: currentRevision });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Checks if replacing a World Info file with the request body would exceed the storage limit of the user.
+ * Only the growth of the file is counted, so books can still be shortened when the limit is reached.
+ * @param {import('express').Request} request Request object
+ * @param {string} worldInfoName Name of the World Info file
+ * @returns {Promise<string|null>} Error message, or null if the file can be saved
+ */
+async function getWorldInfoQuotaError(request, worldInfoName) {
+    const filePath = path.join(request.user.directories.worlds, `${sanitize(String(worldInfoName))}.json`);
+    const currentSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    const growth = (Number(request.headers['content-length']) || 0) - currentSize;
+    return growth > 0 ? await getStorageQuotaError(request, growth) : null;
+}
+
+/**
+ * Writes a World Info file with the next save revision and notifies the other sessions of the user.
+ * @param {import('express').Request} request Request object
+ * @param {string} worldInfoName Name of the World Info file
+ * @param {object} data World Info file contents, with the revision of the current file
+ * @returns {number} Revision of the written file
+ */
+function writeWorldInfoFile(request, worldInfoName, data) {
+    const name = sanitize(String(worldInfoName));
+    data.revision = getWorldInfoRevision(data) + 1;
+    writeFileAtomicSync(path.join(request.user.directories.worlds, `${name}.json`), JSON.stringify(data, null, 4));
+    emitUserDataEvent(request, EVENT_NAMES.WORLD_INFO_SAVED, { name });
+    return data.revision;
+}
+
 export const router = express.Router();
 
+router.post('/list', (request, response) => {
+    try {
+        return response.send(listWorldInfoFiles(request.user.directories));
+    } catch (error) {
+        console.error('Could not list World Info files:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/entries/list', (request, response) => {
+    const data = readWorldInfoForEdit(request.user.directories, request.body?.name);
+
+    if (!data) {
+        return response.status(404).send({ error: 'World Info file not found' });
+    }
+
+    const entries = filterWorldInfoEntries(data, request.body.filter ?? {});
+    const offset = Math.max(0, Number(request.body.offset) || 0);
+    const limit = Number(request.body.limit) > 0 ? Number(request.body.limit) : entries.length;
+
+    return response.send({ total: entries.length, entries: entries.slice(offset, offset + limit), revision: getWorldInfoRevision(data) });
+});
+
+router.post('/entries/get', (request, response) => {
+    const data = readWorldInfoForEdit(request.user.directories, request.body?.name);
+    const entry = getWorldInfoEntry(data, request.body.uid);
+
+    if (!entry) {
+        return response.status(404).send({ error: 'World Info entry not found' });
+    }
+
+    return response.send(entry);
+});
+
+router.post('/entries/create', requireStorageQuota, (request, response) => {
+    const data = readWorldInfoForEdit(request.user.directories, request.body?.name);
+
+    if (!data) {
+        return response.status(404).send({ error: 'World Info file not found' });
+    }
+
+    if (!checkWorldInfoRevision(response, data, request.body.revision)) {
+        return;
+    }
+
+    const fields = request.body.entry ?? {};
+    const errors = validateWorldInfoEntryFields(fields);
+
+    if (errors.length) {
+        return response.status(400).send({ error: errors.join('\n') });
+    }
+
+    const entry = addWorldInfoEntry(data, fields);
+    const revision = writeWorldInfoFile(request, request.body.name, data);
+
+    return response.send({ entry, revision });
+});
+
+router.post('/entries/edit', requireStorageQuota, (request, response) => {
+    const data = readWorldInfoForEdit(request.user.directories, request.body?.name);
+    const entry = getWorldInfoEntry(data, request.body.uid);
+
+    if (!entry) {
+        return response.status(404).send({ error: 'World Info entry not found' });
+    }
+
+    if (!checkWorldInfoRevision(response, data, request.body.revision)) {
+        return;
+    }
+
+    // Allow sending back a whole entry as it was received
+    const changes = _.omit(request.body.changes ?? {}, ['uid']);
+    const errors = validateWorldInfoEntryFields(changes);
+
+    if (errors.length) {
+        return response.status(400).send({ error: errors.join('\n') });
+    }
+
+    Object.assign(entry, changes);
+    const revision = writeWorldInfoFile(request, request.body.name, data);
+
+    return response.send({ entry, revision });
+});
+
+router.post('/entries/delete', (request, response) => {
+    const data = readWorldInfoForEdit(request.user.directories, request.body?.name);
+
+    if (!getWorldInfoEntry(data, request.body.uid)) {
+        return response.status(404).send({ error: 'World Info entry not found' });
+    }
+
+    if (!checkWorldInfoRevision(response, data, request.body.revision)) {
+        return;
+    }
+
+    removeWorldInfoEntry(data, request.body.uid);
+    const revision = writeWorldInfoFile(request, request.body.name, data);
+
+    return response.send({ revision });
+});
+
+router.post('/entries/move', (request, response) => {
+    if (sanitize(String(request.body?.name ?? '')) === sanitize(String(request.body?.target ?? ''))) {
+        return response.status(400).send({ error: 'Source and target World Info files must be different' });
+    }
+
+    const sourceData = readWorldInfoForEdit(request.user.directories, request.body.name);
+    const targetData = readWorldInfoForEdit(request.user.directories, request.body.target);
+
+    if (!sourceData || !targetData) {
+        return response.status(404).send({ error: 'World Info file not found' });
+    }
+
+    if (!getWorldInfoEntry(sourceData, request.body.uid)) {
+        return response.status(404).send({ error: 'World Info entry not found' });
+    }
+
+    if (!checkWorldInfoRevision(response, sourceData, request.body.revision)) {
+        return;
+    }
+
+    const entry = removeWorldInfoEntry(sourceData, request.body.uid);
+
+    // The entry is placed at the end of the target book
+    const movedEntry = addWorldInfoEntry(targetData, _.omit(entry, ['uid', 'displayIndex']));
+
+    // Same order as in the editor, a failure leaves a copy instead of losing the entry
+    writeWorldInfoFile(request, request.body.target, targetData);
+    const revision = writeWorldInfoFile(request, request.body.name, sourceData);
+
+    return response.send({ entry: movedEntry, revision });
+});
+
 router.post('/get', (request, response) => {
     if (!request.body?.name) {
         return response.sendStatus(400);
@@ -58,11 +277,12 @@ router.post('/delete', (request, response) => {
     }
 
     fs.unlinkSync(pathToWorldInfo);
+    emitUserDataEvent(request, EVENT_NAMES.WORLD_INFO_DELETED, { name: path.parse(pathToWorldInfo).name });
 
     return response.sendStatus(200);
 });
 
-router.post('/import', (request, response) => {
+router.post('/import', requireStorageQuota, (request, response) => {
     if (!request.file) return response.sendStatus(400);
 
     const filename = `${path.parse(sanitize(request.file.originalname)).name}.json`;
@@ -94,10 +314,11 @@ router.post('/import', (request, response) => {
     }
 
     writeFileAtomicSync(pathToNewFile, fileContents);
+    emitUserDataEvent(request, EVENT_NAMES.WORLD_INFO_SAVED, { name: worldName });
     return response.send({ name: worldName });
 });
 
-router.post('/edit', (request, response) => {
+router.post('/edit', async (request, response) => {
     if (!request.body) {
         return response.sendStatus(400);
     }
@@ -114,10 +335,33 @@ router.post('/edit', (request, response) => {
         return response.status(400).send('Is not a valid world info file');
     }
 
-    const filename = `${sanitize(request.body.name)}.json`;
-    const pathToFile = path.join(request.user.directories.worlds, filename);
+    try {
+        const quotaError = await getWorldInfoQuotaError(request, request.body.name);
+
+        if (quotaError) {
+            return response.status(413).send({ error: 'quota', message: quotaError });
+        }
+
+        const data = request.body.data;
+        let currentData = null;
+
+        try {
+            currentData = readWorldInfoForEdit(request.user.directories, request.body.name);
+        } catch (error) {
+            // A corrupted file is replaced without a revision check
+            console.warn(`Could not read World Info file ${request.body.name}`, error);
+        }
+
+        if (!checkWorldInfoRevision(response, currentData, data.revision)) {
+            return;
+        }
 
-    writeFileAtomicSync(pathToFile, JSON.stringify(request.body.data, null, 4));
+        data.revision = getWorldInfoRevision(currentData);
+        const revision = writeWorldInfoFile(request, request.body.name, data);
 
-    return response.send({ ok: true });
+        return response.send({ ok: true, revision });
+    } catch (error) {
+        console.error('Could not save World Info file:', error);
+        return response.sendStatus(500);
+    }
 });
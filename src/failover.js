@@ -0,0 +1,399 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import _ from 'lodash';
+
+import { runWithSecretSelector } from './endpoints/secrets.js';
+
+const MAX_ATTEMPTS = 10;
+const ATTEMPTS_HEADER = 'X-Failover-Attempts';
+/**
+ * Milliseconds to wait for a handler to respond after its attempt has timed out.
+ */
+const TIMEOUT_GRACE_PERIOD = 1000;
+
+/**
+ * @typedef {object} FailoverTarget
+ * @property {string} [name] Name of the target, usually a connection profile name
+ * @property {Record<string, any>} [overrides] Request body fields that select the API, model and server URL
+ * @property {string} [secret_id] ID of the stored key to use
+ */
+
+/**
+ * @typedef {object} FailoverOptions
+ * @property {FailoverTarget[]} [targets] Fallback targets tried in order after the connection of the request
+ * @property {boolean} [rotate_keys] Rotate stored keys between requests and try every key before the next target
+ * @property {number} [timeout] Seconds to wait for the API to start responding, 0 to wait indefinitely
+ * @property {number} [max_attempts] Maximum number of attempts
+ */
+
+/**
+ * @typedef {object} FailoverAttemptRecord
+ * @property {string} target Name of the target
+ * @property {string} source Chat Completion source or Text Completion API type
+ * @property {string} model Requested model
+ * @property {string|null} key Label of the stored key, if a specific one was used
+ * @property {number} status HTTP status code returned by the API
+ * @property {boolean} timedOut Whether the attempt timed out
+ * @property {number} latency Time until the attempt succeeded or failed, in milliseconds
+ * @property {boolean} ok Whether the attempt succeeded
+ */
+
+/**
+ * @typedef {object} FailoverAttempt
+ * @property {AbortController} controller Aborts the requests made by the attempt
+ * @property {number|null} upstreamStatus Status of the last response received from the API
+ * @property {boolean} timedOut Whether the attempt timed out
+ * @property {boolean} abandoned Whether the later output of the handler is ignored, e.g. after it didn't respond in time
+ * @property {NodeJS.Timeout|null} timer Timeout timer
+ * @property {Record<string, number>} keyCounts Number of stored keys of each secret read by the attempt
+ * @property {number} start Timestamp of the attempt start
+ */
+
+/**
+ * Attempt of the generation request that is currently being handled.
+ * @type {AsyncLocalStorage<FailoverAttempt>}
+ */
+const currentAttempt = new AsyncLocalStorage();
+
+/**
+ * Round-robin position of the stored keys, by user handle and secret key.
+ * @type {Map<string, number>}
+ */
+const keyPositions = new Map();
+
+/**
+ * Checks if a failed attempt should be retried with the next key or target.
+ * @param {FailoverAttempt} attempt Failed attempt
+ * @param {number} statusCode Status code of the response
+ * @returns {boolean} True if the error is a rate limit, a server error or a timeout
+ */
+function isRetryable(attempt, statusCode) {
+    const status = attempt.upstreamStatus ?? statusCode;
+    return attempt.timedOut || status === 429 || status >= 500;
+}
+
+/**
+ * Checks if the current request is an attempt of a request with fallbacks.
+ * Backends should not retry failed requests by themselves in this case.
+ * @returns {boolean} True if fallbacks are handled by the failover
+ */
+export function isFailoverAttempt() {
+    return !!currentAttempt.getStore();
+}
+
+/**
+ * Creates a signal that is aborted when any of the given signals is aborted.
+ * Same as AbortSignal.any, which is missing in older Node 18 versions.
+ * @param {AbortSignal[]} signals Signals to combine
+ * @returns {AbortSignal} Combined signal
+ */
+function anySignal(signals) {
+    const controller = new AbortController();
+
+    for (const signal of signals) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+
+    return controller.signal;
+}
+
+/**
+ * Wraps a fetch function to let the requests made by a failover attempt be timed out and cancelled.
+ * @template {Function} T
+ * @param {T} fetchImpl Fetch function
+ * @returns {T} Wrapped fetch function
+ */
+export function createFailoverFetch(fetchImpl) {
+    // @ts-ignore
+    return async function (url, init, ...args) {
+        const attempt = currentAttempt.getStore();
+
+        if (!attempt) {
+            return fetchImpl(url, init, ...args);
+        }
+
+        const signals = [init?.signal, attempt.controller.signal].filter(x => x);
+        const result = await fetchImpl(url, { ...init, signal: anySignal(signals) }, ...args);
+        attempt.upstreamStatus = result.status;
+
+        // The API has started responding, the rest may take as long as needed
+        if (result.ok && attempt.timer) {
+            clearTimeout(attempt.timer);
+            attempt.timer = null;
+        }
+
+        return result;
+    };
+}
+
+/**
+ * Wraps a generation request handler to retry failed requests with other keys and connections.
+ * Fallbacks are only used when the request body contains a `failover` object and the API
+ * responds with a rate limit error, a server error, or doesn't respond in time.
+ * The record of attempts is sent to the client in the X-Failover-Attempts response header.
+ * @param {(request: import('express').Request, response: import('express').Response) => any} handler Request handler
+ * @returns {(request: import('express').Request, response: import('express').Response) => Promise<any>} Wrapped request handler
+ */
+export function withFailover(handler) {
+    return async function (request, response) {
+        /** @type {FailoverOptions} */
+        const options = request.body?.failover;
+
+        if (!_.isPlainObject(options)) {
+            return handler(request, response);
+        }
+
+        delete request.body.failover;
+
+        const handle = request.user.profile.handle;
+        const originalBody = request.body;
+        const timeout = Math.max(0, Number(options.timeout) || 0) * 1000;
+        const maxAttempts = Math.min(MAX_ATTEMPTS, Math.max(1, Number(options.max_attempts) || MAX_ATTEMPTS));
+        /** @type {FailoverTarget[]} */
+        const targets = [{ name: 'primary' }, ...(Array.isArray(options.targets) ? options.targets : [])];
+        /** @type {FailoverAttemptRecord[]} */
+        const records = [];
+
+        const status = response.status;
+        const send = response.send;
+        const write = response.write;
+        const end = response.end;
+
+        /** @type {FailoverAttempt|null} */
+        let active = null;
+        /** @type {'pending'|'committed'|'discarded'} */
+        let state = 'pending';
+        /** @type {(ok: boolean) => void} */
+        let settle = () => { };
+        let targetIndex = 0;
+        let keyOffset = 0;
+        let isClosed = false;
+
+        /**
+         * Checks if the active attempt can be followed by another one.
+         * @returns {boolean} True if there is another key or target to try
+         */
+        const hasNextAttempt = () => {
+            if (records.length >= maxAttempts) {
+                return false;
+            }
+
+            const keyCount = Math.max(0, ...Object.values(active.keyCounts));
+            const canRotate = options.rotate_keys && !targets[targetIndex].secret_id && keyOffset + 1 < keyCount;
+            return canRotate || targetIndex < targets.length - 1;
+        };
+
+        /**
+         * Decides if the output of the active attempt is sent to the client.
+         * @param {boolean} failed Whether the attempt has failed
+         * @returns {boolean} True if the output is sent to the client
+         */
+        const decide = (failed) => {
+            const record = records[records.length - 1];
+            const retry = failed && isRetryable(active, response.statusCode) && hasNextAttempt();
+            clearTimeout(active.timer);
+            record.status = active.upstreamStatus ?? response.statusCode;
+            record.ok = !failed;
+            record.latency = Date.now() - active.start;
+
+            if (retry) {
+                state = 'discarded';
+                active.controller.abort();
+                response.statusCode = 200;
+                response.statusMessage = undefined;
+                settle(false);
+                return false;
+            }
+
+            state = 'committed';
+            if (!response.headersSent) {
+                response.setHeader(ATTEMPTS_HEADER, encodeURIComponent(JSON.stringify(records)));
+            }
+            settle(true);
+            return true;
+        };
+
+        /**
+         * Checks if a call to the response comes from an attempt that was already abandoned.
+         * @returns {boolean} True if the call should be ignored
+         */
+        const isStale = () => {
+            const attempt = currentAttempt.getStore();
+            return !!attempt && (attempt !== active || attempt.abandoned);
+        };
+
+        response.status = function (code) {
+            if (isStale() || state === 'discarded') {
+                return this;
+            }
+
+            return status.call(this, code);
+        };
+
+        response.send = function (body) {
+            if (isStale() || state === 'discarded') {
+                return this;
+            }
+
+            if (state === 'committed') {
+                return send.call(this, body);
+            }
+
+            const data = typeof body === 'string' ? _.attempt(JSON.parse, body) : body;
+            const failed = response.statusCode >= 400 || !!data?.error || (active.upstreamStatus ?? 0) >= 400;
+            return decide(failed) ? send.call(this, body) : this;
+        };
+
+        // @ts-ignore
+        response.write = function (chunk, ...args) {
+            if (isStale() || state === 'discarded') {
+                return true;
+            }
+
+            if (state === 'committed') {
+                return write.call(this, chunk, ...args);
+            }
+
+            return decide(response.statusCode >= 400) ? write.call(this, chunk, ...args) : true;
+        };
+
+        // @ts-ignore
+        response.end = function (...args) {
+            if (isStale() || state === 'discarded') {
+                return this;
+            }
+
+            if (state === 'committed') {
+                return end.apply(this, args);
+            }
+
+            return decide(response.statusCode >= 400) ? end.apply(this, args) : this;
+        };
+
+        /**
+         * Runs one attempt of the request.
+         * @param {FailoverTarget} target Target of the attempt
+         * @returns {Promise<{ ok: boolean, attempt: FailoverAttempt }>} Whether the output was sent to the client
+         */
+        const runAttempt = (target) => new Promise((resolve) => {
+            /** @type {FailoverAttempt} */
+            const attempt = {
+                controller: new AbortController(),
+                upstreamStatus: null,
+                timedOut: false,
+                abandoned: false,
+                timer: null,
+                keyCounts: {},
+                start: Date.now(),
+            };
+
+            request.body = { ..._.cloneDeep(originalBody), ...(target.overrides ?? {}) };
+            active = attempt;
+            state = 'pending';
+            settle = (ok) => resolve({ ok, attempt });
+            records.push({
+                target: String(target.name ?? `#${targetIndex}`),
+                source: String(request.body.chat_completion_source ?? request.body.api_type ?? ''),
+                model: String(request.body.model ?? ''),
+                key: null,
+                status: 0,
+                timedOut: false,
+                latency: 0,
+                ok: false,
+            });
+
+            if (timeout > 0) {
+                attempt.timer = setTimeout(() => {
+                    attempt.timedOut = true;
+                    records[records.length - 1].timedOut = true;
+                    attempt.controller.abort();
+
+                    // Most handlers respond with an error when their request is aborted, but not all of them do
+                    setTimeout(() => {
+                        if (active === attempt && state === 'pending') {
+                            attempt.abandoned = true;
+                            response.status(504).send({ error: { message: 'The API did not respond in time' } });
+                        }
+                    }, TIMEOUT_GRACE_PERIOD);
+                }, timeout);
+            }
+
+            /** @type {import('./endpoints/secrets.js').SecretSelector} */
+            const selectSecret = (key, secrets) => {
+                attempt.keyCounts[key] = secrets.length;
+                let secret = secrets.find(s => s.id === target.secret_id);
+
+                if (!secret && options.rotate_keys) {
+                    const position = keyPositions.get(`${handle}:${key}`) ?? 0;
+                    secret = secrets[(position + keyOffset) % secrets.length];
+                }
+
+                if (secret) {
+                    records[records.length - 1].key = secret.label;
+                }
+
+                return secret?.id ?? null;
+            };
+
+            currentAttempt.run(attempt, () => runWithSecretSelector(selectSecret, async () => {
+                try {
+                    await handler(request, response);
+                } catch (error) {
+                    console.error('Failover attempt failed', error);
+                    if (!response.headersSent && state === 'pending' && active === attempt) {
+                        response.status(500).send({ error: { message: error.message } });
+                    }
+                }
+            }));
+        });
+
+        // Nothing can be sent after the client has disconnected, so the handler may never respond
+        response.on('close', () => {
+            isClosed = true;
+
+            if (active && state === 'pending') {
+                active.abandoned = true;
+                clearTimeout(active.timer);
+                active.controller.abort();
+                state = 'discarded';
+                settle(false);
+            }
+        });
+
+        /** @type {Set<string>} */
+        const usedKeys = new Set();
+
+        for (targetIndex = 0; targetIndex < targets.length; targetIndex++) {
+            for (keyOffset = 0; ; keyOffset++) {
+                const { ok, attempt } = await runAttempt(targets[targetIndex]);
+                Object.keys(attempt.keyCounts).forEach(key => usedKeys.add(key));
+
+                if (ok) {
+                    // Next request starts with the next key of every secret that was used
+                    if (options.rotate_keys) {
+                        for (const key of usedKeys) {
+                            keyPositions.set(`${handle}:${key}`, (keyPositions.get(`${handle}:${key}`) ?? 0) + keyOffset + 1);
+                        }
+                    }
+                    return;
+                }
+
+                if (isClosed) {
+                    return;
+                }
+
+                const keyCount = Math.max(0, ...Object.values(attempt.keyCounts));
+                if (!options.rotate_keys || targets[targetIndex].secret_id || keyOffset + 1 >= keyCount) {
+                    break;
+                }
+            }
+
+            console.warn(`Generation request to ${records[records.length - 1].target} failed, trying the next connection`);
+        }
+    };
+}
@@ -0,0 +1,452 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import _ from 'lodash';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, tryParse, uuidv4 } from './util.js';
+import { SecretManager } from './endpoints/secrets.js';
+import { isStorageQuotaReached } from './user-limits.js';
+
+const MAX_ENTRIES = Math.max(1, Number(getConfigValue('generationLog.maxEntries', 500, 'number')));
+const MAX_TRANSCRIPT_LENGTH = 1024 * 1024;
+const SETTINGS_FILE_NAME = 'settings.json';
+const INDEX_FILE_NAME = 'index.jsonl';
+const REDACTED = '[REDACTED]';
+
+/**
+ * Object keys (request fields and headers) whose values are always redacted.
+ */
+const SECRET_FIELDS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key', 'cookie', 'proxy_password'];
+
+/**
+ * Request fields that are consumed by the server before the request reaches the API.
+ * They are not logged, so replays are never failed over and are not attributed to the original chat.
+ */
+export const INTERNAL_REQUEST_FIELDS = ['failover', 'usage_context'];
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number|null} prompt_tokens Number of tokens in the prompt
+ * @property {number|null} completion_tokens Number of generated tokens
+ * @property {number|null} total_tokens Total number of tokens
+ */
+
+/**
+ * @typedef {object} OutgoingRequest
+ * @property {string} url Request URL
+ * @property {string} method HTTP method
+ * @property {Record<string, string>} headers Request headers
+ * @property {any} body Request body
+ */
+
+/**
+ * @typedef {object} GenerationLogEntry
+ * @property {string} id Entry ID
+ * @property {number} date Timestamp of the request
+ * @property {string} backend Backend that handled the request (chat-completions or text-completions)
+ * @property {string} source Chat Completion source or Text Completion API type
+ * @property {string} model Requested model
+ * @property {number} status HTTP status code of the response
+ * @property {number} latency Time until the response was finished, in milliseconds
+ * @property {boolean} streamed Whether the response was streamed
+ * @property {TokenUsage|null} usage Token usage reported by the API
+ * @property {string|null} replayOf ID of the replayed entry
+ * @property {object} request Request body received from the client, without internal fields
+ * @property {OutgoingRequest[]} outgoing Requests sent to the API
+ * @property {any} response Response body, if not streamed
+ * @property {string} [transcript] Stream transcript, if streamed
+ * @property {boolean} [truncated] Whether the transcript was truncated
+ */
+
+/**
+ * @typedef {Omit<GenerationLogEntry, 'request'|'outgoing'|'response'|'transcript'|'truncated'>} GenerationLogSummary
+ */
+
+/**
+ * Log entry of the generation request that is currently being handled.
+ * @type {AsyncLocalStorage<GenerationLogEntry>}
+ */
+const currentEntry = new AsyncLocalStorage();
+
+/**
+ * Cached state of the log toggle, by log directory.
+ * @type {Map<string, boolean>}
+ */
+const enabledCache = new Map();
+
+/**
+ * Checks if the generation log is enabled for a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {boolean} True if the log is enabled
+ */
+export function isGenerationLogEnabled(directories) {
+    if (!enabledCache.has(directories.generationLogs)) {
+        const settingsPath = path.join(directories.generationLogs, SETTINGS_FILE_NAME);
+        const settings = fs.existsSync(settingsPath) ? tryParse(fs.readFileSync(settingsPath, 'utf8')) : null;
+        enabledCache.set(directories.generationLogs, !!settings?.enabled);
+    }
+
+    return enabledCache.get(directories.generationLogs);
+}
+
+/**
+ * Enables or disables the generation log for a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {boolean} enabled Whether the log is enabled
+ */
+export function setGenerationLogEnabled(directories, enabled) {
+    fs.mkdirSync(directories.generationLogs, { recursive: true });
+    writeFileAtomicSync(path.join(directories.generationLogs, SETTINGS_FILE_NAME), JSON.stringify({ enabled: !!enabled }), 'utf8');
+    enabledCache.set(directories.generationLogs, !!enabled);
+}
+
+/**
+ * Converts a token usage object of any supported API to the OpenAI format.
+ * @param {any} data Response data or a part of it
+ * @returns {TokenUsage|null} Token usage, or null if not found
+ */
+export function getTokenUsage(data) {
+    if (!data || typeof data !== 'object') {
+        return null;
+    }
+
+    const usage = data.usage ?? data.usageMetadata ?? data.meta?.billed_units;
+    const tokens = usage?.tokens ?? usage;
+
+    const prompt = tokens?.prompt_tokens ?? tokens?.input_tokens ?? tokens?.promptTokenCount ?? data.prompt_eval_count ?? data.tokens_evaluated;
+    const completion = tokens?.completion_tokens ?? tokens?.output_tokens ?? tokens?.candidatesTokenCount ?? data.eval_count ?? data.tokens_predicted;
+
+    if (!Number.isFinite(prompt) && !Number.isFinite(completion)) {
+        return null;
+    }
+
+    const total = tokens?.total_tokens ?? tokens?.totalTokenCount ?? ((prompt ?? 0) + (completion ?? 0));
+    return { prompt_tokens: prompt ?? null, completion_tokens: completion ?? null, total_tokens: total };
+}
+
+/**
+ * Collects the token usage reported in a stream transcript.
+ * @param {string} transcript Raw text of the event stream
+ * @returns {TokenUsage|null} Token usage, or null if not found
+ */
+export function getStreamTokenUsage(transcript) {
+    /** @type {TokenUsage|null} */
+    let result = null;
+
+    for (const line of transcript.split('\n')) {
+        const data = tryParse(line.replace(/^data:\s*/, '').trim());
+        // Claude reports the prompt usage in the first event and the completion usage in the last one
+        const usage = getTokenUsage(data) ?? getTokenUsage(data?.message);
+
+        if (usage) {
+            const prompt = usage.prompt_tokens ?? result?.prompt_tokens ?? null;
+            const completion = usage.completion_tokens ?? result?.completion_tokens ?? null;
+            result = { prompt_tokens: prompt, completion_tokens: completion, total_tokens: (prompt ?? 0) + (completion ?? 0) };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Removes secrets from a value before it is written to the log.
+ * @param {any} value Value to redact
+ * @param {string[]} secrets Secret values of the user
+ * @returns {any} Redacted copy of the value
+ */
+function redact(value, secrets) {
+    const redactFields = (item) => {
+        if (Array.isArray(item)) {
+            return item.map(redactFields);
+        }
+
+        if (item && typeof item === 'object') {
+            return _.mapValues(item, (fieldValue, key) => SECRET_FIELDS.includes(key.toLowerCase()) && fieldValue ? REDACTED : redactFields(fieldValue));
+        }
+
+        return item;
+    };
+
+    let json = JSON.stringify(redactFields(value) ?? null)
+        .replace(/([?&](?:key|api_key|token)=)[^&"]+/gi, `$1${REDACTED}`);
+
+    for (const secret of secrets) {
+        json = json.split(JSON.stringify(secret).slice(1, -1)).join(REDACTED);
+    }
+
+    return JSON.parse(json);
+}
+
+/**
+ * Removes the secrets redacted by the log from a logged request, so the stored secrets are used when it is replayed.
+ * @param {any} value Logged value
+ * @returns {any} Copy of the value without redacted fields and query parameters, or undefined if a redacted value can't be removed
+ */
+export function removeRedactedValues(value) {
+    const redactedParam = new RegExp(`([?&])(?:key|api_key|token)=${_.escapeRegExp(REDACTED)}(?:&|$)`, 'gi');
+    let isComplete = true;
+
+    const removeValues = (item) => {
+        if (Array.isArray(item)) {
+            return item.map(removeValues);
+        }
+
+        if (item && typeof item === 'object') {
+            return _.mapValues(_.omitBy(item, fieldValue => fieldValue === REDACTED), removeValues);
+        }
+
+        if (typeof item === 'string' && item.includes(REDACTED)) {
+            const result = item.replace(redactedParam, '$1').replace(/[?&]$/, '');
+            isComplete = isComplete && !result.includes(REDACTED);
+            return result;
+        }
+
+        return item;
+    };
+
+    const result = removeValues(value);
+    return isComplete ? result : undefined;
+}
+
+/**
+ * Converts fetch headers to a plain object.
+ * @param {any} headers Headers in any format accepted by fetch
+ * @returns {Record<string, string>} Headers object
+ */
+function toHeadersObject(headers) {
+    if (!headers) {
+        return {};
+    }
+
+    if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+        const result = {};
+        headers.forEach((value, key) => result[key] = value);
+        return result;
+    }
+
+    return Object.fromEntries(Array.isArray(headers) ? headers : Object.entries(headers));
+}
+
+/**
+ * Wraps a fetch function to record the requests made while a generation request is logged.
+ * @template {Function} T
+ * @param {T} fetchImpl Fetch function
+ * @returns {T} Wrapped fetch function
+ */
+export function createLoggedFetch(fetchImpl) {
+    // @ts-ignore
+    return function (url, init, ...args) {
+        const entry = currentEntry.getStore();
+
+        if (entry) {
+            entry.outgoing.push({
+                url: String(url),
+                method: String(init?.method ?? 'GET').toUpperCase(),
+                headers: toHeadersObject(init?.headers),
+                body: typeof init?.body === 'string' ? tryParse(init.body) ?? init.body : init?.body ? '[binary]' : null,
+            });
+        }
+
+        return fetchImpl(url, init, ...args);
+    };
+}
+
+/**
+ * Reads the summaries of all log entries.
+ * @param {string} logDirectory Path to the log directory
+ * @returns {GenerationLogSummary[]} Summaries, oldest first
+ */
+function readIndex(logDirectory) {
+    const indexPath = path.join(logDirectory, INDEX_FILE_NAME);
+
+    if (!fs.existsSync(indexPath)) {
+        return [];
+    }
+
+    return fs.readFileSync(indexPath, 'utf8').split('\n').map(line => tryParse(line)).filter(x => x);
+}
+
+/**
+ * Writes the summaries of all log entries.
+ * @param {string} logDirectory Path to the log directory
+ * @param {GenerationLogSummary[]} summaries Summaries, oldest first
+ */
+function writeIndex(logDirectory, summaries) {
+    const content = summaries.map(x => JSON.stringify(x) + '\n').join('');
+    writeFileAtomicSync(path.join(logDirectory, INDEX_FILE_NAME), content, 'utf8');
+}
+
+/**
+ * Gets the path to the file of a log entry.
+ * @param {string} logDirectory Path to the log directory
+ * @param {string} id Entry ID
+ * @returns {string} Path to the entry file
+ */
+function getEntryPath(logDirectory, id) {
+    return path.join(logDirectory, `${path.basename(String(id))}.json`);
+}
+
+/**
+ * Writes a log entry and removes the oldest entries over the limit.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {GenerationLogEntry} entry Log entry
+ */
+function saveEntry(directories, entry) {
+    // Not only the active secrets, a request may use any of the stored keys
+    const secrets = Object.values(new SecretManager(directories).getAllSecrets())
+        .flatMap(values => Array.isArray(values) ? values.map(x => x.value) : [])
+        .filter(x => typeof x === 'string' && x.length >= 8);
+    const redacted = redact(entry, secrets.sort((a, b) => b.length - a.length));
+
+    fs.mkdirSync(directories.generationLogs, { recursive: true });
+    writeFileAtomicSync(getEntryPath(directories.generationLogs, entry.id), JSON.stringify(redacted), 'utf8');
+
+    const summary = _.omit(redacted, ['request', 'outgoing', 'response', 'transcript', 'truncated']);
+    fs.appendFileSync(path.join(directories.generationLogs, INDEX_FILE_NAME), JSON.stringify(summary) + '\n', 'utf8');
+
+    const summaries = readIndex(directories.generationLogs);
+    if (summaries.length > MAX_ENTRIES) {
+        const removed = summaries.slice(0, summaries.length - MAX_ENTRIES);
+        for (const item of removed) {
+            fs.rmSync(getEntryPath(directories.generationLogs, item.id), { force: true });
+        }
+        writeIndex(directories.generationLogs, summaries.slice(-MAX_ENTRIES));
+    }
+}
+
+/**
+ * Wraps a generation request handler to record the request and the response in the generation log of the user.
+ * @param {string} backend Name of the backend
+ * @param {(request: import('express').Request, response: import('express').Response) => any} handler Request handler
+ * @param {object} [options] Options
+ * @param {string} [options.replayOf] ID of the entry that is being replayed
+ * @returns {(request: import('express').Request, response: import('express').Response) => Promise<any>} Wrapped request handler
+ */
+export function withGenerationLog(backend, handler, { replayOf = null } = {}) {
+    const loggedHandler = async function (request, response) {
+        // The log is optional, so it stops recording when the storage limit is reached
+        if (!request.body || !isGenerationLogEnabled(request.user.directories) || await isStorageQuotaReached(request)) {
+            return handler(request, response);
+        }
+
+        const start = Date.now();
+        /** @type {GenerationLogEntry} */
+        const entry = {
+            id: `${start}-${uuidv4().slice(0, 8)}`,
+            date: start,
+            backend: backend,
+            source: String(request.body.chat_completion_source ?? request.body.api_type ?? ''),
+            model: String(request.body.model ?? ''),
+            status: 0,
+            latency: 0,
+            streamed: false,
+            usage: null,
+            replayOf: replayOf,
+            request: _.omit(_.cloneDeep(request.body), INTERNAL_REQUEST_FIELDS),
+            outgoing: [],
+            response: null,
+        };
+
+        const send = response.send;
+        const write = response.write;
+        let transcript = '';
+
+        response.send = function (body) {
+            response.send = send;
+            entry.response = Buffer.isBuffer(body) ? `[binary ${body.length} bytes]` : typeof body === 'string' ? tryParse(body) ?? body : body;
+            return send.call(this, body);
+        };
+
+        // @ts-ignore
+        response.write = function (chunk, ...args) {
+            entry.streamed = true;
+            if (transcript.length < MAX_TRANSCRIPT_LENGTH) {
+                transcript += Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+            } else {
+                entry.truncated = true;
+            }
+            return write.call(this, chunk, ...args);
+        };
+
+        response.once('close', () => {
+            try {
+                entry.status = response.statusCode;
+                entry.latency = Date.now() - start;
+
+                if (entry.streamed) {
+                    entry.transcript = transcript.slice(0, MAX_TRANSCRIPT_LENGTH);
+                    entry.usage = getStreamTokenUsage(entry.transcript);
+                } else {
+                    entry.usage = getTokenUsage(entry.response);
+                }
+
+                saveEntry(request.user.directories, entry);
+            } catch (error) {
+                console.error('Failed to write the generation log entry', error);
+            }
+        });
+
+        return currentEntry.run(entry, () => handler(request, response));
+    };
+
+    // Express 4 doesn't handle rejected promises, so no error may escape the handler
+    return async function (request, response) {
+        try {
+            return await loggedHandler(request, response);
+        } catch (error) {
+            console.error('Generation request failed', error);
+            if (!response.headersSent) {
+                return response.status(500).send({ error: { message: error.message } });
+            }
+            return response.end();
+        }
+    };
+}
+
+/**
+ * Lists the entries of the generation log.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {object} [options] Options
+ * @param {number} [options.offset] Number of entries to skip
+ * @param {number} [options.limit] Maximum number of entries to return
+ * @param {string} [options.backend] Only return entries of this backend
+ * @returns {{ total: number, entries: GenerationLogSummary[] }} Summaries, newest first
+ */
+export function listGenerationLog(directories, { offset = 0, limit = 100, backend = null } = {}) {
+    const summaries = readIndex(directories.generationLogs)
+        .filter(x => !backend || x.backend === backend)
+        .reverse();
+
+    return { total: summaries.length, entries: summaries.slice(offset, offset + limit) };
+}
+
+/**
+ * Gets an entry of the generation log.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} id Entry ID
+ * @returns {GenerationLogEntry|null} Entry, or null if not found
+ */
+export function getGenerationLogEntry(directories, id) {
+    const entryPath = getEntryPath(directories.generationLogs, id);
+    return fs.existsSync(entryPath) ? tryParse(fs.readFileSync(entryPath, 'utf8')) ?? null : null;
+}
+
+/**
+ * Deletes entries of the generation log.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string[]|null} ids Entry IDs, or null to delete all entries
+ */
+export function deleteGenerationLogEntries(directories, ids) {
+    const summaries = readIndex(directories.generationLogs);
+    const removed = ids ? summaries.filter(x => ids.includes(x.id)) : summaries;
+
+    for (const item of removed) {
+        fs.rmSync(getEntryPath(directories.generationLogs, item.id), { force: true });
+    }
+
+    if (fs.existsSync(directories.generationLogs)) {
+        writeIndex(directories.generationLogs, summaries.filter(x => !removed.includes(x)));
+    }
+}
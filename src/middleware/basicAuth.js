@@ -9,6 +9,21 @@ import { getConfigValue, safeReadFileSync } from '../util.js';
 
 const PER_USER_BASIC_AUTH = getConfigValue('perUserBasicAuth', false, 'boolean');
 const ENABLE_ACCOUNTS = getConfigValue('enableUserAccounts', false, 'boolean');
+const ENABLE_OPENAI_COMPATIBLE_API = getConfigValue('enableOpenAICompatibleApi', false, 'boolean');
+const ENABLE_SCRIPT_RUNNER = getConfigValue('scriptRunner.enabled', false, 'boolean');
+
+/**
+ * Checks if the request goes to an enabled API that authenticates requests with personal access keys.
+ * @param {import('express').Request} request Request
+ * @returns {boolean} Whether the request can skip basic authentication
+ */
+function isAccessKeyApiRequest(request) {
+    if (request.path === '/v1/scripts' || request.path.startsWith('/v1/scripts/')) {
+        return ENABLE_SCRIPT_RUNNER;
+    }
+
+    return ENABLE_OPENAI_COMPATIBLE_API && request.path.startsWith('/v1/');
+}
 
 const basicAuthMiddleware = async function (request, response, callback) {
     const unauthorizedWebpage = safeReadFileSync('./public/error/unauthorized.html') ?? '';
@@ -27,6 +42,11 @@ const basicAuthMiddleware = async function (request, response, callback) {
 
     const [scheme, credentials] = authHeader.split(' ');
 
+    // The OpenAI-compatible and the script APIs authenticate requests with personal access keys
+    if (scheme === 'Bearer' && isAccessKeyApiRequest(request)) {
+        return callback();
+    }
+
     if (scheme !== 'Basic' || !credentials) {
         return unauthorizedResponse(response);
     }
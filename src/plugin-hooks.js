@@ -0,0 +1,130 @@
+import { serverEvents } from './server-events.js';
+
+/**
+ * Names of the hooks that server plugins can intercept.
+ * @enum {string}
+ * @readonly
+ */
+export const HOOK_NAMES = Object.freeze({
+    /**
+     * Called before a Chat Completion request is sent to the API. Interceptors may modify the request body.
+     */
+    BEFORE_CHAT_COMPLETION: 'beforeChatCompletion',
+    /**
+     * Called after a Chat Completion response was received. Interceptors may modify non-streamed responses.
+     */
+    AFTER_CHAT_COMPLETION: 'afterChatCompletion',
+    /**
+     * Called before a chat file is written. Interceptors may modify the saved messages.
+     */
+    BEFORE_CHAT_SAVE: 'beforeChatSave',
+    /**
+     * Called after a character card was imported. The card is already saved, so interceptors can't reject the import.
+     */
+    AFTER_CHARACTER_IMPORT: 'afterCharacterImport',
+});
+
+/**
+ * @typedef {object} HookInterceptor
+ * @property {string} owner ID of the plugin that registered the interceptor
+ * @property {(payload: any) => any|Promise<any>} handler Interceptor function
+ */
+
+/**
+ * Registered interceptors by hook name.
+ * @type {Map<string, HookInterceptor[]>}
+ */
+const interceptors = new Map();
+
+/**
+ * Error thrown by an interceptor to reject the intercepted operation.
+ */
+export class HookRejectedError extends Error {
+    /**
+     * @param {string} message Reason shown to the user
+     * @param {number} [status] HTTP status code of the response
+     */
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'HookRejectedError';
+        this.status = status;
+    }
+}
+
+/**
+ * Registers an interceptor for a hook.
+ * @param {string} hookName Name of the hook
+ * @param {(payload: any) => any|Promise<any>} handler Interceptor function. Receives a mutable payload object.
+ * @param {string} [owner] ID of the plugin that registers the interceptor
+ * @returns {() => void} Function that removes the interceptor
+ */
+export function registerHook(hookName, handler, owner = 'unknown') {
+    if (!Object.values(HOOK_NAMES).includes(hookName)) {
+        throw new Error(`Unknown hook: ${hookName}`);
+    }
+
+    if (typeof handler !== 'function') {
+        throw new Error(`Hook ${hookName} handler must be a function`);
+    }
+
+    const interceptor = { owner, handler };
+
+    if (!interceptors.has(hookName)) {
+        interceptors.set(hookName, []);
+    }
+
+    interceptors.get(hookName).push(interceptor);
+
+    return () => {
+        const list = interceptors.get(hookName) ?? [];
+        const index = list.indexOf(interceptor);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Runs all interceptors of a hook in the order of registration, then emits the hook as a server event.
+ * Interceptors may modify the payload in place. A {@link HookRejectedError} thrown by an interceptor
+ * is rethrown to the caller to reject the operation; other errors are logged and ignored.
+ * @template T
+ * @param {string} hookName Name of the hook
+ * @param {T} payload Hook payload
+ * @returns {Promise<T>} The payload after all interceptors have run
+ */
+export async function runHooks(hookName, payload) {
+    for (const { owner, handler } of interceptors.get(hookName) ?? []) {
+        try {
+            await handler(payload);
+        } catch (error) {
+            if (error instanceof HookRejectedError) {
+                console.warn(`Plugin ${owner} rejected ${hookName}: ${error.message}`);
+                throw error;
+            }
+
+            console.error(`Plugin ${owner} failed to handle ${hookName}`, error);
+        }
+    }
+
+    try {
+        serverEvents.emit(hookName, payload);
+    } catch (error) {
+        console.error(`Server event listener for ${hookName} failed`, error);
+    }
+
+    return payload;
+}
+
+/**
+ * Creates the hooks API object passed to a plugin's init function.
+ * @param {string} owner ID of the plugin
+ * @returns {import('../index').PluginHooks} Hooks API
+ */
+export function createPluginHooks(owner) {
+    return {
+        names: HOOK_NAMES,
+        register: (hookName, handler) => registerHook(hookName, handler, owner),
+        RejectedError: HookRejectedError,
+    };
+}
@@ -6,6 +6,7 @@ import express from 'express';
 import { default as git, CheckRepoActions } from 'simple-git';
 import { sync as commandExistsSync } from 'command-exists';
 import { getConfigValue, color } from './util.js';
+import { createPluginHooks } from './plugin-hooks.js';
 
 const enableServerPlugins = !!getConfigValue('enableServerPlugins', false, 'boolean');
 const enableServerPluginsAutoUpdate = !!getConfigValue('enableServerPluginsAutoUpdate', true, 'boolean');
@@ -213,7 +214,10 @@ async function initPlugin(app, plugin, exitHooks) {
     // Allow the plugin to register API routes under /api/plugins/[plugin ID] via a router
     const router = express.Router();
 
-    await init(router);
+    // Allow the plugin to intercept server operations via hooks
+    const hooks = createPluginHooks(id);
+
+    await init(router, { hooks });
 
     loadedPlugins.set(id, plugin);
 
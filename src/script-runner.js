@@ -0,0 +1,707 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import { Buffer } from 'node:buffer';
+
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { SETTINGS_FILE } from './constants.js';
+import { getConfigValue, tryParse } from './util.js';
+import { getActiveUsers, getUserDirectories } from './users.js';
+import { parse as parseCharacterCard } from './character-card-parser.js';
+import { generateChatCompletion } from './endpoints/backends/chat-completions.js';
+import { isChatHeader, updateChatFile } from './endpoints/chats.js';
+import { isSourceConfigured, readChatCompletionSettings, resolveModel, toChatCompletionRequest } from './endpoints/openai-compatible.js';
+import { withGenerationLog } from './generation-log.js';
+import { estimateTokens, getGeneratedText, withUsageLedger } from './usage-ledger.js';
+import { withUserLimits } from './user-limits.js';
+import { parseScript, ScriptSyntaxError } from './stscript/parser.js';
+import { callClosure, ScriptError, ScriptScope } from './stscript/interpreter.js';
+import { COMMANDS } from './stscript/commands.js';
+
+export const SCRIPT_RUNNER_ENABLED = !!getConfigValue('scriptRunner.enabled', false, 'boolean');
+const MAX_STEPS = Math.max(1, Number(getConfigValue('scriptRunner.maxSteps', 10000, 'number')));
+const TIMEOUT = Math.max(1, Number(getConfigValue('scriptRunner.timeout', 300, 'number'))) * 1000;
+const VARIABLES_FILE = '.variables.json';
+const MAX_OUTPUT_LINES = 1000;
+
+const generate = withGenerationLog('chat-completions', withUserLimits(withUsageLedger('chat-completions', generateChatCompletion)));
+
+/**
+ * @typedef {object} ScriptTarget Chat that a script runs in
+ * @property {string} [avatar] Avatar file name of the character
+ * @property {string} [group] ID of the group
+ * @property {string} [file] Chat file name without the extension. Defaults to the current chat of the character or group.
+ */
+
+/**
+ * @typedef {object} ScriptRunResult
+ * @property {number} date Timestamp of the run start
+ * @property {boolean} ok Whether the script has finished without errors
+ * @property {string} result Result of the last command
+ * @property {string[]} output Lines printed with /echo
+ * @property {string|null} error Error message, if the script has failed
+ * @property {number} steps Number of executed commands
+ * @property {number} duration Duration of the run, in milliseconds
+ */
+
+/**
+ * @typedef {object} StoredScript
+ * @property {string} name Name of the script
+ * @property {string} script Script text
+ * @property {string} schedule Cron expression of the scheduled runs, empty if the script only runs on request
+ * @property {boolean} enabled Whether the scheduled runs are enabled
+ * @property {ScriptTarget|null} target Chat that the script runs in
+ * @property {ScriptRunResult|null} lastRun Result of the last run
+ */
+
+/**
+ * @typedef {object} LoadedChat
+ * @property {string} filePath Path to the chat file
+ * @property {string} fileName Chat file name without the extension
+ * @property {string} backupName Name of the chat in the backups
+ * @property {string} [avatar] Avatar of the character, for character chats
+ * @property {object|null} header Header line of the chat file
+ * @property {import('./stscript/interpreter.js').ScriptChat} chat Chat that is passed to the script
+ * @property {{ char: string, group: string }} names Character and group names
+ */
+
+/**
+ * Scripts that are currently running, by user handle and script name.
+ * @type {Set<string>}
+ */
+const runningScripts = new Set();
+
+/**
+ * Ranges of the cron expression fields.
+ */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 },
+];
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+
+/**
+ * Parses a cron expression with five fields: minute, hour, day of month, month and day of week.
+ * Fields support *, lists (1,2), ranges (1-5) and steps (*\/15). Aliases @hourly, @daily, @weekly and @monthly are also accepted.
+ * @param {string} expression Cron expression
+ * @returns {Set<number>[]} Allowed values of each field
+ * @throws {Error} If the expression is invalid
+ */
+export function parseSchedule(expression) {
+    const fields = (CRON_ALIASES[expression.trim().toLowerCase()] ?? expression).trim().split(/\s+/);
+
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error(`Schedule must have ${CRON_FIELDS.length} fields: minute, hour, day of month, month and day of week`);
+    }
+
+    return fields.map((field, index) => {
+        const { name, min, max } = CRON_FIELDS[index];
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+
+            if (!match) {
+                throw new Error(`Invalid ${name}: ${part}`);
+            }
+
+            const start = match[1] === '*' ? min : Number(match[2]);
+            const end = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start));
+            const step = match[4] ? Number(match[4]) : 1;
+
+            if (start < min || end > max || start > end || step < 1) {
+                throw new Error(`Invalid ${name}: ${part}`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                // Both 0 and 7 are Sunday
+                values.add(index === 4 && value === 7 ? 0 : value);
+            }
+        }
+
+        return values;
+    });
+}
+
+/**
+ * Checks if a schedule is due at a time.
+ * @param {Set<number>[]} schedule Parsed schedule
+ * @param {Date} date Time to check
+ * @returns {boolean} True if the script should run at the time
+ */
+export function isScheduleDue(schedule, date) {
+    const [minutes, hours, days, months, weekdays] = schedule;
+
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    // Like in cron, a restricted day of month or day of week is enough to match if both are restricted
+    const isDayRestricted = days.size < 31;
+    const isWeekdayRestricted = weekdays.size < 7;
+    const isDayMatched = days.has(date.getDate());
+    const isWeekdayMatched = weekdays.has(date.getDay());
+
+    return isDayRestricted && isWeekdayRestricted ? isDayMatched || isWeekdayMatched : isDayMatched && isWeekdayMatched;
+}
+
+/**
+ * Gets the path to a stored script.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} name Name of the script
+ * @returns {string} Path to the script file
+ */
+function getScriptPath(directories, name) {
+    return path.join(directories.scripts, sanitize(`${name}.json`));
+}
+
+/**
+ * Lists the stored scripts of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {StoredScript[]} Scripts, sorted by name
+ */
+export function listScripts(directories) {
+    if (!fs.existsSync(directories.scripts)) {
+        return [];
+    }
+
+    return fs.readdirSync(directories.scripts)
+        .filter(file => path.extname(file) === '.json' && !file.startsWith('.'))
+        .map(file => tryParse(fs.readFileSync(path.join(directories.scripts, file), 'utf8')))
+        .filter(script => script && typeof script.name === 'string')
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Gets a stored script.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} name Name of the script
+ * @returns {StoredScript|null} Script, or null if it doesn't exist
+ */
+export function getScript(directories, name) {
+    const filePath = getScriptPath(directories, name);
+    return fs.existsSync(filePath) ? tryParse(fs.readFileSync(filePath, 'utf8')) ?? null : null;
+}
+
+/**
+ * Validates and saves a script.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {Partial<StoredScript>} script Script to save
+ * @returns {StoredScript} Saved script
+ * @throws {Error} If the script is invalid
+ */
+export function saveScript(directories, script) {
+    const name = String(script.name ?? '').trim();
+
+    if (!name || name.startsWith('.') || sanitize(name) !== name) {
+        throw new Error('Script name is empty or contains characters that are not allowed in file names');
+    }
+
+    const text = String(script.script ?? '');
+    const schedule = String(script.schedule ?? '').trim();
+    const target = script.target && typeof script.target === 'object' ? script.target : null;
+
+    parseScript(text);
+
+    if (schedule) {
+        parseSchedule(schedule);
+    }
+
+    if (target && !target.avatar === !target.group) {
+        throw new Error('Target must have either an avatar or a group');
+    }
+
+    /** @type {StoredScript} */
+    const data = {
+        name: name,
+        script: text,
+        schedule: schedule,
+        enabled: script.enabled !== false,
+        target: target && {
+            ...(target.avatar ? { avatar: String(target.avatar) } : { group: String(target.group) }),
+            ...(target.file ? { file: String(target.file) } : {}),
+        },
+        lastRun: getScript(directories, name)?.lastRun ?? null,
+    };
+
+    fs.mkdirSync(directories.scripts, { recursive: true });
+    writeFileAtomicSync(getScriptPath(directories, name), JSON.stringify(data, null, 4), 'utf8');
+    return data;
+}
+
+/**
+ * Deletes a stored script.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} name Name of the script
+ * @returns {boolean} True if the script was deleted
+ */
+export function deleteScript(directories, name) {
+    const filePath = getScriptPath(directories, name);
+
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+
+    fs.unlinkSync(filePath);
+    return true;
+}
+
+/**
+ * Reads the name of a character from its card.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name
+ * @returns {Promise<{ name: string, chat: string }>} Character name and current chat
+ */
+async function readCharacter(directories, avatar) {
+    const cardPath = path.join(directories.characters, sanitize(avatar));
+
+    if (!fs.existsSync(cardPath)) {
+        throw new ScriptError(`Character ${avatar} was not found`);
+    }
+
+    const card = JSON.parse(await parseCharacterCard(cardPath));
+    return { name: String(card.data?.name ?? card.name ?? ''), chat: String(card.chat ?? '') };
+}
+
+/**
+ * Loads the chat that a script runs in.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {ScriptTarget} target Chat of the script
+ * @returns {Promise<LoadedChat>} Loaded chat
+ */
+async function loadChat(directories, target) {
+    let filePath, fileName, backupName, avatar;
+    /** @type {{ name: string, avatar: string }[]} */
+    let members = [];
+    let names = { char: '', group: '' };
+
+    if (target.group) {
+        const groupPath = path.join(directories.groups, sanitize(`${target.group}.json`));
+        const group = fs.existsSync(groupPath) ? tryParse(fs.readFileSync(groupPath, 'utf8')) : null;
+
+        if (!group) {
+            throw new ScriptError(`Group ${target.group} was not found`);
+        }
+
+        for (const member of Array.isArray(group.members) ? group.members : []) {
+            try {
+                members.push({ name: (await readCharacter(directories, member)).name, avatar: member });
+            } catch (error) {
+                console.warn(`Could not read the group member ${member}`, error.message);
+            }
+        }
+
+        fileName = String(target.file || group.chat_id || '');
+        filePath = path.join(directories.groupChats, sanitize(`${fileName}.jsonl`));
+        backupName = fileName;
+        names = { char: members[0]?.name ?? '', group: String(group.name ?? '') };
+    } else {
+        const character = await readCharacter(directories, String(target.avatar));
+        const directoryName = String(target.avatar).replace('.png', '');
+        avatar = String(target.avatar);
+        members = [{ name: character.name, avatar: avatar }];
+        fileName = String(target.file || character.chat);
+        filePath = path.join(directories.chats, sanitize(directoryName), sanitize(`${fileName}.jsonl`));
+        backupName = directoryName;
+        names = { char: character.name, group: '' };
+    }
+
+    if (!fileName || !fs.existsSync(filePath)) {
+        throw new ScriptError(`Chat ${fileName} was not found`);
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').map(line => tryParse(line)).filter(x => x);
+    const header = isChatHeader(lines[0]) ? lines.shift() : null;
+
+    return {
+        filePath,
+        fileName,
+        backupName,
+        avatar,
+        header,
+        names,
+        chat: { messages: lines, appended: [], isGroup: !!target.group, members },
+    };
+}
+
+/**
+ * Saves the messages and variables that a script has added to its chat.
+ * The chat file is read again in its save queue so that the changes made during the run are kept.
+ * @param {object} request Request of the run
+ * @param {LoadedChat} loadedChat Chat of the run
+ * @param {Record<string, any>|null} variables Chat variables to save, or null if they weren't changed
+ */
+async function saveChat(request, loadedChat, variables) {
+    const target = {
+        filePath: loadedChat.filePath,
+        fileName: loadedChat.fileName,
+        backupName: loadedChat.backupName,
+        avatar: loadedChat.avatar,
+        isGroup: loadedChat.chat.isGroup,
+    };
+
+    await updateChatFile(request, target, (lines) => {
+        if (!isChatHeader(lines[0])) {
+            lines.unshift({ chat_metadata: {} });
+        }
+
+        const header = lines[0];
+        header.chat_metadata ??= {};
+
+        if (variables) {
+            header.chat_metadata.variables = variables;
+        }
+
+        lines.push(...loadedChat.chat.appended);
+        return lines;
+    });
+}
+
+/**
+ * Response of a generation request made by a script. Collects the response instead of sending it to a client.
+ */
+class CapturedResponse extends EventEmitter {
+    statusCode = 200;
+    statusMessage = '';
+    headersSent = false;
+    writableEnded = false;
+    /** @type {any} */
+    body = null;
+    /** @type {Record<string, any>} */
+    headers = {};
+    finished = new Promise(resolve => this.once('close', resolve));
+
+    /**
+     * @param {number} code Status code
+     */
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+
+    /**
+     * @param {number} code Status code
+     */
+    sendStatus(code) {
+        return this.status(code).send(String(code));
+    }
+
+    /**
+     * @param {string} name Header name
+     * @param {any} value Header value
+     */
+    setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+    }
+
+    /**
+     * @param {string} name Header name
+     */
+    getHeader(name) {
+        return this.headers[name.toLowerCase()];
+    }
+
+    /**
+     * @param {any} body Response body
+     */
+    json(body) {
+        return this.send(body);
+    }
+
+    /**
+     * @param {any} body Response body
+     */
+    send(body) {
+        this.body = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+        return this.end();
+    }
+
+    /**
+     * @param {any} chunk Chunk of a streamed response
+     */
+    write(chunk) {
+        this.headersSent = true;
+        this.body = `${this.body ?? ''}${Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk)}`;
+        return true;
+    }
+
+    flush() { }
+
+    end() {
+        if (!this.writableEnded) {
+            this.headersSent = true;
+            this.writableEnded = true;
+            this.emit('finish');
+            this.emit('close');
+        }
+        return this;
+    }
+}
+
+/**
+ * Creates the request object of a script run. It is passed to the generation handlers and the user data events.
+ * @param {import('./users.js').User} user User that runs the script
+ * @param {AbortSignal} signal Aborted when the run is stopped
+ * @returns {object} Request object
+ */
+function createRunRequest(user, signal) {
+    const socket = new EventEmitter();
+    signal.addEventListener('abort', () => socket.emit('close'), { once: true });
+
+    return {
+        user: { profile: user, directories: getUserDirectories(user.handle) },
+        headers: {},
+        query: {},
+        body: null,
+        socket: socket,
+        get: () => undefined,
+    };
+}
+
+/**
+ * Generates a reply with the Chat Completion source selected by the user.
+ * The oldest messages are dropped if the prompt doesn't fit into the context size of the user settings.
+ * @param {object} runRequest Request of the run
+ * @param {AbortSignal} signal Aborted when the run is stopped
+ * @param {{ role: string, content: string }[]} messages Prompt messages
+ * @param {import('./stscript/interpreter.js').ScriptGenerateOptions} options Generation options
+ * @param {Record<string, string>} usageContext Character and group names for the usage ledger
+ * @returns {Promise<string>} Generated text
+ */
+async function generateReply(runRequest, signal, messages, options, usageContext) {
+    const { directories, profile } = runRequest.user;
+    const settings = readChatCompletionSettings(directories);
+    const { source, model } = resolveModel(settings, '');
+
+    if (!isSourceConfigured(directories, settings, source)) {
+        throw new ScriptError(`Chat completion source ${source} is not configured`);
+    }
+
+    const maxTokens = options.maxTokens ?? (Number(settings.openai_max_tokens) || 300);
+    const maxContext = Number(settings.openai_max_context) || 4096;
+    const prompt = [...messages];
+    let promptTokens = prompt.reduce((sum, x) => sum + estimateTokens(x.content), 0);
+
+    while (prompt.length > 1 && promptTokens + maxTokens > maxContext) {
+        promptTokens -= estimateTokens(prompt.shift().content);
+    }
+
+    const body = { messages: prompt, max_tokens: maxTokens, temperature: settings.temp_openai, stream: false };
+    const request = { ...runRequest, body: { ...toChatCompletionRequest(body, settings, source, model), usage_context: usageContext } };
+    const response = new CapturedResponse();
+
+    const stopped = new Promise((_resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new ScriptError('Script was stopped during a generation')), { once: true });
+    });
+
+    await Promise.race([generate(request, response).then(() => response.finished), stopped]);
+
+    const data = typeof response.body === 'string' ? tryParse(response.body) ?? response.body : response.body;
+
+    if (response.statusCode >= 400 || !data || data.error) {
+        const message = data?.error?.message ?? data?.message ?? (typeof data === 'string' ? data : 'Generation request failed');
+        console.warn(`Script generation request of ${profile.handle} failed`, message);
+        throw new ScriptError(String(message));
+    }
+
+    return getGeneratedText(data);
+}
+
+/**
+ * Reads the name of the user persona.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {string} User name
+ */
+function readUserName(directories) {
+    const settingsPath = path.join(directories.root, SETTINGS_FILE);
+    const settings = fs.existsSync(settingsPath) ? tryParse(fs.readFileSync(settingsPath, 'utf8')) : null;
+    return String(settings?.power_user?.personas?.[settings?.user_avatar] || settings?.username || 'User');
+}
+
+/**
+ * Runs a script.
+ * @param {import('./users.js').User} user User that runs the script
+ * @param {string} text Script text
+ * @param {ScriptTarget|null} [target] Chat that the script runs in
+ * @returns {Promise<ScriptRunResult>} Result of the run
+ */
+export async function runScript(user, text, target = null) {
+    const directories = getUserDirectories(user.handle);
+    const variablesPath = path.join(directories.scripts, VARIABLES_FILE);
+    const controller = new AbortController();
+    const runRequest = createRunRequest(user, controller.signal);
+    const timer = setTimeout(() => controller.abort(), TIMEOUT);
+    const start = Date.now();
+
+    /** @type {ScriptRunResult} */
+    const result = { date: start, ok: false, result: '', output: [], error: null, steps: 0, duration: 0 };
+    /** @type {LoadedChat|null} */
+    let loadedChat = null;
+    /** @type {import('./stscript/interpreter.js').ScriptContext|null} */
+    let context = null;
+
+    try {
+        const closure = parseScript(text);
+        loadedChat = target ? await loadChat(directories, target) : null;
+        const names = { user: readUserName(directories), char: loadedChat?.names.char ?? '', group: loadedChat?.names.group ?? '' };
+        const usageContext = { character: names.char, group: names.group };
+
+        context = {
+            commands: COMMANDS,
+            localVariables: { ...(loadedChat?.header?.chat_metadata?.variables ?? {}) },
+            globalVariables: fs.existsSync(variablesPath) ? tryParse(fs.readFileSync(variablesPath, 'utf8')) ?? {} : {},
+            changedVariables: new Set(),
+            chat: loadedChat?.chat ?? null,
+            names: names,
+            generate: (messages, options) => generateReply(runRequest, controller.signal, messages, options, usageContext),
+            output: result.output,
+            steps: 0,
+            maxSteps: MAX_STEPS,
+            deadline: start + TIMEOUT,
+            signal: controller.signal,
+        };
+
+        result.result = await callClosure(closure, context, new ScriptScope());
+        result.ok = true;
+    } catch (error) {
+        if (!(error instanceof ScriptError) && !(error instanceof ScriptSyntaxError)) {
+            console.error(`Script of ${user.handle} has failed`, error);
+        }
+        result.error = error instanceof Error ? error.message : String(error);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    // Changes made before an error are kept, like in the browser
+    try {
+        if (context?.changedVariables.has('global')) {
+            fs.mkdirSync(directories.scripts, { recursive: true });
+            writeFileAtomicSync(variablesPath, JSON.stringify(context.globalVariables, null, 4), 'utf8');
+        }
+
+        if (loadedChat && context && (loadedChat.chat.appended.length || context.changedVariables.has('local'))) {
+            await saveChat(runRequest, loadedChat, context.changedVariables.has('local') ? context.localVariables : null);
+        }
+    } catch (error) {
+        console.error(`Could not save the changes of the script of ${user.handle}`, error);
+        result.ok = false;
+        result.error = `Could not save the changes: ${error.message}`;
+    }
+
+    result.steps = context?.steps ?? 0;
+    result.duration = Date.now() - start;
+    result.output.splice(MAX_OUTPUT_LINES);
+    return result;
+}
+
+/**
+ * Runs a stored script and records the result of the run.
+ * @param {import('./users.js').User} user User that owns the script
+ * @param {string} name Name of the script
+ * @returns {Promise<ScriptRunResult>} Result of the run
+ * @throws {Error} If the script doesn't exist or is already running
+ */
+export async function runStoredScript(user, name) {
+    const directories = getUserDirectories(user.handle);
+    const script = getScript(directories, name);
+    const key = `${user.handle}/${name}`;
+
+    if (!script) {
+        throw new Error(`Script ${name} was not found`);
+    }
+
+    if (runningScripts.has(key)) {
+        throw new Error(`Script ${name} is already running`);
+    }
+
+    runningScripts.add(key);
+
+    try {
+        const result = await runScript(user, script.script, script.target);
+        const current = getScript(directories, name);
+
+        if (current) {
+            current.lastRun = result;
+            writeFileAtomicSync(getScriptPath(directories, name), JSON.stringify(current, null, 4), 'utf8');
+        }
+
+        return result;
+    } finally {
+        runningScripts.delete(key);
+    }
+}
+
+/**
+ * Runs the scripts that are scheduled at a time.
+ * @param {Date} date Time of the check
+ */
+async function runScheduledScripts(date) {
+    for (const user of await getActiveUsers()) {
+        const directories = getUserDirectories(user.handle);
+
+        for (const script of listScripts(directories)) {
+            if (!script.enabled || !script.schedule) {
+                continue;
+            }
+
+            try {
+                if (!isScheduleDue(parseSchedule(script.schedule), date)) {
+                    continue;
+                }
+            } catch (error) {
+                console.warn(`Invalid schedule of the script ${script.name} of ${user.handle}: ${error.message}`);
+                continue;
+            }
+
+            console.info(`Running the scheduled script ${script.name} of ${user.handle}`);
+            runStoredScript(user, script.name)
+                .then(result => !result.ok && console.warn(`Scheduled script ${script.name} of ${user.handle} has failed: ${result.error}`))
+                .catch(error => console.warn(`Could not run the scheduled script ${script.name} of ${user.handle}: ${error.message}`));
+        }
+    }
+}
+
+/**
+ * Starts checking the script schedules at the start of every minute.
+ */
+export function initScriptScheduler() {
+    if (!SCRIPT_RUNNER_ENABLED) {
+        return;
+    }
+
+    let lastMinute = 0;
+
+    const scheduleNextCheck = () => {
+        const delay = 60_000 - (Date.now() % 60_000);
+        setTimeout(async () => {
+            const date = new Date();
+            const minute = Math.floor(date.getTime() / 60_000);
+
+            // Timers can fire slightly early or late, so every minute is checked only once
+            if (minute !== lastMinute) {
+                lastMinute = minute;
+                try {
+                    await runScheduledScripts(date);
+                } catch (error) {
+                    console.error('Could not run the scheduled scripts', error);
+                }
+            }
+
+            scheduleNextCheck();
+        }, delay).unref();
+    };
+
+    scheduleNextCheck();
+}
@@ -18,4 +18,85 @@ export const EVENT_NAMES = Object.freeze({
      * Emitted when the server has started.
      */
     SERVER_STARTED: 'server-started',
+    /**
+     * Emitted when a character card was created, edited, imported or duplicated.
+     */
+    CHARACTER_SAVED: 'character-saved',
+    /**
+     * Emitted when a character card was deleted.
+     */
+    CHARACTER_DELETED: 'character-deleted',
+    /**
+     * Emitted when a character card was renamed.
+     */
+    CHARACTER_RENAMED: 'character-renamed',
+    /**
+     * Emitted when a chat file was written.
+     */
+    CHAT_SAVED: 'chat-saved',
+    /**
+     * Emitted when a chat file was deleted.
+     */
+    CHAT_DELETED: 'chat-deleted',
+    /**
+     * Emitted when a chat file was renamed.
+     */
+    CHAT_RENAMED: 'chat-renamed',
+    /**
+     * Emitted when a group was created or edited.
+     */
+    GROUP_SAVED: 'group-saved',
+    /**
+     * Emitted when a group was deleted.
+     */
+    GROUP_DELETED: 'group-deleted',
+    /**
+     * Emitted when a World Info file was edited or imported.
+     */
+    WORLD_INFO_SAVED: 'world-info-saved',
+    /**
+     * Emitted when a World Info file was deleted.
+     */
+    WORLD_INFO_DELETED: 'world-info-deleted',
+    /**
+     * Emitted when the user settings were saved.
+     */
+    SETTINGS_SAVED: 'settings-saved',
 });
+
+/**
+ * Events that describe changes to user data. They are forwarded to the clients of the user.
+ * @type {string[]}
+ */
+export const USER_DATA_EVENTS = Object.freeze([
+    EVENT_NAMES.CHARACTER_SAVED,
+    EVENT_NAMES.CHARACTER_DELETED,
+    EVENT_NAMES.CHARACTER_RENAMED,
+    EVENT_NAMES.CHAT_SAVED,
+    EVENT_NAMES.CHAT_DELETED,
+    EVENT_NAMES.CHAT_RENAMED,
+    EVENT_NAMES.GROUP_SAVED,
+    EVENT_NAMES.GROUP_DELETED,
+    EVENT_NAMES.WORLD_INFO_SAVED,
+    EVENT_NAMES.WORLD_INFO_DELETED,
+    EVENT_NAMES.SETTINGS_SAVED,
+]);
+
+/**
+ * Emits a user data event on behalf of a request.
+ * The event payload is extended with the user handle and the ID of the client that made the request.
+ * @param {import('express').Request} request Express request
+ * @param {string} eventName Name of the event
+ * @param {object} [data] Event payload
+ */
+export function emitUserDataEvent(request, eventName, data = {}) {
+    try {
+        serverEvents.emit(eventName, {
+            ...data,
+            handle: request.user.profile.handle,
+            clientId: request.get('X-Client-Id') ?? null,
+        });
+    } catch (error) {
+        console.error(`Server event listener for ${eventName} failed`, error);
+    }
+}
@@ -71,6 +71,9 @@ import { ensureThumbnailCache } from './endpoints/thumbnails.js';
 
 // Routers
 import { router as usersPublicRouter } from './endpoints/users-public.js';
+import { router as openAICompatibleRouter } from './endpoints/openai-compatible.js';
+import { apiRouter as scriptsApiRouter } from './endpoints/scripts.js';
+import { initScriptScheduler } from './script-runner.js';
 import { init as statsInit, onExit as statsOnExit } from './endpoints/stats.js';
 import { checkForNewContent } from './endpoints/content-manager.js';
 import { init as settingsInit } from './endpoints/settings.js';
@@ -154,6 +157,10 @@ app.use(cookieSession({
 
 app.use(setUserDataMiddleware);
 
+// APIs for external tools, authenticated with personal access keys instead of sessions
+app.use('/v1/scripts', scriptsApiRouter);
+app.use('/v1', openAICompatibleRouter);
+
 // CSRF Protection //
 if (!cliArgs.disableCsrf) {
     const csrfSyncProtection = csrfSync({
@@ -285,6 +292,7 @@ async function preSetupTasks() {
 
     await settingsInit();
     await statsInit();
+    initScriptScheduler();
 
     const pluginsDirectory = path.join(serverDirectory, 'plugins');
     const cleanupPlugins = await loadPlugins(app, pluginsDirectory);
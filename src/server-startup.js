@@ -47,6 +47,10 @@ import { router as scaleAltRouter } from './endpoints/backends/scale-alt.js';
 import { router as speechRouter } from './endpoints/speech.js';
 import { router as azureRouter } from './endpoints/azure.js';
 import { router as dataMaidRouter } from './endpoints/data-maid.js';
+import { router as eventsRouter } from './endpoints/events.js';
+import { router as generationLogRouter } from './endpoints/generation-log.js';
+import { router as usageRouter } from './endpoints/usage.js';
+import { router as scriptsRouter } from './endpoints/scripts.js';
 
 /**
  * @typedef {object} ServerStartupResult
@@ -175,6 +179,10 @@ export function setupPrivateEndpoints(app) {
     app.use('/api/speech', speechRouter);
     app.use('/api/azure', azureRouter);
     app.use('/api/data-maid', dataMaidRouter);
+    app.use('/api/events', eventsRouter);
+    app.use('/api/generation-log', generationLogRouter);
+    app.use('/api/usage', usageRouter);
+    app.use('/api/scripts', scriptsRouter);
 }
 
 /**
@@ -0,0 +1,563 @@
+import { humanizedISO8601DateTime, tryParse } from '../util.js';
+import { timestampToMoment } from '../endpoints/stats.js';
+import { ScriptClosure } from './parser.js';
+import {
+    BreakSignal,
+    executeBlock,
+    resolveVariable,
+    ReturnSignal,
+    ScriptAbortError,
+    ScriptError,
+    toText,
+} from './interpreter.js';
+
+/**
+ * @typedef {import('./interpreter.js').ScriptCommandDefinition} ScriptCommandDefinition
+ * @typedef {import('./interpreter.js').ScriptContext} ScriptContext
+ * @typedef {import('./interpreter.js').ScriptScope} ScriptScope
+ */
+
+/**
+ * Number of iterations after which /while stops, unless the guard is disabled.
+ */
+const MAX_LOOPS = 100;
+
+/**
+ * Gets the text of the unnamed arguments.
+ * @param {(string|ScriptClosure)[]} unnamed Unnamed arguments
+ * @returns {string} Text
+ */
+function getText(unnamed) {
+    return unnamed.filter(x => !(x instanceof ScriptClosure)).join(' ');
+}
+
+/**
+ * Gets the closure from the unnamed arguments.
+ * @param {(string|ScriptClosure)[]} unnamed Unnamed arguments
+ * @returns {ScriptClosure|null} Closure
+ */
+function getClosure(unnamed) {
+    const closure = unnamed.find(x => x instanceof ScriptClosure);
+    return closure instanceof ScriptClosure ? closure : null;
+}
+
+/**
+ * Gets a boolean from a named argument.
+ * @param {string|ScriptClosure} value Argument value
+ * @param {boolean} defaultValue Value if the argument is not set
+ * @returns {boolean} Boolean value
+ */
+function getBoolean(value, defaultValue) {
+    if (typeof value !== 'string' || !value) {
+        return defaultValue;
+    }
+
+    return !['off', 'false', '0', 'no'].includes(value.toLowerCase());
+}
+
+/**
+ * Gets the variable key from the named arguments, or the first word of the unnamed ones.
+ * @param {Record<string, string|ScriptClosure>} args Named arguments
+ * @param {(string|ScriptClosure)[]} unnamed Unnamed arguments
+ * @returns {{ key: string, value: string }} Variable key and the remaining text
+ */
+function getKeyAndValue(args, unnamed) {
+    const text = getText(unnamed);
+
+    if (typeof args.key === 'string' && args.key) {
+        return { key: args.key, value: text };
+    }
+
+    const [key, ...rest] = text.split(/\s+/);
+
+    if (!key) {
+        throw new ScriptError('Variable name is required');
+    }
+
+    return { key, value: rest.join(' ') };
+}
+
+/**
+ * Adds a value to a variable: numbers are summed, lists are appended to and texts are concatenated.
+ * @param {any} current Current value
+ * @param {string} value Value to add
+ * @returns {any} New value
+ */
+function addValue(current, value) {
+    const list = typeof current === 'string' ? tryParse(current) : current;
+
+    if (Array.isArray(list)) {
+        list.push(value);
+        return JSON.stringify(list);
+    }
+
+    if (isNumeric(current) && isNumeric(value)) {
+        return Number(current) + Number(value);
+    }
+
+    return `${current ?? ''}${value}`;
+}
+
+/**
+ * @param {any} value Value to check
+ * @returns {boolean} True if the value is a number or a numeric text
+ */
+function isNumeric(value) {
+    return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+}
+
+/**
+ * Creates the commands that read and write a variable store.
+ * @param {'local'|'global'} store Variable store
+ * @param {string} suffix Suffix of the command names: var or globalvar
+ * @returns {Record<string, ScriptCommandDefinition>} Commands
+ */
+function createVariableCommands(store, suffix) {
+    const getStore = (/** @type {ScriptContext} */ context) => store === 'local' ? context.localVariables : context.globalVariables;
+    const setValue = (/** @type {ScriptContext} */ context, /** @type {string} */ key, /** @type {any} */ value) => {
+        getStore(context)[key] = value;
+        context.changedVariables.add(store);
+        return value;
+    };
+
+    return {
+        [`set${suffix}`]: {
+            help: 'Sets a variable. Usage: key=name value',
+            callback: (args, unnamed, { context }) => {
+                const { key, value } = getKeyAndValue(args, unnamed);
+                return setValue(context, key, value);
+            },
+        },
+        [`get${suffix}`]: {
+            help: 'Gets the value of a variable. Usage: name',
+            callback: (args, unnamed, { context }) => {
+                const { key } = getKeyAndValue(args, unnamed);
+                return getStore(context)[key] ?? '';
+            },
+        },
+        [`add${suffix}`]: {
+            help: 'Adds a number, appends to a list or concatenates a text. Usage: key=name value',
+            callback: (args, unnamed, { context }) => {
+                const { key, value } = getKeyAndValue(args, unnamed);
+                return setValue(context, key, addValue(getStore(context)[key], value));
+            },
+        },
+        [`inc${suffix}`]: {
+            help: 'Increments a variable by 1. Usage: name',
+            callback: (args, unnamed, { context }) => {
+                const { key } = getKeyAndValue(args, unnamed);
+                return setValue(context, key, (Number(getStore(context)[key]) || 0) + 1);
+            },
+        },
+        [`dec${suffix}`]: {
+            help: 'Decrements a variable by 1. Usage: name',
+            callback: (args, unnamed, { context }) => {
+                const { key } = getKeyAndValue(args, unnamed);
+                return setValue(context, key, (Number(getStore(context)[key]) || 0) - 1);
+            },
+        },
+        [`flush${suffix}`]: {
+            help: 'Deletes a variable. Usage: name',
+            callback: (args, unnamed, { context }) => {
+                const { key } = getKeyAndValue(args, unnamed);
+                delete getStore(context)[key];
+                context.changedVariables.add(store);
+                return '';
+            },
+        },
+    };
+}
+
+/**
+ * Evaluates the condition of /if and /while.
+ * @param {Record<string, string|ScriptClosure>} args Named arguments with left, right and rule
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Current scope
+ * @returns {boolean} Result of the condition
+ */
+function evaluateCondition(args, context, scope) {
+    const left = resolveVariable(toText(args.left), context, scope);
+    const hasRight = typeof args.right === 'string';
+    const right = hasRight ? resolveVariable(toText(args.right), context, scope) : '';
+    const rule = typeof args.rule === 'string' && args.rule ? args.rule.toLowerCase() : (hasRight ? 'eq' : 'truthy');
+    const isNumber = isNumeric(left) && isNumeric(right);
+    const compare = isNumber ? Number(left) - Number(right) : left.localeCompare(right);
+
+    switch (rule) {
+        case 'truthy':
+            return getBoolean(left, false);
+        case 'not':
+            return !getBoolean(left, false);
+        case 'eq':
+            return isNumber ? compare === 0 : left === right;
+        case 'neq':
+            return isNumber ? compare !== 0 : left !== right;
+        case 'gt':
+            return compare > 0;
+        case 'gte':
+            return compare >= 0;
+        case 'lt':
+            return compare < 0;
+        case 'lte':
+            return compare <= 0;
+        case 'in':
+            return left.toLowerCase().includes(right.toLowerCase());
+        case 'nin':
+            return !left.toLowerCase().includes(right.toLowerCase());
+        default:
+            throw new ScriptError(`Unknown rule ${rule}`);
+    }
+}
+
+/**
+ * Gets the numeric operands of a math command. Variable names are replaced with their values.
+ * @param {(string|ScriptClosure)[]} unnamed Unnamed arguments
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Current scope
+ * @param {number} [count] Required number of operands
+ * @returns {number[]} Operands
+ */
+function getOperands(unnamed, context, scope, count) {
+    const operands = getText(unnamed).split(/\s+/).filter(x => x).map(x => {
+        const value = Number(resolveVariable(x, context, scope));
+        if (Number.isNaN(value)) {
+            throw new ScriptError(`${x} is not a number`);
+        }
+        return value;
+    });
+
+    if (count !== undefined ? operands.length !== count : operands.length === 0) {
+        throw new ScriptError(`Expected ${count ?? 'at least 1'} number(s), got ${operands.length}`);
+    }
+
+    return operands;
+}
+
+/**
+ * Creates a math command.
+ * @param {string} help Description of the command
+ * @param {(operands: number[]) => number} operation Operation on the operands
+ * @param {number} [count] Required number of operands
+ * @returns {ScriptCommandDefinition} Command
+ */
+function createMathCommand(help, operation, count) {
+    return {
+        help: help,
+        callback: (_args, unnamed, { context, scope }) => operation(getOperands(unnamed, context, scope, count)),
+    };
+}
+
+/**
+ * Parses the message range of /messages.
+ * @param {string} range Message index or range, like 5 or 0-10
+ * @param {number} length Number of messages in the chat
+ * @returns {[number, number]} First and last message index
+ */
+function parseRange(range, length) {
+    if (!range) {
+        return [0, length - 1];
+    }
+
+    const match = /^(-?\d+)(?:-(-?\d+))?$/.exec(range.trim());
+
+    if (!match) {
+        throw new ScriptError(`Invalid message range ${range}`);
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] !== undefined ? Number(match[2]) : start;
+    return [Math.max(0, start), Math.min(length - 1, end)];
+}
+
+/**
+ * Parses the time of the since argument of /messages.
+ * @param {string} since Duration before now, like 30m, 24h or 7d, or a date
+ * @returns {number} Timestamp
+ */
+function parseSince(since) {
+    const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/i.exec(since.trim());
+
+    if (match) {
+        const units = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+        return Date.now() - Number(match[1]) * units[match[2].toLowerCase()];
+    }
+
+    const date = Date.parse(since);
+
+    if (Number.isNaN(date)) {
+        throw new ScriptError(`Invalid time ${since}`);
+    }
+
+    return date;
+}
+
+/**
+ * Gets the chat of the run.
+ * @param {ScriptContext} context State of the run
+ * @returns {import('./interpreter.js').ScriptChat} Chat
+ */
+function getChat(context) {
+    if (!context.chat) {
+        throw new ScriptError('Script is not running in a chat');
+    }
+
+    return context.chat;
+}
+
+/**
+ * Appends a message to the chat of the run.
+ * @param {ScriptContext} context State of the run
+ * @param {object} message Message to append
+ * @returns {string} Index of the new message
+ */
+function appendMessage(context, message) {
+    const chat = getChat(context);
+    const item = { send_date: humanizedISO8601DateTime(), extra: {}, ...message };
+    chat.messages.push(item);
+    chat.appended.push(item);
+    return String(chat.messages.length - 1);
+}
+
+/**
+ * Converts the chat history to the messages of a generation request.
+ * @param {ScriptContext} context State of the run
+ * @returns {{ role: string, content: string }[]} Messages
+ */
+function getHistoryMessages(context) {
+    if (!context.chat) {
+        return [];
+    }
+
+    return context.chat.messages
+        .filter(x => !x.is_system && x.mes)
+        .map(x => ({
+            role: x.is_user ? 'user' : 'assistant',
+            content: context.chat.isGroup && !x.is_user ? `${x.name}: ${x.mes}` : String(x.mes),
+        }));
+}
+
+/**
+ * Commands available to the server-side scripts.
+ * @type {Record<string, ScriptCommandDefinition>}
+ */
+export const COMMANDS = {
+    ...createVariableCommands('local', 'var'),
+    ...createVariableCommands('global', 'globalvar'),
+    let: {
+        help: 'Declares a variable in the current scope. Usage: name value',
+        callback: (args, unnamed, { scope }) => {
+            const { key, value } = getKeyAndValue(args, unnamed);
+            scope.variables.set(key, value);
+            return value;
+        },
+    },
+    var: {
+        help: 'Gets or sets a variable declared with /let. Usage: name [value]',
+        callback: (args, unnamed, { scope }) => {
+            const { key, value } = getKeyAndValue(args, unnamed);
+            const owner = scope.find(key);
+
+            if (!owner) {
+                throw new ScriptError(`Variable ${key} is not declared`);
+            }
+
+            if (value) {
+                owner.variables.set(key, value);
+                return value;
+            }
+
+            return owner.variables.get(key);
+        },
+    },
+    if: {
+        help: 'Runs a closure if the condition is met. Usage: left=a right=b rule=eq|neq|gt|gte|lt|lte|in|nin|not else={: :} {: :}',
+        callback: async (args, unnamed, { context, scope }) => {
+            const closure = evaluateCondition(args, context, scope) ? getClosure(unnamed) : args.else;
+            return closure instanceof ScriptClosure ? await executeBlock(closure, context, scope) : '';
+        },
+    },
+    while: {
+        help: `Runs a closure while the condition is met, up to ${MAX_LOOPS} times unless guard=off. Usage: left=a right=b rule=lt {: :}`,
+        callback: async (args, unnamed, { context, scope }) => {
+            const closure = getClosure(unnamed);
+            const isGuarded = getBoolean(args.guard, true);
+            let result = '';
+
+            if (!closure) {
+                throw new ScriptError('Closure is required');
+            }
+
+            for (let i = 0; !isGuarded || i < MAX_LOOPS; i++) {
+                if (!evaluateCondition(args, context, scope)) {
+                    break;
+                }
+
+                try {
+                    result = await executeBlock(closure, context, scope);
+                } catch (error) {
+                    if (error instanceof BreakSignal) {
+                        return error.value;
+                    }
+                    throw error;
+                }
+            }
+
+            return result;
+        },
+    },
+    times: {
+        help: 'Runs a closure a number of times. The iteration is available as {{timesIndex}}. Usage: 5 {: :}',
+        callback: async (args, unnamed, { context, scope }) => {
+            const closure = getClosure(unnamed);
+            const count = Number(resolveVariable(getText(unnamed), context, scope));
+            const isGuarded = getBoolean(args.guard, true);
+            let result = '';
+
+            if (!closure || !Number.isInteger(count) || count < 0) {
+                throw new ScriptError('Number of repeats and a closure are required');
+            }
+
+            for (let i = 0; i < (isGuarded ? Math.min(count, MAX_LOOPS) : count); i++) {
+                try {
+                    result = await executeBlock(closure, context, scope, { timesIndex: String(i) });
+                } catch (error) {
+                    if (error instanceof BreakSignal) {
+                        return error.value;
+                    }
+                    throw error;
+                }
+            }
+
+            return result;
+        },
+    },
+    break: {
+        help: 'Leaves the current loop. Usage: [value]',
+        callback: (_args, unnamed, { pipe }) => {
+            throw new BreakSignal(unnamed.length ? getText(unnamed) : pipe);
+        },
+    },
+    return: {
+        help: 'Ends the current closure or the script with a value. Usage: [value]',
+        callback: (_args, unnamed) => {
+            throw new ReturnSignal(getText(unnamed));
+        },
+    },
+    abort: {
+        help: 'Stops the script with an error. Usage: [reason]',
+        callback: (_args, unnamed) => {
+            throw new ScriptAbortError(getText(unnamed));
+        },
+    },
+    add: createMathCommand('Adds numbers. Usage: a b ...', x => x.reduce((a, b) => a + b, 0)),
+    sub: createMathCommand('Subtracts the numbers from the first one. Usage: a b ...', x => x.reduce((a, b) => a - b)),
+    mul: createMathCommand('Multiplies numbers. Usage: a b ...', x => x.reduce((a, b) => a * b, 1)),
+    div: createMathCommand('Divides two numbers. Usage: a b', ([a, b]) => {
+        if (b === 0) {
+            throw new ScriptError('Division by zero');
+        }
+        return a / b;
+    }, 2),
+    mod: createMathCommand('Gets the remainder of a division. Usage: a b', ([a, b]) => a % b, 2),
+    pow: createMathCommand('Raises a number to a power. Usage: a b', ([a, b]) => a ** b, 2),
+    max: createMathCommand('Gets the largest number. Usage: a b ...', x => Math.max(...x)),
+    min: createMathCommand('Gets the smallest number. Usage: a b ...', x => Math.min(...x)),
+    abs: createMathCommand('Gets the absolute value. Usage: a', ([a]) => Math.abs(a), 1),
+    sqrt: createMathCommand('Gets the square root. Usage: a', ([a]) => Math.sqrt(a), 1),
+    round: createMathCommand('Rounds a number. Usage: a', ([a]) => Math.round(a), 1),
+    trunc: createMathCommand('Removes the fractional part of a number. Usage: a', ([a]) => Math.trunc(a), 1),
+    rand: {
+        help: 'Gets a random number. Usage: from=0 to=1 round=round|ceil|floor',
+        callback: (args) => {
+            const from = Number(args.from ?? 0) || 0;
+            const to = args.to === undefined ? 1 : Number(args.to) || 0;
+            const value = from + Math.random() * (to - from);
+            const round = typeof args.round === 'string' ? args.round.toLowerCase() : '';
+            return ['round', 'ceil', 'floor'].includes(round) ? Math[round](value) : value;
+        },
+    },
+    len: {
+        help: 'Gets the length of a text or a list. Usage: value',
+        callback: (_args, unnamed) => {
+            const text = getText(unnamed);
+            const value = tryParse(text);
+            return Array.isArray(value) || (value && typeof value === 'object') ? Object.keys(value).length : text.length;
+        },
+    },
+    echo: {
+        help: 'Prints a text to the output of the run. Usage: text',
+        callback: (_args, unnamed, { context }) => {
+            const text = getText(unnamed);
+            context.output.push(text);
+            return text;
+        },
+    },
+    pass: {
+        help: 'Passes a value to the next command. Usage: value',
+        callback: (_args, unnamed) => getText(unnamed),
+    },
+    gen: {
+        help: 'Generates a reply to an instruction, with the chat history in the context. Usage: length=tokens instruction',
+        callback: async (args, unnamed, { context }) => {
+            const instruction = getText(unnamed);
+            const messages = [...getHistoryMessages(context), { role: 'system', content: instruction }];
+            return await context.generate(messages, { maxTokens: Number(args.length) || undefined });
+        },
+    },
+    genraw: {
+        help: 'Generates a reply to a prompt without the chat history. Usage: system=text length=tokens prompt',
+        callback: async (args, unnamed, { context }) => {
+            const messages = [{ role: 'user', content: getText(unnamed) }];
+
+            if (typeof args.system === 'string' && args.system) {
+                messages.unshift({ role: 'system', content: args.system });
+            }
+
+            return await context.generate(messages, { maxTokens: Number(args.length) || undefined });
+        },
+    },
+    messages: {
+        help: 'Gets the messages of the chat. Usage: names=on|off hidden=on|off since=24h [range]',
+        callback: (args, unnamed, { context }) => {
+            const messages = getChat(context).messages;
+            const [start, end] = parseRange(getText(unnamed), messages.length);
+            const since = typeof args.since === 'string' && args.since ? parseSince(args.since) : 0;
+            const includeNames = getBoolean(args.names, true);
+            const includeHidden = getBoolean(args.hidden, false);
+
+            return messages
+                .slice(start, end + 1)
+                .filter(x => includeHidden || !x.is_system)
+                .filter(x => !since || timestampToMoment(x.send_date) >= since)
+                .map(x => includeNames ? `${x.name}: ${x.mes}` : x.mes)
+                .join('\n\n');
+        },
+    },
+    send: {
+        help: 'Adds a message from the user to the chat. Usage: text',
+        callback: (_args, unnamed, { context }) => {
+            return appendMessage(context, { name: context.names.user, is_user: true, is_system: false, mes: getText(unnamed) });
+        },
+    },
+    sendas: {
+        help: 'Adds a message from a character of the chat. Usage: name=character text',
+        callback: (args, unnamed, { context }) => {
+            const chat = getChat(context);
+            const name = typeof args.name === 'string' && args.name ? args.name : context.names.char;
+            const member = chat.members.find(x => x.name.toLowerCase() === name.toLowerCase());
+            const message = { name: member?.name ?? name, is_user: false, is_system: false, mes: getText(unnamed) };
+
+            if (chat.isGroup && member) {
+                message.original_avatar = member.avatar;
+            }
+
+            return appendMessage(context, message);
+        },
+    },
+    sys: {
+        help: 'Adds a system narrator message to the chat. Usage: text',
+        callback: (_args, unnamed, { context }) => {
+            return appendMessage(context, { name: 'System', is_user: false, is_system: false, mes: getText(unnamed), extra: { type: 'narrator' } });
+        },
+    },
+};
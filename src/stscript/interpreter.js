@@ -0,0 +1,361 @@
+import { ScriptClosure } from './parser.js';
+
+/**
+ * @typedef {import('./parser.js').ScriptArgument} ScriptArgument
+ * @typedef {import('./parser.js').ScriptCommand} ScriptCommand
+ */
+
+/**
+ * @typedef {object} ScriptChat Chat the script runs in
+ * @property {object[]} messages Messages of the chat, without the header
+ * @property {object[]} appended Messages added by the script
+ * @property {boolean} isGroup Whether the chat is a group chat
+ * @property {{ name: string, avatar: string }[]} members Characters of the chat
+ */
+
+/**
+ * @typedef {object} ScriptGenerateOptions
+ * @property {number} [maxTokens] Maximum number of generated tokens
+ */
+
+/**
+ * @typedef {object} ScriptContext State of a script run
+ * @property {Record<string, ScriptCommandDefinition>} commands Available commands
+ * @property {Record<string, any>} localVariables Variables of the chat, or of the run if there is no chat
+ * @property {Record<string, any>} globalVariables Variables shared by all scripts of the user
+ * @property {Set<'local'|'global'>} changedVariables Variable stores that were changed by the run
+ * @property {ScriptChat|null} chat Chat the script runs in
+ * @property {{ user: string, char: string, group: string }} names Names for the macros
+ * @property {(messages: { role: string, content: string }[], options: ScriptGenerateOptions) => Promise<string>} generate Generates a reply
+ * @property {string[]} output Lines printed by the script
+ * @property {number} steps Number of executed commands
+ * @property {number} maxSteps Maximum number of executed commands
+ * @property {number} deadline Time when the run is stopped
+ * @property {AbortSignal} signal Aborted when the run is stopped
+ */
+
+/**
+ * @typedef {object} ScriptCommandEnvironment
+ * @property {ScriptContext} context State of the run
+ * @property {ScriptScope} scope Scope of the command
+ * @property {string} pipe Result of the previous command
+ */
+
+/**
+ * @typedef {object} ScriptCommandDefinition
+ * @property {string} help Short description of the command
+ * @property {(args: Record<string, string|ScriptClosure>, unnamed: (string|ScriptClosure)[], env: ScriptCommandEnvironment) => Promise<any>|any} callback
+ * Executes the command and returns the value passed to the next command
+ */
+
+export class ScriptError extends Error {
+    /**
+     * @param {string} message Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ScriptError';
+    }
+}
+
+/**
+ * Thrown by /abort to stop the script.
+ */
+export class ScriptAbortError extends ScriptError {
+    /**
+     * @param {string} reason Reason of the abort
+     */
+    constructor(reason) {
+        super(reason || 'Script was aborted');
+        this.name = 'ScriptAbortError';
+    }
+}
+
+/**
+ * Thrown by /break to leave the closest loop.
+ */
+export class BreakSignal {
+    /**
+     * @param {string} value Value passed to the next command
+     */
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown by /return to leave the closure that was called as a value.
+ */
+export class ReturnSignal {
+    /**
+     * @param {string} value Returned value
+     */
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Scope of the variables declared with /let.
+ */
+export class ScriptScope {
+    /**
+     * @param {ScriptScope|null} parent Parent scope
+     * @param {Record<string, string>} [macros] Macros that are only defined in the scope, like {{timesIndex}}
+     */
+    constructor(parent = null, macros = {}) {
+        this.parent = parent;
+        this.macros = macros;
+        /** @type {Map<string, any>} */
+        this.variables = new Map();
+        this.pipe = '';
+    }
+
+    /**
+     * @param {string} key Variable name
+     * @returns {ScriptScope|null} Scope that declares the variable
+     */
+    find(key) {
+        return this.variables.has(key) ? this : this.parent?.find(key) ?? null;
+    }
+
+    /**
+     * @param {string} key Macro name
+     * @returns {string|undefined} Macro value, if defined in the scope or its parents
+     */
+    getMacro(key) {
+        return Object.hasOwn(this.macros, key) ? this.macros[key] : this.parent?.getMacro(key);
+    }
+}
+
+/**
+ * Converts a value to the text passed between the commands.
+ * @param {any} value Value
+ * @returns {string} Text
+ */
+export function toText(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (value instanceof ScriptClosure) {
+        throw new ScriptError('Closures cannot be used as text');
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Resolves a name to the value of a scoped, chat or global variable. Any other text is returned unchanged.
+ * @param {string} name Variable name or literal value
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Current scope
+ * @returns {string} Value
+ */
+export function resolveVariable(name, context, scope) {
+    const scoped = scope.find(name);
+
+    if (scoped) {
+        return toText(scoped.variables.get(name));
+    }
+
+    if (Object.hasOwn(context.localVariables, name)) {
+        return toText(context.localVariables[name]);
+    }
+
+    if (Object.hasOwn(context.globalVariables, name)) {
+        return toText(context.globalVariables[name]);
+    }
+
+    return name;
+}
+
+/**
+ * Formats a date for the date and time macros.
+ * @param {string} macro Macro name
+ * @returns {string} Formatted date
+ */
+function formatDate(macro) {
+    const now = new Date();
+    const pad = (/** @type {number} */ x) => String(x).padStart(2, '0');
+
+    switch (macro) {
+        case 'date':
+            return now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+        case 'time':
+            return now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        case 'weekday':
+            return now.toLocaleDateString('en-US', { weekday: 'long' });
+        case 'isodate':
+            return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        case 'isotime':
+            return `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Substitutes the macros in a text.
+ * @param {string} text Text with macros
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Current scope
+ * @returns {string} Text with the macros replaced
+ */
+export function substituteMacros(text, context, scope) {
+    if (!text.includes('{{')) {
+        return text;
+    }
+
+    return text.replace(/\{\{(\w+)(?:::(.*?))?\}\}/g, (match, name, arg) => {
+        const scopeMacro = scope.getMacro(name);
+
+        if (scopeMacro !== undefined) {
+            return scopeMacro;
+        }
+
+        const lastMessage = context.chat?.messages[context.chat.messages.length - 1];
+
+        switch (name.toLowerCase()) {
+            case 'pipe':
+                return scope.pipe;
+            case 'var':
+                return toText(scope.find(arg)?.variables.get(arg));
+            case 'getvar':
+                return toText(context.localVariables[arg]);
+            case 'getglobalvar':
+                return toText(context.globalVariables[arg]);
+            case 'user':
+                return context.names.user;
+            case 'char':
+                return context.names.char;
+            case 'group':
+                return context.names.group || context.names.char;
+            case 'newline':
+                return '\n';
+            case 'lastmessage':
+                return String(lastMessage?.mes ?? '');
+            case 'lastmessageid':
+                return context.chat?.messages.length ? String(context.chat.messages.length - 1) : '';
+            case 'date':
+            case 'time':
+            case 'weekday':
+            case 'isodate':
+            case 'isotime':
+                return formatDate(name.toLowerCase());
+            default:
+                return match;
+        }
+    });
+}
+
+/**
+ * Checks if the run has exceeded its limits.
+ * @param {ScriptContext} context State of the run
+ */
+function checkLimits(context) {
+    if (context.signal.aborted) {
+        throw new ScriptAbortError('Script was stopped');
+    }
+
+    if (Date.now() > context.deadline) {
+        throw new ScriptError('Script has exceeded the time limit');
+    }
+
+    if (++context.steps > context.maxSteps) {
+        throw new ScriptError(`Script has exceeded the limit of ${context.maxSteps} commands`);
+    }
+}
+
+/**
+ * Resolves an argument of a command.
+ * @param {ScriptArgument} value Parsed argument
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Current scope
+ * @returns {Promise<string|ScriptClosure>} Argument value
+ */
+async function resolveArgument(value, context, scope) {
+    if (!(value instanceof ScriptClosure)) {
+        return substituteMacros(value, context, scope);
+    }
+
+    return value.isImmediate ? await callClosure(value, context, scope) : value;
+}
+
+/**
+ * Executes a command.
+ * @param {ScriptCommand} command Parsed command
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Current scope
+ * @returns {Promise<string>} Result of the command
+ */
+async function executeCommand(command, context, scope) {
+    const definition = context.commands[command.name];
+
+    if (!definition) {
+        throw new ScriptError(`Unknown command /${command.name}`);
+    }
+
+    checkLimits(context);
+
+    const args = {};
+    for (const [key, value] of Object.entries(command.namedArgs)) {
+        args[key] = await resolveArgument(value, context, scope);
+    }
+
+    const unnamed = [];
+    for (const value of command.unnamedArgs) {
+        unnamed.push(await resolveArgument(value, context, scope));
+    }
+
+    // The result of the previous command is the default unnamed argument
+    if (!unnamed.length && scope.pipe) {
+        unnamed.push(scope.pipe);
+    }
+
+    try {
+        return toText(await definition.callback(args, unnamed, { context, scope, pipe: scope.pipe }));
+    } catch (error) {
+        if (error instanceof ScriptError && !(error instanceof ScriptAbortError) && !error.message.startsWith('/')) {
+            error.message = `/${command.name}: ${error.message}`;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Executes the commands of a closure as a block of a control flow command.
+ * /break and /return are passed to the caller.
+ * @param {ScriptClosure} closure Closure to execute
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Scope of the caller
+ * @param {Record<string, string>} [macros] Macros defined in the block
+ * @returns {Promise<string>} Result of the last command
+ */
+export async function executeBlock(closure, context, scope, macros = {}) {
+    const blockScope = new ScriptScope(scope, macros);
+
+    for (const command of closure.commands) {
+        blockScope.pipe = await executeCommand(command, context, blockScope);
+    }
+
+    return blockScope.pipe;
+}
+
+/**
+ * Executes a closure as a value. /return ends the closure with the returned value.
+ * @param {ScriptClosure} closure Closure to execute
+ * @param {ScriptContext} context State of the run
+ * @param {ScriptScope} scope Scope of the caller
+ * @returns {Promise<string>} Result of the closure
+ */
+export async function callClosure(closure, context, scope) {
+    try {
+        return await executeBlock(closure, context, scope);
+    } catch (error) {
+        if (error instanceof ReturnSignal || error instanceof BreakSignal) {
+            return error.value;
+        }
+        throw error;
+    }
+}
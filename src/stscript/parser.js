@@ -0,0 +1,262 @@
+/**
+ * Parser of the STscript subset supported by the server-side script runner.
+ * Scripts are parsed into closures of commands. Macros are kept as text and substituted when the command is executed.
+ */
+
+/**
+ * Characters that can be escaped with a backslash.
+ */
+const ESCAPABLE = ['|', '{', '}', ':', '"', '\\'];
+
+/**
+ * @typedef {string|ScriptClosure} ScriptArgument
+ */
+
+export class ScriptSyntaxError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {number} index Position of the error in the script
+     */
+    constructor(message, index) {
+        super(`${message} (at position ${index})`);
+        this.name = 'ScriptSyntaxError';
+        this.index = index;
+    }
+}
+
+export class ScriptCommand {
+    /**
+     * @param {string} name Name of the command, without the slash
+     * @param {Record<string, ScriptArgument>} namedArgs Named arguments
+     * @param {ScriptArgument[]} unnamedArgs Text and closures that follow the named arguments
+     * @param {number} index Position of the command in the script
+     */
+    constructor(name, namedArgs, unnamedArgs, index) {
+        this.name = name;
+        this.namedArgs = namedArgs;
+        this.unnamedArgs = unnamedArgs;
+        this.index = index;
+    }
+}
+
+export class ScriptClosure {
+    /**
+     * @param {ScriptCommand[]} commands Commands of the closure
+     * @param {boolean} [isImmediate] Whether the closure is executed in place and replaced with its result
+     */
+    constructor(commands, isImmediate = false) {
+        this.commands = commands;
+        this.isImmediate = isImmediate;
+    }
+}
+
+class ScriptParser {
+    /**
+     * @param {string} text Script text
+     */
+    constructor(text) {
+        this.text = text;
+        this.index = 0;
+    }
+
+    get isEnd() {
+        return this.index >= this.text.length;
+    }
+
+    /**
+     * @param {string} value Text to look for
+     * @returns {boolean} True if the text is at the current position
+     */
+    peek(value) {
+        return this.text.startsWith(value, this.index);
+    }
+
+    /**
+     * @param {boolean} inClosure Whether a closure is being parsed
+     * @returns {boolean} True if the current position ends the command
+     */
+    isCommandEnd(inClosure) {
+        return this.isEnd || this.peek('|') || (inClosure && this.peek(':}'));
+    }
+
+    skipWhitespace() {
+        while (!this.isEnd && /\s/.test(this.text[this.index])) {
+            this.index++;
+        }
+    }
+
+    /**
+     * Reads a character, resolving the backslash escapes.
+     * @returns {string} Character
+     */
+    readChar() {
+        const char = this.text[this.index++];
+
+        if (char === '\\' && ESCAPABLE.includes(this.text[this.index])) {
+            return this.text[this.index++];
+        }
+
+        return char;
+    }
+
+    /**
+     * @param {boolean} inClosure Whether the commands are in a closure
+     * @returns {ScriptCommand[]} Parsed commands
+     */
+    parseCommands(inClosure) {
+        const start = this.index;
+        const commands = [];
+
+        while (true) {
+            this.skipWhitespace();
+
+            if (this.isEnd) {
+                if (inClosure) {
+                    throw new ScriptSyntaxError('Unclosed closure', start);
+                }
+                return commands;
+            }
+
+            if (inClosure && this.peek(':}')) {
+                this.index += 2;
+                return commands;
+            }
+
+            if (this.peek('|')) {
+                this.index++;
+                continue;
+            }
+
+            if (!this.peek('/')) {
+                throw new ScriptSyntaxError('Expected a command', this.index);
+            }
+
+            const command = this.parseCommand(inClosure);
+            if (command) {
+                commands.push(command);
+            }
+        }
+    }
+
+    /**
+     * @param {boolean} inClosure Whether the command is in a closure
+     * @returns {ScriptCommand|null} Parsed command, or null for a comment
+     */
+    parseCommand(inClosure) {
+        const start = this.index++;
+
+        if (this.peek('/') || this.peek('#')) {
+            while (!this.isCommandEnd(inClosure)) {
+                this.readChar();
+            }
+            return null;
+        }
+
+        const name = /[\w-]+/y;
+        name.lastIndex = this.index;
+        const nameMatch = name.exec(this.text);
+
+        if (!nameMatch) {
+            throw new ScriptSyntaxError('Expected a command name', this.index);
+        }
+
+        this.index += nameMatch[0].length;
+
+        /** @type {Record<string, ScriptArgument>} */
+        const namedArgs = {};
+        const namedArg = /\s+([\w-]+)=/y;
+
+        while (true) {
+            namedArg.lastIndex = this.index;
+            const match = namedArg.exec(this.text);
+
+            if (!match) {
+                break;
+            }
+
+            this.index += match[0].length;
+            namedArgs[match[1]] = this.parseValue(inClosure);
+        }
+
+        /** @type {ScriptArgument[]} */
+        const unnamedArgs = [];
+        let text = '';
+
+        const pushText = () => {
+            if (text.trim()) {
+                unnamedArgs.push(text.trim());
+            }
+            text = '';
+        };
+
+        while (!this.isCommandEnd(inClosure)) {
+            if (this.peek('{:')) {
+                pushText();
+                unnamedArgs.push(this.parseClosure());
+                continue;
+            }
+
+            text += this.readChar();
+        }
+
+        pushText();
+        return new ScriptCommand(nameMatch[0], namedArgs, unnamedArgs, start);
+    }
+
+    /**
+     * @param {boolean} inClosure Whether the value is in a closure
+     * @returns {ScriptArgument} Value of a named argument
+     */
+    parseValue(inClosure) {
+        if (this.peek('{:')) {
+            return this.parseClosure();
+        }
+
+        let value = '';
+
+        if (this.peek('"')) {
+            const start = this.index++;
+
+            while (!this.peek('"')) {
+                if (this.isEnd) {
+                    throw new ScriptSyntaxError('Unclosed quotes', start);
+                }
+                value += this.readChar();
+            }
+
+            this.index++;
+            return value;
+        }
+
+        while (!this.isCommandEnd(inClosure) && !/\s/.test(this.text[this.index])) {
+            value += this.readChar();
+        }
+
+        return value;
+    }
+
+    /**
+     * @returns {ScriptClosure} Parsed closure
+     */
+    parseClosure() {
+        this.index += 2;
+        const commands = this.parseCommands(true);
+        const isImmediate = this.peek('()');
+
+        if (isImmediate) {
+            this.index += 2;
+        }
+
+        return new ScriptClosure(commands, isImmediate);
+    }
+}
+
+/**
+ * Parses a script.
+ * @param {string} text Script text
+ * @returns {ScriptClosure} Closure with the commands of the script
+ * @throws {ScriptSyntaxError} If the script is malformed
+ */
+export function parseScript(text) {
+    return new ScriptClosure(new ScriptParser(String(text ?? '')).parseCommands(false));
+}
@@ -0,0 +1,406 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+
+import _ from 'lodash';
+import storage from 'node-persist';
+
+import { getConfigValue, tryParse } from './util.js';
+import { getStreamTokenUsage, getTokenUsage } from './generation-log.js';
+import { getTiktokenTokenizer } from './endpoints/tokenizers.js';
+import { toKey } from './users.js';
+
+const ENABLED = !!getConfigValue('usageLedger.enabled', true, 'boolean');
+const CURRENCY = String(getConfigValue('usageLedger.currency', 'USD'));
+const DEFAULT_MONTHLY_BUDGET = Math.max(0, Number(getConfigValue('usageLedger.monthlyBudget', 0, 'number')));
+const MAX_TRANSCRIPT_LENGTH = 1024 * 1024;
+const ESTIMATION_MODEL = 'gpt-4o';
+
+/**
+ * @typedef {object} ModelPrice
+ * @property {number} prompt Price of one million prompt tokens
+ * @property {number} completion Price of one million completion tokens
+ */
+
+/**
+ * @typedef {object} UsageRecord
+ * @property {number} date Timestamp of the request
+ * @property {string} backend Backend that handled the request (chat-completions or text-completions)
+ * @property {string} source Chat Completion source or Text Completion API type
+ * @property {string} model Requested model
+ * @property {string} character Name of the character the request was made for
+ * @property {string} group Name of the group the request was made for
+ * @property {number} prompt_tokens Number of tokens in the prompt
+ * @property {number} completion_tokens Number of generated tokens
+ * @property {boolean} estimated Whether the token counts were estimated because the API didn't report them
+ * @property {number} cost Cost of the request in the configured currency
+ */
+
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} requests Number of requests
+ * @property {number} prompt_tokens Number of prompt tokens
+ * @property {number} completion_tokens Number of completion tokens
+ * @property {number} cost Total cost
+ */
+
+/**
+ * @typedef {object} UsageSummary
+ * @property {string} month Month of the summary (YYYY-MM)
+ * @property {string} currency Currency of the costs
+ * @property {number} budget Monthly budget of the user, 0 if unlimited
+ * @property {UsageTotals} totals Totals of the month
+ * @property {Record<string, UsageTotals>} byDay Totals by day (YYYY-MM-DD)
+ * @property {Record<string, UsageTotals>} byCharacter Totals by character or group name
+ * @property {Record<string, UsageTotals>} byModel Totals by model
+ */
+
+/**
+ * Prices by model pattern, most specific patterns first.
+ * @type {[RegExp, ModelPrice][]}
+ */
+const PRICES = Object.entries(getConfigValue('usageLedger.prices', {}) ?? {})
+    .sort(([a], [b]) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length)
+    .map(([pattern, price]) => [
+        new RegExp(`^${pattern.split('*').map(x => _.escapeRegExp(x)).join('.*')}$`, 'i'),
+        { prompt: Number(price?.prompt) || 0, completion: Number(price?.completion) || 0 },
+    ]);
+
+/**
+ * Cached spending of the current month, by usage directory.
+ * @type {Map<string, { month: string, cost: number }>}
+ */
+const spendCache = new Map();
+
+/**
+ * Gets the month of a timestamp.
+ * @param {number} timestamp Timestamp
+ * @returns {string} Month in YYYY-MM format
+ */
+function getMonth(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+/**
+ * Gets the path to the ledger file of a month.
+ * @param {string} usageDirectory Path to the usage directory
+ * @param {string} month Month in YYYY-MM format
+ * @returns {string} Path to the ledger file
+ */
+function getLedgerPath(usageDirectory, month) {
+    return path.join(usageDirectory, `${month}.jsonl`);
+}
+
+/**
+ * Reads the usage records of a month.
+ * @param {string} usageDirectory Path to the usage directory
+ * @param {string} month Month in YYYY-MM format
+ * @returns {UsageRecord[]} Records, oldest first
+ */
+function readRecords(usageDirectory, month) {
+    const ledgerPath = getLedgerPath(usageDirectory, month);
+
+    if (!fs.existsSync(ledgerPath)) {
+        return [];
+    }
+
+    return fs.readFileSync(ledgerPath, 'utf8').split('\n').map(line => tryParse(line)).filter(x => x);
+}
+
+/**
+ * Finds the price of a model in the configured price table.
+ * Patterns can include the source as a prefix (e.g. "openrouter/*") and use * as a wildcard.
+ * @param {string} source Chat Completion source or Text Completion API type
+ * @param {string} model Model name
+ * @returns {ModelPrice|null} Price, or null if the model has no configured price
+ */
+export function getModelPrice(source, model) {
+    const match = PRICES.find(([pattern]) => pattern.test(`${source}/${model}`) || pattern.test(model));
+    return match ? match[1] : null;
+}
+
+/**
+ * Computes the cost of a request.
+ * @param {string} source Chat Completion source or Text Completion API type
+ * @param {string} model Model name
+ * @param {number} promptTokens Number of prompt tokens
+ * @param {number} completionTokens Number of completion tokens
+ * @returns {number} Cost in the configured currency
+ */
+export function getUsageCost(source, model, promptTokens, completionTokens) {
+    const price = getModelPrice(source, model);
+
+    if (!price) {
+        return 0;
+    }
+
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1_000_000;
+}
+
+/**
+ * Counts the tokens of a text with a generic tokenizer, used when the API doesn't report the usage.
+ * @param {string} text Text to count
+ * @returns {number} Estimated number of tokens
+ */
+export function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+
+    try {
+        return getTiktokenTokenizer(ESTIMATION_MODEL).encode(text).length;
+    } catch {
+        return Math.ceil(text.length / 3.35);
+    }
+}
+
+/**
+ * Gets the prompt text of a generation request body.
+ * @param {Record<string, any>} body Request body
+ * @returns {string} Prompt text
+ */
+function getPromptText(body) {
+    if (Array.isArray(body?.messages)) {
+        return body.messages.map(message => {
+            const content = message?.content;
+            return Array.isArray(content) ? content.map(part => part?.text ?? '').join('\n') : String(content ?? '');
+        }).join('\n');
+    }
+
+    return typeof body?.prompt === 'string' ? body.prompt : '';
+}
+
+/**
+ * Gets the generated text from a response or a stream event of any supported API.
+ * @param {any} data Response data or stream event
+ * @returns {string} Generated text
+ */
+export function getGeneratedText(data) {
+    if (!data || typeof data !== 'object') {
+        return '';
+    }
+
+    const choice = data.choices?.[0];
+    const text = choice?.message?.content ?? choice?.delta?.content ?? choice?.text
+        ?? data.delta?.text ?? data.delta?.message?.content?.text
+        ?? data.candidates?.[0]?.content?.parts?.map(part => part?.text ?? '').join('')
+        ?? (Array.isArray(data.content) ? data.content.map(part => part?.text ?? '').join('') : data.content)
+        ?? data.message?.content ?? data.response ?? data.text;
+
+    return typeof text === 'string' ? text : '';
+}
+
+/**
+ * Gets the monthly budget of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<number>} Budget in the configured currency, 0 if unlimited
+ */
+export async function getMonthlyBudget(handle) {
+    /** @type {import('./users.js').User} */
+    const user = await storage.getItem(toKey(handle));
+    const budget = user?.monthlyBudget ?? DEFAULT_MONTHLY_BUDGET;
+    return Math.max(0, Number(budget) || 0);
+}
+
+/**
+ * Gets the spending of a user in the current month.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {number} Cost in the configured currency
+ */
+export function getMonthlySpend(directories) {
+    const month = getMonth(Date.now());
+    const cached = spendCache.get(directories.usage);
+
+    if (cached?.month === month) {
+        return cached.cost;
+    }
+
+    const cost = _.sumBy(readRecords(directories.usage, month), x => x.cost || 0);
+    spendCache.set(directories.usage, { month, cost });
+    return cost;
+}
+
+/**
+ * Appends a record to the usage ledger of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {UsageRecord} record Usage record
+ */
+function saveRecord(directories, record) {
+    const month = getMonth(record.date);
+    fs.mkdirSync(directories.usage, { recursive: true });
+    fs.appendFileSync(getLedgerPath(directories.usage, month), JSON.stringify(record) + '\n', 'utf8');
+
+    const cached = spendCache.get(directories.usage);
+    if (cached?.month === month) {
+        cached.cost += record.cost;
+    }
+}
+
+/**
+ * Wraps a generation request handler to enforce the monthly budget of the user
+ * and record the token usage and the cost of successful requests.
+ * The client can describe the request in the `usage_context` field of the request body.
+ * @param {string} backend Name of the backend
+ * @param {(request: import('express').Request, response: import('express').Response) => any} handler Request handler
+ * @returns {(request: import('express').Request, response: import('express').Response) => Promise<any>} Wrapped request handler
+ */
+export function withUsageLedger(backend, handler) {
+    return async function (request, response) {
+        if (!ENABLED || !request.body) {
+            return handler(request, response);
+        }
+
+        // Text Completion backends forward the whole body to the API
+        const context = _.isPlainObject(request.body.usage_context) ? request.body.usage_context : {};
+        delete request.body.usage_context;
+
+        const budget = await getMonthlyBudget(request.user.profile.handle);
+        const spent = getMonthlySpend(request.user.directories);
+
+        if (budget > 0 && spent >= budget) {
+            console.warn(`User ${request.user.profile.handle} has reached the monthly budget of ${budget} ${CURRENCY}`);
+            const message = `Monthly budget of ${budget} ${CURRENCY} has been reached. Spent so far: ${spent.toFixed(2)} ${CURRENCY}.`;
+            return response.status(402).send({ error: { message, type: 'budget_exceeded' } });
+        }
+
+        const date = Date.now();
+        const promptText = getPromptText(request.body);
+        const send = response.send;
+        const write = response.write;
+        let data = null;
+        let transcript = '';
+        let streamed = false;
+
+        response.send = function (body) {
+            response.send = send;
+            data = typeof body === 'string' ? tryParse(body) : Buffer.isBuffer(body) ? null : body;
+            return send.call(this, body);
+        };
+
+        // @ts-ignore
+        response.write = function (chunk, ...args) {
+            streamed = true;
+            if (transcript.length < MAX_TRANSCRIPT_LENGTH) {
+                transcript += Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+            }
+            return write.call(this, chunk, ...args);
+        };
+
+        response.once('close', () => {
+            try {
+                if (response.statusCode >= 400 || (!streamed && (!data || data.error))) {
+                    return;
+                }
+
+                const usage = streamed ? getStreamTokenUsage(transcript) : getTokenUsage(data);
+                const completionText = streamed
+                    ? transcript.split('\n').map(line => getGeneratedText(tryParse(line.replace(/^data:\s*/, '').trim()))).join('')
+                    : getGeneratedText(data);
+
+                const estimated = !Number.isFinite(usage?.prompt_tokens) || !Number.isFinite(usage?.completion_tokens);
+                const promptTokens = usage?.prompt_tokens ?? estimateTokens(promptText);
+                const completionTokens = usage?.completion_tokens ?? estimateTokens(completionText);
+                // Failover may have replaced the body with the one of the connection that handled the request
+                const source = String(request.body?.chat_completion_source ?? request.body?.api_type ?? '');
+                const model = String(request.body?.model ?? data?.model ?? '');
+
+                saveRecord(request.user.directories, {
+                    date: date,
+                    backend: backend,
+                    source: source,
+                    model: model,
+                    character: String(context.character ?? ''),
+                    group: String(context.group ?? ''),
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    estimated: estimated,
+                    cost: getUsageCost(source, model, promptTokens, completionTokens),
+                });
+            } catch (error) {
+                console.error('Failed to write the usage record', error);
+            }
+        });
+
+        return handler(request, response);
+    };
+}
+
+/**
+ * Creates empty usage totals.
+ * @returns {UsageTotals} Totals
+ */
+function createTotals() {
+    return { requests: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 };
+}
+
+/**
+ * Adds a record to usage totals.
+ * @param {UsageTotals} totals Totals
+ * @param {UsageRecord} record Usage record
+ */
+function addToTotals(totals, record) {
+    totals.requests++;
+    totals.prompt_tokens += record.prompt_tokens || 0;
+    totals.completion_tokens += record.completion_tokens || 0;
+    totals.cost += record.cost || 0;
+}
+
+/**
+ * Summarizes the usage of a user in a month.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} handle User handle
+ * @param {string} [month] Month in YYYY-MM format, defaults to the current month
+ * @returns {Promise<UsageSummary>} Usage summary
+ */
+export async function getUsageSummary(directories, handle, month) {
+    month = /^\d{4}-\d{2}$/.test(String(month)) ? String(month) : getMonth(Date.now());
+
+    /** @type {UsageSummary} */
+    const summary = {
+        month: month,
+        currency: CURRENCY,
+        budget: await getMonthlyBudget(handle),
+        totals: createTotals(),
+        // Character and model names come from the client and may be any string, including __proto__
+        byDay: Object.create(null),
+        byCharacter: Object.create(null),
+        byModel: Object.create(null),
+    };
+
+    for (const record of readRecords(directories.usage, month)) {
+        const day = new Date(record.date).toISOString().slice(0, 10);
+        const character = record.group || record.character || '';
+        const model = [record.source, record.model].filter(x => x).join('/');
+
+        addToTotals(summary.totals, record);
+        addToTotals(summary.byDay[day] ??= createTotals(), record);
+        addToTotals(summary.byCharacter[character] ??= createTotals(), record);
+        addToTotals(summary.byModel[model] ??= createTotals(), record);
+    }
+
+    return summary;
+}
+
+/**
+ * Sets the monthly budget of a user.
+ * @param {string} handle User handle
+ * @param {number|null} budget Budget in the configured currency, 0 if unlimited, null to use the default
+ * @returns {Promise<boolean>} True if the user exists
+ */
+export async function setMonthlyBudget(handle, budget) {
+    /** @type {import('./users.js').User} */
+    const user = await storage.getItem(toKey(handle));
+
+    if (!user) {
+        return false;
+    }
+
+    if (budget === null) {
+        delete user.monthlyBudget;
+    } else {
+        user.monthlyBudget = Math.max(0, Number(budget) || 0);
+    }
+
+    await storage.setItem(toKey(handle), user);
+    return true;
+}
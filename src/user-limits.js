@@ -0,0 +1,305 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+
+import _ from 'lodash';
+import storage from 'node-persist';
+
+import { toKey } from './users.js';
+
+const HOUR = 60 * 60 * 1000;
+const STORAGE_CACHE_TTL = 60 * 1000;
+
+/**
+ * @typedef {object} UserLimits
+ * @property {number} generationsPerHour Maximum number of generation requests per hour, 0 if unlimited
+ * @property {number} maxStorageBytes Maximum size of the user data directory in bytes, 0 if unlimited
+ * @property {string[]} allowedSources Allowed Chat Completion sources and Text Completion API types, empty to allow all
+ * @property {string[]} allowedModels Allowed models, * can be used as a wildcard, empty to allow all
+ */
+
+/**
+ * @typedef {object} UserLimitsUsage
+ * @property {number} generationsLastHour Number of generation requests in the last hour
+ * @property {number} storageBytes Size of the user data directory in bytes
+ */
+
+/**
+ * Timestamps of the generation requests of the last hour, by user handle.
+ * @type {Map<string, number[]>}
+ */
+const generationTimes = new Map();
+
+/**
+ * Cached size of the user data directories, by directory path.
+ * @type {Map<string, { size: number, time: number }>}
+ */
+const storageCache = new Map();
+
+/**
+ * Normalizes the limits of a user.
+ * @param {Partial<UserLimits>} [limits] Limits of the user record
+ * @returns {UserLimits} Limits with defaults for missing fields
+ */
+function normalizeLimits(limits) {
+    const toList = (/** @type {any} */ value) => (Array.isArray(value) ? value : [])
+        .map(x => String(x).trim())
+        .filter(x => x);
+
+    return {
+        generationsPerHour: Math.max(0, Math.floor(Number(limits?.generationsPerHour) || 0)),
+        maxStorageBytes: Math.max(0, Math.floor(Number(limits?.maxStorageBytes) || 0)),
+        allowedSources: toList(limits?.allowedSources),
+        allowedModels: toList(limits?.allowedModels),
+    };
+}
+
+/**
+ * Gets the limits of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<UserLimits>} Limits of the user
+ */
+export async function getUserLimits(handle) {
+    /** @type {import('./users.js').User} */
+    const user = await storage.getItem(toKey(handle));
+    return normalizeLimits(user?.limits);
+}
+
+/**
+ * Sets the limits of a user.
+ * @param {string} handle User handle
+ * @param {Partial<UserLimits>} limits New limits
+ * @returns {Promise<boolean>} True if the user exists
+ */
+export async function setUserLimits(handle, limits) {
+    /** @type {import('./users.js').User} */
+    const user = await storage.getItem(toKey(handle));
+
+    if (!user) {
+        return false;
+    }
+
+    user.limits = normalizeLimits(limits);
+    await storage.setItem(toKey(handle), user);
+    return true;
+}
+
+/**
+ * Gets the timestamps of the generation requests made by a user in the last hour.
+ * @param {string} handle User handle
+ * @returns {number[]} Timestamps, oldest first
+ */
+function getRecentGenerations(handle) {
+    const since = Date.now() - HOUR;
+    const times = (generationTimes.get(handle) ?? []).filter(x => x > since);
+    generationTimes.set(handle, times);
+    return times;
+}
+
+/**
+ * Calculates the size of a directory, including subdirectories.
+ * @param {string} directory Directory path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getDirectorySize(directory) {
+    let size = 0;
+
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            size += await getDirectorySize(entryPath);
+        } else if (entry.isFile()) {
+            size += (await fs.promises.stat(entryPath).catch(() => null))?.size ?? 0;
+        }
+    }
+
+    return size;
+}
+
+/**
+ * Gets the size of the data directory of a user. The size is cached for a minute.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function getStorageUsage(directories) {
+    const cached = storageCache.get(directories.root);
+
+    if (cached && Date.now() - cached.time < STORAGE_CACHE_TTL) {
+        return cached.size;
+    }
+
+    const size = await getDirectorySize(directories.root);
+    storageCache.set(directories.root, { size, time: Date.now() });
+    return size;
+}
+
+/**
+ * Gets the current usage of the limited resources of a user.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<UserLimitsUsage>} Usage
+ */
+export async function getUserLimitsUsage(handle, directories) {
+    return {
+        generationsLastHour: getRecentGenerations(handle).length,
+        storageBytes: await getStorageUsage(directories),
+    };
+}
+
+/**
+ * Checks if a value matches any of the allowed patterns.
+ * @param {string} value Value to check
+ * @param {string[]} patterns Allowed patterns, * is a wildcard
+ * @returns {boolean} True if the value is allowed
+ */
+function isAllowed(value, patterns) {
+    return patterns.some(pattern => new RegExp(`^${pattern.split('*').map(x => _.escapeRegExp(x)).join('.*')}$`, 'i').test(value));
+}
+
+/**
+ * Checks if the connections of a generation request are allowed by the limits of the user.
+ * @param {UserLimits} limits Limits of the user
+ * @param {Record<string, any>} body Request body
+ * @returns {string|null} Error message, or null if allowed
+ */
+function getConnectionError(limits, body) {
+    /** @type {import('./failover.js').FailoverTarget[]} */
+    const targets = Array.isArray(body.failover?.targets) ? body.failover.targets : [];
+    const connections = [body, ...targets.map(target => ({ ...body, ...(target?.overrides ?? {}) }))];
+
+    for (const connection of connections) {
+        const source = String(connection.chat_completion_source ?? connection.api_type ?? '');
+        const model = String(connection.model ?? '');
+
+        if (limits.allowedSources.length && !isAllowed(source, limits.allowedSources)) {
+            return `API "${source}" is not allowed for your account.`;
+        }
+
+        if (limits.allowedModels.length && model && !isAllowed(model, limits.allowedModels)) {
+            return `Model "${model}" is not allowed for your account.`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Wraps a generation request handler to enforce the allowed connections and the hourly generation limit of the user.
+ * @param {(request: import('express').Request, response: import('express').Response) => any} handler Request handler
+ * @returns {(request: import('express').Request, response: import('express').Response) => Promise<any>} Wrapped request handler
+ */
+export function withUserLimits(handler) {
+    return async function (request, response) {
+        if (!request.body) {
+            return handler(request, response);
+        }
+
+        const handle = request.user.profile.handle;
+        const limits = await getUserLimits(handle);
+        const connectionError = getConnectionError(limits, request.body);
+
+        if (connectionError) {
+            console.warn(`User ${handle} requested a connection that is not allowed: ${connectionError}`);
+            return response.status(403).send({ error: { message: connectionError, type: 'forbidden' } });
+        }
+
+        const times = getRecentGenerations(handle);
+
+        if (limits.generationsPerHour > 0 && times.length >= limits.generationsPerHour) {
+            const retryAfter = Math.ceil((times[0] + HOUR - Date.now()) / 1000);
+            const message = `Limit of ${limits.generationsPerHour} generations per hour has been reached. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`;
+            console.warn(`User ${handle} has reached the limit of generations per hour`);
+            response.setHeader('Retry-After', String(retryAfter));
+            return response.status(429).send({ error: { message, type: 'rate_limit' } });
+        }
+
+        times.push(Date.now());
+        return handler(request, response);
+    };
+}
+
+/**
+ * Gets the size of the data uploaded with a request.
+ * @param {import('express').Request} request Request object
+ * @returns {number} Size in bytes
+ */
+function getUploadSize(request) {
+    if (request.file) {
+        return request.file.size;
+    }
+
+    if (typeof request.body?.data === 'string') {
+        return Buffer.byteLength(request.body.data, 'base64');
+    }
+
+    return Number(request.headers['content-length']) || 0;
+}
+
+/**
+ * Checks if writing data would exceed the storage limit of the user.
+ * The limit counts all files in the user data directory, including the revision and generation logs.
+ * @param {import('express').Request} request Request object
+ * @param {number} size Number of bytes that will be written
+ * @returns {Promise<string|null>} Error message, or null if the data fits
+ */
+export async function getStorageQuotaError(request, size) {
+    const { maxStorageBytes } = await getUserLimits(request.user.profile.handle);
+
+    if (maxStorageBytes <= 0) {
+        return null;
+    }
+
+    const storageBytes = await getStorageUsage(request.user.directories);
+
+    if (storageBytes + size > maxStorageBytes) {
+        console.warn(`User ${request.user.profile.handle} has exceeded the storage limit of ${maxStorageBytes} bytes`);
+        const usedMb = (storageBytes / 1024 / 1024).toFixed(1);
+        const maxMb = (maxStorageBytes / 1024 / 1024).toFixed(1);
+        return `Storage limit exceeded: ${usedMb} of ${maxMb} MB used. Delete some files or ask an administrator to raise the limit.`;
+    }
+
+    // Count the data until the size is recalculated
+    const cached = storageCache.get(request.user.directories.root);
+    if (cached) {
+        cached.size += size;
+    }
+
+    return null;
+}
+
+/**
+ * Checks if the user has reached the storage limit. Used to stop recording optional data, like logs.
+ * @param {import('express').Request} request Request object
+ * @returns {Promise<boolean>} True if the limit has been reached
+ */
+export async function isStorageQuotaReached(request) {
+    const { maxStorageBytes } = await getUserLimits(request.user.profile.handle);
+    return maxStorageBytes > 0 && await getStorageUsage(request.user.directories) >= maxStorageBytes;
+}
+
+/**
+ * Middleware that rejects uploads that would exceed the storage limit of the user.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('express').NextFunction} next Next middleware
+ */
+export async function requireStorageQuota(request, response, next) {
+    try {
+        const quotaError = await getStorageQuotaError(request, getUploadSize(request));
+
+        if (quotaError) {
+            if (request.file) {
+                fs.rmSync(path.join(request.file.destination, request.file.filename), { force: true });
+            }
+
+            return response.status(413).send(quotaError);
+        }
+
+        return next();
+    } catch (error) {
+        console.error('Storage limit check failed:', error);
+        return response.sendStatus(500);
+    }
+}
@@ -52,6 +52,9 @@ const STORAGE_KEYS = {
  * @property {string} salt - Salt used for hashing the password
  * @property {boolean} enabled - Whether the user is enabled
  * @property {boolean} admin - Whether the user is an admin (can manage other users)
+ * @property {string} [apiKey] - SHA-256 hash of the user's personal access key for the OpenAI-compatible API
+ * @property {number} [monthlyBudget] - Monthly generation budget of the user, overrides the default from the config
+ * @property {import('./user-limits.js').UserLimits} [limits] - Limits of generation requests and storage set by an admin
  */
 
 /**
@@ -63,6 +66,9 @@ const STORAGE_KEYS = {
  * @property {boolean} password - Whether the user is password protected
  * @property {boolean} [enabled] - Whether the user is enabled
  * @property {number} [created] - The timestamp when the user was created
+ * @property {boolean} [apiKey] - Whether the user has a personal access key for the OpenAI-compatible API
+ * @property {import('./user-limits.js').UserLimits} [limits] - Limits of generation requests and storage
+ * @property {import('./user-limits.js').UserLimitsUsage} [usage] - Current usage of the limited resources
  */
 
 /**
@@ -97,6 +103,10 @@ const STORAGE_KEYS = {
  * @property {string} backups - The directory where the backups are stored
  * @property {string} sysprompt - The directory where the system prompt data is stored
  * @property {string} reasoning - The directory where the reasoning templates are stored
+ * @property {string} revisions - The directory where the revision history is stored
+ * @property {string} generationLogs - The directory where the generation request log is stored
+ * @property {string} usage - The directory where the token usage ledger is stored
+ * @property {string} scripts - The directory where the server-side scripts are stored
  */
 
 /**
@@ -595,6 +605,31 @@ export function getPasswordHash(password, salt) {
     return crypto.scryptSync(password.normalize(), salt, 64).toString('base64');
 }
 
+/**
+ * Hashes a personal access key for storage.
+ * @param {string} key Personal access key
+ * @returns {string} Hashed key
+ */
+export function getApiKeyHash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Finds the enabled user that owns a personal access key.
+ * @param {string} key Personal access key
+ * @returns {Promise<User|null>} User, or null if the key is not valid
+ */
+export async function getUserByApiKey(key) {
+    if (!key) {
+        return null;
+    }
+
+    const hash = Buffer.from(getApiKeyHash(key));
+    const users = await getActiveUsers();
+
+    return users.find(user => user?.apiKey?.length === hash.length && crypto.timingSafeEqual(Buffer.from(user.apiKey), hash)) ?? null;
+}
+
 /**
  * Get the CSRF secret from the storage.
  * @param {import('express').Request} [request] HTTP request object
@@ -1038,6 +1073,19 @@ export async function getAllEnabledUsers() {
     return users.filter(x => x.enabled);
 }
 
+/**
+ * Gets the users that can use the server: the enabled users, or only the default user if the accounts are disabled.
+ * @returns {Promise<User[]>}
+ */
+export async function getActiveUsers() {
+    if (!ENABLE_ACCOUNTS) {
+        const user = await storage.getItem(toKey(DEFAULT_USER.handle));
+        return user ? [user] : [];
+    }
+
+    return await getAllEnabledUsers();
+}
+
 /**
  * Express router for serving files from the user's directories.
  */
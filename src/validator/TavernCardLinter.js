@@ -0,0 +1,264 @@
+import { TavernCardValidator } from './TavernCardValidator.js';
+import { parseRegexFromString } from '../../public/scripts/util/regex-string.js';
+
+/**
+ * Images larger than this are slow to load and often rejected by card hosting sites.
+ */
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_SIDE = 2048;
+
+/**
+ * Fields of the card data that are passed through the macro substitution.
+ */
+const MACRO_FIELDS = ['description', 'personality', 'scenario', 'first_mes', 'mes_example', 'system_prompt', 'post_history_instructions'];
+
+/**
+ * Matches the greeting lines where the character speaks or acts for the user.
+ */
+const USER_SPEAKING_PATTERNS = [
+    /^\s*(?:{{user}}|<user>)\s*:/im,
+    /(?:{{user}}|<user>)\s+(?:says|said|asks|asked|replies|replied|answers|answered|thinks|thought|nods|nodded|smiles|smiled)\b/i,
+];
+
+/**
+ * @typedef {object} CardLintIssue
+ * @property {'error'|'warning'|'info'} severity Severity of the problem
+ * @property {string} field Path to the field, e.g. "data.alternate_greetings.1"
+ * @property {string} message Description of the problem
+ */
+
+/**
+ * @typedef {object} CardImageInfo
+ * @property {number} size File size in bytes
+ * @property {number} width Image width in pixels
+ * @property {number} height Image height in pixels
+ */
+
+/**
+ * Calculates the edit distance between two strings.
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Levenshtein distance
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Reports the problems of character cards that are valid but may not work as their authors intended.
+ */
+export class TavernCardLinter {
+    /**
+     * @type {CardLintIssue[]}
+     */
+    #issues = [];
+
+    /**
+     * @param {object} card Character card data
+     * @param {object} [options] Options
+     * @param {string[]} [options.macros] Names of the known macros. Unknown macros are not reported if empty.
+     * @param {CardImageInfo|null} [options.image] Information about the card image
+     */
+    constructor(card, { macros = [], image = null } = {}) {
+        this.card = card;
+        this.macros = new Map(macros.map(x => [String(x).toLowerCase(), String(x)]));
+        this.image = image;
+    }
+
+    /**
+     * Lints the card.
+     *
+     * @returns {CardLintIssue[]} - List of found problems, empty if none
+     */
+    lint() {
+        this.#issues = [];
+
+        if (!this.#lintSpec()) {
+            return this.#issues;
+        }
+
+        this.#lintMetadata();
+        this.#lintMacros();
+        this.#lintGreetings();
+        this.#lintCharacterBook();
+        this.#lintImage();
+
+        return this.#issues;
+    }
+
+    /**
+     * Adds a problem to the report.
+     * @param {CardLintIssue['severity']} severity Severity of the problem
+     * @param {string} field Path to the field
+     * @param {string} message Description of the problem
+     */
+    #report(severity, field, message) {
+        this.#issues.push({ severity, field, message });
+    }
+
+    /**
+     * Gets the text fields of the card that support macros.
+     * @returns {[string, string][]} Pairs of field paths and values
+     */
+    #getMacroFields() {
+        const data = this.card.data ?? {};
+        const fields = MACRO_FIELDS.map(field => [`data.${field}`, data[field]]);
+
+        for (const key of ['alternate_greetings', 'group_only_greetings']) {
+            (Array.isArray(data[key]) ? data[key] : []).forEach((value, index) => fields.push([`data.${key}.${index}`, value]));
+        }
+
+        const entries = Array.isArray(data.character_book?.entries) ? data.character_book.entries : [];
+        entries.forEach((entry, index) => fields.push([`data.character_book.entries.${index}.content`, entry?.content]));
+
+        return /** @type {[string, string][]} */ (fields.filter(([, value]) => typeof value === 'string' && value));
+    }
+
+    #lintSpec() {
+        const validator = new TavernCardValidator(this.card);
+        const isValid = this.card.spec === 'chara_card_v3'
+            ? validator.validateV3()
+            : this.card.spec === 'chara_card_v2' ? validator.validateV2() : validator.validateV1();
+
+        if (!isValid) {
+            this.#report('error', validator.lastValidationError ?? 'spec', 'The card does not match the character card specification.');
+            return false;
+        }
+
+        if (!this.card.data) {
+            this.#report('warning', 'spec', 'The card uses the outdated V1 format. Save it in the editor to upgrade it.');
+            return false;
+        }
+
+        return true;
+    }
+
+    #lintMetadata() {
+        if (!String(this.card.data.creator ?? '').trim()) {
+            this.#report('warning', 'data.creator', 'The creator is not set.');
+        }
+
+        if (!String(this.card.data.character_version ?? '').trim()) {
+            this.#report('warning', 'data.character_version', 'The character version is not set.');
+        }
+    }
+
+    #lintMacros() {
+        for (const [field, value] of this.#getMacroFields()) {
+            const unclosed = (value.match(/{{/g) ?? []).length - (value.match(/}}/g) ?? []).length;
+
+            if (unclosed > 0) {
+                this.#report('error', field, 'A macro is not closed with "}}".');
+            }
+
+            if (this.macros.size === 0) {
+                continue;
+            }
+
+            for (const [, content] of value.matchAll(/{{([^{}]*)}}/g)) {
+                // Comments, e.g. {{// note}}
+                if (content.startsWith('//')) {
+                    continue;
+                }
+
+                // Name before the arguments, e.g. "roll" in {{roll:1d6}} or "time_UTC" in {{time_UTC+2}}
+                const name = content.trim().match(/^\w+/)?.[0] ?? '';
+
+                if (this.macros.has(name.toLowerCase())) {
+                    continue;
+                }
+
+                const suggestion = [...this.macros.values()]
+                    .map(macro => ({ macro, distance: getEditDistance(name.toLowerCase(), macro.toLowerCase()) }))
+                    .filter(x => name && x.distance <= Math.min(2, Math.floor(name.length / 3)))
+                    .sort((a, b) => a.distance - b.distance)[0];
+
+                const hint = suggestion ? ` Did you mean {{${suggestion.macro}}}?` : ' It will be sent to the model as is.';
+                this.#report('warning', field, `Unknown macro {{${content}}}.${hint}`);
+            }
+        }
+    }
+
+    #lintGreetings() {
+        const greetings = [['data.first_mes', this.card.data.first_mes]];
+        (Array.isArray(this.card.data.alternate_greetings) ? this.card.data.alternate_greetings : [])
+            .forEach((value, index) => greetings.push([`data.alternate_greetings.${index}`, value]));
+
+        for (const [field, value] of greetings) {
+            if (typeof value !== 'string') {
+                continue;
+            }
+
+            if (field !== 'data.first_mes' && !value.trim()) {
+                this.#report('warning', field, 'The greeting is empty.');
+                continue;
+            }
+
+            if (USER_SPEAKING_PATTERNS.some(pattern => pattern.test(value))) {
+                this.#report('warning', field, 'The greeting speaks or acts for {{user}}. Models tend to continue doing so.');
+            }
+        }
+    }
+
+    #lintCharacterBook() {
+        const entries = this.card.data.character_book?.entries;
+
+        if (!Array.isArray(entries)) {
+            return;
+        }
+
+        entries.forEach((entry, index) => {
+            const field = `data.character_book.entries.${index}`;
+
+            if (!entry || typeof entry !== 'object') {
+                this.#report('error', field, 'The lorebook entry is not an object.');
+                return;
+            }
+
+            const keys = Array.isArray(entry.keys) ? entry.keys.map(x => String(x).trim()).filter(x => x) : [];
+
+            if (keys.length === 0 && !entry.constant) {
+                this.#report('warning', `${field}.keys`, 'The entry has no keys and is not constant, so it will never be activated.');
+            }
+
+            if (!String(entry.content ?? '').trim()) {
+                this.#report('warning', `${field}.content`, 'The entry has no content.');
+            }
+
+            for (const [keyField, values] of [['keys', entry.keys], ['secondary_keys', entry.secondary_keys]]) {
+                for (const key of Array.isArray(values) ? values : []) {
+                    // Looks like a regex, but will be matched as plain text
+                    if (/^\/.+\/[a-z]*$/is.test(String(key).trim()) && !parseRegexFromString(String(key).trim())) {
+                        this.#report('error', `${field}.${keyField}`, `Invalid regular expression ${key} will be matched as plain text.`);
+                    }
+                }
+            }
+        });
+    }
+
+    #lintImage() {
+        if (!this.image) {
+            return;
+        }
+
+        if (this.image.size > MAX_IMAGE_BYTES) {
+            const sizeMb = (this.image.size / 1024 / 1024).toFixed(1);
+            this.#report('warning', 'avatar', `The image file is ${sizeMb} MB, consider compressing it.`);
+        }
+
+        if (this.image.width > MAX_IMAGE_SIDE || this.image.height > MAX_IMAGE_SIDE) {
+            this.#report('warning', 'avatar', `The image is ${this.image.width}x${this.image.height} pixels, consider downscaling it.`);
+        }
+    }
+}
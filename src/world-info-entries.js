@@ -0,0 +1,260 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+
+import { newWorldInfoEntryDefinition } from '../public/scripts/util/world-info-entry-definition.js';
+
+/**
+ * Definitions of the World Info entry fields that can be set through the API.
+ * @type {Record<string, import('../public/scripts/util/world-info-entry-definition.js').WorldInfoEntryFieldDefinition>}
+ */
+export const WORLD_INFO_ENTRY_DEFINITION = {
+    ..._.pickBy(newWorldInfoEntryDefinition, definition => !definition.excludeFromTemplate),
+    // Stored with the entry, but edited outside of the entry template
+    displayIndex: { default: 0, type: 'number' },
+    characterFilter: { default: undefined, type: 'object?' },
+    extensions: { default: undefined, type: 'object?' },
+};
+
+/**
+ * @typedef {object} WorldInfoEntryFilter
+ * @property {string} [search] Text to find in the title, content or keys, case-insensitive
+ * @property {string} [key] Primary or secondary key to match exactly, case-insensitive
+ * @property {string} [group] Inclusion group the entry belongs to
+ * @property {boolean} [disabled] Only disabled or only enabled entries
+ * @property {boolean} [constant] Only constant or only non-constant entries
+ * @property {number} [position] Insertion position of the entry
+ */
+
+/**
+ * @typedef {object} WorldInfoSummary
+ * @property {string} name Name of the lorebook
+ * @property {number} entries Number of entries
+ * @property {number} enabled Number of enabled entries
+ * @property {number} size File size in bytes
+ * @property {number} date Timestamp of the last modification
+ */
+
+/**
+ * Checks if a value matches the type of an entry field.
+ * @param {any} value Field value
+ * @param {{ type: string, values?: number[] }} definition Field definition
+ * @returns {boolean} True if the value is valid
+ */
+function isValidFieldValue(value, definition) {
+    const isNullable = definition.type.endsWith('?');
+
+    if (value === null && isNullable) {
+        return true;
+    }
+
+    switch (definition.type.replace('?', '')) {
+        case 'array':
+            return Array.isArray(value) && value.every(x => typeof x === 'string');
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'enum':
+            return definition.values.includes(value);
+        case 'object':
+            return _.isPlainObject(value);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Validates the fields of a World Info entry.
+ * @param {object} fields Entry fields to validate
+ * @returns {string[]} List of errors, empty if the fields are valid
+ */
+export function validateWorldInfoEntryFields(fields) {
+    if (!_.isPlainObject(fields)) {
+        return ['Entry must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+        const definition = Object.hasOwn(WORLD_INFO_ENTRY_DEFINITION, field) ? WORLD_INFO_ENTRY_DEFINITION[field] : null;
+
+        if (!definition) {
+            errors.push(`Unknown field: ${field}`);
+            continue;
+        }
+
+        if (!isValidFieldValue(value, definition)) {
+            errors.push(`Invalid value of ${field}, expected ${definition.values ? `one of ${definition.values.join(', ')}` : definition.type}`);
+        }
+    }
+
+    if (fields.characterFilter) {
+        const { isExclude, names, tags } = fields.characterFilter;
+        const isStringArray = (/** @type {any} */ x) => x === undefined || (Array.isArray(x) && x.every(y => typeof y === 'string'));
+
+        if ((isExclude !== undefined && typeof isExclude !== 'boolean') || !isStringArray(names) || !isStringArray(tags)) {
+            errors.push('Invalid value of characterFilter, expected { isExclude: boolean, names: string[], tags: string[] }');
+        }
+    }
+
+    if (typeof fields.probability === 'number' && (fields.probability < 0 || fields.probability > 100)) {
+        errors.push('Invalid value of probability, expected a number from 0 to 100');
+    }
+
+    return errors;
+}
+
+/**
+ * Gets the first unused UID in a lorebook.
+ * @param {object} data Lorebook data
+ * @returns {number} Free UID
+ */
+export function getFreeWorldEntryUid(data) {
+    let uid = 0;
+
+    while (uid in data.entries) {
+        uid++;
+    }
+
+    return uid;
+}
+
+/**
+ * Parses the UID of an entry received from a client.
+ * @param {any} uid UID as a number or a numeric string
+ * @returns {number|null} UID, or null if it is not a non-negative integer
+ */
+export function parseWorldInfoEntryUid(uid) {
+    const value = typeof uid === 'string' && /^\d+$/.test(uid.trim()) ? Number(uid) : uid;
+    return Number.isSafeInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Gets an entry of a lorebook. Only own entries are returned, so UIDs like "__proto__" never resolve.
+ * @param {object} data Lorebook data
+ * @param {any} uid Entry UID received from a client
+ * @returns {object|null} The entry, or null if it doesn't exist
+ */
+export function getWorldInfoEntry(data, uid) {
+    const key = parseWorldInfoEntryUid(uid);
+
+    if (key === null || !data?.entries || !Object.hasOwn(data.entries, key)) {
+        return null;
+    }
+
+    return data.entries[key] ?? null;
+}
+
+/**
+ * Adds an entry to the end of a lorebook.
+ * @param {object} data Lorebook data
+ * @param {object} fields Entry fields, the missing ones are set to the defaults
+ * @returns {object} The added entry
+ */
+export function addWorldInfoEntry(data, fields) {
+    const template = Object.fromEntries(Object.entries(WORLD_INFO_ENTRY_DEFINITION)
+        .filter(([, definition]) => definition.default !== undefined)
+        .map(([field, definition]) => [field, _.cloneDeep(definition.default)]));
+    const uid = getFreeWorldEntryUid(data);
+    const displayIndex = Object.values(data.entries).reduce((max, entry) => Math.max(max, entry.displayIndex ?? -1), -1) + 1;
+    const entry = { uid, ...template, displayIndex, ..._.omit(fields, ['uid']) };
+
+    data.entries[uid] = entry;
+    return entry;
+}
+
+/**
+ * Removes an entry from a lorebook, including its original imported data.
+ * @param {object} data Lorebook data
+ * @param {any} uid Entry UID received from a client
+ * @returns {object|null} The removed entry, or null if it doesn't exist
+ */
+export function removeWorldInfoEntry(data, uid) {
+    const entry = getWorldInfoEntry(data, uid);
+
+    if (!entry) {
+        return null;
+    }
+
+    uid = parseWorldInfoEntryUid(uid);
+    delete data.entries[uid];
+
+    if (Array.isArray(data.originalData?.entries)) {
+        // Non-strict equality is used to allow for both string and number comparisons
+        const originalIndex = data.originalData.entries.findIndex(x => x.uid == uid);
+        if (originalIndex >= 0) {
+            data.originalData.entries.splice(originalIndex, 1);
+        }
+    }
+
+    return entry;
+}
+
+/**
+ * Filters the entries of a lorebook.
+ * @param {object} data Lorebook data
+ * @param {WorldInfoEntryFilter} filter Filter to apply
+ * @returns {object[]} Matching entries, in the display order
+ */
+export function filterWorldInfoEntries(data, filter) {
+    const search = String(filter.search ?? '').toLowerCase();
+    const key = String(filter.key ?? '').toLowerCase();
+
+    return Object.values(data.entries)
+        .filter(entry => {
+            if (search && ![entry.comment, entry.content, ...(entry.key ?? []), ...(entry.keysecondary ?? [])].some(x => String(x ?? '').toLowerCase().includes(search))) {
+                return false;
+            }
+            if (key && ![...(entry.key ?? []), ...(entry.keysecondary ?? [])].some(x => String(x).toLowerCase() === key)) {
+                return false;
+            }
+            if (filter.group !== undefined && !String(entry.group ?? '').split(/,\s*/).includes(filter.group)) {
+                return false;
+            }
+            if (typeof filter.disabled === 'boolean' && !!entry.disable !== filter.disabled) {
+                return false;
+            }
+            if (typeof filter.constant === 'boolean' && !!entry.constant !== filter.constant) {
+                return false;
+            }
+            if (typeof filter.position === 'number' && entry.position !== filter.position) {
+                return false;
+            }
+            return true;
+        })
+        .sort((a, b) => (a.displayIndex ?? a.uid) - (b.displayIndex ?? b.uid));
+}
+
+/**
+ * Lists the lorebooks of a user with their metadata.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {WorldInfoSummary[]} Lorebook summaries, sorted by name
+ */
+export function listWorldInfoFiles(directories) {
+    return fs.readdirSync(directories.worlds)
+        .filter(file => path.extname(file).toLowerCase() === '.json')
+        .map(file => {
+            const filePath = path.join(directories.worlds, file);
+            const stat = fs.statSync(filePath);
+
+            try {
+                const entries = Object.values(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries ?? {});
+                return {
+                    name: path.parse(file).name,
+                    entries: entries.length,
+                    enabled: entries.filter(x => !x?.disable).length,
+                    size: stat.size,
+                    date: Math.floor(stat.mtimeMs),
+                };
+            } catch (error) {
+                console.warn(`Could not read World Info file ${file}`, error);
+                return null;
+            }
+        })
+        .filter(x => x)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}